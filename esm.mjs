@@ -10,6 +10,9 @@ export const {
     CategoryChannel,
     Channel,
     Client,
+    Cluster,
+    ClusterManager,
+    ClusterWorker,
     Collection,
     CommandInteraction,
     ComponentInteraction,
@@ -18,18 +21,29 @@ export const {
     DiscordRESTError,
     Entitlement,
     ExtendedUser,
+    FetchTransport,
+    FileCacheSnapshot,
+    FileSessionStore,
     ForumChannel,
+    GatewayForwarder,
+    GatewayRecorder,
+    GatewayReplay,
     Guild,
     GuildChannel,
     GuildIntegration,
     GuildPreview,
     GuildScheduledEvent,
     GuildTemplate,
+    HTTPTransport,
     Interaction,
     Invite,
     MediaChannel,
     Member,
+    MemoryCacheAdapter,
+    MemoryIdentifyLock,
+    MemoryRatelimitStore,
     Message,
+    MockGateway,
     ModalSubmitInteraction,
     NewsChannel,
     NewsThreadChannel,
@@ -39,11 +53,14 @@ export const {
     PrivateChannel,
     PrivateThreadChannel,
     PublicThreadChannel,
+    RemoteGateway,
     RequestHandler,
+    RequestQueueFullError,
     Role,
     SequentialBucket,
     Shard,
     SharedStream,
+    SocketTransport,
     StageChannel,
     StageInstance,
     TextChannel,
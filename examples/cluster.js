@@ -0,0 +1,46 @@
+const Dysnomia = require("@projectdysnomia/dysnomia");
+
+if(!process.env.DYSNOMIA_CLUSTER) { // This is the primary process
+    // Replace TOKEN with your bot account's token
+    const manager = new Dysnomia.ClusterManager(__filename, {
+        token: "Bot TOKEN",
+        clusterCount: 4, // Split Discord's recommended shard count across 4 worker processes
+        shardCount: "auto"
+    });
+
+    manager.on("clusterReady", (id) => {
+        console.log(`Cluster ${id} ready!`);
+    });
+
+    manager.on("clusterExit", (id, code) => {
+        console.log(`Cluster ${id} exited with code ${code}, respawning it`);
+    });
+
+    manager.on("ready", async () => {
+        const stats = await manager.fetchStats();
+        console.log(`Ready! ${stats.guilds} guilds on ${stats.shards.length} shards`);
+    });
+
+    manager.spawn();
+} else { // This is a worker process, running some of the shards
+    const bot = new Dysnomia.Client("Bot TOKEN", {
+        gateway: {
+            intents: ["guilds", "guildMessages", "messageContent"]
+        }
+    });
+    const worker = new Dysnomia.ClusterWorker(bot); // Sets the shards of this worker and coordinates identifies with the others
+
+    bot.on("messageCreate", async (msg) => {
+        if(msg.content === "!guilds") {
+            // Count the guilds of every worker process
+            const counts = await worker.broadcastEval((client) => client.guilds.size);
+            bot.createMessage(msg.channel.id, `I'm in ${counts.reduce((a, b) => a + b, 0)} guilds across ${worker.clusterCount} clusters`);
+        }
+    });
+
+    bot.on("error", (err) => {
+        console.error(err); // or your preferred logger
+    });
+
+    bot.connect(); // Get the bot to connect to Discord
+}
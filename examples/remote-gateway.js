@@ -0,0 +1,56 @@
+const Dysnomia = require("@projectdysnomia/dysnomia");
+const {fork} = require("node:child_process");
+
+if(!process.send) { // This is the gateway process, which only keeps the gateway connections alive
+    // Replace TOKEN with your bot account's token
+    const gateway = new Dysnomia.Client("Bot TOKEN", {
+        gateway: {
+            intents: ["guilds", "guildMessages", "messageContent"],
+            maxShards: "auto"
+        }
+    });
+    // Must be created before connecting. It keeps the data of every guild, so a respawned worker gets a GUILD_CREATE for each guild and starts with a full cache
+    const forwarder = new Dysnomia.GatewayForwarder(gateway);
+
+    const spawnWorker = () => {
+        const worker = fork(__filename);
+        forwarder.addTransport(worker);
+        worker.on("exit", () => {
+            forwarder.removeTransport(worker);
+            console.log("Worker exited, respawning it. The gateway sessions stay connected");
+            spawnWorker();
+        });
+    };
+    spawnWorker();
+
+    gateway.on("error", (err) => {
+        console.error(err); // or your preferred logger
+    });
+
+    gateway.connect();
+} else { // This is a worker process, running the bot logic
+    const bot = new Dysnomia.Client("Bot TOKEN", {
+        gateway: {
+            intents: ["guilds", "guildMessages", "messageContent"]
+        }
+    });
+    const remote = new Dysnomia.RemoteGateway(process); // Receive the dispatches from the gateway process instead of connecting to Discord
+
+    bot.on("ready", () => { // When the bot is ready
+        console.log("Ready!"); // Log "Ready!"
+    });
+
+    bot.on("messageCreate", (msg) => {
+        if(msg.content === "!ping") {
+            bot.createMessage(msg.channel.id, "Pong!");
+        } else if(msg.content === "!status") {
+            bot.editStatus("idle"); // Sent to Discord through the shard of the gateway process
+        }
+    });
+
+    bot.on("error", (err) => {
+        console.error(err); // or your preferred logger
+    });
+
+    remote.connect(bot);
+}
@@ -1,10 +1,12 @@
 import { EventEmitter } from "events";
 import { Duplex, Readable as ReadableStream, Stream } from "stream";
+import { ChildProcess } from "child_process";
 import { Agent as HTTPSAgent } from "https";
-import { IncomingMessage, ClientRequest, IncomingHttpHeaders } from "http";
+import { IncomingHttpHeaders } from "http";
 import OpusScript = require("opusscript"); // Thanks TypeScript
 import { URL } from "url";
 import { Socket as DgramSocket } from "dgram";
+import { Socket as NetSocket } from "net";
 import * as WebSocket from "ws";
 
 declare namespace Dysnomia {
@@ -63,6 +65,7 @@ declare namespace Dysnomia {
   type EditAutoModerationRuleOptions = Partial<Omit<CreateAutoModerationRuleOptions, "triggerType">>;
 
   // Cache
+  type CacheEntryType = "channels" | "guilds" | "members" | "roles" | "threads";
   interface Uncached { id: string }
 
   // Channel
@@ -96,9 +99,12 @@ declare namespace Dysnomia {
   type MembershipStates = Constants["MembershipState"][keyof Constants["MembershipState"]];
 
   // Gateway/REST
+  type GatewayCompression = "zlib-stream" | "zstd-stream";
+  type CreateWebSocketFunction = (url: string, options: unknown, shard: Shard) => GatewayWebSocket;
   type IntentStrings = keyof Constants["Intents"];
   type ReconnectDelayFunction = (lastDelay: number, attempts: number) => number;
   type RequestMethod = "GET" | "PATCH" | "DELETE" | "POST" | "PUT";
+  type RESTMiddleware = (request: RESTRequest, next: (request?: RESTRequest) => Promise<RESTResponse>) => RESTResponse | Promise<RESTResponse>;
 
   // Guild
   type DefaultNotifications = Constants["DefaultMessageNotificationLevels"][keyof Constants["DefaultMessageNotificationLevels"]];
@@ -154,6 +160,7 @@ declare namespace Dysnomia {
   type ButtonStylePremium = Constants["ButtonStyles"]["PREMIUM"];
   type Component = ActionRow | ActionRowComponents;
   type ComponentTypes = Constants["ComponentTypes"][keyof Constants["ComponentTypes"]];
+  type FileData = Buffer | string | Blob | AsyncIterable<Uint8Array | string> | (() => AsyncIterable<Uint8Array | string>);
   type ImageFormat = Constants["ImageFormats"][number];
   type MessageActivityTypes = Constants["MessageActivityTypes"][keyof Constants["MessageActivityTypes"]];
   type MessageContent<T extends "hasNonce" | "" = ""> = string | AdvancedMessageContent<T>;
@@ -161,7 +168,7 @@ declare namespace Dysnomia {
   type MessageReferenceTypes = Constants["MessageReferenceTypes"][keyof Constants["MessageReferenceTypes"]];
   type MFALevel = Constants["MFALevels"][keyof Constants["MFALevels"]];
   type PollLayoutTypes = Constants["PollLayoutTypes"][keyof Constants["PollLayoutTypes"]];
-  type PossiblyUncachedMessage = Message | { author?: User | Uncached; channel: TextableChannel | { id: string; guild?: Uncached }; guildID?: string; id: string };
+  type PossiblyUncachedMessage = Message | Message<Channel> | { author?: User | Uncached; channel: TextableChannel | { id: string; guild?: Uncached }; guildID?: string; id: string };
   type ReactionTypes = Constants["ReactionTypes"][keyof Constants["ReactionTypes"]];
   type SelectMenu = BaseSelectMenu | ChannelSelectMenu | StringSelectMenu | UserSelectMenu | RoleSelectMenu | MentionableSelectMenu;
   type SelectMenuTypes = Constants["ComponentTypes"][keyof Pick<Constants["ComponentTypes"], "STRING_SELECT" | "USER_SELECT" | "ROLE_SELECT" | "MENTIONABLE_SELECT" | "CHANNEL_SELECT">];
@@ -482,13 +489,48 @@ declare namespace Dysnomia {
   }
 
   // Client
+  interface CacheAdapter {
+    writeThrough?: boolean;
+    delete(type: CacheEntryType, id: string, guildID?: string): void | Promise<void>;
+    get(type: CacheEntryType, id: string, guildID?: string): Record<string, unknown> | undefined | Promise<Record<string, unknown> | undefined>;
+    getAll(type: CacheEntryType, guildID?: string): Record<string, unknown>[] | Promise<Record<string, unknown>[]>;
+    set(type: CacheEntryType, id: string, data: Record<string, unknown>, guildID?: string): void | Promise<void>;
+  }
+  interface CacheOptions {
+    members?: CachePolicy<Member>;
+    messages?: CachePolicy<Message>;
+    sweepInterval?: number;
+    threads?: CachePolicy<AnyThreadChannel>;
+    users?: CachePolicy<User>;
+    voiceStates?: CachePolicy<VoiceState>;
+  }
+  interface CachePolicy<T> {
+    keep?: (item: T) => boolean;
+    limit?: number;
+    strategy?: "fifo" | "lru";
+    ttl?: number;
+  }
+  interface CacheSnapshot {
+    createdAt: number;
+    guilds: Record<string, unknown>[];
+    users: Record<string, unknown>[];
+    version: number;
+  }
+  interface CacheSnapshotStore {
+    load(): CacheSnapshot | null | Promise<CacheSnapshot | null>;
+    save(snapshot: CacheSnapshot): void | Promise<void>;
+  }
   interface ClientOptions {
     allowedMentions?: AllowedMentions;
+    cache?: CacheOptions;
+    cacheAdapter?: CacheAdapter;
+    cacheSnapshot?: CacheSnapshotStore;
     defaultImageFormat?: string;
     defaultImageSize?: number;
     gateway?: GatewayOptions;
     messageLimit?: number;
     opusOnly?: boolean;
+    partials?: boolean;
     requestTimeout?: number;
     rest?: RequestHandlerOptions;
     restMode?: boolean;
@@ -502,9 +544,14 @@ declare namespace Dysnomia {
     headers?: Record<string, number | string | string[]>;
     https?: boolean;
     latencyThreshold?: number;
+    maxQueueLength?: number;
+    middleware?: RESTMiddleware[];
     port?: number;
     ratelimiterOffset?: number;
+    ratelimitStore?: RatelimitStore;
     requestTimeout?: number;
+    retry?: RESTRetryOptions | false;
+    transport?: "fetch" | "http" | RESTTransport;
   }
 
   interface EditSelfOptions {
@@ -804,9 +851,11 @@ declare namespace Dysnomia {
     messageReactionRemoveEmoji: [message: PossiblyUncachedMessage, emoji: PartialEmoji];
     messageUpdate: [message: Message<PossiblyUncachedTextableChannel>, oldMessage: OldMessage | null];
     presenceUpdate: [other: Member, oldPresence: Presence | null];
+    rateLimit: [info: RateLimitInfo];
     rawREST: [request: RawRESTRequest];
     rawWS: [packet: RawPacket, id: number];
     ready: [];
+    restRetry: [request: RESTRetry];
     shardPreReady: [id: number];
     stageInstanceCreate: [stageInstance: StageInstance];
     stageInstanceDelete: [stageInstance: StageInstance];
@@ -817,7 +866,7 @@ declare namespace Dysnomia {
     threadMembersUpdate: [channel: AnyThreadChannel, addedMembers: ThreadMember[], removedMembers: (ThreadMember | Uncached)[]];
     threadMemberUpdate: [channel: AnyThreadChannel, member: ThreadMember, oldMember: OldThreadMember];
     threadUpdate: [channel: AnyThreadChannel, oldChannel: OldThread | null];
-    typingStart: [channel: GuildTextableChannel | Uncached, user: User | Uncached, member: Member]
+    typingStart: [channel: GuildTextableChannel | Channel | Uncached, user: User | Uncached, member: Member]
         | [channel: PrivateChannel | Uncached, user: User | Uncached, member: null];
     unavailableGuildCreate: [guild: UnavailableGuild];
     unknown: [packet: RawPacket, id?: number];
@@ -831,13 +880,45 @@ declare namespace Dysnomia {
     webhooksUpdate: [data: WebhookData];
   }
   interface ClientEvents extends EventListeners {
+    cacheEvict: [name: "members" | "messages" | "threads" | "users" | "voiceStates", item: Member | Message | AnyThreadChannel | User | VoiceState, reason: "limit" | "ttl"];
+    reshard: [oldCount: number, newCount: number];
     shardDisconnect: [err: Error | undefined, id: number];
     shardReady: [id: number];
     shardResume: [id: number];
+    shardUnhealthy: [id: number, reason: "heartbeat" | "latency" | "zombie", health: ShardHealth];
+  }
+  interface ClusterManagerEvents {
+    clusterExit: [id: number, code: number | null, signal: NodeJS.Signals | null];
+    clusterReady: [id: number];
+    clusterSpawn: [id: number];
+    debug: [message: string, id?: number];
+    error: [err: Error, id?: number];
+    message: [id: number, message: unknown];
+    ready: [];
+  }
+  interface ClusterWorkerEvents {
+    message: [message: unknown];
+  }
+  interface MockGatewayEvents {
+    close: [shardID: number | null, code: number];
+    connection: [];
+    error: [err: Error];
+    identify: [shardID: number, data: Record<string, unknown>];
+    packet: [shardID: number | null, packet: RawPacket];
+    resume: [shardID: number, data: { seq: number; session_id: string; token: string }];
+  }
+  interface RemoteGatewayEvents {
+    shards: [shards: RemoteGatewayShards];
   }
   interface ShardEvents extends EventListeners {
     resume: [];
   }
+  interface SocketTransportEvents {
+    close: [];
+    drain: [];
+    error: [err: Error];
+    message: [message: unknown];
+  }
   interface StreamEvents {
     end: [];
     error: [err: Error];
@@ -862,28 +943,95 @@ declare namespace Dysnomia {
   }
 
   // Gateway/REST
+  interface ClusterManagerOptions {
+    args?: string[];
+    clusterCount?: number | "auto";
+    env?: NodeJS.ProcessEnv;
+    execArgv?: string[];
+    maxConcurrency?: number | "auto";
+    requestTimeout?: number;
+    respawn?: boolean;
+    respawnDelay?: number;
+    rest?: RequestHandlerOptions;
+    shardCount?: number | "auto";
+    token?: string;
+  }
+  interface ClusterShardStats {
+    id: number;
+    latency: number;
+    status: Shard["status"];
+  }
+  interface ClusterStats {
+    guilds: number;
+    id: number;
+    memory: number;
+    shards: ClusterShardStats[];
+    uptime: number;
+    users: number;
+  }
+  interface ClusterManagerStats {
+    clusters: ClusterStats[];
+    guilds: number;
+    memory: number;
+    shards: ClusterShardStats[];
+    users: number;
+  }
+  interface GatewayRecordingEntry {
+    close?: number;
+    packet?: RawPacket;
+    reason?: string;
+    shard: number;
+    time: number;
+  }
+  interface GatewayForwarderOptions {
+    replayGuilds?: boolean;
+  }
   interface GatewayOptions {
     autoreconnect?: boolean;
-    compress?: boolean;
+    compress?: boolean | GatewayCompression;
     connectionTimeout?: number;
+    createWebSocket?: CreateWebSocketFunction | null;
     disableEvents?: Record<string, boolean>;
     firstShardID?: number;
     getAllUsers?: boolean;
     guildCreateTimeout?: number;
+    heartbeatAckTimeout?: number | null;
+    identifyLock?: IdentifyLock | null;
     intents?: number | (IntentStrings | number)[];
     largeThreshold?: number;
     lastShardID?: number;
+    latencyThreshold?: number;
     maxReconnectAttempts?: number;
     maxResumeAttempts?: number;
     maxConcurrency?: number | "auto";
     maxShards?: number | "auto";
+    processDispatches?: boolean;
     reconnectDelay?: ReconnectDelayFunction;
+    reservedIdentifies?: number;
+    reshardInterval?: number;
     seedVoiceConnections?: boolean;
+    sessionStore?: SessionStore | null;
+  }
+  interface GatewayWebSocket {
+    readyState: number;
+    close(code?: number, reason?: string): void;
+    on(event: string, listener: (...args: any[]) => void): this;
+    removeListener(event: string, listener: (...args: any[]) => void): this;
+    send(data: string | Buffer): void;
+    terminate(): void;
+  }
+  interface GatewayTransport {
+    on(event: "message", listener: (message: any) => void): unknown;
+    removeListener(event: "message", listener: (message: any) => void): unknown;
+    send(message: any): unknown;
   }
   interface HTTPResponse {
     code: number;
     message: string;
   }
+  interface IdentifyLock {
+    acquire(rateLimitKey: number, shardID: number): void | Promise<void>;
+  }
   interface LatencyRef {
     lastTimeOffsetCheck: number;
     latency: number;
@@ -891,6 +1039,39 @@ declare namespace Dysnomia {
     timeOffset: number;
     timeOffsets: number[];
   }
+  interface MockGatewayOptions {
+    ackHeartbeats?: boolean;
+    application?: { flags?: number; id: string };
+    guilds?: Record<string, unknown>[];
+    heartbeatInterval?: number;
+    port?: number;
+    shards?: number;
+    token?: string | null;
+    user?: Record<string, unknown>;
+  }
+  interface RatelimitBucketSnapshot extends RatelimitBucketState {
+    queueLength: number;
+  }
+  interface RatelimitBucketState {
+    limit: number;
+    remaining: number;
+    reset: number;
+  }
+  interface RateLimitInfo extends RatelimitBucketState {
+    bucket: string;
+    global: boolean;
+    method: string;
+    retryAfter: number;
+    route: string;
+    scope: "global" | "shared" | "user";
+    url: string;
+  }
+  interface RatelimitStore {
+    acquire(key: string): number | Promise<number>;
+    getGlobalReset(): number | Promise<number>;
+    setGlobalReset(reset: number): void | Promise<void>;
+    update(key: string, state: RatelimitBucketState): void | Promise<void>;
+  }
   interface RawPacket {
     d?: unknown;
     op: number;
@@ -901,18 +1082,135 @@ declare namespace Dysnomia {
     auth: boolean;
     body?: unknown;
     file?: FileContent;
+    latency: number;
     method: string;
-    resp: IncomingMessage;
+    resp: TransportResponse;
     route: string;
     short: boolean;
     url: string;
   }
+  interface RESTRequest extends TransportRequest {
+    route: string;
+  }
+  interface RESTResponse {
+    body: string | Buffer | unknown;
+    headers: IncomingHttpHeaders;
+    statusCode: number;
+    statusMessage: string;
+  }
+  interface RESTMetrics {
+    errors: number;
+    latency: {
+      average: number;
+      bounds: number[];
+      count: number;
+      counts: number[];
+      sum: number;
+    };
+    rateLimits: {
+      global: number;
+      shared: number;
+      user: number;
+    };
+    requests: number;
+    retries: number;
+  }
+  interface RESTRetry {
+    attempt: number;
+    delay: number;
+    error?: Error;
+    method: string;
+    route: string;
+    statusCode?: number;
+    url: string;
+  }
+  interface RESTRetryOptions {
+    baseDelay?: number;
+    errorCodes?: string[];
+    jitter?: boolean;
+    maxDelay?: number;
+    maxRetries?: number;
+    methods?: RequestMethod[];
+    statusCodes?: number[];
+  }
+  interface RESTTransport {
+    request(request: TransportRequest): Promise<TransportResponse>;
+  }
+  interface RemoteGatewayShards {
+    firstShardID: number;
+    lastShardID: number;
+    maxShards: number;
+  }
   interface RequestMembersPromise {
     members: Member;
     received: number;
     res: (value: Member[]) => void;
     timeout: NodeJS.Timeout;
   }
+  interface RequestOptions {
+    onUploadProgress?: (loaded: number, total?: number) => void;
+    priority?: number;
+    route?: string;
+    short?: boolean;
+    signal?: AbortSignal;
+  }
+  interface SessionState {
+    resumeURL: string | null;
+    seq: number;
+    sessionID: string;
+  }
+  interface SessionStartLimit {
+    maxConcurrency: number;
+    remaining: number;
+    resetAfter: number;
+    total: number;
+  }
+  interface SessionStore {
+    delete(shardID: number): void | Promise<void>;
+    get(shardID: number): SessionState | null | undefined | Promise<SessionState | null | undefined>;
+    set(shardID: number, state: SessionState): void | Promise<void>;
+  }
+  interface ShardHealth {
+    closeCodes: { [code: number]: number };
+    connects: number;
+    id: number;
+    identifies: number;
+    lastDispatchReceived: number | null;
+    lastHeartbeatAck: boolean;
+    latency: {
+      average: number;
+      last: number;
+      max: number;
+      min: number;
+      samples: number;
+    };
+    resumes: number;
+    status: Shard["status"];
+    timeSinceLastDispatch: number | null;
+  }
+  interface ShardManagerHealth {
+    averageLatency: number;
+    ready: number;
+    shards: ShardHealth[];
+  }
+  interface SocketTransportOptions {
+    maxBufferedBytes?: number;
+  }
+  interface TransportRequest {
+    body?: string | Buffer | Uint8Array[] | AsyncIterable<Uint8Array>;
+    headers: Record<string, number | string | string[]>;
+    method: string;
+    path: string;
+    signal?: AbortSignal;
+    timeout?: number;
+    url: string;
+  }
+  interface TransportResponse {
+    body: AsyncIterable<Uint8Array | string> | null;
+    headers: IncomingHttpHeaders;
+    statusCode: number;
+    statusMessage: string;
+  }
 
   // Guild
   interface AddGuildMemberOptions {
@@ -1027,6 +1325,13 @@ declare namespace Dysnomia {
     reason?: string;
     user: User;
   }
+  interface GuildMembersChunk {
+    chunkCount: number;
+    chunkIndex: number;
+    members: Member[];
+    notFound: string[];
+    presences: (Presence & { userID: string })[];
+  }
   interface GuildOnboarding {
     enabled: boolean;
     default_channel_ids: string[];
@@ -1341,6 +1646,7 @@ declare namespace Dysnomia {
     limit?: number;
     presences?: boolean;
     query?: string;
+    signal?: AbortSignal;
     timeout?: number;
     userIDs?: string[];
   }
@@ -1412,11 +1718,17 @@ declare namespace Dysnomia {
     id: string;
     file?: never;
     filename?: never;
+    path?: never;
+    size?: never;
+    uploadedFilename?: never;
   }
   interface AdvancedMessageContentAttachmentNew extends AdvancedMessageContentAttachmentBase {
     filename: string;
-    file: Buffer | string;
+    file?: FileData;
     id?: never;
+    path?: string;
+    size?: number;
+    uploadedFilename?: string;
   }
   interface AllowedMentions {
     everyone?: boolean;
@@ -1424,6 +1736,11 @@ declare namespace Dysnomia {
     roles?: boolean | string[];
     users?: boolean | string[];
   }
+  interface AttachmentUpload {
+    id: number;
+    uploadFilename: string;
+    uploadURL: string;
+  }
   interface ButtonBase {
     disabled?: boolean;
     type: Constants["ComponentTypes"]["BUTTON"];
@@ -1526,8 +1843,10 @@ declare namespace Dysnomia {
   }
   interface FileContent {
     fieldName?: string;
-    file: Buffer | string;
+    file?: FileData;
     name: string;
+    path?: string;
+    size?: number;
   }
   interface MessageInteraction {
     id: string;
@@ -1632,6 +1951,11 @@ declare namespace Dysnomia {
     label?: string;
     url: string;
   }
+  interface UploadedAttachment {
+    description?: string;
+    filename: string;
+    uploadedFilename: string;
+  }
 
   // Presence
   interface Activity<T extends ActivityType = ActivityType> extends ActivityPartial<T> {
@@ -2467,6 +2791,12 @@ declare namespace Dysnomia {
       NORMAL: 0;
       BURST:  1;
     };
+    RequestPriorities: {
+      LOW:    -1;
+      NORMAL: 0;
+      HIGH:   1;
+      URGENT: 2;
+    };
     RoleConnectionMetadataTypes: {
       INTEGER_LESS_THAN_OR_EQUAL:     1;
       INTEGER_GREATER_THAN_OR_EQUAL:  2;
@@ -2746,14 +3076,17 @@ declare namespace Dysnomia {
     createdAt: number;
     id: string;
     mention: string;
+    partial: boolean;
     type: ChannelTypes;
     constructor(data: BaseData, client: Client);
     static from(data: BaseData, client: Client): AnyChannel;
+    fetch(): Promise<AnyChannel>;
   }
 
   export class Client extends EventEmitter {
     application?: { id: string; flags: number };
     bot: boolean;
+    cacheAdapter: CacheAdapter;
     channelGuildMap: { [s: string]: string };
     gatewayURL?: string;
     guilds: Collection<Guild>;
@@ -2776,123 +3109,135 @@ declare namespace Dysnomia {
     users: Collection<User>;
     voiceConnections: VoiceConnectionManager;
     constructor(token: string, options?: ClientOptions);
-    addGuildMember(guildID: string, userID: string, accessToken: string, options?: AddGuildMemberOptions): Promise<void>;
-    addGuildMemberRole(guildID: string, memberID: string, roleID: string, reason?: string): Promise<void>;
-    addMessageReaction(channelID: string, messageID: string, reaction: string): Promise<void>;
-    banGuildMember(guildID: string, userID: string, options?: BanMemberOptions): Promise<void>;
-    bulkBanGuildMembers(guildID: string, userIDs: string[], options?: BanMemberOptions): Promise<BulkGuildMemberBanResult>;
-    bulkEditCommands(commands: ApplicationCommandStructure[]): Promise<AnyApplicationCommand<true>[]>;
-    bulkEditGuildCommands(guildID: string, commands: ApplicationCommandStructure[]): Promise<AnyApplicationCommand<true>[]>;
+    addGuildMember(guildID: string, userID: string, accessToken: string, options?: AddGuildMemberOptions, requestOptions?: RequestOptions): Promise<void>;
+    addGuildMemberRole(guildID: string, memberID: string, roleID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    addMessageReaction(channelID: string, messageID: string, reaction: string, requestOptions?: RequestOptions): Promise<void>;
+    banGuildMember(guildID: string, userID: string, options?: BanMemberOptions, requestOptions?: RequestOptions): Promise<void>;
+    bulkBanGuildMembers(guildID: string, userIDs: string[], options?: BanMemberOptions, requestOptions?: RequestOptions): Promise<BulkGuildMemberBanResult>;
+    bulkEditCommands(commands: ApplicationCommandStructure[], requestOptions?: RequestOptions): Promise<AnyApplicationCommand<true>[]>;
+    bulkEditGuildCommands(guildID: string, commands: ApplicationCommandStructure[], requestOptions?: RequestOptions): Promise<AnyApplicationCommand<true>[]>;
     closeVoiceConnection(guildID: string): void;
     connect(): Promise<void>;
-    consumeEntitlement(entitlementID: string): Promise<void>;
-    createApplicationEmoji(options: EmojiOptions): Promise<Emoji>;
-    createAutoModerationRule(guildID: string, rule: CreateAutoModerationRuleOptions): Promise<AutoModerationRule>;
+    consumeEntitlement(entitlementID: string, requestOptions?: RequestOptions): Promise<void>;
+    createApplicationEmoji(options: EmojiOptions, requestOptions?: RequestOptions): Promise<Emoji>;
+    createAttachmentUploads(channelID: string, files: { filename: string; size: number }[], requestOptions?: RequestOptions): Promise<AttachmentUpload[]>;
+    createAutoModerationRule(guildID: string, rule: CreateAutoModerationRuleOptions, requestOptions?: RequestOptions): Promise<AutoModerationRule>;
     createChannel(guildID: string, name: string): Promise<TextChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_TEXT"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<TextChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_VOICE"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<TextVoiceChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_CATEGORY"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<CategoryChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_ANNOUNCEMENT"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<NewsChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_STAGE_VOICE"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<StageChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_FORUM"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<ForumChannel>;
     createChannel(
       guildID: string,
       name: string,
       type: Constants["ChannelTypes"]["GUILD_MEDIA"],
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<MediaChannel>;
     createChannel(
       guildID: string,
       name: string,
       type?: number,
-      options?: CreateChannelOptions
+      options?: CreateChannelOptions,
+      requestOptions?: RequestOptions
     ): Promise<unknown>;
     createChannelInvite(
       channelID: string,
       options?: CreateChannelInviteOptions,
-      reason?: string
+      reason?: string,
+      requestOptions?: RequestOptions
     ): Promise<Invite<"withoutCount">>;
     createChannelWebhook(
       channelID: string,
       options: { name: string; avatar?: string | null },
-      reason?: string
+      reason?: string,
+      requestOptions?: RequestOptions
     ): Promise<Webhook>;
-    createCommand<T extends ApplicationCommandStructure>(command: T): Promise<ApplicationCommandStructureConversion<T, true>>;
-    createGuild(name: string, options?: CreateGuildOptions): Promise<Guild>;
-    createGuildCommand<T extends ApplicationCommandStructure>(guildID: string, command: T): Promise<ApplicationCommandStructureConversion<T, true>>;
-    createGuildEmoji(guildID: string, options: EmojiOptions, reason?: string): Promise<Emoji>;
-    createGuildFromTemplate(code: string, name: string, icon?: string): Promise<Guild>;
-    createGuildScheduledEvent<T extends GuildScheduledEventEntityTypes>(guildID: string, event: GuildScheduledEventOptions<T>, reason?: string): Promise<GuildScheduledEvent<T>>;
-    createGuildSticker(guildID: string, options: CreateStickerOptions, reason?: string): Promise<Sticker>;
-    createGuildTemplate(guildID: string, name: string, description?: string | null): Promise<GuildTemplate>;
-    createInteractionResponse(interactionID: string, interactionToken: string, options: InteractionResponse, file?: FileContent | FileContent[]): Promise<void>;
-    createMessage(channelID: string, content: MessageContent<"hasNonce">): Promise<Message>;
-    createRole(guildID: string, options?: RoleOptions, reason?: string): Promise<Role>;
-    createRole(guildID: string, options?: Role, reason?: string): Promise<Role>;
-    createStageInstance(channelID: string, options: CreateStageInstanceOptions): Promise<StageInstance>;
-    createTestEntitlement(options: CreateTestEntitlementOptions): Promise<Entitlement>;
-    createThread(channelID: string, options: CreateThreadWithoutMessageOptions): Promise<ThreadChannel>;
-    createThreadWithMessage(channelID: string, messageID: string, options: CreateThreadOptions): Promise<NewsThreadChannel | PublicThreadChannel>;
-    crosspostMessage(channelID: string, messageID: string): Promise<Message>;
-    deleteApplicationEmoji(emojiID: string): Promise<void>;
-    deleteAutoModerationRule(guildID: string, ruleID: string, reason?: string): Promise<void>;
-    deleteChannel(channelID: string, reason?: string): Promise<void>;
-    deleteChannelPermission(channelID: string, overwriteID: string, reason?: string): Promise<void>;
-    deleteCommand(commandID: string): Promise<void>;
-    deleteGuild(guildID: string): Promise<void>;
-    deleteGuildCommand(guildID: string, commandID: string): Promise<void>;
-    deleteGuildEmoji(guildID: string, emojiID: string, reason?: string): Promise<void>;
-    deleteGuildIntegration(guildID: string, integrationID: string): Promise<void>;
-    deleteGuildScheduledEvent(guildID: string, eventID: string): Promise<void>;
-    deleteGuildSticker(guildID: string, stickerID: string, reason?: string): Promise<void>;
-    deleteGuildTemplate(guildID: string, code: string): Promise<GuildTemplate>;
-    deleteInvite(inviteID: string, reason?: string): Promise<void>;
-    deleteMessage(channelID: string, messageID: string, reason?: string): Promise<void>;
-    deleteMessages(channelID: string, messageIDs: string[], reason?: string): Promise<void>;
-    deleteRole(guildID: string, roleID: string, reason?: string): Promise<void>;
-    deleteStageInstance(channelID: string): Promise<void>;
-    deleteTestEntitlement(entitlementID: string): Promise<void>;
-    deleteWebhook(webhookID: string, token?: string, reason?: string): Promise<void>;
-    deleteWebhookMessage(webhookID: string, token: string, messageID: string, threadID?: string): Promise<void>;
+    createCommand<T extends ApplicationCommandStructure>(command: T, requestOptions?: RequestOptions): Promise<ApplicationCommandStructureConversion<T, true>>;
+    createGuild(name: string, options?: CreateGuildOptions, requestOptions?: RequestOptions): Promise<Guild>;
+    createGuildCommand<T extends ApplicationCommandStructure>(guildID: string, command: T, requestOptions?: RequestOptions): Promise<ApplicationCommandStructureConversion<T, true>>;
+    createGuildEmoji(guildID: string, options: EmojiOptions, reason?: string, requestOptions?: RequestOptions): Promise<Emoji>;
+    createGuildFromTemplate(code: string, name: string, icon?: string, requestOptions?: RequestOptions): Promise<Guild>;
+    createGuildScheduledEvent<T extends GuildScheduledEventEntityTypes>(guildID: string, event: GuildScheduledEventOptions<T>, reason?: string, requestOptions?: RequestOptions): Promise<GuildScheduledEvent<T>>;
+    createGuildSticker(guildID: string, options: CreateStickerOptions, reason?: string, requestOptions?: RequestOptions): Promise<Sticker>;
+    createGuildTemplate(guildID: string, name: string, description?: string | null, requestOptions?: RequestOptions): Promise<GuildTemplate>;
+    createInteractionResponse(interactionID: string, interactionToken: string, options: InteractionResponse, file?: FileContent | FileContent[], requestOptions?: RequestOptions): Promise<void>;
+    createMessage(channelID: string, content: MessageContent<"hasNonce">, requestOptions?: RequestOptions): Promise<Message>;
+    createRole(guildID: string, options?: RoleOptions, reason?: string, requestOptions?: RequestOptions): Promise<Role>;
+    createRole(guildID: string, options?: Role, reason?: string, requestOptions?: RequestOptions): Promise<Role>;
+    createStageInstance(channelID: string, options: CreateStageInstanceOptions, requestOptions?: RequestOptions): Promise<StageInstance>;
+    createTestEntitlement(options: CreateTestEntitlementOptions, requestOptions?: RequestOptions): Promise<Entitlement>;
+    createThread(channelID: string, options: CreateThreadWithoutMessageOptions, requestOptions?: RequestOptions): Promise<ThreadChannel>;
+    createThreadWithMessage(channelID: string, messageID: string, options: CreateThreadOptions, requestOptions?: RequestOptions): Promise<NewsThreadChannel | PublicThreadChannel>;
+    crosspostMessage(channelID: string, messageID: string, requestOptions?: RequestOptions): Promise<Message>;
+    deleteApplicationEmoji(emojiID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteAutoModerationRule(guildID: string, ruleID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteChannel(channelID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteChannelPermission(channelID: string, overwriteID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteCommand(commandID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuild(guildID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuildCommand(guildID: string, commandID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuildEmoji(guildID: string, emojiID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuildIntegration(guildID: string, integrationID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuildScheduledEvent(guildID: string, eventID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuildSticker(guildID: string, stickerID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteGuildTemplate(guildID: string, code: string, requestOptions?: RequestOptions): Promise<GuildTemplate>;
+    deleteInvite(inviteID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteMessage(channelID: string, messageID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteMessages(channelID: string, messageIDs: string[], reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteRole(guildID: string, roleID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteStageInstance(channelID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteTestEntitlement(entitlementID: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteWebhook(webhookID: string, token?: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    deleteWebhookMessage(webhookID: string, token: string, messageID: string, threadID?: string, requestOptions?: RequestOptions): Promise<void>;
     disconnect(options: { reconnect?: boolean | "auto" }): void;
     editAFK(afk: boolean): void;
-    editApplication(options: EditApplicationOptions): Promise<OAuthApplicationInfo>;
-    editApplicationEmoji(emojiID: string, options: { name?: string }): Promise<Emoji>;
-    editAutoModerationRule(guildID: string, ruleID: string, options: EditAutoModerationRuleOptions): Promise<AutoModerationRule>;
+    editApplication(options: EditApplicationOptions, requestOptions?: RequestOptions): Promise<OAuthApplicationInfo>;
+    editApplicationEmoji(emojiID: string, options: { name?: string }, requestOptions?: RequestOptions): Promise<Emoji>;
+    editAutoModerationRule(guildID: string, ruleID: string, options: EditAutoModerationRuleOptions, requestOptions?: RequestOptions): Promise<AutoModerationRule>;
     editChannel(
       channelID: string,
       options: EditChannelOptions,
-      reason?: string
+      reason?: string,
+      requestOptions?: RequestOptions
     ): Promise<AnyGuildChannel>;
     editChannelPermission(
       channelID: string,
@@ -2900,176 +3245,251 @@ declare namespace Dysnomia {
       allow: bigint | number,
       deny: bigint | number,
       type: PermissionType,
-      reason?: string
+      reason?: string,
+      requestOptions?: RequestOptions
     ): Promise<void>;
-    editChannelPosition(channelID: string, position: number, options?: EditChannelPositionOptions): Promise<void>;
-    editChannelPositions(guildID: string, channelPositions: ChannelPosition[]): Promise<void>;
-    editCommand<T extends ApplicationCommandStructure>(commandID: string, command: Omit<ApplicationCommandStructure, "type">): Promise<ApplicationCommandStructureConversion<T, true>>;
-    editCommandPermissions(guildID: string, commandID: string, permissions: ApplicationCommandPermissions[]): Promise<GuildApplicationCommandPermissions>;
-    editGuild(guildID: string, options: GuildOptions, reason?: string): Promise<Guild>;
-    editGuildCommand<T extends ApplicationCommandStructure>(guildID: string, commandID: string, command: Omit<T, "type">): Promise<ApplicationCommandStructureConversion<T, true>>;
+    editChannelPosition(channelID: string, position: number, options?: EditChannelPositionOptions, requestOptions?: RequestOptions): Promise<void>;
+    editChannelPositions(guildID: string, channelPositions: ChannelPosition[], requestOptions?: RequestOptions): Promise<void>;
+    editCommand<T extends ApplicationCommandStructure>(commandID: string, command: Omit<ApplicationCommandStructure, "type">, requestOptions?: RequestOptions): Promise<ApplicationCommandStructureConversion<T, true>>;
+    editCommandPermissions(guildID: string, commandID: string, permissions: ApplicationCommandPermissions[], requestOptions?: RequestOptions): Promise<GuildApplicationCommandPermissions>;
+    editGuild(guildID: string, options: GuildOptions, reason?: string, requestOptions?: RequestOptions): Promise<Guild>;
+    editGuildCommand<T extends ApplicationCommandStructure>(guildID: string, commandID: string, command: Omit<T, "type">, requestOptions?: RequestOptions): Promise<ApplicationCommandStructureConversion<T, true>>;
     editGuildEmoji(
       guildID: string,
       emojiID: string,
       options: { name?: string; roles?: string[] },
-      reason?: string
+      reason?: string,
+      requestOptions?: RequestOptions
     ): Promise<Emoji>;
     editGuildIntegration(guildID: string, integrationID: string, options: IntegrationOptions): Promise<void>;
-    editGuildMember(guildID: string, memberID: string, options: MemberOptions, reason?: string): Promise<Member>;
-    editGuildMFALevel(guildID: string, options: EditGuildMFALevelOptions): Promise<MFALevel>;
-    editGuildOnboarding(guildID: string, options: EditGuildOnboardingOptions): Promise<GuildOnboarding>;
-    editGuildScheduledEvent<T extends GuildScheduledEventEntityTypes>(guildID: string, eventID: string, event: GuildScheduledEventEditOptions<T>, reason?: string): Promise<GuildScheduledEvent<T>>;
-    editGuildSticker(guildID: string, stickerID: string, options?: EditStickerOptions, reason?: string): Promise<Sticker>;
-    editGuildTemplate(guildID: string, code: string, options: GuildTemplateOptions): Promise<GuildTemplate>;
-    editGuildVoiceState(guildID: string, options: VoiceStateOptions, userID?: string): Promise<void>;
-    editGuildWelcomeScreen(guildID: string, options: WelcomeScreenOptions): Promise<WelcomeScreen>;
-    editGuildWidget(guildID: string, options: Partial<Widget> & { reason?: string }): Promise<Widget>;
-    editMessage(channelID: string, messageID: string, content: MessageContent): Promise<Message>;
-    editRole(guildID: string, roleID: string, options: RoleOptions, reason?: string): Promise<Role>; // TODO not all options are available?
-    editRoleConnectionMetadata(metadata: ApplicationRoleConnectionMetadata[]): Promise<ApplicationRoleConnectionMetadata[]>;
-    editRolePosition(guildID: string, roleID: string, position: number): Promise<void>;
-    editSelf(options: EditSelfOptions): Promise<ExtendedUser>;
-    editStageInstance(channelID: string, options: StageInstanceOptions): Promise<StageInstance>;
+    editGuildMember(guildID: string, memberID: string, options: MemberOptions, reason?: string, requestOptions?: RequestOptions): Promise<Member>;
+    editGuildMFALevel(guildID: string, options: EditGuildMFALevelOptions, requestOptions?: RequestOptions): Promise<MFALevel>;
+    editGuildOnboarding(guildID: string, options: EditGuildOnboardingOptions, requestOptions?: RequestOptions): Promise<GuildOnboarding>;
+    editGuildScheduledEvent<T extends GuildScheduledEventEntityTypes>(guildID: string, eventID: string, event: GuildScheduledEventEditOptions<T>, reason?: string, requestOptions?: RequestOptions): Promise<GuildScheduledEvent<T>>;
+    editGuildSticker(guildID: string, stickerID: string, options?: EditStickerOptions, reason?: string, requestOptions?: RequestOptions): Promise<Sticker>;
+    editGuildTemplate(guildID: string, code: string, options: GuildTemplateOptions, requestOptions?: RequestOptions): Promise<GuildTemplate>;
+    editGuildVoiceState(guildID: string, options: VoiceStateOptions, userID?: string, requestOptions?: RequestOptions): Promise<void>;
+    editGuildWelcomeScreen(guildID: string, options: WelcomeScreenOptions, requestOptions?: RequestOptions): Promise<WelcomeScreen>;
+    editGuildWidget(guildID: string, options: Partial<Widget> & { reason?: string }, requestOptions?: RequestOptions): Promise<Widget>;
+    editMessage(channelID: string, messageID: string, content: MessageContent, requestOptions?: RequestOptions): Promise<Message>;
+    editRole(guildID: string, roleID: string, options: RoleOptions, reason?: string, requestOptions?: RequestOptions): Promise<Role>; // TODO not all options are available?
+    editRoleConnectionMetadata(metadata: ApplicationRoleConnectionMetadata[], requestOptions?: RequestOptions): Promise<ApplicationRoleConnectionMetadata[]>;
+    editRolePosition(guildID: string, roleID: string, position: number, requestOptions?: RequestOptions): Promise<void>;
+    editSelf(options: EditSelfOptions, requestOptions?: RequestOptions): Promise<ExtendedUser>;
+    editStageInstance(channelID: string, options: StageInstanceOptions, requestOptions?: RequestOptions): Promise<StageInstance>;
     editStatus(status: SelfStatus, activities?: ActivityPartial<ActivityType>[] | ActivityPartial<ActivityType>): void;
     editStatus(activities?: ActivityPartial<ActivityType>[] | ActivityPartial<ActivityType>): void;
     editWebhook(
       webhookID: string,
       options: WebhookOptions,
       token?: string,
-      reason?: string
+      reason?: string,
+      requestOptions?: RequestOptions
     ): Promise<Webhook>;
     editWebhookMessage(
       webhookID: string,
       token: string,
       messageID: string,
-      options: MessageWebhookContent
+      options: MessageWebhookContent,
+      requestOptions?: RequestOptions
     ): Promise<Message<GuildTextableChannel>>;
     emit<K extends keyof ClientEvents>(event: K, ...args: ClientEvents[K]): boolean;
     emit(event: string, ...args: any[]): boolean;
-    endPoll(channelID: string, messageID: string): Promise<Message>;
-    executeSlackWebhook(webhookID: string, token: string, options: Record<string, unknown> & { auth?: boolean; threadID?: string }): Promise<void>;
-    executeSlackWebhook(webhookID: string, token: string, options: Record<string, unknown> & { auth?: boolean; threadID?: string; wait: true }): Promise<Message<GuildTextableChannel>>;
-    executeWebhook(webhookID: string, token: string, options: WebhookPayload & { wait: true }): Promise<Message<GuildTextableChannel>>;
-    executeWebhook(webhookID: string, token: string, options: WebhookPayload): Promise<void>;
-    followChannel(channelID: string, webhookChannelID: string, reason?: string): Promise<ChannelFollow>;
-    getActiveGuildThreads(guildID: string): Promise<ListedGuildThreads>;
-    getApplication(): Promise<OAuthApplicationInfo>;
-    getApplicationEmoji(emojiID: string): Promise<Emoji>;
-    getApplicationEmojis(): Promise<Emoji[]>;
-    getArchivedThreads(channelID: string, type: "private", options?: GetArchivedThreadsOptions): Promise<ListedChannelThreads<PrivateThreadChannel>>;
-    getArchivedThreads(channelID: string, type: "public", options?: GetArchivedThreadsOptions): Promise<ListedChannelThreads<PublicThreadChannel>>;
-    getAutoModerationRule(guildID: string, ruleID: string): Promise<AutoModerationRule>;
-    getAutoModerationRules(guildID: string): Promise<AutoModerationRule[]>;
-    getBotGateway(): Promise<{ session_start_limit: { max_concurrency: number; remaining: number; reset_after: number; total: number }; shards: number; url: string }>;
+    endPoll(channelID: string, messageID: string, requestOptions?: RequestOptions): Promise<Message>;
+    executeSlackWebhook(webhookID: string, token: string, options: Record<string, unknown> & { auth?: boolean; threadID?: string }, requestOptions?: RequestOptions): Promise<void>;
+    executeSlackWebhook(webhookID: string, token: string, options: Record<string, unknown> & { auth?: boolean; threadID?: string; wait: true }, requestOptions?: RequestOptions): Promise<Message<GuildTextableChannel>>;
+    executeWebhook(webhookID: string, token: string, options: WebhookPayload & { wait: true }, requestOptions?: RequestOptions): Promise<Message<GuildTextableChannel>>;
+    executeWebhook(webhookID: string, token: string, options: WebhookPayload, requestOptions?: RequestOptions): Promise<void>;
+    followChannel(channelID: string, webhookChannelID: string, reason?: string, requestOptions?: RequestOptions): Promise<ChannelFollow>;
+    getActiveGuildThreads(guildID: string, requestOptions?: RequestOptions): Promise<ListedGuildThreads>;
+    getApplication(requestOptions?: RequestOptions): Promise<OAuthApplicationInfo>;
+    getApplicationEmoji(emojiID: string, requestOptions?: RequestOptions): Promise<Emoji>;
+    getApplicationEmojis(requestOptions?: RequestOptions): Promise<Emoji[]>;
+    getArchivedThreads(channelID: string, type: "private", options?: GetArchivedThreadsOptions, requestOptions?: RequestOptions): Promise<ListedChannelThreads<PrivateThreadChannel>>;
+    getArchivedThreads(channelID: string, type: "public", options?: GetArchivedThreadsOptions, requestOptions?: RequestOptions): Promise<ListedChannelThreads<PublicThreadChannel>>;
+    getAutoModerationRule(guildID: string, ruleID: string, requestOptions?: RequestOptions): Promise<AutoModerationRule>;
+    getAutoModerationRules(guildID: string, requestOptions?: RequestOptions): Promise<AutoModerationRule[]>;
+    getBotGateway(requestOptions?: RequestOptions): Promise<{ session_start_limit: { max_concurrency: number; remaining: number; reset_after: number; total: number }; shards: number; url: string }>;
     getChannel(channelID: string): AnyChannel;
-    getChannelInvites(channelID: string): Promise<Invite[]>;
-    getChannelWebhooks(channelID: string): Promise<Webhook[]>;
-    getCommand<W extends boolean = false, T extends AnyApplicationCommand<W> = AnyApplicationCommand<W>>(commandID: string, withLocalizations?: W): Promise<T>;
-    getCommandPermissions(guildID: string, commandID: string): Promise<GuildApplicationCommandPermissions>;
-    getCommands<W extends boolean = false>(withLocalizations?: W): Promise<AnyApplicationCommand<W>[]>;
-    getDMChannel(userID: string): Promise<PrivateChannel>;
-    getEntitlements(options?: GetEntitlementsOptions): Promise<Entitlement[]>;
-    getGateway(): Promise<{ url: string }>;
-    getGuildAuditLog(guildID: string, options?: GetGuildAuditLogOptions): Promise<GuildAuditLog>;
-    getGuildBan(guildID: string, userID: string): Promise<GuildBan>;
-    getGuildBans(guildID: string, options?: GetGuildBansOptions): Promise<GuildBan[]>;
-    getGuildCommand<W extends boolean = false, T extends AnyApplicationCommand<W> = AnyApplicationCommand<W>>(guildID: string, commandID: string, withLocalizations?: W): Promise<T>;
-    getGuildCommandPermissions(guildID: string): Promise<GuildApplicationCommandPermissions[]>;
-    getGuildCommands<W extends boolean = false>(guildID: string, withLocalizations?: W): Promise<AnyApplicationCommand<W>[]>;
-    getGuildIntegrations(guildID: string): Promise<GuildIntegration[]>;
-    getGuildInvites(guildID: string): Promise<Invite[]>;
-    getGuildOnboarding(guildID: string): Promise<GuildOnboarding>;
-    getGuildPreview(guildID: string): Promise<GuildPreview>;
-    getGuildScheduledEvents(guildID: string, options?: GetGuildScheduledEventOptions): Promise<GuildScheduledEvent[]>;
-    getGuildScheduledEventUsers(guildID: string, eventID: string, options?: GetGuildScheduledEventUsersOptions): Promise<GuildScheduledEventUser[]>;
-    getGuildTemplate(code: string): Promise<GuildTemplate>;
-    getGuildTemplates(guildID: string): Promise<GuildTemplate[]>;
-    getGuildVanity(guildID: string): Promise<GuildVanity>;
-    getGuildWebhooks(guildID: string): Promise<Webhook[]>;
-    getGuildWelcomeScreen(guildID: string): Promise<WelcomeScreen>;
-    getGuildWidget(guildID: string): Promise<WidgetData>;
-    getGuildWidgetSettings(guildID: string): Promise<Widget>;
-    getInvite<C extends boolean = false, E extends boolean = false, GSE extends string | undefined = undefined>(inviteID: string, options?: GetInviteOptions<C, E, GSE>): Promise<Invite<(C extends true ? "withCount" : "withoutCount") | (E extends true ? "withExpiration" : "withoutExpiration") | (GSE extends string ? "withGuildScheduledEvent" : never)>>;
-    getJoinedPrivateArchivedThreads(channelID: string, options?: GetArchivedThreadsOptions): Promise<ListedChannelThreads<PrivateThreadChannel>>;
-    getMessage(channelID: string, messageID: string): Promise<Message>;
-    getMessageReaction(channelID: string, messageID: string, reaction: string, options?: GetMessageReactionOptions): Promise<User[]>;
-    getMessages(channelID: string, options?: GetMessagesOptions): Promise<Message[]>;
+    getChannelInvites(channelID: string, requestOptions?: RequestOptions): Promise<Invite[]>;
+    getChannelWebhooks(channelID: string, requestOptions?: RequestOptions): Promise<Webhook[]>;
+    getCommand<W extends boolean = false, T extends AnyApplicationCommand<W> = AnyApplicationCommand<W>>(commandID: string, withLocalizations?: W, requestOptions?: RequestOptions): Promise<T>;
+    getCommandPermissions(guildID: string, commandID: string, requestOptions?: RequestOptions): Promise<GuildApplicationCommandPermissions>;
+    getCommands<W extends boolean = false>(withLocalizations?: W, requestOptions?: RequestOptions): Promise<AnyApplicationCommand<W>[]>;
+    getDMChannel(userID: string, requestOptions?: RequestOptions): Promise<PrivateChannel>;
+    getEntitlements(options?: GetEntitlementsOptions, requestOptions?: RequestOptions): Promise<Entitlement[]>;
+    getGateway(requestOptions?: RequestOptions): Promise<{ url: string }>;
+    getGuildAuditLog(guildID: string, options?: GetGuildAuditLogOptions, requestOptions?: RequestOptions): Promise<GuildAuditLog>;
+    getGuildBan(guildID: string, userID: string, requestOptions?: RequestOptions): Promise<GuildBan>;
+    getGuildBans(guildID: string, options?: GetGuildBansOptions, requestOptions?: RequestOptions): Promise<GuildBan[]>;
+    getGuildCommand<W extends boolean = false, T extends AnyApplicationCommand<W> = AnyApplicationCommand<W>>(guildID: string, commandID: string, withLocalizations?: W, requestOptions?: RequestOptions): Promise<T>;
+    getGuildCommandPermissions(guildID: string, requestOptions?: RequestOptions): Promise<GuildApplicationCommandPermissions[]>;
+    getGuildCommands<W extends boolean = false>(guildID: string, withLocalizations?: W, requestOptions?: RequestOptions): Promise<AnyApplicationCommand<W>[]>;
+    getGuildIntegrations(guildID: string, requestOptions?: RequestOptions): Promise<GuildIntegration[]>;
+    getGuildInvites(guildID: string, requestOptions?: RequestOptions): Promise<Invite[]>;
+    getGuildOnboarding(guildID: string, requestOptions?: RequestOptions): Promise<GuildOnboarding>;
+    getGuildPreview(guildID: string, requestOptions?: RequestOptions): Promise<GuildPreview>;
+    getGuildScheduledEvents(guildID: string, options?: GetGuildScheduledEventOptions, requestOptions?: RequestOptions): Promise<GuildScheduledEvent[]>;
+    getGuildScheduledEventUsers(guildID: string, eventID: string, options?: GetGuildScheduledEventUsersOptions, requestOptions?: RequestOptions): Promise<GuildScheduledEventUser[]>;
+    getGuildTemplate(code: string, requestOptions?: RequestOptions): Promise<GuildTemplate>;
+    getGuildTemplates(guildID: string, requestOptions?: RequestOptions): Promise<GuildTemplate[]>;
+    getGuildVanity(guildID: string, requestOptions?: RequestOptions): Promise<GuildVanity>;
+    getGuildWebhooks(guildID: string, requestOptions?: RequestOptions): Promise<Webhook[]>;
+    getGuildWelcomeScreen(guildID: string, requestOptions?: RequestOptions): Promise<WelcomeScreen>;
+    getGuildWidget(guildID: string, requestOptions?: RequestOptions): Promise<WidgetData>;
+    getGuildWidgetSettings(guildID: string, requestOptions?: RequestOptions): Promise<Widget>;
+    getInvite<C extends boolean = false, E extends boolean = false, GSE extends string | undefined = undefined>(inviteID: string, options?: GetInviteOptions<C, E, GSE>, requestOptions?: RequestOptions): Promise<Invite<(C extends true ? "withCount" : "withoutCount") | (E extends true ? "withExpiration" : "withoutExpiration") | (GSE extends string ? "withGuildScheduledEvent" : never)>>;
+    getJoinedPrivateArchivedThreads(channelID: string, options?: GetArchivedThreadsOptions, requestOptions?: RequestOptions): Promise<ListedChannelThreads<PrivateThreadChannel>>;
+    getMessage(channelID: string, messageID: string, requestOptions?: RequestOptions): Promise<Message>;
+    getMessageReaction(channelID: string, messageID: string, reaction: string, options?: GetMessageReactionOptions, requestOptions?: RequestOptions): Promise<User[]>;
+    getMessages(channelID: string, options?: GetMessagesOptions, requestOptions?: RequestOptions): Promise<Message[]>;
     /** @deprecated */
-    getNitroStickerPacks(): Promise<{ sticker_packs: StickerPack[] }>;
-    getOAuthApplication(): Promise<OAuthApplicationInfo>;
-    getPins(channelID: string): Promise<Message[]>;
-    getPollAnswerVoters(channelID: string, messageID: string, answerID: number, options?: GetPollAnswerVotersOptions): Promise<User[]>;
-    getPruneCount(guildID: string, options?: GetPruneOptions): Promise<number>;
-    getRESTChannel(channelID: string): Promise<AnyChannel>;
-    getRESTGuild(guildID: string, withCounts?: boolean): Promise<Guild>;
-    getRESTGuildChannels(guildID: string): Promise<AnyGuildChannel[]>;
-    getRESTGuildEmoji(guildID: string, emojiID: string): Promise<Emoji>;
-    getRESTGuildEmojis(guildID: string): Promise<Emoji[]>;
-    getRESTGuildMember(guildID: string, memberID: string): Promise<Member>;
-    getRESTGuildMembers(guildID: string, options?: GetRESTGuildMembersOptions): Promise<Member[]>;
-    getRESTGuildRole(guildID: string, roleID: string): Promise<Role>;
-    getRESTGuildRoles(guildID: string): Promise<Role[]>;
-    getRESTGuilds(options?: GetRESTGuildsOptions): Promise<Guild[]>;
-    getRESTGuildScheduledEvent(guildID: string, eventID: string, options?: GetGuildScheduledEventOptions): Promise<GuildScheduledEvent>;
-    getRESTGuildSticker(guildID: string, stickerID: string): Promise<Sticker>;
-    getRESTGuildStickers(guildID: string): Promise<Sticker[]>;
-    getRESTGuildVoiceState(guildID: string, userID?: string): Promise<VoiceState>;
-    getRESTSticker(stickerID: string): Promise<Sticker>;
-    getRESTUser(userID: string): Promise<User>;
-    getRoleConnectionMetadata(): Promise<ApplicationRoleConnectionMetadata[]>;
-    getSelf(): Promise<ExtendedUser>;
-    getSKUs(): Promise<SKU[]>;
-    getStageInstance(channelID: string): Promise<StageInstance>;
-    getStickerPack(packID: string): Promise<StickerPack>;
-    getStickerPacks(): Promise<{ sticker_packs: StickerPack[] }>;
-    getThreadMember(channelID: string, memberID: string, options: GetThreadMemberOptions): Promise<ThreadMember>;
-    getThreadMembers(channelID: string, options: GetThreadMembersOptions): Promise<ThreadMember[]>;
-    getVoiceRegions(guildID?: string): Promise<VoiceRegion[]>;
-    getWebhook(webhookID: string, token?: string): Promise<Webhook>;
-    getWebhookMessage(webhookID: string, token: string, messageID: string): Promise<Message<GuildTextableChannel>>;
-    joinThread(channelID: string, userID?: string): Promise<void>;
+    getNitroStickerPacks(requestOptions?: RequestOptions): Promise<{ sticker_packs: StickerPack[] }>;
+    getOAuthApplication(requestOptions?: RequestOptions): Promise<OAuthApplicationInfo>;
+    getPins(channelID: string, requestOptions?: RequestOptions): Promise<Message[]>;
+    getPollAnswerVoters(channelID: string, messageID: string, answerID: number, options?: GetPollAnswerVotersOptions, requestOptions?: RequestOptions): Promise<User[]>;
+    getPruneCount(guildID: string, options?: GetPruneOptions, requestOptions?: RequestOptions): Promise<number>;
+    getRESTChannel(channelID: string, requestOptions?: RequestOptions): Promise<AnyChannel>;
+    getRESTGuild(guildID: string, withCounts?: boolean, requestOptions?: RequestOptions): Promise<Guild>;
+    getRESTGuildChannels(guildID: string, requestOptions?: RequestOptions): Promise<AnyGuildChannel[]>;
+    getRESTGuildEmoji(guildID: string, emojiID: string, requestOptions?: RequestOptions): Promise<Emoji>;
+    getRESTGuildEmojis(guildID: string, requestOptions?: RequestOptions): Promise<Emoji[]>;
+    getRESTGuildMember(guildID: string, memberID: string, requestOptions?: RequestOptions): Promise<Member>;
+    getRESTGuildMembers(guildID: string, options?: GetRESTGuildMembersOptions, requestOptions?: RequestOptions): Promise<Member[]>;
+    getRESTGuildRole(guildID: string, roleID: string, requestOptions?: RequestOptions): Promise<Role>;
+    getRESTGuildRoles(guildID: string, requestOptions?: RequestOptions): Promise<Role[]>;
+    getRESTGuilds(options?: GetRESTGuildsOptions, requestOptions?: RequestOptions): Promise<Guild[]>;
+    getRESTGuildScheduledEvent(guildID: string, eventID: string, options?: GetGuildScheduledEventOptions, requestOptions?: RequestOptions): Promise<GuildScheduledEvent>;
+    getRESTGuildSticker(guildID: string, stickerID: string, requestOptions?: RequestOptions): Promise<Sticker>;
+    getRESTGuildStickers(guildID: string, requestOptions?: RequestOptions): Promise<Sticker[]>;
+    getRESTGuildVoiceState(guildID: string, userID?: string, requestOptions?: RequestOptions): Promise<VoiceState>;
+    getRESTSticker(stickerID: string, requestOptions?: RequestOptions): Promise<Sticker>;
+    getRESTUser(userID: string, requestOptions?: RequestOptions): Promise<User>;
+    getRoleConnectionMetadata(requestOptions?: RequestOptions): Promise<ApplicationRoleConnectionMetadata[]>;
+    getSelf(requestOptions?: RequestOptions): Promise<ExtendedUser>;
+    getSKUs(requestOptions?: RequestOptions): Promise<SKU[]>;
+    getStageInstance(channelID: string, requestOptions?: RequestOptions): Promise<StageInstance>;
+    getStickerPack(packID: string, requestOptions?: RequestOptions): Promise<StickerPack>;
+    getStickerPacks(requestOptions?: RequestOptions): Promise<{ sticker_packs: StickerPack[] }>;
+    getThreadMember(channelID: string, memberID: string, options: GetThreadMemberOptions, requestOptions?: RequestOptions): Promise<ThreadMember>;
+    getThreadMembers(channelID: string, options: GetThreadMembersOptions, requestOptions?: RequestOptions): Promise<ThreadMember[]>;
+    getVoiceRegions(guildID?: string, requestOptions?: RequestOptions): Promise<VoiceRegion[]>;
+    getWebhook(webhookID: string, token?: string, requestOptions?: RequestOptions): Promise<Webhook>;
+    getWebhookMessage(webhookID: string, token: string, messageID: string, requestOptions?: RequestOptions): Promise<Message<GuildTextableChannel>>;
+    joinThread(channelID: string, userID?: string, requestOptions?: RequestOptions): Promise<void>;
     joinVoiceChannel(channelID: string, options?: JoinVoiceChannelOptions): Promise<VoiceConnection>;
-    kickGuildMember(guildID: string, userID: string, reason?: string): Promise<void>;
-    leaveGuild(guildID: string): Promise<void>;
-    leaveThread(channelID: string, userID?: string): Promise<void>;
+    kickGuildMember(guildID: string, userID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    leaveGuild(guildID: string, requestOptions?: RequestOptions): Promise<void>;
+    leaveThread(channelID: string, userID?: string, requestOptions?: RequestOptions): Promise<void>;
     leaveVoiceChannel(channelID: string): void;
     off<K extends keyof ClientEvents>(event: K, listener: (...args: ClientEvents[K]) => void): this;
     off(event: string, listener: (...args: any[]) => void): this;
     once<K extends keyof ClientEvents>(event: K, listener: (...args: ClientEvents[K]) => void): this;
     once(event: string, listener: (...args: any[]) => void): this;
-    pinMessage(channelID: string, messageID: string): Promise<void>;
-    pruneMembers(guildID: string, options?: PruneMemberOptions): Promise<number>;
-    purgeChannel(channelID: string, options: PurgeChannelOptions): Promise<number>;
-    removeGuildMemberRole(guildID: string, memberID: string, roleID: string, reason?: string): Promise<void>;
-    removeMessageReaction(channelID: string, messageID: string, reaction: string, userID?: string): Promise<void>;
-    removeMessageReactionEmoji(channelID: string, messageID: string, reaction: string): Promise<void>;
-    removeMessageReactions(channelID: string, messageID: string): Promise<void>;
-    searchGuildMembers(guildID: string, query: string, limit?: number): Promise<Member[]>;
-    sendChannelTyping(channelID: string): Promise<void>;
+    pinMessage(channelID: string, messageID: string, requestOptions?: RequestOptions): Promise<void>;
+    pruneMembers(guildID: string, options?: PruneMemberOptions, requestOptions?: RequestOptions): Promise<number>;
+    purgeChannel(channelID: string, options: PurgeChannelOptions, requestOptions?: RequestOptions): Promise<number>;
+    removeGuildMemberRole(guildID: string, memberID: string, roleID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    removeMessageReaction(channelID: string, messageID: string, reaction: string, userID?: string, requestOptions?: RequestOptions): Promise<void>;
+    removeMessageReactionEmoji(channelID: string, messageID: string, reaction: string, requestOptions?: RequestOptions): Promise<void>;
+    removeMessageReactions(channelID: string, messageID: string, requestOptions?: RequestOptions): Promise<void>;
+    saveCacheSnapshot(): Promise<void>;
+    searchGuildMembers(guildID: string, query: string, limit?: number, requestOptions?: RequestOptions): Promise<Member[]>;
+    sendChannelTyping(channelID: string, requestOptions?: RequestOptions): Promise<void>;
+    sweepCaches(): number;
     syncGuildIntegration(guildID: string, integrationID: string): Promise<void>;
-    syncGuildTemplate(guildID: string, code: string): Promise<GuildTemplate>;
-    unbanGuildMember(guildID: string, userID: string, reason?: string): Promise<void>;
-    unpinMessage(channelID: string, messageID: string): Promise<void>;
+    syncGuildTemplate(guildID: string, code: string, requestOptions?: RequestOptions): Promise<GuildTemplate>;
+    unbanGuildMember(guildID: string, userID: string, reason?: string, requestOptions?: RequestOptions): Promise<void>;
+    unpinMessage(channelID: string, messageID: string, requestOptions?: RequestOptions): Promise<void>;
+    uploadAttachments(channelID: string, attachments: (AdvancedMessageContentAttachmentNew & { uploadedFilename?: never })[], requestOptions?: RequestOptions): Promise<UploadedAttachment[]>;
     validateDiscoverySearchTerm(term: string): Promise<{ valid: boolean }>;
     on<K extends keyof ClientEvents>(event: K, listener: (...args: ClientEvents[K]) => void): this;
     on(event: string, listener: (...args: any[]) => void): this;
     toString(): string;
   }
 
+  export class Cluster implements SimpleJSON {
+    firstShardID: number;
+    id: number;
+    lastShardID: number;
+    process: ChildProcess | null;
+    ready: boolean;
+    restarts: number;
+    constructor(id: number, manager: ClusterManager, firstShardID: number, lastShardID: number);
+    eval<T = unknown>(script: string | ((client: Client, worker: ClusterWorker) => T | Promise<T>)): Promise<T>;
+    fetchStats(): Promise<ClusterStats>;
+    kill(signal?: NodeJS.Signals): Promise<void>;
+    respawn(): Promise<ChildProcess>;
+    send(message: unknown): void;
+    spawn(): ChildProcess;
+    toString(): string;
+    toJSON(props?: string[]): JSONCache;
+  }
+
+  export class ClusterManager extends EventEmitter implements SimpleJSON {
+    clusters: Collection<Cluster>;
+    file: string;
+    options: Required<Omit<ClusterManagerOptions, "token">>;
+    constructor(file: string, options?: ClusterManagerOptions);
+    broadcastEval<T = unknown>(script: string | ((client: Client, worker: ClusterWorker) => T | Promise<T>)): Promise<T[]>;
+    emit<K extends keyof ClusterManagerEvents>(event: K, ...args: ClusterManagerEvents[K]): boolean;
+    emit(event: string, ...args: any[]): boolean;
+    fetchStats(): Promise<ClusterManagerStats>;
+    kill(signal?: NodeJS.Signals): Promise<void>;
+    off<K extends keyof ClusterManagerEvents>(event: K, listener: (...args: ClusterManagerEvents[K]) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    once<K extends keyof ClusterManagerEvents>(event: K, listener: (...args: ClusterManagerEvents[K]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    spawn(): Promise<void>;
+    on<K extends keyof ClusterManagerEvents>(event: K, listener: (...args: ClusterManagerEvents[K]) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+    toString(): string;
+    toJSON(props?: string[]): JSONCache;
+  }
+
+  export class ClusterWorker extends EventEmitter {
+    client: Client;
+    clusterCount: number;
+    firstShardID: number;
+    id: number;
+    lastShardID: number;
+    shardCount: number;
+    constructor(client: Client);
+    broadcastEval<T = unknown>(script: string | ((client: Client, worker: ClusterWorker) => T | Promise<T>)): Promise<T[]>;
+    emit<K extends keyof ClusterWorkerEvents>(event: K, ...args: ClusterWorkerEvents[K]): boolean;
+    emit(event: string, ...args: any[]): boolean;
+    fetchStats(): Promise<ClusterManagerStats>;
+    off<K extends keyof ClusterWorkerEvents>(event: K, listener: (...args: ClusterWorkerEvents[K]) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    once<K extends keyof ClusterWorkerEvents>(event: K, listener: (...args: ClusterWorkerEvents[K]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    send(message: unknown): void;
+    on<K extends keyof ClusterWorkerEvents>(event: K, listener: (...args: ClusterWorkerEvents[K]) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+    toString(): string;
+  }
+
   export class Collection<T extends { id: string | number }> extends Map<string | number, T> {
     baseObject: new (...args: any[]) => T;
     limit?: number;
     constructor(baseObject: new (...args: any[]) => T, limit?: number);
     add(obj: T, extra?: unknown, replace?: boolean): T;
+    addIndex(name: string, func: (i: T) => unknown): void;
     every(func: (i: T) => boolean): boolean;
     filter(func: (i: T) => boolean): T[];
     find(func: (i: T) => boolean): T | undefined;
     map<R>(func: (i: T) => R): R[];
+    query(conditions: Record<string, unknown>): T[];
     random(): T | undefined;
     reduce<U>(func: (accumulator: U, val: T) => U, initialValue?: U): U;
+    reindex(item: T): void;
     remove(obj: T | Uncached): T | null;
+    removeIndex(name: string): void;
+    setCachePolicy(policy: CachePolicy<T>, onEvict?: (item: T, reason: "limit" | "ttl") => void): void;
     some(func: (i: T) => boolean): boolean;
+    sweep(): number;
     update(obj: T, extra?: unknown, replace?: boolean): T;
+    watch(func: ((method: "delete" | "set", item: T) => void) | null): void;
   }
 
   export class CommandInteraction<T extends PossiblyUncachedInteractionChannel = TextableChannel> extends Interaction {
@@ -3125,10 +3545,10 @@ declare namespace Dysnomia {
     code: number;
     headers: IncomingHttpHeaders;
     name: "DiscordHTTPError";
-    req: ClientRequest;
-    res: IncomingMessage;
+    req: TransportRequest;
+    res: TransportResponse;
     response: HTTPResponse;
-    constructor(req: ClientRequest, res: IncomingMessage, response: HTTPResponse, stack: string);
+    constructor(req: TransportRequest, res: TransportResponse, response: HTTPResponse, stack: string);
     flattenErrors(errors: HTTPResponse, keyPrefix?: string): string[];
   }
 
@@ -3136,10 +3556,10 @@ declare namespace Dysnomia {
     code: number;
     headers: IncomingHttpHeaders;
     name: string;
-    req: ClientRequest;
-    res: IncomingMessage;
+    req: TransportRequest;
+    res: TransportResponse;
     response: HTTPResponse;
-    constructor(req: ClientRequest, res: IncomingMessage, response: HTTPResponse, stack: string);
+    constructor(req: TransportRequest, res: TransportResponse, response: HTTPResponse, stack: string);
     flattenErrors(errors: HTTPResponse, keyPrefix?: string): string[];
   }
 
@@ -3162,6 +3582,33 @@ declare namespace Dysnomia {
     premiumType?: PremiumTypes;
     verified?: boolean;
   }
+  export class FetchTransport implements RESTTransport {
+    dispatcher: unknown;
+    fetch: (...args: any[]) => Promise<any>;
+    constructor(options?: { dispatcher?: unknown; fetch?: (...args: any[]) => Promise<any> });
+    request(request: TransportRequest): Promise<TransportResponse>;
+    toString(): string;
+  }
+
+  export class FileCacheSnapshot implements CacheSnapshotStore {
+    maxAge: number;
+    path: string;
+    constructor(path: string, options?: { maxAge?: number });
+    load(): Promise<CacheSnapshot | null>;
+    save(snapshot: CacheSnapshot): Promise<void>;
+    toString(): string;
+  }
+
+  export class FileSessionStore implements SessionStore {
+    maxAge: number;
+    path: string;
+    constructor(path: string, options?: { maxAge?: number });
+    delete(shardID: number): Promise<void>;
+    get(shardID: number): Promise<SessionState | null>;
+    set(shardID: number, state: SessionState): Promise<void>;
+    toString(): string;
+  }
+
   export class ForumChannel extends GuildChannel {
     availableTags: ForumTag[];
     defaultAutoArchiveDuration: number;
@@ -3182,6 +3629,35 @@ declare namespace Dysnomia {
     getWebhooks(): Promise<Webhook[]>;
   }
 
+  export class GatewayForwarder {
+    replayGuilds: boolean;
+    constructor(client: Client, options?: GatewayForwarderOptions);
+    addTransport(transport: GatewayTransport): void;
+    removeTransport(transport: GatewayTransport): void;
+    stop(): void;
+    toString(): string;
+  }
+
+  export class GatewayRecorder {
+    path: string;
+    recording: boolean;
+    constructor(client: Client, path: string);
+    stop(): Promise<void>;
+    toString(): string;
+  }
+
+  export class GatewayReplay extends EventEmitter {
+    createWebSocket: CreateWebSocketFunction;
+    entries: GatewayRecordingEntry[];
+    finished: boolean;
+    speed: number;
+    constructor(entries: GatewayRecordingEntry[], options?: { speed?: number });
+    static load(path: string, options?: { speed?: number }): Promise<GatewayReplay>;
+    play(client: Client): Promise<void>;
+    stop(): void;
+    toString(): string;
+  }
+
   export class Guild extends Base {
     afkChannelID: string | null;
     afkTimeout: number;
@@ -3220,6 +3696,7 @@ declare namespace Dysnomia {
     premiumSubscriptionCount?: number;
     premiumTier: PremiumTier;
     publicUpdatesChannelID: string | null;
+    restored: boolean;
     roles: Collection<Role>;
     rulesChannelID: string | null;
     safetyAlertsChannelID: string | null;
@@ -3292,6 +3769,7 @@ declare namespace Dysnomia {
     editWelcomeScreen(options: WelcomeScreenOptions): Promise<WelcomeScreen>;
     editWidget(options: Partial<Widget> & { reason?: string }): Promise<Widget>;
     fetchMembers(options?: FetchMembersOptions): Promise<Member[]>;
+    fetchMembersStream(options?: FetchMembersOptions): AsyncGenerator<GuildMembersChunk, void>;
     getActiveThreads(): Promise<ListedGuildThreads>;
     getAuditLog(options?: GetGuildAuditLogOptions): Promise<GuildAuditLog>;
     getAutoModerationRule(guildID: string, ruleID: string): Promise<AutoModerationRule>;
@@ -3493,6 +3971,13 @@ declare namespace Dysnomia {
           MessageApplicationCommandStructure : T extends "PRIMARY_ENTRY_POINT" ?
             PrimaryEntryPointApplicationCommandStructure : never, "type">): Promise<this>;
   }
+  export class HTTPTransport implements RESTTransport {
+    agent: HTTPSAgent | null;
+    constructor(options?: { agent?: HTTPSAgent });
+    request(request: TransportRequest): Promise<TransportResponse>;
+    toString(): string;
+  }
+
   export class Interaction extends Base {
     acknowledged: boolean;
     applicationID: string;
@@ -3559,6 +4044,7 @@ declare namespace Dysnomia {
     joinedAt: number | null;
     mention: string;
     nick: string | null;
+    partial: boolean;
     pending?: boolean;
     permissions: Permission;
     premiumSince?: number | null;
@@ -3573,6 +4059,7 @@ declare namespace Dysnomia {
     ban(options?: BanMemberOptions): Promise<void>;
     dynamicAvatarURL(format?: ImageFormat, size?: number): string;
     edit(options: MemberOptions, reason?: string): Promise<void>;
+    fetch(): Promise<Member>;
     kick(reason?: string): Promise<void>;
     removeRole(roleID: string, reason?: string): Promise<void>;
     unban(reason?: string): Promise<void>;
@@ -3582,6 +4069,34 @@ declare namespace Dysnomia {
     type: Constants["ChannelTypes"]["GUILD_MEDIA"];
   }
 
+  export class MemoryCacheAdapter implements CacheAdapter {
+    writeThrough: false;
+    constructor(client: Client);
+    static serialize(type: CacheEntryType, item: { toJSON(): Record<string, unknown> }): Record<string, unknown>;
+    delete(type: CacheEntryType, id: string, guildID?: string): void;
+    get(type: CacheEntryType, id: string, guildID?: string): Record<string, unknown> | undefined;
+    getAll(type: CacheEntryType, guildID?: string): Record<string, unknown>[];
+    set(type: CacheEntryType, id: string, data: Record<string, unknown>, guildID?: string): void;
+    toString(): string;
+  }
+
+  export class MemoryIdentifyLock implements IdentifyLock {
+    interval: number;
+    constructor(options?: { interval?: number });
+    acquire(rateLimitKey: number, shardID: number): Promise<void>;
+    toString(): string;
+  }
+
+  export class MemoryRatelimitStore implements RatelimitStore {
+    buckets: Map<string, RatelimitBucketState>;
+    globalReset: number;
+    acquire(key: string): number;
+    getGlobalReset(): number;
+    setGlobalReset(reset: number): void;
+    update(key: string, state: RatelimitBucketState): void;
+    toString(): string;
+  }
+
   export class Message<T extends PossiblyUncachedTextable = TextableChannel, U extends "isSnapshot" | "" = ""> extends Base {
     activity?: MessageActivity;
     application?: MessageApplication;
@@ -3609,6 +4124,7 @@ declare namespace Dysnomia {
     messageReference: MessageReference | null;
     messageSnapshots?: MessageSnapshot[];
     nonce?: string | number;
+    partial: boolean;
     pinned: boolean;
     poll?: Poll;
     position?: number;
@@ -3631,6 +4147,7 @@ declare namespace Dysnomia {
     edit(content: MessageContent): Promise<Message<T>>;
     editWebhook(token: string, options: MessageWebhookContent): Promise<Message<T>>;
     endPoll(): Promise<Message<T>>;
+    fetch(): Promise<this>;
     getPollAnswerVoters(answerID: number, options?: GetPollAnswerVotersOptions): Promise<User[]>;
     getReaction(reaction: string, options?: GetMessageReactionOptions): Promise<User[]>;
     pin(): Promise<void>;
@@ -3640,6 +4157,28 @@ declare namespace Dysnomia {
     unpin(): Promise<void>;
   }
 
+  export class MockGateway extends EventEmitter {
+    options: Required<MockGatewayOptions>;
+    restDomain: string | null;
+    url: string | null;
+    constructor(options?: MockGatewayOptions);
+    close(): Promise<void>;
+    disconnect(shardID?: number, code?: number, reason?: string): void;
+    dispatch(event: string, data: unknown, shardID?: number): void;
+    emit<K extends keyof MockGatewayEvents>(event: K, ...args: MockGatewayEvents[K]): boolean;
+    emit(event: string, ...args: any[]): boolean;
+    invalidateSession(shardID?: number, resumable?: boolean): void;
+    listen(): Promise<string>;
+    off<K extends keyof MockGatewayEvents>(event: K, listener: (...args: MockGatewayEvents[K]) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    once<K extends keyof MockGatewayEvents>(event: K, listener: (...args: MockGatewayEvents[K]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    reconnect(shardID?: number): void;
+    on<K extends keyof MockGatewayEvents>(event: K, listener: (...args: MockGatewayEvents[K]) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+    toString(): string;
+  }
+
   export class ModalSubmitInteraction<T extends PossiblyUncachedInteractionChannel = TextableChannel> extends Interaction {
     channel: T;
     data: ModalSubmitInteractionData;
@@ -3752,21 +4291,54 @@ declare namespace Dysnomia {
     edit(options: Pick<EditChannelOptions, "archived" | "autoArchiveDuration" | "locked" | "name" | "rateLimitPerUser">, reason?: string): Promise<this>;
   }
 
+  export class RemoteGateway extends EventEmitter {
+    createWebSocket: CreateWebSocketFunction;
+    transport: GatewayTransport;
+    constructor(transport: GatewayTransport);
+    connect(client: Client): Promise<void>;
+    emit<K extends keyof RemoteGatewayEvents>(event: K, ...args: RemoteGatewayEvents[K]): boolean;
+    emit(event: string, ...args: any[]): boolean;
+    off<K extends keyof RemoteGatewayEvents>(event: K, listener: (...args: RemoteGatewayEvents[K]) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    once<K extends keyof RemoteGatewayEvents>(event: K, listener: (...args: RemoteGatewayEvents[K]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    on<K extends keyof RemoteGatewayEvents>(event: K, listener: (...args: RemoteGatewayEvents[K]) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+    toString(): string;
+  }
+
   export class RequestHandler implements SimpleJSON {
+    bucketHashes: { [route: string]: string };
     globalBlock: boolean;
     latencyRef: LatencyRef;
+    middleware: RESTMiddleware[];
     options: RequestHandlerOptions;
-    ratelimits: { [route: string]: SequentialBucket };
+    ratelimits: { [bucket: string]: SequentialBucket };
+    ratelimitStore: RatelimitStore;
     readyQueue: (() => void)[];
+    transport: RESTTransport;
     userAgent: string;
     constructor(client: Client, options?: RequestHandlerOptions);
+    getMetrics(): RESTMetrics;
+    getRatelimits(): { [bucket: string]: RatelimitBucketSnapshot };
     globalUnblock(): void;
-    request(method: RequestMethod, url: string, auth?: boolean, body?: { [s: string]: unknown }, file?: FileContent, _route?: string, short?: boolean): Promise<unknown>;
+    request(method: RequestMethod, url: string, auth?: boolean, body?: { [s: string]: unknown }, file?: FileContent | FileContent[], options?: RequestOptions | string, short?: boolean): Promise<unknown>;
     routefy(url: string, method: RequestMethod): string;
+    upload(url: string, file: Pick<FileContent, "file" | "path" | "size">, options?: RequestOptions): Promise<void>;
+    use(middleware: RESTMiddleware): this;
     toString(): string;
     toJSON(props?: string[]): JSONCache;
   }
 
+  export class RequestQueueFullError extends Error {
+    bucket: string;
+    method: string;
+    name: "RequestQueueFullError";
+    queueLength: number;
+    route: string;
+    constructor(method: string, route: string, bucket: string, queueLength: number);
+  }
+
   export class Role extends Base {
     color: number;
     createdAt: number;
@@ -3795,11 +4367,14 @@ declare namespace Dysnomia {
     latencyRef: LatencyRef;
     limit: number;
     processing: boolean;
+    queueLength: number;
     remaining: number;
     reset: number;
     constructor(limit: number, latencyRef?: LatencyRef);
     check(override?: boolean): void;
-    queue(func: (cb: () => void) => void, short?: boolean): void;
+    moveTo(bucket: SequentialBucket): void;
+    queue(func: (cb: () => void) => void, short?: boolean, priority?: number): void;
+    remove(func: (cb: () => void) => void): boolean;
   }
 
   export class Shard extends EventEmitter implements SimpleJSON {
@@ -3813,6 +4388,7 @@ declare namespace Dysnomia {
     guildCreateTimeout: NodeJS.Timeout | null;
     heartbeatInterval: NodeJS.Timeout | null;
     id: number;
+    lastDispatchReceived: number | null;
     lastHeartbeatAck: boolean;
     lastHeartbeatReceived: number | null;
     lastHeartbeatSent: number | null;
@@ -3840,6 +4416,7 @@ declare namespace Dysnomia {
     emit(event: string, ...args: any[]): void;
     emit<K extends keyof ShardEvents>(event: K, ...args: ShardEvents[K]): boolean;
     emit(event: string, ...args: any[]): boolean;
+    getHealth(): ShardHealth;
     hardReset(): void;
     heartbeat(normal?: boolean): void;
     identify(): void;
@@ -3850,6 +4427,7 @@ declare namespace Dysnomia {
     once(event: string, listener: (...args: any[]) => void): this;
     onPacket(packet: RawPacket): void;
     requestGuildMembers(guildID: string, options?: FetchMembersOptions): Promise<Member[]>;
+    requestGuildMembersStream(guildID: string, options?: FetchMembersOptions): AsyncGenerator<GuildMembersChunk, void>;
     reset(): void;
     restartGuildCreateTimeout(): void;
     resume(): void;
@@ -3867,8 +4445,13 @@ declare namespace Dysnomia {
     connectTimeout: NodeJS.Timer | null;
     lastConnect: number;
     options: GatewayOptions;
+    reshardTimer: NodeJS.Timeout | null;
+    sessionStartLimit: SessionStartLimit | null;
     constructor(client: Client, options?: GatewayOptions);
     connect(shard: Shard): void;
+    getHealth(): ShardManagerHealth;
+    reshard(shardCount?: number): Promise<boolean>;
+    saveSessions(): Promise<void[]>;
     spawn(id: number): void;
     tryConnect(): void;
     toString(): string;
@@ -3903,6 +4486,23 @@ declare namespace Dysnomia {
     on(event: string, listener: (...args: any[]) => void): this;
   }
 
+  export class SocketTransport extends EventEmitter {
+    bufferedBytes: number;
+    maxBufferedBytes: number;
+    socket: NetSocket;
+    constructor(socket: NetSocket, options?: SocketTransportOptions);
+    emit<K extends keyof SocketTransportEvents>(event: K, ...args: SocketTransportEvents[K]): boolean;
+    emit(event: string, ...args: any[]): boolean;
+    off<K extends keyof SocketTransportEvents>(event: K, listener: (...args: SocketTransportEvents[K]) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    once<K extends keyof SocketTransportEvents>(event: K, listener: (...args: SocketTransportEvents[K]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    send(message: unknown): boolean;
+    on<K extends keyof SocketTransportEvents>(event: K, listener: (...args: SocketTransportEvents[K]) => void): this;
+    on(event: string, listener: (...args: any[]) => void): this;
+    toString(): string;
+  }
+
   export class StageChannel extends TextVoiceChannel {
     topic?: string;
     type: Constants["ChannelTypes"]["GUILD_STAGE_VOICE"];
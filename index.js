@@ -18,24 +18,38 @@ Dysnomia.Channel = require("./lib/structures/Channel");
 Dysnomia.CommandInteraction = require("./lib/structures/CommandInteraction");
 Dysnomia.ComponentInteraction = require("./lib/structures/ComponentInteraction");
 Dysnomia.Client = Client;
+Dysnomia.Cluster = require("./lib/cluster/Cluster");
+Dysnomia.ClusterManager = require("./lib/cluster/ClusterManager");
+Dysnomia.ClusterWorker = require("./lib/cluster/ClusterWorker");
 Dysnomia.Collection = require("./lib/util/Collection");
 Dysnomia.Constants = require("./lib/Constants");
 Dysnomia.DiscordHTTPError = require("./lib/errors/DiscordHTTPError");
 Dysnomia.DiscordRESTError = require("./lib/errors/DiscordRESTError");
 Dysnomia.Entitlement = require("./lib/structures/Entitlement");
 Dysnomia.ExtendedUser = require("./lib/structures/ExtendedUser");
+Dysnomia.FetchTransport = require("./lib/rest/FetchTransport");
+Dysnomia.FileCacheSnapshot = require("./lib/cache/FileCacheSnapshot");
+Dysnomia.FileSessionStore = require("./lib/gateway/FileSessionStore");
 Dysnomia.ForumChannel = require("./lib/structures/ForumChannel");
+Dysnomia.GatewayForwarder = require("./lib/gateway/GatewayForwarder");
+Dysnomia.GatewayRecorder = require("./lib/gateway/GatewayRecorder");
+Dysnomia.GatewayReplay = require("./lib/gateway/GatewayReplay");
 Dysnomia.Guild = require("./lib/structures/Guild");
 Dysnomia.GuildChannel = require("./lib/structures/GuildChannel");
 Dysnomia.GuildIntegration = require("./lib/structures/GuildIntegration");
 Dysnomia.GuildPreview = require("./lib/structures/GuildPreview");
 Dysnomia.GuildScheduledEvent = require("./lib/structures/GuildScheduledEvent");
 Dysnomia.GuildTemplate = require("./lib/structures/GuildTemplate");
+Dysnomia.HTTPTransport = require("./lib/rest/HTTPTransport");
 Dysnomia.Interaction = require("./lib/structures/Interaction");
 Dysnomia.Invite = require("./lib/structures/Invite");
 Dysnomia.MediaChannel = require("./lib/structures/MediaChannel");
 Dysnomia.Member = require("./lib/structures/Member");
+Dysnomia.MemoryCacheAdapter = require("./lib/cache/MemoryCacheAdapter");
+Dysnomia.MemoryIdentifyLock = require("./lib/gateway/MemoryIdentifyLock");
+Dysnomia.MemoryRatelimitStore = require("./lib/rest/MemoryRatelimitStore");
 Dysnomia.Message = require("./lib/structures/Message");
+Dysnomia.MockGateway = require("./lib/gateway/MockGateway");
 Dysnomia.ModalSubmitInteraction = require("./lib/structures/ModalSubmitInteraction.js");
 Dysnomia.NewsChannel = require("./lib/structures/NewsChannel");
 Dysnomia.NewsThreadChannel = require("./lib/structures/NewsThreadChannel");
@@ -45,11 +59,14 @@ Dysnomia.PingInteraction = require("./lib/structures/PingInteraction");
 Dysnomia.PrivateChannel = require("./lib/structures/PrivateChannel");
 Dysnomia.PrivateThreadChannel = require("./lib/structures/PrivateThreadChannel");
 Dysnomia.PublicThreadChannel = require("./lib/structures/PublicThreadChannel");
+Dysnomia.RemoteGateway = require("./lib/gateway/RemoteGateway");
 Dysnomia.RequestHandler = require("./lib/rest/RequestHandler");
+Dysnomia.RequestQueueFullError = require("./lib/errors/RequestQueueFullError");
 Dysnomia.Role = require("./lib/structures/Role");
 Dysnomia.SequentialBucket = require("./lib/util/SequentialBucket");
 Dysnomia.Shard = require("./lib/gateway/Shard");
 Dysnomia.SharedStream = require("./lib/voice/SharedStream");
+Dysnomia.SocketTransport = require("./lib/gateway/SocketTransport");
 Dysnomia.StageChannel = require("./lib/structures/StageChannel");
 Dysnomia.StageInstance = require("./lib/structures/StageInstance");
 Dysnomia.TextChannel = require("./lib/structures/TextChannel");
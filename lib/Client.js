@@ -1,5 +1,6 @@
 "use strict";
 
+const {pathToFileURL} = require("node:url");
 const ApplicationCommand = require("./structures/ApplicationCommand");
 const Base = require("./structures/Base");
 const Channel = require("./structures/Channel");
@@ -15,7 +16,10 @@ const GuildTemplate = require("./structures/GuildTemplate");
 const GuildScheduledEvent = require("./structures/GuildScheduledEvent");
 const Invite = require("./structures/Invite");
 const Member = require("./structures/Member");
+const MemoryCacheAdapter = require("./cache/MemoryCacheAdapter");
+const {createSnapshot, restoreSnapshot} = require("./cache/snapshot");
 const Message = require("./structures/Message");
+const MultipartData = require("./util/MultipartData");
 const Permission = require("./structures/Permission");
 const PrivateChannel = require("./structures/PrivateChannel");
 const RequestHandler = require("./rest/RequestHandler");
@@ -50,6 +54,8 @@ const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
  * @extends EventEmitter
  */
 class Client extends EventEmitter {
+    #cacheSnapshotLoaded = false;
+    #sweepInterval = null;
     /**
      * Object mapping channel IDs to guild IDs
      * @type {Object<string, string>}
@@ -131,27 +137,45 @@ class Client extends EventEmitter {
      * @param {Boolean | Array<String>} [options.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow
      * @param {Boolean | Array<String>} [options.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Boolean} [options.allowedMentions.repliedUser] Whether or not to mention the author of the message being replied to
+     * @param {Object} [options.cache] Cache policies (see `Collection#setCachePolicy()`) limiting the objects held by the client, with `keep`, `limit`, `strategy` and `ttl` properties. Evicted objects fire `cacheEvict` events
+     * @param {Object} [options.cache.members] The cache policy of every `guild.members`. Member presences are held by the members
+     * @param {Object} [options.cache.messages] The cache policy of every `channel.messages`. Its limit defaults to the `messageLimit` option
+     * @param {Number} [options.cache.sweepInterval=60000] How often in milliseconds to remove expired objects (see `Client#sweepCaches()`) from the caches with a TTL
+     * @param {Object} [options.cache.threads] The cache policy of every `guild.threads`
+     * @param {Object} [options.cache.users] The cache policy of `client.users`
+     * @param {Object} [options.cache.voiceStates] The cache policy of every `guild.voiceStates`
+     * @param {Object} [options.cacheAdapter] An adapter to write the cached guilds, channels, members, roles and threads through, with the same methods as MemoryCacheAdapter (the default). Use an adapter backed by shared storage (e.g. Redis) to make the cached state available to other processes
+     * @param {Object} [options.cacheSnapshot] A store to save the cached guilds (with their channels, roles, members and threads) and users in, such as a `FileCacheSnapshot`. The saved snapshot is restored when connecting for the first time, so the caches are filled before the shards are ready. Restored guilds have their `restored` property set until their GUILD_CREATE replaces them. Save a snapshot with `Client#saveCacheSnapshot()` before shutting down
      * @param {String} [options.defaultImageFormat="jpg"] The default format to provide user avatars, guild icons, and group icons in. Can be "jpg", "png", "gif", or "webp"
      * @param {Number} [options.defaultImageSize=128] The default size to return user avatars, guild icons, banners, splashes, and group icons. Can be any power of two between 16 and 2048. If the height and width are different, the width will be the value specified, and the height relative to that
      * @param {Object} [options.gateway] Options for gateway connections
      * @param {Boolean} [options.gateway.autoreconnect=true] Have Dysnomia autoreconnect when connection is lost
-     * @param {Boolean} [options.gateway.compress=false] Whether to request WebSocket data to be compressed or not
+     * @param {Boolean | String} [options.gateway.compress=false] The transport compression to request WebSocket data to be compressed with, either "zlib-stream" (same as `true`) or "zstd-stream" (requires a Node.js version with zstd support). zlib-stream uses zlib-sync or pako if installed, and the built-in node:zlib otherwise
      * @param {Number} [options.gateway.connectionTimeout=30000] How long in milliseconds to wait for the connection to handshake with the server
+     * @param {Function} [options.gateway.createWebSocket] A function called with the URL, the `ws` options and the shard, returning the WebSocket (or an object with the same interface, such as the fake WebSocket of a GatewayReplay) a shard connects with. Such objects may emit decoded packet objects as messages
      * @param {Object} [options.gateway.disableEvents] If disableEvents[eventName] is true, the WS event will not be processed. This can cause significant performance increase on large bots. [A full list of the WS event names in Discord's documentation](https://discord.com/developers/docs/topics/gateway-events#receive-events)
      * @param {Number} [options.gateway.firstShardID=0] The ID of the first shard to run for this client
      * @param {Boolean} [options.gateway.getAllUsers=false] Get all the users in every guild. Ready time will be severely delayed
      * @param {Number} [options.gateway.guildCreateTimeout=2000] How long in milliseconds to wait for a GUILD_CREATE before "ready" is fired. Increase this value if you notice missing guilds
+     * @param {Number} [options.gateway.heartbeatAckTimeout] How long in milliseconds to wait for Discord to acknowledge a heartbeat before considering the connection a zombie and reconnecting. By default, zombie connections are only detected when the next heartbeat is due
+     * @param {Object} [options.gateway.identifyLock] A lock whose `acquire(rateLimitKey, shardID)` method resolves when a shard may identify in its `shardID % maxConcurrency` bucket. Defaults to a `MemoryIdentifyLock`. Use a lock shared with other processes using the same token (such as the one set up by `ClusterWorker`) to coordinate their identifies
      * @param {Number | Array<String | Number>} [options.gateway.intents] A list of [intent names](https://github.com/projectdysnomia/dysnomia/blob/dev/lib/Constants.js#L311), pre-shifted intent numbers to add, or a raw bitmask value describing the intents to subscribe to. Some intents, like `guildPresences` and `guildMembers`, must be enabled on your application's page to be used. By default, all non-privileged intents are enabled.
      * @param {Number} [options.gateway.largeThreshold=250] The maximum number of offline users per guild during initial guild data transmission
      * @param {Number} [options.gateway.lastShardID=options.maxShards - 1] The ID of the last shard to run for this client
+     * @param {Number} [options.gateway.latencyThreshold=Infinity] The average heartbeat latency at which a shard is considered unhealthy, firing `shardUnhealthy` events
      * @param {Number} [options.gateway.maxReconnectAttempts=Infinity] The maximum amount of times that the client is allowed to try to reconnect to Discord.
      * @param {Number} [options.gateway.maxResumeAttempts=10] The maximum amount of times a shard can attempt to resume a session before considering that session invalid.
      * @param {Number | String} [options.gateway.maxConcurrency=1] The number of shards that can start simultaneously. If "auto" Dysnomia will use Discord's recommended shard concurrency.
      * @param {Number | String} [options.gateway.maxShards=1] The total number of shards you want to run. If "auto" Dysnomia will use Discord's recommended shard count.
+     * @param {Boolean} [options.gateway.processDispatches=true] Whether shards process dispatch packets, caching their data and firing events. Without it, shards only maintain their sessions, which a GatewayForwarder uses to run thin gateway processes
      * @param {Function} [options.gateway.reconnectDelay] A function which returns how long the bot should wait until reconnecting to Discord.
+     * @param {Number} [options.gateway.reshardInterval=0] How often in milliseconds to check Discord's recommended shard count, resharding (see `ShardManager#reshard()`) when it changes. 0 disables the checks. Shards closed for having too many guilds start a reshard regardless of this option
+     * @param {Number} [options.gateway.reservedIdentifies=1] How many identifies of the session start limit to leave unused. Once only these remain, shards wait for the limit to reset instead of identifying
      * @param {Boolean} [options.gateway.seedVoiceConnections=false] Whether to populate bot.voiceConnections with existing connections the bot account has during startup. Note that this will disconnect connections from other bot sessions
+     * @param {Object} [options.gateway.sessionStore] A store to save the resume state of shard sessions in, such as a `FileSessionStore`. Shards with a saved session resume it when spawned instead of identifying, though cached guilds and other data from the ready sequence won't be present
      * @param {Number} [options.messageLimit=100] The maximum size of a channel message cache
      * @param {Boolean} [options.opusOnly=false] Whether to suppress the Opus encoder not found error or not
+     * @param {Boolean} [options.partials=false] Whether events about uncached messages, members and channels carry partial structures (Message, Member and Channel instances with `partial` set to true, which can be filled in with `fetch()`) instead of plain objects
      * @param {Object} [options.rest] Options for the REST request handler
      * @param {Object} [options.rest.agent] A HTTPS Agent (if https: true, default) or an HTTP agent (if https: false) used to proxy requests
      * @param {String} [options.rest.baseURL] The base URL to use for API requests. Defaults to `/api/v${REST_VERSION}`
@@ -159,10 +183,22 @@ class Client extends EventEmitter {
      * @param {String} [options.rest.domain="discord.com"] The domain to use for API requests
      * @param {Boolean} [options.rest.https=true] Whether to make requests to the Discord API over HTTPS (true) or HTTP (false)
      * @param {Number} [options.rest.latencyThreshold=30000] The average request latency at which Dysnomia will start emitting latency errors
+     * @param {Number} [options.rest.maxQueueLength=Infinity] The maximum number of requests waiting in a single ratelimit bucket. Requests made while their bucket's queue is full reject with a RequestQueueFullError
+     * @param {Array<Function>} [options.rest.middleware] Middleware to pass every REST request through, in order. See `RequestHandler#use()` for details
      * @param {Number} [options.rest.port] The port to use for API requests. Defaults to 443 (HTTPS) or 80 (HTTP)
      * @param {Object} [options.rest.headers] Headers to be appended in REST requests
      * @param {Number} [options.rest.ratelimiterOffset=0] A number of milliseconds to offset the ratelimit timing calculations by
+     * @param {Object} [options.rest.ratelimitStore] A store holding the ratelimit state, with the same methods as MemoryRatelimitStore (the default). Use a store backed by shared storage (e.g. Redis) to make multiple processes using the same token respect each other's ratelimits
      * @param {Number} [options.rest.requestTimeout=15000] A number of milliseconds before REST requests are considered timed out
+     * @param {Object | Boolean} [options.rest.retry] The policy for retrying failed REST requests, or false to disable retries. Every retry fires a `restRetry` event
+     * @param {Number} [options.rest.retry.baseDelay=500] The delay (in ms) before the first retry, doubled for every following retry
+     * @param {Array<String>} [options.rest.retry.errorCodes] The network error codes to retry on. Defaults to `["EAI_AGAIN", "ECONNREFUSED", "ECONNRESET", "EPIPE", "ETIMEDOUT", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_SOCKET"]`, which includes request timeouts
+     * @param {Boolean} [options.rest.retry.jitter=true] Whether to randomize retry delays between half and all of their value
+     * @param {Number} [options.rest.retry.maxDelay=30000] The maximum delay (in ms) before a retry
+     * @param {Number} [options.rest.retry.maxRetries=3] The maximum number of times a request is retried
+     * @param {Array<String>} [options.rest.retry.methods] The HTTP methods that can be retried. Defaults to the idempotent methods, `["DELETE", "GET", "HEAD", "PUT"]`
+     * @param {Array<Number>} [options.rest.retry.statusCodes] The HTTP status codes to retry on. Defaults to `[500, 502, 503, 504]`
+     * @param {String | Object} [options.rest.transport="http"] The transport used to send REST requests. Can be "http" (`node:http`/`node:https`), "fetch" (the global `fetch`), or an object with a `request(request)` method returning a Promise of the response, such as a FetchTransport configured with an undici dispatcher
      * @param {Boolean} [options.restMode=false] Whether to enable getting objects over REST. Even with this option enabled, it is recommended that you check the cache first before using REST
      * @param {Object} [options.ws] An object of WebSocket options to pass to the shard WebSocket constructors
      */
@@ -178,16 +214,21 @@ class Client extends EventEmitter {
                 users: true,
                 roles: true
             },
+            cache: {},
             defaultImageFormat: "jpg",
             defaultImageSize: 128,
             messageLimit: 100,
             opusOnly: false,
+            partials: false,
             rest: {},
             restMode: false,
             ws: {},
             gateway: {}
         }, options);
         this.options.allowedMentions = this._formatAllowedMentions(this.options.allowedMentions);
+        this.options.cache = Object.assign({
+            sweepInterval: 60000
+        }, this.options.cache);
         if(!Constants.ImageFormats.includes(this.options.defaultImageFormat.toLowerCase())) {
             throw new TypeError(`Invalid default image format: ${this.options.defaultImageFormat}`);
         }
@@ -222,12 +263,21 @@ class Client extends EventEmitter {
         this.shards = new ShardManager(this, this.options.gateway);
         delete this.options.gateway;
 
+        /**
+         * The adapter the gateway handlers write the cached state through
+         * @type {Object}
+         */
+        this.cacheAdapter = this.options.cacheAdapter || new MemoryCacheAdapter(this);
+        delete this.options.cacheAdapter;
+
         /**
          * Whether the user belongs to an OAuth2 application
          * @type {Boolean}
          */
         this.bot = this._token.startsWith("Bot ");
 
+        this._applyCachePolicy("users", this.users);
+
         this.connect = this.connect.bind(this);
     }
 
@@ -249,16 +299,17 @@ class Client extends EventEmitter {
      * @param {Array<String>} [options.roles] Array of role IDs to add to the member
      * @param {Boolean} [options.mute] Whether the member should be muted
      * @param {Boolean} [options.deaf] Whether the member should be deafened
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    addGuildMember(guildID, userID, accessToken, options = {}) {
+    addGuildMember(guildID, userID, accessToken, options = {}, requestOptions) {
         return this.requestHandler.request("PUT", Endpoints.GUILD_MEMBER(guildID, userID), true, {
             access_token: accessToken,
             nick: options.nick,
             roles: options.roles,
             mute: options.mute,
             deaf: options.deaf
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -267,12 +318,13 @@ class Client extends EventEmitter {
      * @param {String} memberID The ID of the member
      * @param {String} roleID The ID of the role
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    addGuildMemberRole(guildID, memberID, roleID, reason) {
+    addGuildMemberRole(guildID, memberID, roleID, reason, requestOptions) {
         return this.requestHandler.request("PUT", Endpoints.GUILD_MEMBER_ROLE(guildID, memberID, roleID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -280,13 +332,14 @@ class Client extends EventEmitter {
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
      * @param {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    addMessageReaction(channelID, messageID, reaction) {
+    addMessageReaction(channelID, messageID, reaction, requestOptions) {
         if(reaction === decodeURI(reaction)) {
             reaction = encodeURIComponent(reaction);
         }
-        return this.requestHandler.request("PUT", Endpoints.CHANNEL_MESSAGE_REACTION_USER(channelID, messageID, reaction, "@me"), true);
+        return this.requestHandler.request("PUT", Endpoints.CHANNEL_MESSAGE_REACTION_USER(channelID, messageID, reaction, "@me"), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -295,13 +348,14 @@ class Client extends EventEmitter {
      * @param {String} userID The ID of the user
      * @param {Number} [options.deleteMessageSeconds=0] Number of seconds to delete messages for, between 0 and 604800 inclusive
      * @param {String} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    banGuildMember(guildID, userID, options) {
+    banGuildMember(guildID, userID, options, requestOptions) {
         return this.requestHandler.request("PUT", Endpoints.GUILD_BAN(guildID, userID), true, {
             delete_message_seconds: options.deleteMessageSeconds || 0,
             reason: options.reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -310,14 +364,15 @@ class Client extends EventEmitter {
      * @param {Array<String>} userIDs An array of user IDs to ban
      * @param {Number} [options.deleteMessageSeconds=0] Number of seconds to delete messages for, between 0 and 604800 inclusive
      * @param {String} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<{ bannedUsers: Array<String>, failedUsers: Array<String> }>} A Promise resolving with an object containing an array of banned users and an array of users for whom the ban operation failed. In case banning all specified users fails, this promise rejects with an error.instead.
      */
-    bulkBanGuildMembers(guildID, userIDs, options = {}) {
+    bulkBanGuildMembers(guildID, userIDs, options = {}, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_BULK_BAN(guildID), true, {
             user_ids: userIDs,
             delete_message_seconds: options.deleteMessageSeconds || 0,
             reason: options.reason
-        }).then((result) => ({
+        }, undefined, requestOptions).then((result) => ({
             bannedUsers: result.banned_users,
             failedUsers: result.failed_users
         }));
@@ -328,18 +383,20 @@ class Client extends EventEmitter {
      * Note: You can only add up to 10 permission overwrites for a command.
      * @param {String} guildID The guild ID
      * @param {Array<Object>} permissions An array of [partial guild command permissions](https://discord.com/developers/docs/interactions/application-commands#application-command-permissions-object-guild-application-command-permissions-structure)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} Returns an array of [GuildApplicationCommandPermissions](https://discord.com/developers/docs/interactions/application-commands#application-command-permissions-object-guild-application-command-permissions-structure) objects.
      */
-    bulkEditCommandPermissions(guildID, permissions) {
-        return this.requestHandler.request("PUT", Endpoints.GUILD_COMMAND_PERMISSIONS(this.application.id, guildID), true, permissions);
+    bulkEditCommandPermissions(guildID, permissions, requestOptions) {
+        return this.requestHandler.request("PUT", Endpoints.GUILD_COMMAND_PERMISSIONS(this.application.id, guildID), true, permissions, undefined, requestOptions);
     }
 
     /**
      * Bulk create/edit global application commands
      * @param {Array<Object>} commands An array of [Command objects](https://discord.com/developers/docs/interactions/application-commands#application-command-object)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand[]>}
      */
-    bulkEditCommands(commands) {
+    bulkEditCommands(commands, requestOptions) {
         for(const command of commands) {
             if(command.name !== undefined && command.type === 1) {
                 command.name = command.name.toLowerCase();
@@ -352,16 +409,17 @@ class Client extends EventEmitter {
             command.description_localizations = command.descriptionLocalizations;
             command.name_localizations = command.nameLocalizations;
         }
-        return this.requestHandler.request("PUT", Endpoints.COMMANDS(this.application.id), true, commands).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
+        return this.requestHandler.request("PUT", Endpoints.COMMANDS(this.application.id), true, commands, undefined, requestOptions).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
     }
 
     /**
      * Bulk create/edit guild application commands
      * @param {String} guildID Guild id to create the commands in
      * @param {Array<Object>} commands An array of [Command objects](https://discord.com/developers/docs/interactions/application-commands#application-command-object)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {ApplicationCommand[]} Resolves with an array of commands objects
      */
-    bulkEditGuildCommands(guildID, commands) {
+    bulkEditGuildCommands(guildID, commands, requestOptions) {
         for(const command of commands) {
             if(command.name !== undefined && command.type === 1) {
                 command.name = command.name.toLowerCase();
@@ -373,7 +431,7 @@ class Client extends EventEmitter {
             command.description_localizations = command.descriptionLocalizations;
             command.name_localizations = command.nameLocalizations;
         }
-        return this.requestHandler.request("PUT", Endpoints.GUILD_COMMANDS(this.application.id, guildID), true, commands).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
+        return this.requestHandler.request("PUT", Endpoints.GUILD_COMMANDS(this.application.id, guildID), true, commands, undefined, requestOptions).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
     }
 
     /**
@@ -399,7 +457,8 @@ class Client extends EventEmitter {
             throw new Error(`Invalid token "${this._token}"`);
         }
         try {
-            const data = await (this.shards.options.maxShards === "auto" || (this.shards.options.shardConcurrency === "auto" && this.bot) ? this.getBotGateway() : this.getGateway());
+            // Bots fetch their session start limit along with the gateway
+            const data = await (this.shards.options.maxShards === "auto" || this.bot ? this.getBotGateway() : this.getGateway());
             if(!data.url || (this.shards.options.maxShards === "auto" && !data.shards)) {
                 throw new Error("Invalid response from gateway REST call");
             }
@@ -416,7 +475,7 @@ class Client extends EventEmitter {
             this.gatewayURL = `${data.url}?v=${Constants.GATEWAY_VERSION}&encoding=${Erlpack ? "etf" : "json"}`;
 
             if(this.shards.options.compress) {
-                this.gatewayURL += "&compress=zlib-stream";
+                this.gatewayURL += "&compress=" + this.shards.options.compress;
             }
 
             if(this.shards.options.maxShards === "auto") {
@@ -427,13 +486,26 @@ class Client extends EventEmitter {
                 this.shards.options.lastShardID ??= data.shards - 1;
             }
 
+            this.shards._updateSessionStartLimit(data);
+
+            if(!this.#sweepInterval && this.options.cache.sweepInterval && ["members", "messages", "threads", "users", "voiceStates"].some((name) => this.options.cache[name]?.ttl)) {
+                this.#sweepInterval = setInterval(() => this.sweepCaches(), this.options.cache.sweepInterval);
+            }
+
             if(this.shards.options.shardConcurrency === "auto" && typeof data.session_start_limit?.max_concurrency === "number") {
                 this.shards.options.maxConcurrency = data.session_start_limit.max_concurrency;
             }
 
+            const snapshot = await this.#loadCacheSnapshot();
+
             for(let i = this.shards.options.firstShardID; i <= this.shards.options.lastShardID; ++i) {
                 this.shards.spawn(i);
             }
+
+            if(snapshot) {
+                // The shards only connect once this returns, so the restored guilds are reconciled by their GUILD_CREATEs
+                this.emit("debug", `Restored ${restoreSnapshot(this, snapshot)} guilds from the cache snapshot`);
+            }
         } catch(err) {
             if(!this.shards.options.autoreconnect) {
                 throw err;
@@ -449,10 +521,11 @@ class Client extends EventEmitter {
     /**
      * Consumes a one-time purchasable entitlement
      * @param {String} entitlementID The ID of the entitlement to consume
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    consumeEntitlement(entitlementID) {
-        return this.requestHandler.request("POST", Endpoints.ENTITLEMENT_CONSUME(this.application.id, entitlementID), true);
+    consumeEntitlement(entitlementID, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.ENTITLEMENT_CONSUME(this.application.id, entitlementID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -460,10 +533,34 @@ class Client extends EventEmitter {
      * @param {Object} options Emoji options
      * @param {String} options.image The base 64 encoded string
      * @param {String} options.name The name of emoji
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An application emoji object
      */
-    createApplicationEmoji(options) {
-        return this.requestHandler.request("POST", Endpoints.APPLICATION_EMOJIS(this.application.id), true, options);
+    createApplicationEmoji(options, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.APPLICATION_EMOJIS(this.application.id), true, options, undefined, requestOptions);
+    }
+
+    /**
+     * Request URLs to upload attachments to before sending them. Usually, `uploadAttachments()` should be used instead
+     * @param {String} channelID The ID of the channel the attachments will be sent in
+     * @param {Array<Object>} files The files to upload
+     * @param {String} files[].filename The name of the file
+     * @param {Number} files[].size The size of the file in bytes
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
+     * @returns {Promise<Array<Object>>} Resolves with an array of objects containing the `id` (the index of the file in `files`), `uploadFilename` and `uploadURL` of every file
+     */
+    createAttachmentUploads(channelID, files, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_ATTACHMENTS(channelID), true, {
+            files: files.map((file, index) => ({
+                id: "" + index,
+                filename: file.filename,
+                file_size: file.size
+            }))
+        }, undefined, requestOptions).then((data) => data.attachments.map((attachment) => ({
+            id: +attachment.id,
+            uploadFilename: attachment.upload_filename,
+            uploadURL: attachment.upload_url
+        })));
     }
 
     /**
@@ -479,9 +576,10 @@ class Client extends EventEmitter {
      * @param {String} [options.reason] The reason to be displayed in audit logs
      * @param {Object} [options.triggerMetadata] The [trigger metadata](https://discord.com/developers/docs/resources/auto-moderation#auto-moderation-rule-object-trigger-metadata) for the rule
      * @param {Number} options.triggerType The [trigger type](https://discord.com/developers/docs/resources/auto-moderation#auto-moderation-rule-object-trigger-types) of the rule
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<AutoModerationRule>}
      */
-    createAutoModerationRule(guildID, options) {
+    createAutoModerationRule(guildID, options, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.AUTO_MODERATION_RULES(guildID), true, {
             actions: options.actions,
             enabled: options.enabled,
@@ -492,7 +590,7 @@ class Client extends EventEmitter {
             reason: options.reason,
             trigger_metadata: options.triggerMetadata,
             trigger_type: options.triggerType
-        }).then((rule) => new AutoModerationRule(rule, this));
+        }, undefined, requestOptions).then((rule) => new AutoModerationRule(rule, this));
     }
 
     /**
@@ -518,9 +616,10 @@ class Client extends EventEmitter {
      * @param {String} [options.topic] The topic of the channel (text channels only)
      * @param {Number} [options.userLimit] The channel user limit (voice channels only)
      * @param {Number} [options.videoQualityMode] The camera video quality mode of the voice channel (voice channels only). `1` is auto, `2` is 720p
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<CategoryChannel | ForumChannel | TextChannel | TextVoiceChannel>}
      */
-    createChannel(guildID, name, type, options = {}) {
+    createChannel(guildID, name, type, options = {}, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_CHANNELS(guildID), true, {
             name: name,
             type: type,
@@ -550,7 +649,7 @@ class Client extends EventEmitter {
             topic: options.topic,
             user_limit: options.userLimit,
             video_quality_mode: options.videoQualityMode
-        }).then((channel) => Channel.from(channel, this));
+        }, undefined, requestOptions).then((channel) => Channel.from(channel, this));
     }
 
     /**
@@ -565,9 +664,10 @@ class Client extends EventEmitter {
      * @param {Boolean} [options.temporary] Whether the invite grants temporary membership or not
      * @param {Boolean} [options.unique] Whether the invite is unique or not
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Invite>}
      */
-    createChannelInvite(channelID, options = {}, reason) {
+    createChannelInvite(channelID, options = {}, reason, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.CHANNEL_INVITES(channelID), true, {
             max_age: options.maxAge,
             max_uses: options.maxUses,
@@ -577,7 +677,7 @@ class Client extends EventEmitter {
             temporary: options.temporary,
             unique: options.unique,
             reason: reason
-        }).then((invite) => new Invite(invite, this));
+        }, undefined, requestOptions).then((invite) => new Invite(invite, this));
     }
 
     /**
@@ -587,11 +687,12 @@ class Client extends EventEmitter {
      * @param {String} options.name The default name
      * @param {String?} [options.avatar] The default avatar as a base64 data URI. Note: base64 strings alone are not base64 data URI strings
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with a webhook object
      */
-    createChannelWebhook(channelID, options, reason) {
+    createChannelWebhook(channelID, options, reason, requestOptions) {
         options.reason = reason;
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_WEBHOOKS(channelID), true, options);
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_WEBHOOKS(channelID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -607,9 +708,10 @@ class Client extends EventEmitter {
      * @param {Array<Object>} [command.options] An array of [command options](https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-structure)
      * @param {BigInt | Number | String | Permission} [command.defaultMemberPermissions] The default member [permissions](https://discord.com/developers/docs/topics/permissions) represented as a bit set
      * @param {Boolean} [command.dmPermission=true] If this command can be used in direct messages
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand>}
      */
-    createCommand(command) {
+    createCommand(command, requestOptions) {
         if(command.name !== undefined && command.type === 1) {
             command.name = command.name.toLowerCase();
         }
@@ -620,7 +722,7 @@ class Client extends EventEmitter {
         command.dm_permission = command.dmPermission;
         command.description_localizations = command.descriptionLocalizations;
         command.name_localizations = command.nameLocalizations;
-        return this.requestHandler.request("POST", Endpoints.COMMANDS(this.application.id), true, command).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
+        return this.requestHandler.request("POST", Endpoints.COMMANDS(this.application.id), true, command, undefined, requestOptions).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
     }
 
     /**
@@ -637,9 +739,10 @@ class Client extends EventEmitter {
      * @param {Number} [options.systemChannelFlags] The system channel flags
      * @param {String} [options.systemChannelID] The ID of the system channel
      * @param {Number} [options.verificationLevel] The guild verification level
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Guild>}
      */
-    createGuild(name, options) {
+    createGuild(name, options, requestOptions) {
         if(this.guilds.size > 9) {
             throw new Error("This method can't be used when in 10 or more guilds.");
         }
@@ -656,7 +759,7 @@ class Client extends EventEmitter {
             roles: options.roles,
             channels: options.channels,
             system_channel_flags: options.systemChannelFlags
-        }).then((guild) => new Guild(guild, this));
+        }, undefined, requestOptions).then((guild) => new Guild(guild, this));
     }
 
     /**
@@ -671,9 +774,10 @@ class Client extends EventEmitter {
      * @param {Boolean} [command.nsfw] Whether this command is age-restricted or not
      * @param {Array<Object>} [command.options] An array of [command options](https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-structure)
      * @param {BigInt | Number | String | Permission} [command.defaultMemberPermissions] The default member [permissions](https://discord.com/developers/docs/topics/permissions) represented as a bit set
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand>}
      */
-    createGuildCommand(guildID, command) {
+    createGuildCommand(guildID, command, requestOptions) {
         if(command.name !== undefined && command.type === 1) {
             command.name = command.name.toLowerCase();
         }
@@ -683,7 +787,7 @@ class Client extends EventEmitter {
         command.default_member_permissions = command.defaultMemberPermissions;
         command.description_localizations = command.descriptionLocalizations;
         command.name_localizations = command.nameLocalizations;
-        return this.requestHandler.request("POST", Endpoints.GUILD_COMMANDS(this.application.id, guildID), true, command).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
+        return this.requestHandler.request("POST", Endpoints.GUILD_COMMANDS(this.application.id, guildID), true, command, undefined, requestOptions).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
     }
 
     /**
@@ -694,11 +798,12 @@ class Client extends EventEmitter {
      * @param {String} options.name The name of emoji
      * @param {Array} [options.roles] An array containing authorized role IDs
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A guild emoji object
      */
-    createGuildEmoji(guildID, options, reason) {
+    createGuildEmoji(guildID, options, reason, requestOptions) {
         options.reason = reason;
-        return this.requestHandler.request("POST", Endpoints.GUILD_EMOJIS(guildID), true, options);
+        return this.requestHandler.request("POST", Endpoints.GUILD_EMOJIS(guildID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -706,13 +811,14 @@ class Client extends EventEmitter {
      * @param {String} code The template code
      * @param {String} name The name of the guild
      * @param {String} [icon] The 128x128 icon as a base64 data URI
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Guild>}
      */
-    createGuildFromTemplate(code, name, icon) {
+    createGuildFromTemplate(code, name, icon, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_TEMPLATE(code), true, {
             name,
             icon
-        }).then((guild) => new Guild(guild, this));
+        }, undefined, requestOptions).then((guild) => new Guild(guild, this));
     }
 
     /**
@@ -730,9 +836,10 @@ class Client extends EventEmitter {
      * @param {Date} [event.scheduledEndTime] The time when the event is scheduled to end. This is required if `entityType` is `3` (external)
      * @param {Date} event.scheduledStartTime The time the event will start
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildScheduledEvent>}
      */
-    createGuildScheduledEvent(guildID, event, reason) {
+    createGuildScheduledEvent(guildID, event, reason, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_SCHEDULED_EVENTS(guildID), true, {
             channel_id: event.channelID,
             description: event.description,
@@ -744,7 +851,7 @@ class Client extends EventEmitter {
             scheduled_end_time: event.scheduledEndTime,
             scheduled_start_time: event.scheduledStartTime,
             reason: reason
-        }).then((data) => new GuildScheduledEvent(data, this));
+        }, undefined, requestOptions).then((data) => new GuildScheduledEvent(data, this));
     }
 
     /**
@@ -753,14 +860,16 @@ class Client extends EventEmitter {
      * @param {Object} options Sticker options
      * @param {String} options.description The description of the sticker
      * @param {Object} options.file A file object
-     * @param {Buffer} options.file.file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} options.file.file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [options.file.path] The path of a file to stream into the request instead of passing its data in `file`
      * @param {String} options.file.name What to name the file
      * @param {String} options.name The name of the sticker
      * @param {String} options.tags The Discord name of a unicode emoji representing the sticker's expression
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A sticker object
      */
-    createGuildSticker(guildID, options, reason) {
+    createGuildSticker(guildID, options, reason, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_STICKERS(guildID), true, {
             description: options.description,
             name: options.name,
@@ -769,7 +878,7 @@ class Client extends EventEmitter {
         }, [{
             ...options.file,
             fieldName: "file"
-        }]);
+        }], requestOptions);
     }
 
     /**
@@ -777,13 +886,14 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {String} name The name of the template
      * @param {String} [description] The description for the template
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildTemplate>}
      */
-    createGuildTemplate(guildID, name, description) {
+    createGuildTemplate(guildID, name, description, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_TEMPLATES(guildID), true, {
             name,
             description
-        }).then((template) => new GuildTemplate(template, this));
+        }, undefined, requestOptions).then((template) => new GuildTemplate(template, this));
     }
 
     /**
@@ -796,12 +906,14 @@ class Client extends EventEmitter {
      * @param {Number} options.type The response type to send. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/receiving-and-responding#interaction-response-object-interaction-callback-type) for valid types
      * @param {Object | Array<Object>} [file] A file object (or an Array of them)
      * @param {String} [file.fieldName] The multipart field name
-     * @param {Buffer} file.file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} file.file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [file.path] The path of a file to stream into the request instead of passing its data in `file`
      * @param {String} file.name What to name the file
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    createInteractionResponse(interactionID, interactionToken, options, file) {
-        return this.requestHandler.request("POST", Endpoints.INTERACTION_RESPOND(interactionID, interactionToken), true, options, file, "/interactions/:id/:token/callback");
+    createInteractionResponse(interactionID, interactionToken, options, file, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.INTERACTION_RESPOND(interactionID, interactionToken), true, options, file, {...requestOptions, route: "/interactions/:id/:token/callback"});
     }
 
     /**
@@ -815,7 +927,9 @@ class Client extends EventEmitter {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Boolean} [content.allowedMentions.repliedUser] Whether or not to mention the author of the message being replied to.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
-     * @param {Buffer} content.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -833,9 +947,10 @@ class Client extends EventEmitter {
      * @param {Object} [content.poll] A poll object. See [Discord's Documentation](https://discord.com/developers/docs/resources/poll#poll-create-request-object-poll-create-request-object-structure) for object structure
      * @param {Array<String>} [content.stickerIDs] An array of IDs corresponding to stickers to send
      * @param {Boolean} [content.tts] Set the message TTS flag
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>}
      */
-    createMessage(channelID, content) {
+    createMessage(channelID, content, requestOptions) {
         if(content !== undefined) {
             if(typeof content !== "object" || content === null) {
                 content = {
@@ -871,7 +986,7 @@ class Client extends EventEmitter {
         const {files, attachments} = this._processAttachments(content.attachments);
         content.attachments = attachments;
 
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_MESSAGES(channelID), true, content, files).then((message) => new Message(message, this));
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_MESSAGES(channelID), true, content, files, requestOptions).then((message) => new Message(message, this));
     }
 
     /**
@@ -886,9 +1001,10 @@ class Client extends EventEmitter {
      * @param {BigInt | Number | String | Permission} [options.permissions] The role permissions
      * @param {String} [options.unicodeEmoji] The role's unicode emoji
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Role>}
      */
-    createRole(guildID, options, reason) {
+    createRole(guildID, options, reason, requestOptions) {
         if(options.permissions !== undefined) {
             options.permissions = options.permissions instanceof Permission ? String(options.permissions.allow) : String(options.permissions);
         }
@@ -901,7 +1017,7 @@ class Client extends EventEmitter {
             mentionable: options.mentionable,
             unicode_emoji: options.unicodeEmoji,
             reason: reason
-        }).then((role) => {
+        }, undefined, requestOptions).then((role) => {
             const guild = this.guilds.get(guildID);
             if(guild) {
                 return guild.roles.add(role, guild);
@@ -919,16 +1035,17 @@ class Client extends EventEmitter {
      * @param {Number} [options.privacyLevel] The privacy level of the stage instance. 1 is public (deprecated), 2 is guild only
      * @param {Boolean} [options.sendStartNotification] Whether to notify @everyone that a stage instance has started or not
      * @param {String} options.topic The stage instance topic
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<StageInstance>}
      */
-    createStageInstance(channelID, options) {
+    createStageInstance(channelID, options, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.STAGE_INSTANCES, true, {
             channel_id: channelID,
             guild_scheduled_event_id: options.guildScheduledEventID,
             privacy_level: options.privacyLevel,
             send_start_notification: options.sendStartNotification,
             topic: options.topic
-        }).then((instance) => new StageInstance(instance, this));
+        }, undefined, requestOptions).then((instance) => new StageInstance(instance, this));
     }
 
     /**
@@ -937,10 +1054,11 @@ class Client extends EventEmitter {
      * @param {String} options.skuID The ID of the SKU to grant the entitlement to
      * @param {String} options.ownerID The ID of the guild or user to grant the entitlement to
      * @param {Number} options.ownerType The type of the subscription to grant. `1` for a guild subscription, `2` for a user subscription.
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Entitlement>}
      */
-    createTestEntitlement(options) {
-        return this.requestHandler.request("POST", Endpoints.ENTITLEMENTS(this.application.id), true, options).then((entitlement) => new Entitlement(entitlement, this));
+    createTestEntitlement(options, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.ENTITLEMENTS(this.application.id), true, options, undefined, requestOptions).then((entitlement) => new Entitlement(entitlement, this));
     }
 
     /**
@@ -956,7 +1074,9 @@ class Client extends EventEmitter {
      * @param {Boolean | Array<String>} [options.message.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
      * @param {Boolean | Array<String>} [options.message.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [options.message.attachments] The files to attach to the message
-     * @param {Buffer} options.message.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} options.message.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [options.message.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [options.message.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} options.message.attachments[].filename What to name the file
      * @param {String} [options.message.attachments[].description] A description for the attachment
      * @param {Array<Object>} [options.message.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -966,9 +1086,10 @@ class Client extends EventEmitter {
      * @param {String} options.name The thread channel name
      * @param {Number} [options.type] The channel type of the thread to create. It is recommended to explicitly set this property as this will be a required property in API v10
      * @param {Number} [options.rateLimitPerUser] The ratelimit of the channel, in seconds. 0 means no ratelimit is enabled
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ThreadChannel>}
      */
-    createThread(channelID, options) {
+    createThread(channelID, options, requestOptions) {
         if(options.message) {
             if(options.message.content !== undefined && typeof options.message.content !== "string") {
                 options.message.content = "" + options.message.content;
@@ -990,7 +1111,7 @@ class Client extends EventEmitter {
             name: options.name,
             type: options.type,
             rate_limit_per_user: options.rateLimitPerUser
-        }, files).then((channel) => Channel.from(channel, this));
+        }, files, requestOptions).then((channel) => Channel.from(channel, this));
     }
 
     /**
@@ -1001,33 +1122,36 @@ class Client extends EventEmitter {
      * @param {Number} [options.autoArchiveDuration] Duration in minutes to automatically archive the thread after recent activity, either 60, 1440, 4320 or 10080
      * @param {String} options.name The thread channel name
      * @param {Number} [options.rateLimitPerUser] The ratelimit of the channel, in seconds. 0 means no ratelimit is enabled
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<NewsThreadChannel | PublicThreadChannel>}
      */
-    createThreadWithMessage(channelID, messageID, options) {
+    createThreadWithMessage(channelID, messageID, options, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.THREAD_WITH_MESSAGE(channelID, messageID), true, {
             name: options.name,
             auto_archive_duration: options.autoArchiveDuration,
             rate_limit_per_user: options.rateLimitPerUser
-        }).then((channel) => Channel.from(channel, this));
+        }, undefined, requestOptions).then((channel) => Channel.from(channel, this));
     }
 
     /**
      * Crosspost (publish) a message to subscribed channels
      * @param {String} channelID The ID of the NewsChannel
      * @param {String} messageID The ID of the message
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>}
      */
-    crosspostMessage(channelID, messageID) {
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_CROSSPOST(channelID, messageID), true).then((message) => new Message(message, this));
+    crosspostMessage(channelID, messageID, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_CROSSPOST(channelID, messageID), true, undefined, undefined, requestOptions).then((message) => new Message(message, this));
     }
 
     /**
      * Delete an application emoji object
      * @param {String} emojiID The ID of the emoji
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteApplicationEmoji(emojiID) {
-        return this.requestHandler.request("DELETE", Endpoints.APPLICATION_EMOJI(this.application.id, emojiID), true);
+    deleteApplicationEmoji(emojiID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.APPLICATION_EMOJI(this.application.id, emojiID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -1035,24 +1159,26 @@ class Client extends EventEmitter {
      * @param {String} guildID The guildID to delete the rule from
      * @param {String} ruleID The ID of the rule to delete
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteAutoModerationRule(guildID, ruleID, reason) {
+    deleteAutoModerationRule(guildID, ruleID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.AUTO_MODERATION_RULE(guildID, ruleID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Delete a guild channel, or leave a private channel
      * @param {String} channelID The ID of the channel
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteChannel(channelID, reason) {
+    deleteChannel(channelID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.CHANNEL(channelID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1060,40 +1186,44 @@ class Client extends EventEmitter {
      * @param {String} channelID The ID of the channel
      * @param {String} overwriteID The ID of the overwritten user or role
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteChannelPermission(channelID, overwriteID, reason) {
+    deleteChannelPermission(channelID, overwriteID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.CHANNEL_PERMISSION(channelID, overwriteID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Delete a global application command
      * @param {String} commandID The command id
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteCommand(commandID) {
-        return this.requestHandler.request("DELETE", Endpoints.COMMAND(this.application.id, commandID), true);
+    deleteCommand(commandID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.COMMAND(this.application.id, commandID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Delete a guild (bot user must be owner)
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteGuild(guildID) {
-        return this.requestHandler.request("DELETE", Endpoints.GUILD(guildID), true);
+    deleteGuild(guildID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.GUILD(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Delete a guild application command
      * @param {String} guildID The guild ID
      * @param {String} commandID The command id
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteGuildCommand(guildID, commandID) {
-        return this.requestHandler.request("DELETE", Endpoints.GUILD_COMMAND(this.application.id, guildID, commandID), true);
+    deleteGuildCommand(guildID, commandID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.GUILD_COMMAND(this.application.id, guildID, commandID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -1101,32 +1231,35 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild to delete the emoji in
      * @param {String} emojiID The ID of the emoji
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteGuildEmoji(guildID, emojiID, reason) {
+    deleteGuildEmoji(guildID, emojiID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.GUILD_EMOJI(guildID, emojiID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Delete a guild integration
      * @param {String} guildID The ID of the guild
      * @param {String} integrationID The ID of the integration
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteGuildIntegration(guildID, integrationID) {
-        return this.requestHandler.request("DELETE", Endpoints.GUILD_INTEGRATION(guildID, integrationID), true);
+    deleteGuildIntegration(guildID, integrationID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.GUILD_INTEGRATION(guildID, integrationID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Delete a guild scheduled event
      * @param {String} guildID The ID of the guild
      * @param {String} eventID The ID of the event
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteGuildScheduledEvent(guildID, eventID) {
-        return this.requestHandler.request("DELETE", Endpoints.GUILD_SCHEDULED_EVENT(guildID, eventID), true);
+    deleteGuildScheduledEvent(guildID, eventID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.GUILD_SCHEDULED_EVENT(guildID, eventID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -1134,34 +1267,37 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {String} stickerID The ID of the sticker
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteGuildSticker(guildID, stickerID, reason) {
+    deleteGuildSticker(guildID, stickerID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.GUILD_STICKER(guildID, stickerID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Delete a guild template
      * @param {String} guildID The ID of the guild
      * @param {String} code The template code
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildTemplate>}
      */
-    deleteGuildTemplate(guildID, code) {
-        return this.requestHandler.request("DELETE", Endpoints.GUILD_TEMPLATE_GUILD(guildID, code), true).then((template) => new GuildTemplate(template, this));
+    deleteGuildTemplate(guildID, code, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.GUILD_TEMPLATE_GUILD(guildID, code), true, undefined, undefined, requestOptions).then((template) => new GuildTemplate(template, this));
     }
 
     /**
      * Delete an invite
      * @param {String} inviteID The ID of the invite
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteInvite(inviteID, reason) {
+    deleteInvite(inviteID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.INVITE(inviteID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1169,12 +1305,13 @@ class Client extends EventEmitter {
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteMessage(channelID, messageID, reason) {
+    deleteMessage(channelID, messageID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1182,14 +1319,15 @@ class Client extends EventEmitter {
      * @param {String} channelID The ID of the channel
      * @param {Array<String>} messageIDs Array of message IDs to delete
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteMessages(channelID, messageIDs, reason) {
+    deleteMessages(channelID, messageIDs, reason, requestOptions) {
         if(messageIDs.length === 0) {
             return Promise.resolve();
         }
         if(messageIDs.length === 1) {
-            return this.deleteMessage(channelID, messageIDs[0], reason);
+            return this.deleteMessage(channelID, messageIDs[0], reason, requestOptions);
         }
 
         const oldestAllowedSnowflake = (Date.now() - 1421280000000) * 4194304;
@@ -1202,12 +1340,12 @@ class Client extends EventEmitter {
             return this.requestHandler.request("POST", Endpoints.CHANNEL_BULK_DELETE(channelID), true, {
                 messages: messageIDs.splice(0, 100),
                 reason: reason
-            }).then(() => this.deleteMessages(channelID, messageIDs, reason));
+            }, undefined, requestOptions).then(() => this.deleteMessages(channelID, messageIDs, reason, requestOptions));
         }
         return this.requestHandler.request("POST", Endpoints.CHANNEL_BULK_DELETE(channelID), true, {
             messages: messageIDs,
             reason: reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1215,30 +1353,33 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild to create the role in
      * @param {String} roleID The ID of the role
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteRole(guildID, roleID, reason) {
+    deleteRole(guildID, roleID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.GUILD_ROLE(guildID, roleID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Delete a stage instance
      * @param {String} channelID The stage channel associated with the instance
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteStageInstance(channelID) {
-        return this.requestHandler.request("DELETE", Endpoints.STAGE_INSTANCE(channelID), true);
+    deleteStageInstance(channelID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.STAGE_INSTANCE(channelID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Deletes a testing entitlement
      * @param {String} entitlementID The test entitlement ID to remove
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteTestEntitlement(entitlementID) {
-        return this.requestHandler.request("DELETE", Endpoints.ENTITLEMENT(this.application.id, entitlementID), true);
+    deleteTestEntitlement(entitlementID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.ENTITLEMENT(this.application.id, entitlementID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -1246,12 +1387,13 @@ class Client extends EventEmitter {
      * @param {String} webhookID The ID of the webhook
      * @param {String} [token] The token of the webhook, used instead of the Bot Authorization token
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteWebhook(webhookID, token, reason) {
+    deleteWebhook(webhookID, token, reason, requestOptions) {
         return this.requestHandler.request("DELETE", token ? Endpoints.WEBHOOK_TOKEN(webhookID, token) : Endpoints.WEBHOOK(webhookID), !token, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1260,12 +1402,13 @@ class Client extends EventEmitter {
      * @param {String} token The token of the webhook
      * @param {String} messageID The ID of the message
      * @param {String} [threadID] The ID of the thread channel if the message is in a thread
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    deleteWebhookMessage(webhookID, token, messageID, threadID) {
+    deleteWebhookMessage(webhookID, token, messageID, threadID, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.WEBHOOK_MESSAGE(webhookID, token, messageID), false, {
             thread_id: threadID
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1279,6 +1422,11 @@ class Client extends EventEmitter {
             shard.disconnect(options);
         });
         this.shards.connectQueue = [];
+        this.shards._cancelReshard();
+        if(!options?.reconnect) {
+            clearInterval(this.#sweepInterval);
+            this.#sweepInterval = null;
+        }
     }
 
     /**
@@ -1296,10 +1444,11 @@ class Client extends EventEmitter {
     /**
      * Edits the application associated with this bot user
      * @param {Object} options The new application options. See [Discord's documentation](https://discord.com/developers/docs/resources/application#edit-current-application-json-params) for a list of them
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>}
      */
-    editApplication(options) {
-        return this.requestHandler.request("PATCH", Endpoints.APPLICATION, options);
+    editApplication(options, requestOptions) {
+        return this.requestHandler.request("PATCH", Endpoints.APPLICATION, options, undefined, undefined, requestOptions);
     }
 
     /**
@@ -1307,10 +1456,11 @@ class Client extends EventEmitter {
      * @param {String} emojiID The ID of the emoji you want to modify
      * @param {Object} options Emoji options
      * @param {String} [options.name] The name of emoji
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An application emoji object
      */
-    editApplicationEmoji(emojiID, options) {
-        return this.requestHandler.request("PATCH", Endpoints.APPLICATION_EMOJI(this.application.id, emojiID), true, options);
+    editApplicationEmoji(emojiID, options, requestOptions) {
+        return this.requestHandler.request("PATCH", Endpoints.APPLICATION_EMOJI(this.application.id, emojiID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -1326,9 +1476,10 @@ class Client extends EventEmitter {
      * @param {String} [options.name] The name of the rule
      * @param {String} [options.reason] The reason to be displayed in audit logs
      * @param {Object} [options.triggerMetadata] The [trigger metadata](https://discord.com/developers/docs/resources/auto-moderation#auto-moderation-rule-object-trigger-metadata) for the rule
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<AutoModerationRule>}
      */
-    editAutoModerationRule(guildID, ruleID, options) {
+    editAutoModerationRule(guildID, ruleID, options, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.AUTO_MODERATION_RULE(guildID, ruleID), true, {
             actions: options.actions,
             enabled: options.enabled,
@@ -1338,7 +1489,7 @@ class Client extends EventEmitter {
             name: options.name,
             reason: options.reason,
             trigger_metadata: options.triggerMetadata
-        }).then((rule) => new AutoModerationRule(rule, this));
+        }, undefined, requestOptions).then((rule) => new AutoModerationRule(rule, this));
     }
 
     /**
@@ -1369,9 +1520,10 @@ class Client extends EventEmitter {
      * @param {Number} [options.userLimit] The channel user limit (guild voice channels only)
      * @param {Number} [options.videoQualityMode] The camera video quality mode of the channel (guild voice channels only). `1` is auto, `2` is 720p
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<CategoryChannel | ForumChannel | TextChannel | TextVoiceChannel | NewsChannel | NewsThreadChannel | PrivateThreadChannel | PublicThreadChannel>}
      */
-    editChannel(channelID, options, reason) {
+    editChannel(channelID, options, reason, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.CHANNEL(channelID), true, {
             archived: options.archived,
             auto_archive_duration: options.autoArchiveDuration,
@@ -1408,7 +1560,7 @@ class Client extends EventEmitter {
             video_quality_mode: options.videoQualityMode,
             permission_overwrites: options.permissionOverwrites,
             reason: reason
-        }).then((channel) => Channel.from(channel, this));
+        }, undefined, requestOptions).then((channel) => Channel.from(channel, this));
     }
 
     /**
@@ -1419,9 +1571,10 @@ class Client extends EventEmitter {
      * @param {BigInt} deny The permissions number for denied permissions
      * @param {Number} type The object type of the overwrite, either 1 for "member" or 0 for "role"
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    editChannelPermission(channelID, overwriteID, allow, deny, type, reason) {
+    editChannelPermission(channelID, overwriteID, allow, deny, type, reason, requestOptions) {
         if(typeof type === "string") { // backward compatibility
             type = type === "member" ? 1 : 0;
         }
@@ -1430,7 +1583,7 @@ class Client extends EventEmitter {
             deny,
             type,
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1440,9 +1593,10 @@ class Client extends EventEmitter {
      * @param {Object} [options] Additional options when editing position
      * @param {Boolean} [options.lockPermissions] Whether to sync the channel's permissions with the new parent, if changing parents
      * @param {String} [options.parentID] The new parent ID (category channel) for the channel that is moved
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    editChannelPosition(channelID, position, options = {}) {
+    editChannelPosition(channelID, position, options = {}, requestOptions) {
         let channels = this.guilds.get(this.channelGuildMap[channelID]).channels;
         const channel = channels.get(channelID);
         if(!channel) {
@@ -1469,7 +1623,7 @@ class Client extends EventEmitter {
             position: index + min,
             lock_permissions: options.lockPermissions,
             parent_id: options.parentID
-        })));
+        })), undefined, requestOptions);
     }
 
     /**
@@ -1480,9 +1634,10 @@ class Client extends EventEmitter {
      * @param {Number} [channelPositions[].position] The new position of the channel
      * @param {Boolean} [channelPositions[].lockPermissions] Whether to sync the channel's permissions with the new parent, if changing parents
      * @param {String} [channelPositions[].parentID] The new parent ID (category channel) for the channel that is moved. For each request, only one channel can change parents
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    editChannelPositions(guildID, channelPositions) {
+    editChannelPositions(guildID, channelPositions, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.GUILD_CHANNELS(guildID), true, channelPositions.map((channelPosition) => {
             return {
                 id: channelPosition.id,
@@ -1490,7 +1645,7 @@ class Client extends EventEmitter {
                 lock_permissions: channelPosition.lockPermissions,
                 parent_id: channelPosition.parentID
             };
-        }));
+        }), undefined, requestOptions);
     }
 
     /**
@@ -1505,9 +1660,10 @@ class Client extends EventEmitter {
      * @param {bigint | number | string | Permission} [command.defaultMemberPermissions] The default member [permissions](https://discord.com/developers/docs/topics/permissions) represented as a bit set
      * @param {String} [command.defaultMemberPermissions] The [permissions](https://discord.com/developers/docs/topics/permissions) required by default for this command to be usable
      * @param {Boolean} [command.dmPermission] If this command can be used in direct messages
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand>}
      */
-    editCommand(commandID, command) {
+    editCommand(commandID, command, requestOptions) {
         if(command.name !== undefined && command.type === 1) {
             command.name = command.name.toLowerCase();
         }
@@ -1518,7 +1674,7 @@ class Client extends EventEmitter {
         command.dm_permission = command.dmPermission;
         command.description_localizations = command.descriptionLocalizations;
         command.name_localizations = command.nameLocalizations;
-        return this.requestHandler.request("PATCH", Endpoints.COMMAND(this.application.id, commandID), true, command).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
+        return this.requestHandler.request("PATCH", Endpoints.COMMAND(this.application.id, commandID), true, command, undefined, requestOptions).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
     }
 
     /**
@@ -1527,10 +1683,11 @@ class Client extends EventEmitter {
      * @param {String} guildID The guild ID
      * @param {String} commandID The command id
      * @param {Array<Object>} permissions An array of [permissions objects](https://discord.com/developers/docs/interactions/application-commands#application-command-permissions-object-application-command-permissions-structure)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with a [GuildApplicationCommandPermissions](https://discord.com/developers/docs/interactions/application-commands#application-command-permissions-object-guild-application-command-permissions-structure) object.
      */
-    editCommandPermissions(guildID, commandID, permissions) {
-        return this.requestHandler.request("PUT", Endpoints.COMMAND_PERMISSIONS(this.application.id, guildID, commandID), true, {permissions});
+    editCommandPermissions(guildID, commandID, permissions, requestOptions) {
+        return this.requestHandler.request("PUT", Endpoints.COMMAND_PERMISSIONS(this.application.id, guildID, commandID), true, {permissions}, undefined, requestOptions);
     }
 
     /**
@@ -1558,9 +1715,10 @@ class Client extends EventEmitter {
      * @param {String} [options.systemChannelID] The ID of the system channel
      * @param {Number} [options.verificationLevel] The guild verification level
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Guild>}
      */
-    editGuild(guildID, options, reason) {
+    editGuild(guildID, options, reason, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.GUILD(guildID), true, {
             name: options.name,
             icon: options.icon,
@@ -1583,7 +1741,7 @@ class Client extends EventEmitter {
             premium_progress_bar_enabled: options.premiumProgressBarEnabled,
             safety_alerts_channel_id: options.safetyAlertsChannelID,
             reason: reason
-        }).then((guild) => new Guild(guild, this));
+        }, undefined, requestOptions).then((guild) => new Guild(guild, this));
     }
 
     /**
@@ -1596,9 +1754,10 @@ class Client extends EventEmitter {
      * @param {Object} [command.descriptionLocalizations] A map of [locales](https://discord.com/developers/docs/reference#locales) to descriptions for that locale
      * @param {Array<Object>} [command.options] An array of [command options](https://discord.com/developers/docs/interactions/application-commands#application-command-object-application-command-option-structure)
      * @param {bigint | number | string | Permission} [command.defaultMemberPermissions] The default member [permissions](https://discord.com/developers/docs/topics/permissions) represented as a bit set
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand>}
      */
-    editGuildCommand(guildID, commandID, command) {
+    editGuildCommand(guildID, commandID, command, requestOptions) {
         if(command.name !== undefined && command.type === 1) {
             command.name = command.name.toLowerCase();
         }
@@ -1608,7 +1767,7 @@ class Client extends EventEmitter {
         command.default_member_permissions = command.defaultMemberPermissions;
         command.description_localizations = command.descriptionLocalizations;
         command.name_localizations = command.nameLocalizations;
-        return this.requestHandler.request("PATCH", Endpoints.GUILD_COMMAND(this.application.id, guildID, commandID), true, command).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
+        return this.requestHandler.request("PATCH", Endpoints.GUILD_COMMAND(this.application.id, guildID, commandID), true, command, undefined, requestOptions).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
     }
 
     /**
@@ -1619,11 +1778,12 @@ class Client extends EventEmitter {
      * @param {String} [options.name] The name of emoji
      * @param {Array} [options.roles] An array containing authorized role IDs
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A guild emoji object
      */
-    editGuildEmoji(guildID, emojiID, options, reason) {
+    editGuildEmoji(guildID, emojiID, options, reason, requestOptions) {
         options.reason = reason;
-        return this.requestHandler.request("PATCH", Endpoints.GUILD_EMOJI(guildID, emojiID), true, options);
+        return this.requestHandler.request("PATCH", Endpoints.GUILD_EMOJI(guildID, emojiID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -1639,9 +1799,10 @@ class Client extends EventEmitter {
      * @param {String} [options.nick] Set the member's server nickname, "" to remove
      * @param {Array<String>} [options.roles] The array of role IDs the member should have
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Member>}
      */
-    editGuildMember(guildID, memberID, options, reason) {
+    editGuildMember(guildID, memberID, options, reason, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.GUILD_MEMBER(guildID, memberID), true, {
             roles: options.roles?.filter((roleID, index) => options.roles.indexOf(roleID) === index),
             nick: options.nick,
@@ -1651,7 +1812,7 @@ class Client extends EventEmitter {
             communication_disabled_until: options.communicationDisabledUntil,
             flags: options.flags,
             reason: reason
-        }).then((member) => new Member(member, this.guilds.get(guildID), this));
+        }, undefined, requestOptions).then((member) => new Member(member, this.guilds.get(guildID), this));
     }
 
     /**
@@ -1660,10 +1821,11 @@ class Client extends EventEmitter {
      * @param {Object} options The options for the request
      * @param {Number} options.level The new MFA level
      * @param {String} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Number>} Returns the new MFA level
      */
-    editGuildMFALevel(guildID, options) {
-        return this.requestHandler.request("POST", Endpoints.GUILD_MFA_LEVEL(guildID), true, options).then((data) => data.level);
+    editGuildMFALevel(guildID, options, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.GUILD_MFA_LEVEL(guildID), true, options, undefined, requestOptions).then((data) => data.level);
     }
 
     /**
@@ -1671,10 +1833,11 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {Object} options The [guild onboarding](https://discord.com/developers/docs/resources/guild#guild-onboarding-object) object
      * @param {String} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with the [guild onboarding object](https://discord.com/developers/docs/resources/guild#guild-onboarding-object)
      */
-    editGuildOnboarding(guildID, options) {
-        return this.requestHandler.request("PUT", Endpoints.GUILD_ONBOARDING(guildID), true, options);
+    editGuildOnboarding(guildID, options, requestOptions) {
+        return this.requestHandler.request("PUT", Endpoints.GUILD_ONBOARDING(guildID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -1694,9 +1857,10 @@ class Client extends EventEmitter {
      * @param {Date} [event.scheduledStartTime] The time the event will start
      * @param {Number} [event.status] The [status](https://discord.com/developers/docs/resources/guild-scheduled-event#guild-scheduled-event-object-guild-scheduled-event-status) of the scheduled event
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildScheduledEvent>}
      */
-    editGuildScheduledEvent(guildID, eventID, event, reason) {
+    editGuildScheduledEvent(guildID, eventID, event, reason, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.GUILD_SCHEDULED_EVENT(guildID, eventID), true, {
             channel_id: event.channelID,
             description: event.description,
@@ -1709,7 +1873,7 @@ class Client extends EventEmitter {
             scheduled_start_time: event.scheduledStartTime,
             status: event.status,
             reason: reason
-        }).then((data) => new GuildScheduledEvent(data, this));
+        }, undefined, requestOptions).then((data) => new GuildScheduledEvent(data, this));
     }
 
     /**
@@ -1720,11 +1884,12 @@ class Client extends EventEmitter {
      * @param {String} [options.name] The name of the sticker
      * @param {String} [options.tags] The Discord name of a unicode emoji representing the sticker's expression
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A sticker object
      */
-    editGuildSticker(guildID, stickerID, options, reason) {
+    editGuildSticker(guildID, stickerID, options, reason, requestOptions) {
         options.reason = reason;
-        return this.requestHandler.request("PATCH", Endpoints.GUILD_STICKER(guildID, stickerID), true, options);
+        return this.requestHandler.request("PATCH", Endpoints.GUILD_STICKER(guildID, stickerID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -1734,10 +1899,11 @@ class Client extends EventEmitter {
      * @param {Object} options The properties to edit
      * @param {String} [options.name] The name of the template
      * @param {String?} [options.description] The description for the template. Set to `null` to remove the description
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildTemplate>}
      */
-    editGuildTemplate(guildID, code, options) {
-        return this.requestHandler.request("PATCH", Endpoints.GUILD_TEMPLATE_GUILD(guildID, code), true, options).then((template) => new GuildTemplate(template, this));
+    editGuildTemplate(guildID, code, options, requestOptions) {
+        return this.requestHandler.request("PATCH", Endpoints.GUILD_TEMPLATE_GUILD(guildID, code), true, options, undefined, requestOptions).then((template) => new GuildTemplate(template, this));
     }
 
     /**
@@ -1748,14 +1914,15 @@ class Client extends EventEmitter {
      * @param {Date?} [options.requestToSpeakTimestamp] Sets the user's request to speak - this can only be used when the `userID` param is "@me"
      * @param {Boolean} [options.suppress] Toggles the user's suppress state
      * @param {String} [userID="@me"] The user ID of the user to update
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    editGuildVoiceState(guildID, options, userID = "@me") {
+    editGuildVoiceState(guildID, options, userID = "@me", requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.GUILD_VOICE_STATE(guildID, userID), true, {
             channel_id: options.channelID,
             request_to_speak_timestamp: options.requestToSpeakTimestamp,
             suppress: options.suppress
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1769,9 +1936,10 @@ class Client extends EventEmitter {
      * @param {String} options.welcomeChannels[].description The description of the welcome channel
      * @param {String?} options.welcomeChannels[].emojiID The emoji ID of the welcome channel
      * @param {String?} options.welcomeChannels[].emojiName The emoji name of the welcome channel
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>}
      */
-    editGuildWelcomeScreen(guildID, options) {
+    editGuildWelcomeScreen(guildID, options, requestOptions) {
         return this.requestHandler.request("PATCH", Endpoints.GUILD_WELCOME_SCREEN(guildID), true, {
             description: options.description,
             enabled: options.enabled,
@@ -1783,7 +1951,7 @@ class Client extends EventEmitter {
                     emoji_name: c.emojiName
                 };
             })
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -1793,10 +1961,11 @@ class Client extends EventEmitter {
      * @param {Boolean} [options.enabled] Whether the guild widget is enabled
      * @param {String?} [options.channel_id] The channel ID for the guild widget
      * @param {String?} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A guild widget object
      */
-    editGuildWidget(guildID, options) {
-        return this.requestHandler.request("PATCH", Endpoints.GUILD_WIDGET_SETTINGS(guildID), true, options);
+    editGuildWidget(guildID, options, requestOptions) {
+        return this.requestHandler.request("PATCH", Endpoints.GUILD_WIDGET_SETTINGS(guildID), true, options, undefined, requestOptions);
     }
 
     /**
@@ -1810,16 +1979,19 @@ class Client extends EventEmitter {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
      * @param {String} [content.content] A content string
      * @param {Array<Object>} [content.embeds] An array of embed objects. See [Discord's Documentation](https://discord.com/developers/docs/resources/channel#embed-object) for object structure
      * @param {Number} [content.flags] A number representing the flags to apply to the message. See [Discord's Documentation](https://discord.com/developers/docs/resources/channel#message-object-message-flags) for a list
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>}
      */
-    editMessage(channelID, messageID, content) {
+    editMessage(channelID, messageID, content, requestOptions) {
         if(content !== undefined) {
             if(typeof content !== "object" || content === null) {
                 content = {
@@ -1836,7 +2008,7 @@ class Client extends EventEmitter {
         const {files, attachments} = content.attachments ? this._processAttachments(content.attachments) : [];
         content.attachments = attachments;
 
-        return this.requestHandler.request("PATCH", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, content, files).then((message) => new Message(message, this));
+        return this.requestHandler.request("PATCH", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, content, files, requestOptions).then((message) => new Message(message, this));
     }
 
     /**
@@ -1852,28 +2024,30 @@ class Client extends EventEmitter {
      * @param {BigInt | Number | String | Permission} [options.permissions] The role permissions
      * @param {String} [options.unicodeEmoji] The role's unicode emoji
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Role>}
      */
-    editRole(guildID, roleID, options, reason) {
+    editRole(guildID, roleID, options, reason, requestOptions) {
         options.unicode_emoji = options.unicodeEmoji;
         options.reason = reason;
         if(options.permissions !== undefined) {
             options.permissions = options.permissions instanceof Permission ? String(options.permissions.allow) : String(options.permissions);
         }
-        return this.requestHandler.request("PATCH", Endpoints.GUILD_ROLE(guildID, roleID), true, options).then((role) => new Role(role, this.guilds.get(guildID)));
+        return this.requestHandler.request("PATCH", Endpoints.GUILD_ROLE(guildID, roleID), true, options, undefined, requestOptions).then((role) => new Role(role, this.guilds.get(guildID)));
     }
 
     /**
      * Updates the role connection metadata
      * @param {Array<Object>} metadata An array of [role connection metadata objects](https://discord.com/developers/docs/resources/application-role-connection-metadata#application-role-connection-metadata-object)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object[]>}
      */
-    editRoleConnectionMetadata(metadata) {
+    editRoleConnectionMetadata(metadata, requestOptions) {
         for(const meta of metadata) {
             meta.name_localizations = meta.nameLocalizations;
             meta.description_localizations = meta.descriptionLocalizations;
         }
-        return this.requestHandler.request("PUT", Endpoints.ROLE_CONNECTION_METADATA(this.application.id), true, metadata).then((metadata) => metadata.map((meta) => ({
+        return this.requestHandler.request("PUT", Endpoints.ROLE_CONNECTION_METADATA(this.application.id), true, metadata, undefined, requestOptions).then((metadata) => metadata.map((meta) => ({
             ...meta,
             nameLocalizations: meta.name_localizations,
             descriptionLocalizations: meta.description_localizations
@@ -1885,9 +2059,10 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild the role is in
      * @param {String} roleID The ID of the role
      * @param {Number} position The new position of the role
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    editRolePosition(guildID, roleID, position) {
+    editRolePosition(guildID, roleID, position, requestOptions) {
         if(guildID === roleID) {
             return Promise.reject(new Error("Cannot move default role"));
         }
@@ -1910,7 +2085,7 @@ class Client extends EventEmitter {
         return this.requestHandler.request("PATCH", Endpoints.GUILD_ROLES(guildID), true, roles.map((role, index) => ({
             id: role.id,
             position: index + min
-        })));
+        })), undefined, requestOptions);
     }
 
     /**
@@ -1919,10 +2094,11 @@ class Client extends EventEmitter {
      * @param {String} [options.username] The new username
      * @param {String?} [options.avatar] The new avatar as a base64 data URI. Note: base64 strings alone are not base64 data URI strings
      * @param {String?} [options.banner] The new banner as a base64 data URI. Note: base64 strings alone are not base64 data URI strings
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ExtendedUser>}
      */
-    editSelf(options) {
-        return this.requestHandler.request("PATCH", Endpoints.USER("@me"), true, options).then((data) => new ExtendedUser(data, this));
+    editSelf(options, requestOptions) {
+        return this.requestHandler.request("PATCH", Endpoints.USER("@me"), true, options, undefined, requestOptions).then((data) => new ExtendedUser(data, this));
     }
 
     /**
@@ -1931,10 +2107,11 @@ class Client extends EventEmitter {
      * @param {Object} options The properties to edit
      * @param {Number} [options.privacyLevel] The privacy level of the stage instance. 1 is public (deprecated), 2 is guild only
      * @param {String} [options.topic] The stage instance topic
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<StageInstance>}
      */
-    editStageInstance(channelID, options) {
-        return this.requestHandler.request("PATCH", Endpoints.STAGE_INSTANCE(channelID), true, options).then((instance) => new StageInstance(instance, this));
+    editStageInstance(channelID, options, requestOptions) {
+        return this.requestHandler.request("PATCH", Endpoints.STAGE_INSTANCE(channelID), true, options, undefined, requestOptions).then((instance) => new StageInstance(instance, this));
     }
 
     /**
@@ -1977,15 +2154,16 @@ class Client extends EventEmitter {
      * @param {String} [options.channelID] The new channel ID where webhooks should be sent to
      * @param {String} [token] The token of the webhook, used instead of the Bot Authorization token
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with a webhook object
      */
-    editWebhook(webhookID, options, token, reason) {
+    editWebhook(webhookID, options, token, reason, requestOptions) {
         return this.requestHandler.request("PATCH", token ? Endpoints.WEBHOOK_TOKEN(webhookID, token) : Endpoints.WEBHOOK(webhookID), !token, {
             name: options.name,
             avatar: options.avatar,
             channel_id: options.channelID,
             reason: reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -2001,16 +2179,19 @@ class Client extends EventEmitter {
      * @param {Boolean | Array<String>} [options.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [options.attachments] The files to attach to the message
      * @param {String} options.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} options.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} options.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [options.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [options.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} options.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
      * @param {String} [options.content] A content string
      * @param {Array<Object>} [options.embeds] An array of embed objects. See [Discord's Documentation](https://discord.com/developers/docs/resources/channel#embed-object) for object structure
      * @param {String} [options.threadID] The ID of the thread channel in the webhook's channel to edit the message in
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>}
      */
-    editWebhookMessage(webhookID, token, messageID, options) {
+    editWebhookMessage(webhookID, token, messageID, options, requestOptions) {
         let qs = "";
         if(options.threadID) {
             qs += "&thread_id=" + options.threadID;
@@ -2022,17 +2203,18 @@ class Client extends EventEmitter {
         const {files, attachments} = options.attachments ? this._processAttachments(options.attachments) : [];
         options.attachments = attachments;
 
-        return this.requestHandler.request("PATCH", Endpoints.WEBHOOK_MESSAGE(webhookID, token, messageID) + (qs ? "?" + qs : ""), false, options, files).then((response) => new Message(response, this));
+        return this.requestHandler.request("PATCH", Endpoints.WEBHOOK_MESSAGE(webhookID, token, messageID) + (qs ? "?" + qs : ""), false, options, files, requestOptions).then((response) => new Message(response, this));
     }
 
     /**
      * Immediately ends a poll
      * @param {String} channelID The ID of the channel the poll is in
      * @param {String} messageID The ID of the message containing the poll
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>}
      */
-    endPoll(channelID, messageID) {
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_POLL_EXPIRE(channelID, messageID), true).then((data) => new Message(data, this));
+    endPoll(channelID, messageID, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_POLL_EXPIRE(channelID, messageID), true, undefined, undefined, requestOptions).then((data) => new Message(data, this));
     }
 
     /**
@@ -2043,9 +2225,10 @@ class Client extends EventEmitter {
      * @param {Boolean} [options.auth=false] Whether or not to authenticate with the bot token.
      * @param {String} [options.threadID] The ID of the thread channel in the webhook's channel to send the message to
      * @param {Boolean} [options.wait=false] Whether to wait for the server to confirm the message create or not
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    executeSlackWebhook(webhookID, token, options) {
+    executeSlackWebhook(webhookID, token, options, requestOptions) {
         const wait = !!options.wait;
         options.wait = undefined;
         const auth = !!options.auth;
@@ -2059,7 +2242,7 @@ class Client extends EventEmitter {
         if(threadID) {
             qs += "&thread_id=" + threadID;
         }
-        return this.requestHandler.request("POST", Endpoints.WEBHOOK_TOKEN_SLACK(webhookID, token) + (qs ? "?" + qs : ""), auth, options);
+        return this.requestHandler.request("POST", Endpoints.WEBHOOK_TOKEN_SLACK(webhookID, token) + (qs ? "?" + qs : ""), auth, options, undefined, requestOptions);
     }
 
     /**
@@ -2073,7 +2256,9 @@ class Client extends EventEmitter {
      * @param {Boolean | Array<String>} [options.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<String>} [options.appliedTags] The tags to apply to the created thread (available only in threads in thread-only channels)
      * @param {Array<Object>} [content.attachments] The files to attach to the message
-     * @param {Buffer} content.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Boolean} [options.auth=false] Whether or not to authenticate with the bot token.
@@ -2087,9 +2272,10 @@ class Client extends EventEmitter {
      * @param {Boolean} [options.tts=false] Whether the message should be a TTS message or not
      * @param {String} [options.username] A custom username, defaults to webhook default username if not specified
      * @param {Boolean} [options.wait=false] Whether to wait for the server to confirm the message create or not
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message?>}
      */
-    executeWebhook(webhookID, token, options) {
+    executeWebhook(webhookID, token, options, requestOptions) {
         let qs = "";
         if(options.wait) {
             qs += "&wait=true";
@@ -2112,7 +2298,7 @@ class Client extends EventEmitter {
             components: options.components,
             attachments: attachments,
             thread_name: options.threadName
-        }, files).then((response) => options.wait ? new Message(response, this) : undefined);
+        }, files, requestOptions).then((response) => options.wait ? new Message(response, this) : undefined);
     }
 
     /**
@@ -2120,19 +2306,21 @@ class Client extends EventEmitter {
      * @param {String} channelID The ID of the NewsChannel
      * @param {String} webhookChannelID The ID of the target channel
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Object} An object containing the NewsChannel's ID and the new webhook's ID
      */
-    followChannel(channelID, webhookChannelID, reason) {
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_FOLLOW(channelID), true, {webhook_channel_id: webhookChannelID, reason: reason});
+    followChannel(channelID, webhookChannelID, reason, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_FOLLOW(channelID), true, {webhook_channel_id: webhookChannelID, reason: reason}, undefined, requestOptions);
     }
 
     /**
      * Get all active threads in a guild
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An object containing an array of `threads` and an array of `members`
      */
-    getActiveGuildThreads(guildID) {
-        return this.requestHandler.request("GET", Endpoints.THREADS_GUILD_ACTIVE(guildID), true).then((response) => {
+    getActiveGuildThreads(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.THREADS_GUILD_ACTIVE(guildID), true, undefined, undefined, requestOptions).then((response) => {
             return {
                 members: response.members.map((member) => new ThreadMember(member, this)),
                 threads: response.threads.map((thread) => Channel.from(thread, this))
@@ -2143,27 +2331,30 @@ class Client extends EventEmitter {
     /**
      * Get data on the application associated with this bot account.
      * The returned data is similar to the `getOAuthApplication()` method with additional information.
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} The bot's application data. Refer to [Discord's Documentation](https://discord.com/developers/docs/resources/application#application-object) for object structure
      */
-    getApplication() {
-        return this.requestHandler.request("GET", Endpoints.APPLICATION, true);
+    getApplication(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.APPLICATION, true, undefined, undefined, requestOptions);
     }
 
     /**
      * Gets an application emoji for the current application
      * @param {String} emojiID The ID of the emoji
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An emoji object with creator data
      */
-    getApplicationEmoji(emojiID) {
-        return this.requestHandler.request("GET", Endpoints.APPLICATION_EMOJI(this.application.id, emojiID), true);
+    getApplicationEmoji(emojiID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.APPLICATION_EMOJI(this.application.id, emojiID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Gets a list of emojis for the current application
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object[]>} An array of emoji objects with creator data
      */
-    getApplicationEmojis() {
-        return this.requestHandler.request("GET", Endpoints.APPLICATION_EMOJIS(this.application.id), true);
+    getApplicationEmojis(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.APPLICATION_EMOJIS(this.application.id), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -2173,10 +2364,11 @@ class Client extends EventEmitter {
      * @param {Object} [options] Additional options when requesting archived threads
      * @param {Date} [options.before] List of threads to return before the timestamp
      * @param {Number} [options.limit] Maximum number of threads to return
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An object containing an array of `threads`, an array of `members` and whether the response `hasMore` threads that could be returned in a subsequent call
      */
-    getArchivedThreads(channelID, type, options = {}) {
-        return this.requestHandler.request("GET", Endpoints.THREADS_ARCHIVED(channelID, type), true, options).then((response) => {
+    getArchivedThreads(channelID, type, options = {}, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.THREADS_ARCHIVED(channelID, type), true, options, undefined, requestOptions).then((response) => {
             return {
                 hasMore: response.has_more,
                 members: response.members.map((member) => new ThreadMember(member, this)),
@@ -2189,27 +2381,30 @@ class Client extends EventEmitter {
      * Get an existing auto moderation rule
      * @param {String} guildID The ID of the guild to get the rule from
      * @param {String} ruleID The ID of the rule to get
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<AutoModerationRule>}
      */
-    getAutoModerationRule(guildID, ruleID) {
-        return this.requestHandler.request("GET", Endpoints.AUTO_MODERATION_RULE(guildID, ruleID), true).then((rule) => new AutoModerationRule(rule, this));
+    getAutoModerationRule(guildID, ruleID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.AUTO_MODERATION_RULE(guildID, ruleID), true, undefined, undefined, requestOptions).then((rule) => new AutoModerationRule(rule, this));
     }
 
     /**
      * Get a guild's auto moderation rules
      * @param {String} guildID The ID of the guild to get the rules of
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object[]>}
      */
-    getAutoModerationRules(guildID) {
-        return this.requestHandler.request("GET", Endpoints.AUTO_MODERATION_RULES(guildID), true).then((rules) => rules.map((rule) => new AutoModerationRule(rule, this)));
+    getAutoModerationRules(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.AUTO_MODERATION_RULES(guildID), true, undefined, undefined, requestOptions).then((rules) => rules.map((rule) => new AutoModerationRule(rule, this)));
     }
 
     /**
      * Get general and bot-specific info on connecting to the Discord gateway (e.g. connection ratelimit)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with an object containing gateway connection info
      */
-    getBotGateway() {
-        return this.requestHandler.request("GET", Endpoints.GATEWAY_BOT, true);
+    getBotGateway(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GATEWAY_BOT, true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -2234,70 +2429,76 @@ class Client extends EventEmitter {
     /**
      * Get all invites in a channel
      * @param {String} channelID The ID of the channel
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Invite>>}
      */
-    getChannelInvites(channelID) {
-        return this.requestHandler.request("GET", Endpoints.CHANNEL_INVITES(channelID), true).then((invites) => invites.map((invite) => new Invite(invite, this)));
+    getChannelInvites(channelID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.CHANNEL_INVITES(channelID), true, undefined, undefined, requestOptions).then((invites) => invites.map((invite) => new Invite(invite, this)));
     }
 
     /**
      * Get all the webhooks in a channel
      * @param {String} channelID The ID of the channel to get webhooks for
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} Resolves with an array of webhook objects
      */
-    getChannelWebhooks(channelID) {
-        return this.requestHandler.request("GET", Endpoints.CHANNEL_WEBHOOKS(channelID), true);
+    getChannelWebhooks(channelID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.CHANNEL_WEBHOOKS(channelID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a global application command
      * @param {String} commandID The command id
      * @param {Boolean} [withLocalizations] Include [localizations](https://discord.com/developers/docs/interactions/application-commands#retrieving-localized-commands) in the response
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand>}
      */
-    getCommand(commandID, withLocalizations) {
+    getCommand(commandID, withLocalizations, requestOptions) {
         let qs = "";
         if(withLocalizations) {
             qs += "&with_localizations=true";
         }
-        return this.requestHandler.request("GET", Endpoints.COMMAND(this.application.id, commandID) + (qs ? "?" + qs : ""), true).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
+        return this.requestHandler.request("GET", Endpoints.COMMAND(this.application.id, commandID) + (qs ? "?" + qs : ""), true, undefined, undefined, requestOptions).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
     }
 
     /**
      * Get the a guild's application command permissions
      * @param {String} guildID The guild ID
      * @param {String} commandID The command id
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with a guild application command permissions object.
      */
-    getCommandPermissions(guildID, commandID) {
-        return this.requestHandler.request("GET", Endpoints.COMMAND_PERMISSIONS(this.application.id, guildID, commandID), true);
+    getCommandPermissions(guildID, commandID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.COMMAND_PERMISSIONS(this.application.id, guildID, commandID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get the global application commands
      * @param {Boolean} [withLocalizations] Include [localizations](https://discord.com/developers/docs/interactions/application-commands#retrieving-localized-commands) in the response
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand[]>}
      */
-    getCommands(withLocalizations) {
+    getCommands(withLocalizations, requestOptions) {
         let qs = "";
         if(withLocalizations) {
             qs += "&with_localizations=true";
         }
-        return this.requestHandler.request("GET", Endpoints.COMMANDS(this.application.id) + (qs ? "?" + qs : ""), true).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
+        return this.requestHandler.request("GET", Endpoints.COMMANDS(this.application.id) + (qs ? "?" + qs : ""), true, undefined, undefined, requestOptions).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
     }
 
     /**
      * Get a DM channel with a user, or create one if it does not exist
      * @param {String} userID The ID of the user
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<PrivateChannel>}
      */
-    getDMChannel(userID) {
+    getDMChannel(userID, requestOptions) {
         if(this.privateChannelMap[userID]) {
             return Promise.resolve(this.privateChannels.get(this.privateChannelMap[userID]));
         }
         return this.requestHandler.request("POST", Endpoints.USER_CHANNELS("@me"), true, {
             recipient_id: userID
-        }).then((privateChannel) => new PrivateChannel(privateChannel, this));
+        }, undefined, requestOptions).then((privateChannel) => new PrivateChannel(privateChannel, this));
     }
 
     /**
@@ -2310,22 +2511,24 @@ class Client extends EventEmitter {
      * @param {Number} [options.limit=100] The amount of entitlements to retrieve (1-100)
      * @param {String} [options.guildID] The guild ID to look entitlements up for
      * @param {Boolean} [options.excludeEnded] Whether to omit already expired entitlements or not
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Entitlement>>}
      */
-    getEntitlements(options = {}) {
+    getEntitlements(options = {}, requestOptions) {
         options.user_id = options.userID;
         options.sku_ids = options.skuIDs;
         options.guild_id = options.guildID;
         options.exclude_ended = options.excludeEnded;
-        return this.requestHandler.request("GET", Endpoints.ENTITLEMENTS(this.application.id), true, options).then((entitlements) => entitlements.map((entitlement) => new Entitlement(entitlement, this)));
+        return this.requestHandler.request("GET", Endpoints.ENTITLEMENTS(this.application.id), true, options, undefined, requestOptions).then((entitlements) => entitlements.map((entitlement) => new Entitlement(entitlement, this)));
     }
 
     /**
      * Get info on connecting to the Discord gateway
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with an object containing gateway connection info
      */
-    getGateway() {
-        return this.requestHandler.request("GET", Endpoints.GATEWAY);
+    getGateway(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GATEWAY, undefined, undefined, undefined, requestOptions);
     }
 
     /**
@@ -2337,9 +2540,10 @@ class Client extends EventEmitter {
      * @param {String} [options.before] Get entries before this entry ID
      * @param {Number} [options.limit=50] The maximum number of entries to return
      * @param {String} [options.userID] Filter entries by the user that performed the action
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<{autoModerationRules: Array<AutoModerationRule>, commands: Array<ApplicationCommand>, entries: Array<GuildAuditLogEntry>, events: Array<GuildScheduledEvent>, integrations: Array<PartialIntegration>, threads: Array<NewsThreadChannel | PrivateThreadChannel | PublicThreadChannel>, users: Array<User>, webhooks: Array<Webhook>}>}
      */
-    getGuildAuditLog(guildID, options = {}) {
+    getGuildAuditLog(guildID, options = {}, requestOptions) {
         options.limit ??= 50; // Legacy behavior
         if(options.actionType !== undefined) {
             options.action_type = options.actionType;
@@ -2347,7 +2551,7 @@ class Client extends EventEmitter {
         if(options.userID !== undefined) {
             options.user_id = options.userID;
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_AUDIT_LOGS(guildID), true, options).then((data) => {
+        return this.requestHandler.request("GET", Endpoints.GUILD_AUDIT_LOGS(guildID), true, options, undefined, requestOptions).then((data) => {
             const guild = this.guilds.get(guildID);
             const users = data.users.map((user) => this.users.add(user, this));
             const threads = data.threads.map((thread) => guild.threads.update(thread, this));
@@ -2372,10 +2576,11 @@ class Client extends EventEmitter {
      * Get a ban from the ban list of a guild
      * @param {String} guildID The ID of the guild
      * @param {String} userID The ID of the banned user
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with {reason: String, user: User}
      */
-    getGuildBan(guildID, userID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_BAN(guildID, userID), true).then((ban) => {
+    getGuildBan(guildID, userID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_BAN(guildID, userID), true, undefined, undefined, requestOptions).then((ban) => {
             ban.user = new User(ban.user, this);
             return ban;
         });
@@ -2388,14 +2593,15 @@ class Client extends EventEmitter {
      * @param {String} [options.after] Only get users after given user ID
      * @param {String} [options.before] Only get users before given user ID
      * @param {Number} [options.limit=1000] The maximum number of users to return
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} Resolves with an array of { reason: String, user: User }
      */
-    async getGuildBans(guildID, options = {}) {
+    async getGuildBans(guildID, options = {}, requestOptions) {
         const bans = await this.requestHandler.request("GET", Endpoints.GUILD_BANS(guildID), true, {
             after: options.after,
             before: options.before,
             limit: options.limit && Math.min(options.limit, 1000)
-        });
+        }, undefined, requestOptions);
 
         for(const ban of bans) {
             ban.user = this.users.update(ban.user, this);
@@ -2406,7 +2612,7 @@ class Client extends EventEmitter {
                 after: options.before ? undefined : bans[bans.length - 1].user.id,
                 before: options.before ? bans[0].user.id : undefined,
                 limit: options.limit - bans.length
-            });
+            }, requestOptions);
 
             if(options.before) {
                 bans.unshift(...page);
@@ -2423,74 +2629,81 @@ class Client extends EventEmitter {
      * @param {String} guildID The guild ID
      * @param {String} commandID The command id
      * @param {Boolean} [withLocalizations] Include [localizations](https://discord.com/developers/docs/interactions/application-commands#retrieving-localized-commands) in the response
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand>} Resolves with an command object.
      */
-    getGuildCommand(guildID, commandID, withLocalizations) {
+    getGuildCommand(guildID, commandID, withLocalizations, requestOptions) {
         let qs = "";
         if(withLocalizations) {
             qs += "&with_localizations=true";
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_COMMAND(this.application.id, guildID, commandID) + (qs ? "?" + qs : ""), true).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
+        return this.requestHandler.request("GET", Endpoints.GUILD_COMMAND(this.application.id, guildID, commandID) + (qs ? "?" + qs : ""), true, undefined, undefined, requestOptions).then((applicationCommand) => new ApplicationCommand(applicationCommand, this));
     }
 
     /**
      * Get the all of a guild's application command permissions
      * @param {String} guildID The guild ID
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} Resolves with an array of guild application command permissions objects.
      */
-    getGuildCommandPermissions(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_COMMAND_PERMISSIONS(this.application.id, guildID), true);
+    getGuildCommandPermissions(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_COMMAND_PERMISSIONS(this.application.id, guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild's application commands
      * @param {String} guildID The guild id
      * @param {Boolean} [withLocalizations] Include [localizations](https://discord.com/developers/docs/interactions/application-commands#retrieving-localized-commands) in the response
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ApplicationCommand[]>} Resolves with an array of command objects.
      */
-    getGuildCommands(guildID, withLocalizations) {
+    getGuildCommands(guildID, withLocalizations, requestOptions) {
         let qs = "";
         if(withLocalizations) {
             qs += "&with_localizations=true";
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_COMMANDS(this.application.id, guildID) + (qs ? "?" + qs : ""), true).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
+        return this.requestHandler.request("GET", Endpoints.GUILD_COMMANDS(this.application.id, guildID) + (qs ? "?" + qs : ""), true, undefined, undefined, requestOptions).then((applicationCommands) => applicationCommands.map((applicationCommand) => new ApplicationCommand(applicationCommand, this)));
     }
 
     /**
      * Get a list of integrations for a guild
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<GuildIntegration>>}
      */
-    getGuildIntegrations(guildID) {
+    getGuildIntegrations(guildID, requestOptions) {
         const guild = this.guilds.get(guildID);
-        return this.requestHandler.request("GET", Endpoints.GUILD_INTEGRATIONS(guildID), true).then((integrations) => integrations.map((integration) => new GuildIntegration(integration, guild)));
+        return this.requestHandler.request("GET", Endpoints.GUILD_INTEGRATIONS(guildID), true, undefined, undefined, requestOptions).then((integrations) => integrations.map((integration) => new GuildIntegration(integration, guild)));
     }
 
     /**
      * Get all invites in a guild
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Invite>>}
      */
-    getGuildInvites(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_INVITES(guildID), true).then((invites) => invites.map((invite) => new Invite(invite, this)));
+    getGuildInvites(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_INVITES(guildID), true, undefined, undefined, requestOptions).then((invites) => invites.map((invite) => new Invite(invite, this)));
     }
 
     /**
      * Get the onboarding flow of a guild, shown to new members
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with the [guild onboarding object](https://discord.com/developers/docs/resources/guild#guild-onboarding-object)
      */
-    getGuildOnboarding(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_ONBOARDING(guildID), true);
+    getGuildOnboarding(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_ONBOARDING(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild preview for a guild. Only available for community guilds.
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildPreview>}
      */
-    getGuildPreview(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_PREVIEW(guildID), true).then((data) => new GuildPreview(data, this));
+    getGuildPreview(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_PREVIEW(guildID), true, undefined, undefined, requestOptions).then((data) => new GuildPreview(data, this));
     }
 
     /**
@@ -2498,11 +2711,12 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {Object} [options] Options for the request
      * @param {Boolean} [options.withUserCount] Whether to include the number of users subscribed to each event
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<GuildScheduledEvent>>}
      */
-    getGuildScheduledEvents(guildID, options = {}) {
+    getGuildScheduledEvents(guildID, options = {}, requestOptions) {
         options.with_user_count = options.withUserCount;
-        return this.requestHandler.request("GET", Endpoints.GUILD_SCHEDULED_EVENTS(guildID), true, options).then((data) => data.map((event) => new GuildScheduledEvent(event, this)));
+        return this.requestHandler.request("GET", Endpoints.GUILD_SCHEDULED_EVENTS(guildID), true, options, undefined, requestOptions).then((data) => data.map((event) => new GuildScheduledEvent(event, this)));
     }
 
     /**
@@ -2514,13 +2728,14 @@ class Client extends EventEmitter {
      * @param {String} [options.before] Get users before this user ID
      * @param {Number} [options.limit=100] The number of users to get (max 100). Pagination will only work if one of `options.after` or `options.after` is also provided
      * @param {Boolean} [options.withMember] Include guild member data
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<{guildScheduledEventID: String, member: Member | undefined, user: User}>>}
      */
-    getGuildScheduledEventUsers(guildID, eventID, options = {}) {
+    getGuildScheduledEventUsers(guildID, eventID, options = {}, requestOptions) {
         const guild = this.guilds.get(guildID);
 
         options.with_member = options.withMember;
-        return this.requestHandler.request("GET", Endpoints.GUILD_SCHEDULED_EVENT_USERS(guildID, eventID), true, options).then((data) => data.map((eventUser) => {
+        return this.requestHandler.request("GET", Endpoints.GUILD_SCHEDULED_EVENT_USERS(guildID, eventID), true, options, undefined, requestOptions).then((data) => data.map((eventUser) => {
             if(eventUser.member) {
                 eventUser.member.id = eventUser.user.id;
             }
@@ -2535,64 +2750,71 @@ class Client extends EventEmitter {
     /**
      * Get a guild template
      * @param {String} code The template code
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildTemplate>}
      */
-    getGuildTemplate(code) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_TEMPLATE(code), true).then((template) => new GuildTemplate(template, this));
+    getGuildTemplate(code, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_TEMPLATE(code), true, undefined, undefined, requestOptions).then((template) => new GuildTemplate(template, this));
     }
 
     /**
      * Get a guild's templates
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<GuildTemplate>>}
      */
-    getGuildTemplates(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_TEMPLATES(guildID), true).then((templates) => templates.map((t) => new GuildTemplate(t, this)));
+    getGuildTemplates(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_TEMPLATES(guildID), true, undefined, undefined, requestOptions).then((templates) => templates.map((t) => new GuildTemplate(t, this)));
     }
 
     /**
      * Returns the vanity url of the guild
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    getGuildVanity(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_VANITY_URL(guildID), true);
+    getGuildVanity(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_VANITY_URL(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get all the webhooks in a guild
      * @param {String} guildID The ID of the guild to get webhooks for
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} Resolves with an array of webhook objects
      */
-    getGuildWebhooks(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_WEBHOOKS(guildID), true);
+    getGuildWebhooks(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_WEBHOOKS(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get the welcome screen of a Community guild, shown to new members
      * @param {String} guildID The ID of the guild to get the welcome screen for
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>}
      */
-    getGuildWelcomeScreen(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_WELCOME_SCREEN(guildID), true);
+    getGuildWelcomeScreen(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_WELCOME_SCREEN(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild's widget object
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A guild widget object
      */
-    getGuildWidget(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_WIDGET(guildID), true);
+    getGuildWidget(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_WIDGET(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild's widget settings object. Requires MANAGE_GUILD permission
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A guild widget setting object
      */
-    getGuildWidgetSettings(guildID) {
-        return this.requestHandler.request("GET", Endpoints.GUILD_WIDGET_SETTINGS(guildID), true);
+    getGuildWidgetSettings(guildID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.GUILD_WIDGET_SETTINGS(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -2602,13 +2824,14 @@ class Client extends EventEmitter {
      * @param {Boolean} [options.withCounts] Whether to fetch additional invite info or not (approximate member counts, approximate presences, channel counts, etc.)
      * @param {Boolean} [options.withExpiration] Whether to fetch the expiration time or not
      * @param {String} [options.guildScheduledEventID] The guild scheduled event ID to include along with the invite
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Invite>}
      */
-    getInvite(inviteID, options = {}) {
+    getInvite(inviteID, options = {}, requestOptions) {
         options.with_counts = options.withCounts;
         options.with_expiration = options.withExpiration;
         options.guild_scheduled_event_id = options.guildScheduledEventID;
-        return this.requestHandler.request("GET", Endpoints.INVITE(inviteID), true, options).then((invite) => new Invite(invite, this));
+        return this.requestHandler.request("GET", Endpoints.INVITE(inviteID), true, options, undefined, requestOptions).then((invite) => new Invite(invite, this));
     }
 
     /**
@@ -2617,10 +2840,11 @@ class Client extends EventEmitter {
      * @param {Object} [options] Additional options when requesting archived threads
      * @param {Date} [options.before] List of threads to return before the timestamp
      * @param {Number} [options.limit] Maximum number of threads to return
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An object containing an array of `threads`, an array of `members` and whether the response `hasMore` threads that could be returned in a subsequent call
      */
-    getJoinedPrivateArchivedThreads(channelID, options = {}) {
-        return this.requestHandler.request("GET", Endpoints.THREADS_ARCHIVED_JOINED(channelID), true, options).then((response) => {
+    getJoinedPrivateArchivedThreads(channelID, options = {}, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.THREADS_ARCHIVED_JOINED(channelID), true, options, undefined, requestOptions).then((response) => {
             return {
                 hasMore: response.has_more,
                 members: response.members.map((member) => new ThreadMember(member, this)),
@@ -2633,10 +2857,11 @@ class Client extends EventEmitter {
      * Get a previous message in a channel
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>}
      */
-    getMessage(channelID, messageID) {
-        return this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true).then((message) => new Message(message, this));
+    getMessage(channelID, messageID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGE(channelID, messageID), true, undefined, undefined, requestOptions).then((message) => new Message(message, this));
     }
 
     /**
@@ -2648,14 +2873,15 @@ class Client extends EventEmitter {
      * @param {Number} [options.limit=100] The maximum number of users to get
      * @param {String} [options.after] Get users after this user ID
      * @param {Number} [options.type=0] The type of reaction to get
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<User>>}
      */
-    getMessageReaction(channelID, messageID, reaction, options = {}) {
+    getMessageReaction(channelID, messageID, reaction, options = {}, requestOptions) {
         if(reaction === decodeURI(reaction)) {
             reaction = encodeURIComponent(reaction);
         }
         options.limit ??= 100; // Legacy behavior
-        return this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGE_REACTION(channelID, messageID, reaction), true, options).then((users) => users.map((user) => new User(user, this)));
+        return this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGE_REACTION(channelID, messageID, reaction), true, options, undefined, requestOptions).then((users) => users.map((user) => new User(user, this)));
     }
 
     /**
@@ -2666,9 +2892,10 @@ class Client extends EventEmitter {
      * @param {String} [options.around] Get messages around this message ID (does not work with limit > 100)
      * @param {String} [options.before] Get messages before this message ID
      * @param {Number} [options.limit=50] The max number of messages to get
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Message>>}
      */
-    async getMessages(channelID, options = {}) {
+    async getMessages(channelID, options = {}, requestOptions) {
         options.limit ??= 50; // Legacy behavior
         let limit = options.limit;
         if(limit && limit > 100) {
@@ -2678,7 +2905,7 @@ class Client extends EventEmitter {
                     limit: 100,
                     before: _before || undefined,
                     after: _after || undefined
-                });
+                }, undefined, requestOptions);
                 if(limit <= messages.length) {
                     return (_after ? messages.slice(messages.length - limit, messages.length).map((message) => new Message(message, this)).concat(logs) : logs.concat(messages.slice(0, limit).map((message) => new Message(message, this))));
                 }
@@ -2692,7 +2919,7 @@ class Client extends EventEmitter {
             };
             return get(options.before, options.after);
         }
-        const messages = await this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGES(channelID), true, options);
+        const messages = await this.requestHandler.request("GET", Endpoints.CHANNEL_MESSAGES(channelID), true, options, undefined, requestOptions);
         return messages.map((message) => {
             try {
                 return new Message(message, this);
@@ -2705,28 +2932,31 @@ class Client extends EventEmitter {
 
     /**
      * [DEPRECATED] Get the list of sticker packs available to Nitro subscribers
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An object which contains a value which contains an array of sticker packs
      */
-    getNitroStickerPacks() {
+    getNitroStickerPacks(requestOptions) {
         emitDeprecation("NITRO_STICKER_PACKS");
-        return this.getStickerPacks();
+        return this.getStickerPacks(requestOptions);
     }
 
     /**
      * Get data on the bot's OAuth2 application. See also `getApplication()` for more info.
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} The bot's application data. Refer to [Discord's Documentation](https://discord.com/developers/docs/resources/application#application-object) for object structure
      */
-    getOAuthApplication() {
-        return this.requestHandler.request("GET", Endpoints.OAUTH2_APPLICATION, true);
+    getOAuthApplication(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.OAUTH2_APPLICATION, true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get all the pins in a channel
      * @param {String} channelID The ID of the channel
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Message>>}
      */
-    getPins(channelID) {
-        return this.requestHandler.request("GET", Endpoints.CHANNEL_PINS(channelID), true).then((messages) => messages.map((message) => new Message(message, this)));
+    getPins(channelID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.CHANNEL_PINS(channelID), true, undefined, undefined, requestOptions).then((messages) => messages.map((message) => new Message(message, this)));
     }
 
     /**
@@ -2737,10 +2967,11 @@ class Client extends EventEmitter {
      * @param {Object} [options] Options for fetching the answer list
      * @param {String} [options.after] Get users after this user ID
      * @param {Number} [options.limit=100] The maximum number of users to get
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<User>>}
      */
-    getPollAnswerVoters(channelID, messageID, answerID, options = {}) {
-        return this.requestHandler.request("GET", Endpoints.CHANNEL_POLL_ANSWERS(channelID, messageID, answerID), true, options).then((data) => data.users.map((user) => new User(user, this)));
+    getPollAnswerVoters(channelID, messageID, answerID, options = {}, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.CHANNEL_POLL_ANSWERS(channelID, messageID, answerID), true, options, undefined, requestOptions).then((data) => data.users.map((user) => new User(user, this)));
     }
 
     /**
@@ -2749,25 +2980,27 @@ class Client extends EventEmitter {
      * @param {Number} [options] The options to use to get number of prune members
      * @param {Number} [options.days=7] The number of days of inactivity to prune for
      * @param {Array<String>} [options.includeRoles] An array of role IDs that members must have to be considered for pruning
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Number>} Resolves with the number of members that would be pruned
      */
-    getPruneCount(guildID, options = {}) {
+    getPruneCount(guildID, options = {}, requestOptions) {
         return this.requestHandler.request("GET", Endpoints.GUILD_PRUNE(guildID), true, {
             days: options.days,
             include_roles: options.includeRoles
-        }).then((data) => data.pruned);
+        }, undefined, requestOptions).then((data) => data.pruned);
     }
 
     /**
      * Get a channel's data via the REST API. REST mode is required to use this endpoint.
      * @param {String} channelID The ID of the channel
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<CategoryChannel | PrivateChannel | TextChannel | TextVoiceChannel | NewsChannel | NewsThreadChannel | PrivateThreadChannel | PublicThreadChannel>}
      */
-    getRESTChannel(channelID) {
+    getRESTChannel(channelID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.CHANNEL(channelID), true)
+        return this.requestHandler.request("GET", Endpoints.CHANNEL(channelID), true, undefined, undefined, requestOptions)
             .then((channel) => Channel.from(channel, this));
     }
 
@@ -2775,27 +3008,29 @@ class Client extends EventEmitter {
      * Get a guild's data via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
      * @param {Boolean} [withCounts=false] Whether the guild object will have approximateMemberCount and approximatePresenceCount
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Guild>}
      */
-    getRESTGuild(guildID, withCounts = false) {
+    getRESTGuild(guildID, withCounts = false, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
         return this.requestHandler.request("GET", Endpoints.GUILD(guildID), true, {
             with_counts: withCounts
-        }).then((guild) => new Guild(guild, this));
+        }, undefined, requestOptions).then((guild) => new Guild(guild, this));
     }
 
     /**
      * Get a guild's channels via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<CategoryChannel | TextChannel | TextVoiceChannel | NewsChannel | StageChannel>>}
      */
-    getRESTGuildChannels(guildID) {
+    getRESTGuildChannels(guildID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_CHANNELS(guildID), true)
+        return this.requestHandler.request("GET", Endpoints.GUILD_CHANNELS(guildID), true, undefined, undefined, requestOptions)
             .then((channels) => channels.map((channel) => Channel.from(channel, this)));
     }
 
@@ -2803,38 +3038,41 @@ class Client extends EventEmitter {
      * Get a guild emoji via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
      * @param {String} emojiID The ID of the emoji
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An emoji object
      */
-    getRESTGuildEmoji(guildID, emojiID) {
+    getRESTGuildEmoji(guildID, emojiID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_EMOJI(guildID, emojiID), true);
+        return this.requestHandler.request("GET", Endpoints.GUILD_EMOJI(guildID, emojiID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild's emojis via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} An array of guild emoji objects
      */
-    getRESTGuildEmojis(guildID) {
+    getRESTGuildEmojis(guildID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_EMOJIS(guildID), true);
+        return this.requestHandler.request("GET", Endpoints.GUILD_EMOJIS(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild's members via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
      * @param {String} memberID The ID of the member
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Member>}
      */
-    getRESTGuildMember(guildID, memberID) {
+    getRESTGuildMember(guildID, memberID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_MEMBER(guildID, memberID), true).then((member) => new Member(member, this.guilds.get(guildID), this));
+        return this.requestHandler.request("GET", Endpoints.GUILD_MEMBER(guildID, memberID), true, undefined, undefined, requestOptions).then((member) => new Member(member, this.guilds.get(guildID), this));
     }
 
     /**
@@ -2843,38 +3081,41 @@ class Client extends EventEmitter {
      * @param {Object} [options] Options for the request.
      * @param {String} [options.after] The highest user ID of the previous page
      * @param {Number} [options.limit=1] The max number of members to get (1 to 1000)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Member>>}
      */
-    getRESTGuildMembers(guildID, options = {}) {
+    getRESTGuildMembers(guildID, options = {}, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_MEMBERS(guildID), true, options).then((members) => members.map((member) => new Member(member, this.guilds.get(guildID), this)));
+        return this.requestHandler.request("GET", Endpoints.GUILD_MEMBERS(guildID), true, options, undefined, requestOptions).then((members) => members.map((member) => new Member(member, this.guilds.get(guildID), this)));
     }
 
     /**
      * Get a guild role via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
      * @param {String} roleID The ID of the role
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Role>>}
      */
-    getRESTGuildRole(guildID, roleID) {
+    getRESTGuildRole(guildID, roleID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_ROLE(guildID, roleID), true).then((role) => new Role(role, null));
+        return this.requestHandler.request("GET", Endpoints.GUILD_ROLE(guildID, roleID), true, undefined, undefined, requestOptions).then((role) => new Role(role, null));
     }
 
     /**
      * Get a guild's roles via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Role>>}
      */
-    getRESTGuildRoles(guildID) {
+    getRESTGuildRoles(guildID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_ROLES(guildID), true).then((roles) => roles.map((role) => new Role(role, null)));
+        return this.requestHandler.request("GET", Endpoints.GUILD_ROLES(guildID), true, undefined, undefined, requestOptions).then((roles) => roles.map((role) => new Role(role, null)));
     }
 
     /**
@@ -2884,15 +3125,16 @@ class Client extends EventEmitter {
      * @param {String} [options.before] The lowest guild ID of the next page
      * @param {Number} [options.limit=200] The max number of guilds to get (1 to 200)
      * @param {Boolean} [options.withCounts] Whether the guild objects will have approximateMemberCount and approximatePresenceCount
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Guild>>}
      */
-    getRESTGuilds(options = {}) {
+    getRESTGuilds(options = {}, requestOptions) {
         // TODO type
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
         options.with_counts = options.withCounts;
-        return this.requestHandler.request("GET", Endpoints.USER_GUILDS("@me"), true, options).then((guilds) => guilds.map((guild) => new Guild(guild, this)));
+        return this.requestHandler.request("GET", Endpoints.USER_GUILDS("@me"), true, options, undefined, requestOptions).then((guilds) => guilds.map((guild) => new Guild(guild, this)));
     }
 
     /**
@@ -2901,85 +3143,92 @@ class Client extends EventEmitter {
      * @param {String} eventID The ID of the guild scheduled event
      * @param {Object} [options] Options for the request
      * @param {Boolean} [options.withUserCount] Whether to include the number of users subscribed to the event
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildScheduledEvent>}
      */
-    getRESTGuildScheduledEvent(guildID, eventID, options = {}) {
+    getRESTGuildScheduledEvent(guildID, eventID, options = {}, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
 
         options.with_user_count = options.withUserCount;
-        return this.requestHandler.request("GET", Endpoints.GUILD_SCHEDULED_EVENT(guildID, eventID), true, options).then((data) => new GuildScheduledEvent(data, this));
+        return this.requestHandler.request("GET", Endpoints.GUILD_SCHEDULED_EVENT(guildID, eventID), true, options, undefined, requestOptions).then((data) => new GuildScheduledEvent(data, this));
     }
 
     /**
      * Get a guild sticker via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
      * @param {String} stickerID The ID of the sticker
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A sticker object
      */
-    getRESTGuildSticker(guildID, stickerID) {
+    getRESTGuildSticker(guildID, stickerID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_STICKER(guildID, stickerID), true);
+        return this.requestHandler.request("GET", Endpoints.GUILD_STICKER(guildID, stickerID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a guild's stickers via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} An array of guild sticker objects
      */
-    getRESTGuildStickers(guildID) {
+    getRESTGuildStickers(guildID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_STICKERS(guildID), true);
+        return this.requestHandler.request("GET", Endpoints.GUILD_STICKERS(guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Gets a user's voice state in a guild via the REST API. REST mode is required to use this endpoint.
      * @param {String} guildID The ID of the guild
      * @param {String} [userID="@me"] The ID of the user
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<VoiceState>}
      */
-    getRESTGuildVoiceState(guildID, userID = "@me") {
+    getRESTGuildVoiceState(guildID, userID = "@me", requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.GUILD_VOICE_STATE(guildID, userID), true).then((state) => new VoiceState(state));
+        return this.requestHandler.request("GET", Endpoints.GUILD_VOICE_STATE(guildID, userID), true, undefined, undefined, requestOptions).then((state) => new VoiceState(state));
     }
 
     /**
      * Get a sticker via the REST API. REST mode is required to use this endpoint.
      * @param {String} stickerID The ID of the sticker
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} A sticker object
      */
-    getRESTSticker(stickerID) {
+    getRESTSticker(stickerID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.STICKER(stickerID), true);
+        return this.requestHandler.request("GET", Endpoints.STICKER(stickerID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a user's data via the REST API. REST mode is required to use this endpoint.
      * @param {String} userID The ID of the user
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<User>}
      */
-    getRESTUser(userID) {
+    getRESTUser(userID, requestOptions) {
         if(!this.options.restMode) {
             return Promise.reject(new Error("Dysnomia REST mode is not enabled"));
         }
-        return this.requestHandler.request("GET", Endpoints.USER(userID), true).then((user) => new User(user, this));
+        return this.requestHandler.request("GET", Endpoints.USER(userID), true, undefined, undefined, requestOptions).then((user) => new User(user, this));
     }
 
     /**
      * Gets the role connection metadata
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object[]>}
      */
-    getRoleConnectionMetadata() {
-        return this.requestHandler.request("GET", Endpoints.ROLE_CONNECTION_METADATA(this.application.id), true).then((metadata) => metadata.map((meta) => ({
+    getRoleConnectionMetadata(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.ROLE_CONNECTION_METADATA(this.application.id), true, undefined, undefined, requestOptions).then((metadata) => metadata.map((meta) => ({
             ...meta,
             nameLocalizations: meta.name_localizations,
             descriptionLocalizations: meta.description_localizations
@@ -2988,44 +3237,49 @@ class Client extends EventEmitter {
 
     /**
      * Get properties of the bot user
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ExtendedUser>}
      */
-    getSelf() {
-        return this.requestHandler.request("GET", Endpoints.USER("@me"), true).then((data) => new ExtendedUser(data, this));
+    getSelf(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.USER("@me"), true, undefined, undefined, requestOptions).then((data) => new ExtendedUser(data, this));
     }
 
     /**
      * Gets the list of SKUs associated with the current application
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} An array of [SKU objects](https://discord.com/developers/docs/monetization/skus#sku-object)
      */
-    getSKUs() {
-        return this.requestHandler.request("GET", Endpoints.SKUS(this.application.id), true);
+    getSKUs(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.SKUS(this.application.id), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get the stage instance associated with a stage channel
      * @param {String} channelID The stage channel ID
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<StageInstance>}
      */
-    getStageInstance(channelID) {
-        return this.requestHandler.request("GET", Endpoints.STAGE_INSTANCE(channelID), true).then((instance) => new StageInstance(instance, this));
+    getStageInstance(channelID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.STAGE_INSTANCE(channelID), true, undefined, undefined, requestOptions).then((instance) => new StageInstance(instance, this));
     }
 
     /**
      * Get a sticker pack
      * @param {String} packID The ID of the sticker pack
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Sticker pack data
      */
-    getStickerPack(packID) {
-        return this.requestHandler.request("GET", Endpoints.STICKER_PACK(packID), true);
+    getStickerPack(packID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.STICKER_PACK(packID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get the list of available sticker packs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} An object which contains a value which contains an array of sticker packs
      */
-    getStickerPacks() {
-        return this.requestHandler.request("GET", Endpoints.STICKER_PACKS, true);
+    getStickerPacks(requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.STICKER_PACKS, true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -3034,11 +3288,12 @@ class Client extends EventEmitter {
      * @param {String} memberID The ID of the member
      * @param {Object} [options] Options for the request
      * @param {Boolean} [options.withMember] Whether to include a Member object for each thread member
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<ThreadMember>}
      */
-    getThreadMember(channelID, memberID, options = {}) {
+    getThreadMember(channelID, memberID, options = {}, requestOptions) {
         options.with_member = options.withMember;
-        return this.requestHandler.request("GET", Endpoints.THREAD_MEMBER(channelID, memberID), true, options).then((m) => new ThreadMember(m, this));
+        return this.requestHandler.request("GET", Endpoints.THREAD_MEMBER(channelID, memberID), true, options, undefined, requestOptions).then((m) => new ThreadMember(m, this));
     }
 
     /**
@@ -3048,30 +3303,33 @@ class Client extends EventEmitter {
      * @param {String} [options.after] Fetch thread members after this user ID
      * @param {Number} [options.limit] The maximum amount of thread members to fetch
      * @param {Boolean} [options.withMember] Whether to include a Member object for each thread member
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<ThreadMember>>}
      */
-    getThreadMembers(channelID, options = {}) {
+    getThreadMembers(channelID, options = {}, requestOptions) {
         options.with_member = options.withMember;
-        return this.requestHandler.request("GET", Endpoints.THREAD_MEMBERS(channelID), true, options).then((members) => members.map((member) => new ThreadMember(member, this)));
+        return this.requestHandler.request("GET", Endpoints.THREAD_MEMBERS(channelID), true, options, undefined, requestOptions).then((members) => members.map((member) => new ThreadMember(member, this)));
     }
 
     /**
      * Get a list of general/guild-specific voice regions
      * @param {String} [guildID] The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Object>>} Resolves with an array of voice region objects
      */
-    getVoiceRegions(guildID) {
-        return guildID ? this.requestHandler.request("GET", Endpoints.GUILD_VOICE_REGIONS(guildID), true) : this.requestHandler.request("GET", Endpoints.VOICE_REGIONS, true);
+    getVoiceRegions(guildID, requestOptions) {
+        return guildID ? this.requestHandler.request("GET", Endpoints.GUILD_VOICE_REGIONS(guildID), true, undefined, undefined, requestOptions) : this.requestHandler.request("GET", Endpoints.VOICE_REGIONS, true, undefined, undefined, requestOptions);
     }
 
     /**
      * Get a webhook
      * @param {String} webhookID The ID of the webhook
      * @param {String} [token] The token of the webhook, used instead of the Bot Authorization token
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Object>} Resolves with a webhook object
      */
-    getWebhook(webhookID, token) {
-        return this.requestHandler.request("GET", token ? Endpoints.WEBHOOK_TOKEN(webhookID, token) : Endpoints.WEBHOOK(webhookID), !token);
+    getWebhook(webhookID, token, requestOptions) {
+        return this.requestHandler.request("GET", token ? Endpoints.WEBHOOK_TOKEN(webhookID, token) : Endpoints.WEBHOOK(webhookID), !token, undefined, undefined, requestOptions);
     }
 
     /**
@@ -3079,20 +3337,22 @@ class Client extends EventEmitter {
      * @param {String} webhookID The ID of the webhook
      * @param {String} token The token of the webhook
      * @param {String} messageID The message ID of a message sent by this webhook
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Message>} Resolves with a webhook message
      */
-    getWebhookMessage(webhookID, token, messageID) {
-        return this.requestHandler.request("GET", Endpoints.WEBHOOK_MESSAGE(webhookID, token, messageID)).then((message) => new Message(message, this));
+    getWebhookMessage(webhookID, token, messageID, requestOptions) {
+        return this.requestHandler.request("GET", Endpoints.WEBHOOK_MESSAGE(webhookID, token, messageID), undefined, undefined, undefined, requestOptions).then((message) => new Message(message, this));
     }
 
     /**
      * Join a thread
      * @param {String} channelID The ID of the thread channel
      * @param {String} [userID="@me"] The user ID of the user joining
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    joinThread(channelID, userID = "@me") {
-        return this.requestHandler.request("PUT", Endpoints.THREAD_MEMBER(channelID, userID), true);
+    joinThread(channelID, userID = "@me", requestOptions) {
+        return this.requestHandler.request("PUT", Endpoints.THREAD_MEMBER(channelID, userID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -3128,31 +3388,34 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {String} userID The ID of the user
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    kickGuildMember(guildID, userID, reason) {
+    kickGuildMember(guildID, userID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.GUILD_MEMBER(guildID, userID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Leave a guild
      * @param {String} guildID The ID of the guild
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    leaveGuild(guildID) {
-        return this.requestHandler.request("DELETE", Endpoints.USER_GUILD("@me", guildID), true);
+    leaveGuild(guildID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.USER_GUILD("@me", guildID), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Leave a thread
      * @param {String} channelID The ID of the thread channel
      * @param {String} [userID="@me"] The user ID of the user leaving
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    leaveThread(channelID, userID = "@me") {
-        return this.requestHandler.request("DELETE", Endpoints.THREAD_MEMBER(channelID, userID), true);
+    leaveThread(channelID, userID = "@me", requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.THREAD_MEMBER(channelID, userID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -3170,10 +3433,11 @@ class Client extends EventEmitter {
      * Pin a message
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    pinMessage(channelID, messageID) {
-        return this.requestHandler.request("PUT", Endpoints.CHANNEL_PIN(channelID, messageID), true);
+    pinMessage(channelID, messageID, requestOptions) {
+        return this.requestHandler.request("PUT", Endpoints.CHANNEL_PIN(channelID, messageID), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -3184,15 +3448,16 @@ class Client extends EventEmitter {
      * @param {Number} [options.days=7] The number of days of inactivity to prune for
      * @param {Array<String>} [options.includeRoles] An array of role IDs that members must have to be considered for pruning
      * @param {String} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Number?>} If computePruneCount was true, resolves with the number of pruned members
      */
-    pruneMembers(guildID, options = {}) {
+    pruneMembers(guildID, options = {}, requestOptions) {
         return this.requestHandler.request("POST", Endpoints.GUILD_PRUNE(guildID), true, {
             days: options.days,
             compute_prune_count: options.computePruneCount,
             include_roles: options.includeRoles,
             reason: options.reason
-        }).then((data) => data.pruned);
+        }, undefined, requestOptions).then((data) => data.pruned);
     }
 
     /**
@@ -3204,9 +3469,10 @@ class Client extends EventEmitter {
      * @param {Function} [options.filter] Optional filter function that returns a boolean when passed a Message object
      * @param {Number} options.limit The max number of messages to search through, -1 for no limit
      * @param {String} [options.reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Number>} Resolves with the number of messages deleted
      */
-    async purgeChannel(channelID, options) {
+    async purgeChannel(channelID, options, requestOptions) {
         if(typeof options.filter === "string") {
             const filter = options.filter;
             options.filter = (msg) => msg.content.includes(filter);
@@ -3225,7 +3491,7 @@ class Client extends EventEmitter {
             const messageIDs = (done && toDelete) || (toDelete.length >= 100 && toDelete.splice(0, 100));
             if(messageIDs) {
                 deleted += messageIDs.length;
-                await this.deleteMessages(channelID, messageIDs, options.reason);
+                await this.deleteMessages(channelID, messageIDs, options.reason, requestOptions);
                 if(done) {
                     return deleted;
                 }
@@ -3243,7 +3509,7 @@ class Client extends EventEmitter {
                 limit: 100,
                 before: _before,
                 after: _after
-            });
+            }, requestOptions);
             if(limit !== -1 && limit <= 0) {
                 done = true;
                 return;
@@ -3279,12 +3545,13 @@ class Client extends EventEmitter {
      * @param {String} memberID The ID of the member
      * @param {String} roleID The ID of the role
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    removeGuildMemberRole(guildID, memberID, roleID, reason) {
+    removeGuildMemberRole(guildID, memberID, roleID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.GUILD_MEMBER_ROLE(guildID, memberID, roleID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
@@ -3293,13 +3560,14 @@ class Client extends EventEmitter {
      * @param {String} messageID The ID of the message
      * @param {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
      * @param {String} [userID="@me"] The ID of the user to remove the reaction for
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    removeMessageReaction(channelID, messageID, reaction, userID) {
+    removeMessageReaction(channelID, messageID, reaction, userID, requestOptions) {
         if(reaction === decodeURI(reaction)) {
             reaction = encodeURIComponent(reaction);
         }
-        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE_REACTION_USER(channelID, messageID, reaction, userID || "@me"), true);
+        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE_REACTION_USER(channelID, messageID, reaction, userID || "@me"), true, undefined, undefined, requestOptions);
     }
 
     /**
@@ -3307,23 +3575,36 @@ class Client extends EventEmitter {
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
      * @param {String} reaction The reaction (Unicode string if Unicode emoji, `emojiName:emojiID` if custom emoji)
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    removeMessageReactionEmoji(channelID, messageID, reaction) {
+    removeMessageReactionEmoji(channelID, messageID, reaction, requestOptions) {
         if(reaction === decodeURI(reaction)) {
             reaction = encodeURIComponent(reaction);
         }
-        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE_REACTION(channelID, messageID, reaction), true);
+        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE_REACTION(channelID, messageID, reaction), true, undefined, undefined, requestOptions);
     }
 
     /**
      * Remove all reactions from a message
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    removeMessageReactions(channelID, messageID) {
-        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE_REACTIONS(channelID, messageID), true);
+    removeMessageReactions(channelID, messageID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_MESSAGE_REACTIONS(channelID, messageID), true, undefined, undefined, requestOptions);
+    }
+
+    /**
+     * Save a snapshot of the cached guilds (with their channels, roles, members and threads) and users to the `cacheSnapshot` store, to be restored when a new client connects
+     * @returns {Promise} Resolves when the snapshot is saved
+     */
+    async saveCacheSnapshot() {
+        if(!this.options.cacheSnapshot) {
+            throw new Error("The cacheSnapshot option is not set");
+        }
+        return this.options.cacheSnapshot.save(createSnapshot(this));
     }
 
     /**
@@ -3331,13 +3612,14 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {String} query The query string to match username(s) and nickname(s) against
      * @param {Number} [limit=1] The maximum number of members you want returned, capped at 100
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<Array<Member>>}
      */
-    searchGuildMembers(guildID, query, limit) {
+    searchGuildMembers(guildID, query, limit, requestOptions) {
         return this.requestHandler.request("GET", Endpoints.GUILD_MEMBERS_SEARCH(guildID), true, {
             query,
             limit
-        }).then((members) => {
+        }, undefined, requestOptions).then((members) => {
             const guild = this.guilds.get(guildID);
             return members.map((member) => new Member(member, guild, this));
         });
@@ -3346,20 +3628,43 @@ class Client extends EventEmitter {
     /**
      * Send typing status in a channel
      * @param {String} channelID The ID of the channel
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    sendChannelTyping(channelID) {
-        return this.requestHandler.request("POST", Endpoints.CHANNEL_TYPING(channelID), true);
+    sendChannelTyping(channelID, requestOptions) {
+        return this.requestHandler.request("POST", Endpoints.CHANNEL_TYPING(channelID), true, undefined, undefined, requestOptions);
+    }
+
+    /**
+     * Remove the expired objects from the caches with a TTL. This is done periodically (see the `cache.sweepInterval` client option) once connected
+     * @returns {Number} The number of removed objects
+     */
+    sweepCaches() {
+        let removed = this.users.sweep();
+        for(const guild of this.guilds.values()) {
+            removed += guild.members.sweep() + guild.threads.sweep() + guild.voiceStates.sweep();
+            for(const channel of guild.channels.values()) {
+                removed += channel.messages?.sweep() || 0;
+            }
+            for(const thread of guild.threads.values()) {
+                removed += thread.messages.sweep();
+            }
+        }
+        for(const channel of this.privateChannels.values()) {
+            removed += channel.messages.sweep();
+        }
+        return removed;
     }
 
     /**
      * Force a guild template to sync
      * @param {String} guildID The ID of the guild
      * @param {String} code The template code
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise<GuildTemplate>}
      */
-    syncGuildTemplate(guildID, code) {
-        return this.requestHandler.request("PUT", Endpoints.GUILD_TEMPLATE_GUILD(guildID, code), true).then((template) => new GuildTemplate(template, this));
+    syncGuildTemplate(guildID, code, requestOptions) {
+        return this.requestHandler.request("PUT", Endpoints.GUILD_TEMPLATE_GUILD(guildID, code), true, undefined, undefined, requestOptions).then((template) => new GuildTemplate(template, this));
     }
 
     /**
@@ -3367,22 +3672,93 @@ class Client extends EventEmitter {
      * @param {String} guildID The ID of the guild
      * @param {String} userID The ID of the user
      * @param {String} [reason] The reason to be displayed in audit logs
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    unbanGuildMember(guildID, userID, reason) {
+    unbanGuildMember(guildID, userID, reason, requestOptions) {
         return this.requestHandler.request("DELETE", Endpoints.GUILD_BAN(guildID, userID), true, {
             reason
-        });
+        }, undefined, requestOptions);
     }
 
     /**
      * Unpin a message
      * @param {String} channelID The ID of the channel
      * @param {String} messageID The ID of the message
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST request, such as a `signal` to cancel it with
      * @returns {Promise}
      */
-    unpinMessage(channelID, messageID) {
-        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_PIN(channelID, messageID), true);
+    unpinMessage(channelID, messageID, requestOptions) {
+        return this.requestHandler.request("DELETE", Endpoints.CHANNEL_PIN(channelID, messageID), true, undefined, undefined, requestOptions);
+    }
+
+    /**
+     * Upload attachments ahead of sending them. Every file is uploaded separately from the message and retried according to the `rest.retry` option (except for readable streams, which can only be sent once),
+     * and the returned attachments can be passed in the `attachments` of `createMessage()`, `editMessage()`, `executeWebhook()` or any other method accepting new attachments
+     * @param {String} channelID The ID of the channel the attachments will be sent in
+     * @param {Array<Object>} attachments The attachments to upload
+     * @param {String} [attachments[].description] The description of the file
+     * @param {Buffer | Blob | Readable | Function} attachments[].file The file data. Pass a function returning a new readable stream to allow retrying the upload of a stream
+     * @param {String} attachments[].filename The name of the file
+     * @param {String} [attachments[].path] The path of a file to stream instead of passing its data in `file`
+     * @param {Number} [attachments[].size] The size of the file data in bytes. Required for readable streams
+     * @param {RequestHandler.RequestOptions} [requestOptions] Options for the REST requests, such as a `signal` to cancel them with. `onUploadProgress` is called for every file
+     * @returns {Promise<Array<Object>>} Resolves with the attachments, with their `uploadedFilename` set instead of their data
+     */
+    async uploadAttachments(channelID, attachments, requestOptions) {
+        const sources = await Promise.all(attachments.map(async (attachment) => {
+            const source = await MultipartData.statSource(MultipartData.createSource(attachment.path ? pathToFileURL(attachment.path) : attachment.file, attachment.size));
+            if(source?.size === undefined) {
+                throw new Error(`The size of ${attachment.filename} must be known to upload it`);
+            }
+            return source;
+        }));
+        const uploads = await this.createAttachmentUploads(channelID, attachments.map((attachment, index) => ({
+            filename: attachment.filename,
+            size: sources[index].size
+        })), requestOptions);
+        return Promise.all(uploads.map(async (upload) => {
+            const attachment = attachments[upload.id];
+            await this.requestHandler.upload(upload.uploadURL, sources[upload.id], requestOptions);
+            return {
+                description: attachment.description,
+                filename: attachment.filename,
+                uploadedFilename: upload.uploadFilename
+            };
+        }));
+    }
+
+    async #loadCacheSnapshot() {
+        if(!this.options.cacheSnapshot || this.#cacheSnapshotLoaded) {
+            return null;
+        }
+        this.#cacheSnapshotLoaded = true;
+        try {
+            return await this.options.cacheSnapshot.load();
+        } catch(err) {
+            this.emit("error", err);
+            return null;
+        }
+    }
+
+    _applyCachePolicy(name, collection) {
+        const policy = this.options.cache[name];
+        if(!policy) {
+            return;
+        }
+        collection.setCachePolicy(policy, (item, reason) => {
+            if(name === "threads") {
+                delete this.threadGuildMap[item.id];
+            }
+            /**
+             * Fired when an object is evicted from a cache with a policy set by the `cache` client option
+             * @event Client#cacheEvict
+             * @prop {String} name The name of the cache, such as "members" or "users"
+             * @prop {Object} item The evicted object
+             * @prop {String} reason Why the object was evicted, either "limit" (the cache was full) or "ttl" (the object expired)
+             */
+            this.emit("cacheEvict", name, item, reason);
+        });
     }
 
     _formatAllowedMentions(allowed) {
@@ -3437,17 +3813,28 @@ class Client extends EventEmitter {
         attachments.forEach((attachment, idx) => {
             if(attachment.id) {
                 resultAttachments.push(attachment);
+            } else if(attachment.uploadedFilename) {
+                resultAttachments.push({
+                    ...attachment,
+                    id: idx,
+                    uploaded_filename: attachment.uploadedFilename,
+                    uploadedFilename: undefined
+                });
             } else {
                 files.push({
                     fieldName: `files[${idx}]`,
                     file: attachment.file,
-                    name: attachment.filename
+                    name: attachment.filename,
+                    path: attachment.path,
+                    size: attachment.size
                 });
 
                 resultAttachments.push({
                     ...attachment,
                     file: undefined,
-                    id: idx
+                    id: idx,
+                    path: undefined,
+                    size: undefined
                 });
             }
         });
@@ -3458,6 +3845,29 @@ class Client extends EventEmitter {
         };
     }
 
+    _watchCache(type, guild, collection) {
+        if(this.cacheAdapter.writeThrough === false) {
+            return;
+        }
+        collection.watch((method, item) => {
+            // Guilds fetched over REST aren't cached
+            if(this.guilds.get(guild.id) === guild) {
+                this._writeCache(method, type, item.id, guild.id, item);
+            }
+        });
+    }
+
+    _writeCache(method, type, id, guildID, item) {
+        const adapter = this.cacheAdapter;
+        if(adapter.writeThrough === false) {
+            return;
+        }
+        // Adapters may be sync or async
+        new Promise((resolve) => {
+            resolve(method === "set" ? adapter.set(type, id, MemoryCacheAdapter.serialize(type, item), guildID) : adapter.delete(type, id, guildID));
+        }).catch((err) => this.emit("error", err));
+    }
+
     toString() {
         return `[Client ${this.user.id}]`;
     }
@@ -683,6 +683,13 @@ module.exports.ReactionTypes = {
     BURST:  1
 };
 
+module.exports.RequestPriorities = {
+    LOW:    -1,
+    NORMAL: 0,
+    HIGH:   1,
+    URGENT: 2
+};
+
 module.exports.RoleConnectionMetadataTypes = {
     INTEGER_LESS_THAN_OR_EQUAL:     1,
     INTEGER_GREATER_THAN_OR_EQUAL:  2,
@@ -0,0 +1,71 @@
+"use strict";
+
+const FS = require("node:fs/promises");
+const {promisify} = require("node:util");
+const Zlib = require("node:zlib");
+
+const gunzip = promisify(Zlib.gunzip);
+const gzip = promisify(Zlib.gzip);
+
+/**
+ * Keeps a snapshot of the caches of a client in a gzipped JSON file, so a restarted process starts with the guilds, channels, roles, members, users and threads it had cached.
+ * Custom stores (e.g. backed by Redis) can implement the same methods. Every method may return either a value or a Promise resolving with it
+ */
+class FileCacheSnapshot {
+    /**
+     * Construct a FileCacheSnapshot
+     * @param {String} path The path of the file to keep the snapshot in
+     * @param {Object} [options] Snapshot options
+     * @param {Number} [options.maxAge=Infinity] How long (in ms) a saved snapshot is considered fresh enough to restore. Older snapshots are ignored
+     */
+    constructor(path, options = {}) {
+        /**
+         * The path of the file the snapshot is kept in
+         * @type {String}
+         */
+        this.path = path;
+        /**
+         * How long (in ms) a saved snapshot is considered fresh enough to restore
+         * @type {Number}
+         */
+        this.maxAge = options.maxAge ?? Infinity;
+    }
+
+    /**
+     * Load the saved snapshot
+     * @returns {Promise<Object?>} Resolves with the snapshot, or null if there is no snapshot fresh enough to restore
+     */
+    async load() {
+        let data;
+        try {
+            data = await FS.readFile(this.path);
+        } catch(err) {
+            if(err.code === "ENOENT") {
+                return null;
+            }
+            throw err;
+        }
+        const snapshot = JSON.parse(await gunzip(data));
+        if(Date.now() - snapshot.createdAt > this.maxAge) {
+            return null;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Save a snapshot, replacing the previous one
+     * @param {Object} snapshot The snapshot, see `Client#saveCacheSnapshot()`
+     * @returns {Promise}
+     */
+    async save(snapshot) {
+        const tmp = this.path + ".tmp";
+        await FS.writeFile(tmp, await gzip(JSON.stringify(snapshot)));
+        await FS.rename(tmp, this.path);
+    }
+
+    toString() {
+        return `[FileCacheSnapshot ${this.path}]`;
+    }
+}
+
+module.exports = FileCacheSnapshot;
@@ -0,0 +1,101 @@
+"use strict";
+
+/**
+ * The properties of Guild#toJSON() holding the guild's collections, which are stored as separate entries
+ */
+const GUILD_COLLECTIONS = ["channels", "events", "members", "roles", "stageInstances", "threads", "voiceStates"];
+const TYPES = ["channels", "guilds", "members", "roles", "threads"];
+
+/**
+ * Serves the state held by the collections of a client (`client.guilds`, `guild.channels`, `guild.members`, `guild.roles` and `guild.threads`) as plain JSON objects.
+ * Custom adapters (e.g. backed by Redis or a database) can implement the same methods to share the cached state with other processes, such as a dashboard without a gateway connection. Every change of a cached guild, and every change made through the channel, member, role and thread collections of a cached guild (see `Collection#watch()`), is written through them.
+ * Every method may return either a value or a Promise resolving with it. Writes are not awaited, so adapters must apply them in the order they were made. Entries are the output of `MemoryCacheAdapter.serialize()`, and guild-scoped entries (every type except "guilds") are keyed by guild ID and entry ID
+ */
+class MemoryCacheAdapter {
+    #client;
+    /**
+     * Whether the gateway handlers write changes to the adapter. The memory adapter reads the collections of the client, so it needs no writes
+     * @type {Boolean}
+     */
+    writeThrough = false;
+
+    /**
+     * Construct a MemoryCacheAdapter
+     * @param {Client} client The client whose collections to read
+     */
+    constructor(client) {
+        this.#client = client;
+    }
+
+    /**
+     * Delete an entry. Deleting a guild also deletes every entry belonging to it
+     * @param {String} type The type of the entry, either "channels", "guilds", "members", "roles" or "threads"
+     * @param {String} id The ID of the entry
+     * @param {String} [guildID] The ID of the guild the entry belongs to, for every type except "guilds"
+     */
+    delete() {}
+
+    /**
+     * Get an entry
+     * @param {String} type The type of the entry, either "channels", "guilds", "members", "roles" or "threads"
+     * @param {String} id The ID of the entry
+     * @param {String} [guildID] The ID of the guild the entry belongs to, for every type except "guilds"
+     * @returns {Object?} The entry, or undefined if it isn't stored
+     */
+    get(type, id, guildID) {
+        const item = this.#getCollection(type, guildID)?.get(id);
+        return item && MemoryCacheAdapter.serialize(type, item);
+    }
+
+    /**
+     * Get every entry of a type
+     * @param {String} type The type of the entries, either "channels", "guilds", "members", "roles" or "threads"
+     * @param {String} [guildID] The ID of the guild the entries belong to, for every type except "guilds"
+     * @returns {Array<Object>} The entries
+     */
+    getAll(type, guildID) {
+        const collection = this.#getCollection(type, guildID);
+        return collection ? collection.map((item) => MemoryCacheAdapter.serialize(type, item)) : [];
+    }
+
+    /**
+     * Store an entry, replacing the existing one with the same ID
+     * @param {String} type The type of the entry, either "channels", "guilds", "members", "roles" or "threads"
+     * @param {String} id The ID of the entry
+     * @param {Object} data The entry
+     * @param {String} [guildID] The ID of the guild the entry belongs to, for every type except "guilds"
+     */
+    set() {}
+
+    #getCollection(type, guildID) {
+        if(!TYPES.includes(type)) {
+            throw new TypeError(`Invalid cache entry type: ${type}`);
+        }
+        if(type === "guilds") {
+            return this.#client.guilds;
+        }
+        return this.#client.guilds.get(guildID)?.[type];
+    }
+
+    /**
+     * Serialize a cached structure into the entry written to adapters. Guilds are serialized without their collections
+     * @param {String} type The type of the structure, either "channels", "guilds", "members", "roles" or "threads"
+     * @param {Object} item The structure
+     * @returns {Object} The entry
+     */
+    static serialize(type, item) {
+        const json = item.toJSON();
+        if(type === "guilds") {
+            for(const prop of GUILD_COLLECTIONS) {
+                delete json[prop];
+            }
+        }
+        return json;
+    }
+
+    toString() {
+        return "[MemoryCacheAdapter]";
+    }
+}
+
+module.exports = MemoryCacheAdapter;
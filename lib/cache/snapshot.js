@@ -0,0 +1,260 @@
+"use strict";
+
+/**
+ * Converts cached structures back into the gateway data their constructors take, so snapshots can be restored by the usual code paths
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+// Properties copied as they are, keyed by the name of the gateway field
+const CHANNEL_FIELDS = {
+    bitrate: "bitrate",
+    default_auto_archive_duration: "defaultAutoArchiveDuration",
+    default_forum_layout: "defaultForumLayout",
+    default_sort_order: "defaultSortOrder",
+    default_thread_rate_limit_per_user: "defaultThreadRateLimitPerUser",
+    flags: "flags",
+    id: "id",
+    name: "name",
+    nsfw: "nsfw",
+    parent_id: "parentID",
+    position: "position",
+    rate_limit_per_user: "rateLimitPerUser",
+    rtc_region: "rtcRegion",
+    topic: "topic",
+    type: "type",
+    user_limit: "userLimit",
+    video_quality_mode: "videoQualityMode"
+};
+const GUILD_FIELDS = {
+    afk_channel_id: "afkChannelID",
+    afk_timeout: "afkTimeout",
+    application_id: "applicationID",
+    banner: "banner",
+    default_message_notifications: "defaultNotifications",
+    description: "description",
+    discovery_splash: "discoverySplash",
+    emojis: "emojis",
+    explicit_content_filter: "explicitContentFilter",
+    features: "features",
+    icon: "icon",
+    id: "id",
+    large: "large",
+    max_members: "maxMembers",
+    max_presences: "maxPresences",
+    max_stage_video_channel_users: "maxStageVideoChannelUsers",
+    max_video_channel_users: "maxVideoChannelUsers",
+    member_count: "memberCount",
+    mfa_level: "mfaLevel",
+    name: "name",
+    nsfw_level: "nsfwLevel",
+    owner_id: "ownerID",
+    preferred_locale: "preferredLocale",
+    premium_progress_bar_enabled: "premiumProgressBarEnabled",
+    premium_subscription_count: "premiumSubscriptionCount",
+    premium_tier: "premiumTier",
+    public_updates_channel_id: "publicUpdatesChannelID",
+    rules_channel_id: "rulesChannelID",
+    safety_alerts_channel_id: "safetyAlertsChannelID",
+    splash: "splash",
+    stickers: "stickers",
+    system_channel_flags: "systemChannelFlags",
+    system_channel_id: "systemChannelID",
+    vanity_url_code: "vanityURL",
+    verification_level: "verificationLevel",
+    widget_channel_id: "widgetChannelID",
+    widget_enabled: "widgetEnabled"
+};
+const MEMBER_FIELDS = {
+    avatar: "avatar",
+    flags: "flags",
+    nick: "nick",
+    pending: "pending",
+    roles: "roles"
+};
+const ROLE_FIELDS = {
+    color: "color",
+    flags: "flags",
+    hoist: "hoist",
+    icon: "icon",
+    id: "id",
+    managed: "managed",
+    mentionable: "mentionable",
+    name: "name",
+    position: "position",
+    tags: "tags",
+    unicode_emoji: "unicodeEmoji"
+};
+const THREAD_FIELDS = {
+    applied_tags: "appliedTags",
+    flags: "flags",
+    id: "id",
+    member_count: "memberCount",
+    message_count: "messageCount",
+    name: "name",
+    owner_id: "ownerID",
+    parent_id: "parentID",
+    rate_limit_per_user: "rateLimitPerUser",
+    total_message_sent: "totalMessageSent",
+    type: "type"
+};
+const USER_FIELDS = {
+    accent_color: "accentColor",
+    avatar: "avatar",
+    avatar_decoration_data: "avatarDecorationData",
+    banner: "banner",
+    bot: "bot",
+    discriminator: "discriminator",
+    global_name: "globalName",
+    id: "id",
+    public_flags: "publicFlags",
+    system: "system",
+    username: "username"
+};
+
+function pick(item, fields) {
+    const data = {};
+    for(const key in fields) {
+        const value = item[fields[key]];
+        if(value !== undefined) {
+            data[key] = value;
+        }
+    }
+    return data;
+}
+
+function toISOString(timestamp) {
+    return timestamp == null || Number.isNaN(timestamp) ? null : new Date(timestamp).toISOString();
+}
+
+function serializeChannel(channel) {
+    const data = pick(channel, CHANNEL_FIELDS);
+    data.last_message_id = channel.lastMessageID ?? channel.lastThreadID;
+    if(channel.lastPinTimestamp) {
+        data.last_pin_timestamp = toISOString(channel.lastPinTimestamp);
+    }
+    if(channel.permissionOverwrites) {
+        data.permission_overwrites = channel.permissionOverwrites.map((overwrite) => ({
+            allow: overwrite.allow.toString(),
+            deny: overwrite.deny.toString(),
+            id: overwrite.id,
+            type: overwrite.type
+        }));
+    }
+    if(channel.availableTags) {
+        data.available_tags = channel.availableTags.map((tag) => ({
+            emoji_id: tag.emojiID,
+            emoji_name: tag.emojiName,
+            id: tag.id,
+            moderated: tag.moderated,
+            name: tag.name
+        }));
+    }
+    if(channel.defaultReactionEmoji !== undefined) {
+        data.default_reaction_emoji = channel.defaultReactionEmoji && {
+            emoji_id: channel.defaultReactionEmoji.emojiID,
+            emoji_name: channel.defaultReactionEmoji.emojiName
+        };
+    }
+    return data;
+}
+
+function serializeGuild(guild) {
+    const data = pick(guild, GUILD_FIELDS);
+    data.joined_at = toISOString(guild.joinedAt);
+    if(guild.welcomeScreen) {
+        data.welcome_screen = {
+            description: guild.welcomeScreen.description,
+            welcome_channels: guild.welcomeScreen.welcomeChannels?.map((channel) => ({
+                channel: channel.channelID,
+                description: channel.description,
+                emoji_id: channel.emojiID,
+                emoji_name: channel.emojiName
+            }))
+        };
+    }
+    data.channels = guild.channels.map(serializeChannel);
+    data.members = guild.members.map((member) => {
+        const memberData = pick(member, MEMBER_FIELDS);
+        // The users are saved separately, as they are shared between guilds
+        memberData.user = {id: member.id};
+        memberData.joined_at = toISOString(member.joinedAt);
+        memberData.premium_since = toISOString(member.premiumSince);
+        memberData.communication_disabled_until = toISOString(member.communicationDisabledUntil);
+        return memberData;
+    });
+    data.roles = guild.roles.map((role) => {
+        const roleData = pick(role, ROLE_FIELDS);
+        roleData.permissions = role.permissions.allow.toString();
+        return roleData;
+    });
+    data.threads = guild.threads.map((thread) => {
+        const threadData = pick(thread, THREAD_FIELDS);
+        threadData.last_message_id = thread.lastMessageID;
+        if(thread.threadMetadata) {
+            threadData.thread_metadata = {
+                archive_timestamp: toISOString(thread.threadMetadata.archiveTimestamp),
+                archived: thread.threadMetadata.archived,
+                auto_archive_duration: thread.threadMetadata.autoArchiveDuration,
+                create_timestamp: toISOString(thread.threadMetadata.createTimestamp),
+                invitable: thread.threadMetadata.invitable,
+                locked: thread.threadMetadata.locked
+            };
+        }
+        return threadData;
+    });
+    return data;
+}
+
+/**
+ * Create a snapshot of the guilds (with their channels, roles, members and threads) and users cached by a client
+ * @param {Client} client The client
+ * @returns {Object} The snapshot, which can be serialized as JSON
+ */
+function createSnapshot(client) {
+    const users = new Map();
+    for(const user of client.users.values()) {
+        users.set(user.id, user);
+    }
+    for(const guild of client.guilds.values()) {
+        for(const member of guild.members.values()) {
+            users.set(member.id, member.user);
+        }
+    }
+    return {
+        createdAt: Date.now(),
+        guilds: client.guilds.map(serializeGuild),
+        users: Array.from(users.values(), (user) => pick(user, USER_FIELDS)),
+        version: SNAPSHOT_VERSION
+    };
+}
+
+/**
+ * Add the guilds and users of a snapshot to the caches of a client. Guilds that are already cached are skipped, and restored guilds are flagged with `restored`
+ * @param {Client} client The client. Its shards must be spawned, so restored guilds can be assigned to them
+ * @param {Object} snapshot The snapshot
+ * @returns {Number} The number of restored guilds
+ */
+function restoreSnapshot(client, snapshot) {
+    if(snapshot.version !== SNAPSHOT_VERSION) {
+        client.emit("warn", `Ignoring a cache snapshot with unsupported version ${snapshot.version}`);
+        return 0;
+    }
+    for(const user of snapshot.users) {
+        client.users.add(user, client);
+    }
+    let restored = 0;
+    for(const data of snapshot.guilds) {
+        if(client.guilds.has(data.id)) {
+            continue;
+        }
+        client.guilds.add(data, client).restored = true;
+        ++restored;
+    }
+    return restored;
+}
+
+module.exports = {
+    createSnapshot,
+    restoreSnapshot
+};
@@ -0,0 +1,214 @@
+"use strict";
+
+const ChildProcess = require("node:child_process");
+const util = require("node:util");
+const Base = require("../structures/Base");
+const IPC = require("./IPC");
+
+/**
+ * Represents a worker process of a ClusterManager, running a range of shards
+ */
+class Cluster {
+    #ipc;
+    #manager;
+    #respawnTimeout = null;
+    /**
+     * Construct a Cluster
+     * @param {Number} id The ID of the cluster
+     * @param {ClusterManager} manager The cluster manager
+     * @param {Number} firstShardID The ID of the first shard run by the cluster
+     * @param {Number} lastShardID The ID of the last shard run by the cluster
+     */
+    constructor(id, manager, firstShardID, lastShardID) {
+        /**
+         * The ID of the cluster
+         * @type {Number}
+         */
+        this.id = id;
+        /**
+         * The ID of the first shard run by the cluster
+         * @type {Number}
+         */
+        this.firstShardID = firstShardID;
+        /**
+         * The ID of the last shard run by the cluster
+         * @type {Number}
+         */
+        this.lastShardID = lastShardID;
+        /**
+         * The worker process, if it's running
+         * @type {ChildProcess?}
+         */
+        this.process = null;
+        /**
+         * Whether all shards of the cluster are ready
+         * @type {Boolean}
+         */
+        this.ready = false;
+        /**
+         * How many times the worker process was respawned after exiting
+         * @type {Number}
+         */
+        this.restarts = 0;
+
+        this.#manager = manager;
+        this.#ipc = new IPC((message) => this.process.send(message), (op, data) => manager._handleRequest(this, op, data));
+    }
+
+    /**
+     * Evaluate a script in the worker process
+     * @param {String | Function} script A JavaScript expression, or a function called with the client (and the ClusterWorker). The result must be serializable
+     * @returns {Promise<*>} Resolves with the result of the script
+     */
+    eval(script) {
+        return this.#ipc.request("eval", typeof script === "function" ? `(${script})(client, worker)` : script, this.#manager.options.requestTimeout);
+    }
+
+    /**
+     * Get the stats of the worker process
+     * @returns {Promise<Object>} Resolves with the stats of the cluster, see `ClusterManager#fetchStats()`
+     */
+    fetchStats() {
+        return this.#ipc.request("stats", undefined, this.#manager.options.requestTimeout);
+    }
+
+    /**
+     * Kill the worker process without respawning it
+     * @param {String} [signal="SIGTERM"] The signal to send to the process
+     * @returns {Promise} Resolves when the process exited
+     */
+    kill(signal = "SIGTERM") {
+        clearTimeout(this.#respawnTimeout);
+        this.#respawnTimeout = null;
+        const child = this.process;
+        if(!child) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve) => {
+            child.removeAllListeners("exit");
+            child.once("exit", (code, signal) => {
+                this.#onExit(child, code, signal, false);
+                resolve();
+            });
+            child.kill(signal);
+        });
+    }
+
+    /**
+     * Kill the worker process (if it's running) and spawn it again once it exited
+     * @returns {Promise<ChildProcess>} Resolves with the new worker process
+     */
+    async respawn() {
+        await this.kill();
+        return this.spawn();
+    }
+
+    /**
+     * Send a message to the worker process. It's emitted as a `message` event on the ClusterWorker
+     * @param {*} message The message. It must be serializable
+     */
+    send(message) {
+        if(!this.process?.connected) {
+            throw new Error(`Cluster ${this.id} is not running`);
+        }
+        this.process.send(message);
+    }
+
+    /**
+     * Spawn the worker process
+     * @returns {ChildProcess} The worker process
+     */
+    spawn() {
+        if(this.process) {
+            throw new Error(`Cluster ${this.id} is already running`);
+        }
+        const options = this.#manager.options;
+        this.process = ChildProcess.fork(this.#manager.file, options.args, {
+            env: {
+                ...process.env,
+                ...options.env,
+                DYSNOMIA_CLUSTER: JSON.stringify({
+                    clusterCount: options.clusterCount,
+                    id: this.id,
+                    firstShardID: this.firstShardID,
+                    lastShardID: this.lastShardID,
+                    maxConcurrency: options.maxConcurrency,
+                    maxShards: options.shardCount,
+                    requestTimeout: options.requestTimeout
+                })
+            },
+            execArgv: options.execArgv
+        });
+        this.process.on("message", (message) => {
+            if(!this.#ipc.handle(message)) {
+                /**
+                 * Fired when a worker process sends a message
+                 * @event ClusterManager#message
+                 * @prop {Number} id The ID of the cluster
+                 * @prop {*} message The message
+                 */
+                this.#manager.emit("message", this.id, message);
+            }
+        });
+        this.process.on("error", (err) => {
+            this.#manager.emit("error", err, this.id);
+        });
+        const child = this.process;
+        child.once("exit", (code, signal) => this.#onExit(child, code, signal, options.respawn));
+        /**
+         * Fired when a worker process is spawned
+         * @event ClusterManager#clusterSpawn
+         * @prop {Number} id The ID of the cluster
+         */
+        this.#manager.emit("clusterSpawn", this.id);
+        return this.process;
+    }
+
+    #onExit(child, code, signal, respawn) {
+        child.removeAllListeners();
+        // A replacement process may have been spawned already
+        if(this.process !== child) {
+            return;
+        }
+        this.process = null;
+        this.ready = false;
+        this.#ipc.rejectAll(new Error(`Cluster ${this.id} exited`));
+        /**
+         * Fired when a worker process exits
+         * @event ClusterManager#clusterExit
+         * @prop {Number} id The ID of the cluster
+         * @prop {Number?} code The exit code of the process
+         * @prop {String?} signal The signal which killed the process
+         */
+        this.#manager.emit("clusterExit", this.id, code, signal);
+        if(respawn) {
+            const delay = this.#manager.options.respawnDelay;
+            this.#manager.emit("debug", `Respawning cluster ${this.id} in ${delay}ms`, this.id);
+            this.#respawnTimeout = setTimeout(() => {
+                this.#respawnTimeout = null;
+                ++this.restarts;
+                this.spawn();
+            }, delay);
+        }
+    }
+
+    [util.inspect.custom]() {
+        return Base.prototype[util.inspect.custom].call(this);
+    }
+
+    toString() {
+        return `[Cluster ${this.id}]`;
+    }
+
+    toJSON(props = []) {
+        return Base.prototype.toJSON.call(this, [
+            "firstShardID",
+            "lastShardID",
+            "ready",
+            "restarts",
+            ...props
+        ]);
+    }
+}
+
+module.exports = Cluster;
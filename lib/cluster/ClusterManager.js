@@ -0,0 +1,209 @@
+"use strict";
+
+const OS = require("node:os");
+const Base = require("../structures/Base");
+const Client = require("../Client");
+const Cluster = require("./Cluster");
+const Collection = require("../util/Collection");
+const MemoryIdentifyLock = require("../gateway/MemoryIdentifyLock");
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch{
+    EventEmitter = require("node:events").EventEmitter;
+}
+
+/**
+ * Splits the shards of a bot across worker processes, each running a Client with a ClusterWorker.
+ * The manager coordinates identifies between the workers, respawns workers that exit and relays queries between them
+ * @extends EventEmitter
+ */
+class ClusterManager extends EventEmitter {
+    #identifyLock = new MemoryIdentifyLock();
+    #token;
+    /**
+     * Construct a ClusterManager
+     * @param {String} file The path of the script run by every worker process
+     * @param {Object} options Cluster manager options
+     * @param {Array<String>} [options.args] Arguments passed to the worker processes
+     * @param {Number | String} [options.clusterCount="auto"] How many worker processes to spawn. If "auto", one per CPU core (but never more than there are shards)
+     * @param {Object} [options.env] Environment variables set for the worker processes, in addition to those of this process
+     * @param {Array<String>} [options.execArgv] Node.js options of the worker processes
+     * @param {Number | String} [options.maxConcurrency="auto"] The number of shards that can identify simultaneously. If "auto", Discord's recommended concurrency is used
+     * @param {Number} [options.requestTimeout=30000] How long (in ms) to wait for a worker to answer an eval or stats request
+     * @param {Boolean} [options.respawn=true] Whether to respawn worker processes which exit
+     * @param {Number} [options.respawnDelay=5000] How long (in ms) to wait before respawning a worker process
+     * @param {Object} [options.rest] Options for the REST client used to get the recommended shard count and concurrency, see the `rest` option of `Client`
+     * @param {Number | String} [options.shardCount="auto"] The total number of shards. If "auto", Discord's recommended shard count is used
+     * @param {String} [options.token] The bot token, used to get the recommended shard count and concurrency
+     */
+    constructor(file, options = {}) {
+        super();
+
+        /**
+         * The clusters of the manager
+         * @type {Collection<Cluster>}
+         */
+        this.clusters = new Collection(Cluster);
+        /**
+         * The path of the script run by every worker process
+         * @type {String}
+         */
+        this.file = file;
+        /* eslint-disable @stylistic/key-spacing -- this is spaced differently to the rest */
+        this.options = Object.assign({
+            args:            [],
+            clusterCount:    "auto",
+            env:             {},
+            execArgv:        process.execArgv,
+            maxConcurrency:  "auto",
+            requestTimeout:  30000,
+            respawn:         true,
+            respawnDelay:    5000,
+            rest:            {},
+            shardCount:      "auto"
+        }, options);
+        /* eslint-enable @stylistic/key-spacing */
+        delete this.options.token;
+
+        this.#token = options.token;
+        if(this.#token && !this.#token.startsWith("Bot ")) {
+            this.#token = "Bot " + this.#token;
+        }
+    }
+
+    /**
+     * Evaluate a script in every worker process
+     * @param {String | Function} script A JavaScript expression, or a function called with the client (and the ClusterWorker). The result must be serializable
+     * @returns {Promise<Array<*>>} Resolves with the result of the script in every running cluster, ordered by cluster ID
+     */
+    broadcastEval(script) {
+        return Promise.all(this.#runningClusters().map((cluster) => cluster.eval(script)));
+    }
+
+    /**
+     * Get stats of every worker process
+     * @returns {Promise<Object>} Resolves with the aggregated stats, with `guilds`, `users` and `memory` (RSS in bytes) totals, the `shards` of every cluster (`id`, `status` and `latency`), and the stats of each cluster in `clusters`
+     */
+    async fetchStats() {
+        const clusters = await Promise.all(this.#runningClusters().map((cluster) => cluster.fetchStats()));
+        const stats = {
+            clusters: clusters,
+            guilds: 0,
+            memory: 0,
+            shards: [],
+            users: 0
+        };
+        for(const cluster of clusters) {
+            stats.guilds += cluster.guilds;
+            stats.memory += cluster.memory;
+            stats.shards.push(...cluster.shards);
+            stats.users += cluster.users;
+        }
+        return stats;
+    }
+
+    /**
+     * Kill every worker process without respawning them
+     * @param {String} [signal="SIGTERM"] The signal to send to the processes
+     * @returns {Promise} Resolves when every worker process exited
+     */
+    kill(signal) {
+        return Promise.all(this.clusters.map((cluster) => cluster.kill(signal))).then(() => {});
+    }
+
+    /**
+     * Split the shards across clusters and spawn every worker process
+     * @returns {Promise} Resolves when every worker process was spawned
+     */
+    async spawn() {
+        if(this.options.shardCount === "auto" || this.options.maxConcurrency === "auto") {
+            if(!this.#token) {
+                throw new Error("A token is required to use Discord's recommended shard count or concurrency");
+            }
+            const data = await new Client(this.#token, {restMode: true, rest: this.options.rest}).getBotGateway();
+            if(this.options.shardCount === "auto") {
+                this.options.shardCount = data.shards;
+            }
+            if(this.options.maxConcurrency === "auto") {
+                this.options.maxConcurrency = data.session_start_limit?.max_concurrency ?? 1;
+            }
+        }
+        if(this.options.clusterCount === "auto") {
+            this.options.clusterCount = Math.min(OS.availableParallelism?.() ?? OS.cpus().length, this.options.shardCount);
+        }
+
+        const perCluster = Math.floor(this.options.shardCount / this.options.clusterCount);
+        const extra = this.options.shardCount % this.options.clusterCount;
+        let firstShardID = 0;
+        for(let id = 0; id < this.options.clusterCount; ++id) {
+            const lastShardID = firstShardID + perCluster + (id < extra ? 1 : 0) - 1;
+            const cluster = this.clusters.add(new Cluster(id, this, firstShardID, lastShardID));
+            this.emit("debug", `Cluster ${id} runs shards ${firstShardID}-${lastShardID}`, id);
+            if(!cluster.process) {
+                cluster.spawn();
+            }
+            firstShardID = lastShardID + 1;
+        }
+    }
+
+    _handleRequest(cluster, op, data) {
+        switch(op) {
+            case "broadcastEval": {
+                return this.broadcastEval(data);
+            }
+            case "fetchStats": {
+                return this.fetchStats();
+            }
+            case "identify": {
+                return this.#acquireIdentify(data.rateLimitKey, cluster, data.shardID);
+            }
+            case "ready": {
+                cluster.ready = true;
+                /**
+                 * Fired when all shards of a cluster turn ready
+                 * @event ClusterManager#clusterReady
+                 * @prop {Number} id The ID of the cluster
+                 */
+                this.emit("clusterReady", cluster.id);
+                if(this.clusters.every((c) => c.ready)) {
+                    /**
+                     * Fired when all clusters turn ready
+                     * @event ClusterManager#ready
+                     */
+                    this.emit("ready");
+                }
+                return;
+            }
+            default: {
+                throw new Error(`Unknown cluster request: ${op}`);
+            }
+        }
+    }
+
+    #acquireIdentify(rateLimitKey, cluster, shardID) {
+        return this.#identifyLock.acquire(rateLimitKey, shardID).then(() => {
+            this.emit("debug", `Shard ${shardID} of cluster ${cluster.id} may identify`, cluster.id);
+        });
+    }
+
+    #runningClusters() {
+        return this.clusters.filter((cluster) => cluster.process?.connected);
+    }
+
+    toString() {
+        return `[ClusterManager ${this.clusters.size}]`;
+    }
+
+    toJSON(props = []) {
+        return Base.prototype.toJSON.call(this, [
+            "clusters",
+            "file",
+            "options",
+            ...props
+        ]);
+    }
+}
+
+module.exports = ClusterManager;
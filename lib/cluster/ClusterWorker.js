@@ -0,0 +1,146 @@
+"use strict";
+
+const IPC = require("./IPC");
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch{
+    EventEmitter = require("node:events").EventEmitter;
+}
+
+/**
+ * Connects a Client in a worker process spawned by a ClusterManager to the manager.
+ * It sets the shards run by the client, and identifies through the manager so workers don't exceed the identify concurrency
+ * @extends EventEmitter
+ */
+class ClusterWorker extends EventEmitter {
+    #ipc;
+    #requestTimeout;
+    /**
+     * Construct a ClusterWorker. This must be done before calling `client.connect()`
+     * @param {Client} client The client of the worker process
+     */
+    constructor(client) {
+        super();
+
+        if(!process.env.DYSNOMIA_CLUSTER || !process.send) {
+            throw new Error("ClusterWorker can only be used in a process spawned by a ClusterManager");
+        }
+        const cluster = JSON.parse(process.env.DYSNOMIA_CLUSTER);
+
+        /**
+         * The client of the worker process
+         * @type {Client}
+         */
+        this.client = client;
+        /**
+         * The total number of clusters
+         * @type {Number}
+         */
+        this.clusterCount = cluster.clusterCount;
+        /**
+         * The ID of the first shard run by the cluster
+         * @type {Number}
+         */
+        this.firstShardID = cluster.firstShardID;
+        /**
+         * The ID of the cluster
+         * @type {Number}
+         */
+        this.id = cluster.id;
+        /**
+         * The ID of the last shard run by the cluster
+         * @type {Number}
+         */
+        this.lastShardID = cluster.lastShardID;
+        /**
+         * The total number of shards across all clusters
+         * @type {Number}
+         */
+        this.shardCount = cluster.maxShards;
+
+        this.#requestTimeout = cluster.requestTimeout;
+        this.#ipc = new IPC((message) => process.send(message), (op, data) => this.#handleRequest(op, data));
+
+        Object.assign(client.shards.options, {
+            firstShardID: cluster.firstShardID,
+            identifyLock: {
+                acquire: (rateLimitKey, shardID) => this.#ipc.request("identify", {rateLimitKey, shardID})
+            },
+            lastShardID: cluster.lastShardID,
+            maxConcurrency: cluster.maxConcurrency,
+            maxShards: cluster.maxShards
+        });
+
+        client.on("ready", () => {
+            this.#ipc.request("ready").catch((err) => client.emit("error", err));
+        });
+        process.on("message", (message) => {
+            if(!this.#ipc.handle(message)) {
+                /**
+                 * Fired when the cluster manager sends a message
+                 * @event ClusterWorker#message
+                 * @prop {*} message The message
+                 */
+                this.emit("message", message);
+            }
+        });
+    }
+
+    /**
+     * Evaluate a script in every worker process, including this one
+     * @param {String | Function} script A JavaScript expression, or a function called with the client (and the ClusterWorker). The result must be serializable
+     * @returns {Promise<Array<*>>} Resolves with the result of the script in every running cluster, ordered by cluster ID
+     */
+    broadcastEval(script) {
+        return this.#ipc.request("broadcastEval", typeof script === "function" ? `(${script})(client, worker)` : script, this.#requestTimeout);
+    }
+
+    /**
+     * Get stats of every worker process
+     * @returns {Promise<Object>} Resolves with the aggregated stats, see `ClusterManager#fetchStats()`
+     */
+    fetchStats() {
+        return this.#ipc.request("fetchStats", undefined, this.#requestTimeout);
+    }
+
+    /**
+     * Send a message to the cluster manager. It's emitted as a `message` event on the ClusterManager
+     * @param {*} message The message. It must be serializable
+     */
+    send(message) {
+        process.send(message);
+    }
+
+    #handleRequest(op, data) {
+        switch(op) {
+            case "eval": {
+                return new Function("client", "worker", `return (${data});`)(this.client, this);
+            }
+            case "stats": {
+                return {
+                    guilds: this.client.guilds.size,
+                    id: this.id,
+                    memory: process.memoryUsage().rss,
+                    shards: this.client.shards.map((shard) => ({
+                        id: shard.id,
+                        latency: shard.latency,
+                        status: shard.status
+                    })),
+                    uptime: this.client.uptime,
+                    users: this.client.users.size
+                };
+            }
+            default: {
+                throw new Error(`Unknown cluster request: ${op}`);
+            }
+        }
+    }
+
+    toString() {
+        return `[ClusterWorker ${this.id}]`;
+    }
+}
+
+module.exports = ClusterWorker;
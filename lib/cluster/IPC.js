@@ -0,0 +1,105 @@
+"use strict";
+
+/**
+ * Sends requests over a process IPC channel and matches replies to them
+ * @private
+ */
+class IPC {
+    #nonce = 0;
+    #pending = new Map();
+
+    /**
+     * Construct an IPC channel
+     * @param {Function} send A function sending a message to the other process
+     * @param {Function} onRequest A function called with the op and data of every request received, returning the result or a Promise of it
+     */
+    constructor(send, onRequest) {
+        this.send = send;
+        this.onRequest = onRequest;
+    }
+
+    /**
+     * Handle a message received from the other process
+     * @param {Object} message The message
+     * @returns {Boolean} Whether the message was an IPC request or reply
+     */
+    handle(message) {
+        if(!message?._dysnomia) {
+            return false;
+        }
+        if(message.op === "reply") {
+            const request = this.#pending.get(message.nonce);
+            if(request) {
+                this.#pending.delete(message.nonce);
+                clearTimeout(request.timeout);
+                if(message.error) {
+                    request.reject(Object.assign(new Error(message.error.message), message.error));
+                } else {
+                    request.resolve(message.result);
+                }
+            }
+            return true;
+        }
+        const reply = (body) => this.send({_dysnomia: true, op: "reply", nonce: message.nonce, ...body});
+        Promise.resolve().then(() => this.onRequest(message.op, message.data)).then((result) => {
+            try {
+                reply({result});
+            } catch(err) { // The result can't be serialized
+                reply({error: serializeError(err)});
+            }
+        }, (err) => {
+            reply({error: serializeError(err)});
+        }).catch(() => {}); // The other process is gone
+        return true;
+    }
+
+    /**
+     * Reject all pending requests, e.g. when the other process exited
+     * @param {Error} err The error to reject them with
+     */
+    rejectAll(err) {
+        for(const request of this.#pending.values()) {
+            clearTimeout(request.timeout);
+            request.reject(err);
+        }
+        this.#pending.clear();
+    }
+
+    /**
+     * Send a request to the other process
+     * @param {String} op The request op
+     * @param {*} data The request data
+     * @param {Number} [timeout] How long (in ms) to wait for a reply
+     * @returns {Promise<*>} Resolves with the result of the request
+     */
+    request(op, data, timeout) {
+        return new Promise((resolve, reject) => {
+            const nonce = ++this.#nonce;
+            const request = {resolve: resolve, reject: reject, timeout: null};
+            if(timeout && timeout !== Infinity) {
+                request.timeout = setTimeout(() => {
+                    this.#pending.delete(nonce);
+                    reject(new Error(`IPC request "${op}" timed out (>${timeout}ms)`));
+                }, timeout);
+            }
+            this.#pending.set(nonce, request);
+            try {
+                this.send({_dysnomia: true, op: op, nonce: nonce, data: data});
+            } catch(err) {
+                this.#pending.delete(nonce);
+                clearTimeout(request.timeout);
+                reject(err);
+            }
+        });
+    }
+}
+
+function serializeError(err) {
+    return {
+        message: err?.message ?? String(err),
+        name: err?.name,
+        stack: err?.stack
+    };
+}
+
+module.exports = IPC;
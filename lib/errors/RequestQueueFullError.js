@@ -0,0 +1,32 @@
+"use strict";
+
+class RequestQueueFullError extends Error {
+    constructor(method, route, bucket, queueLength) {
+        super(`Ratelimit queue for ${method} ${route} is full (${queueLength} requests waiting)`);
+
+        Object.defineProperty(this, "bucket", {
+            enumerable: false,
+            value: bucket
+        });
+        Object.defineProperty(this, "method", {
+            enumerable: false,
+            value: method
+        });
+        Object.defineProperty(this, "queueLength", {
+            enumerable: false,
+            value: queueLength
+        });
+        Object.defineProperty(this, "route", {
+            enumerable: false,
+            value: route
+        });
+
+        Error.captureStackTrace(this, RequestQueueFullError);
+    }
+
+    get name() {
+        return this.constructor.name;
+    }
+}
+
+module.exports = RequestQueueFullError;
@@ -0,0 +1,105 @@
+"use strict";
+
+const Zlib = require("node:zlib");
+
+let ZlibSync;
+try {
+    ZlibSync = require("zlib-sync");
+} catch{
+    try {
+        ZlibSync = require("pako");
+    } catch{ // eslint-disable no-empty
+    }
+}
+
+/**
+ * Decompresses the messages of a gateway connection using transport compression.
+ * zlib-stream uses zlib-sync or pako if one is installed, and node:zlib otherwise. zstd-stream uses node:zlib
+ * @private
+ */
+class Decompressor {
+    #chunks = [];
+    #inflate = null;
+    #stream = null;
+
+    /**
+     * Construct a Decompressor
+     * @param {String} type The type of compression, either "zlib-stream" or "zstd-stream"
+     * @param {Function} callback A function called with an error or the decompressed data of every complete message
+     */
+    constructor(type, callback) {
+        /**
+         * The function called with an error or the decompressed data of every complete message
+         * @type {Function}
+         */
+        this.callback = callback;
+        /**
+         * The type of compression
+         * @type {String}
+         */
+        this.type = type;
+
+        if(type === "zlib-stream" && ZlibSync) {
+            this.#inflate = new ZlibSync.Inflate({
+                chunkSize: 128 * 1024
+            });
+            return;
+        }
+        if(type === "zstd-stream") {
+            this.#stream = Zlib.createZstdDecompress({
+                flush: Zlib.constants.ZSTD_e_flush
+            });
+        } else {
+            this.#stream = Zlib.createInflate({
+                chunkSize: 128 * 1024,
+                flush: Zlib.constants.Z_SYNC_FLUSH
+            });
+        }
+        this.#stream.on("data", (chunk) => this.#chunks.push(chunk));
+        this.#stream.on("error", (err) => this.callback(new Error(`${type} error: ${err.message}`)));
+    }
+
+    /**
+     * Stop decompressing. Messages still being decompressed are dropped
+     */
+    destroy() {
+        this.callback = () => {};
+        this.#stream?.destroy();
+    }
+
+    /**
+     * Decompress a message
+     * @param {Buffer} data The compressed message
+     */
+    push(data) {
+        // zlib-stream messages may be split across multiple websocket messages, the last one ending with a Z_SYNC_FLUSH suffix
+        const complete = this.type !== "zlib-stream" || (data.length >= 4 && data.readUInt32BE(data.length - 4) === 0xFFFF);
+        if(this.#inflate) {
+            this.#inflate.push(data, complete && ZlibSync.Z_SYNC_FLUSH);
+            if(!complete) {
+                return;
+            }
+            if(this.#inflate.err) {
+                this.callback(new Error(`zlib error ${this.#inflate.err}: ${this.#inflate.msg}`));
+                return;
+            }
+            this.callback(null, Buffer.from(this.#inflate.result));
+            return;
+        }
+        if(!complete) {
+            this.#stream.write(data);
+            return;
+        }
+        this.#stream.write(data, (err) => {
+            if(err) {
+                return; // Reported by the error event
+            }
+            // Data events of a chunk are emitted before its write callback
+            const result = this.#chunks.length === 1 ? this.#chunks[0] : Buffer.concat(this.#chunks);
+            this.#chunks = [];
+            this.callback(null, result);
+        });
+    }
+}
+
+module.exports = Decompressor;
@@ -0,0 +1,114 @@
+"use strict";
+
+const FS = require("node:fs/promises");
+
+/**
+ * Keeps the resume state of gateway sessions in a JSON file, so a restarted process can resume its sessions instead of identifying again.
+ * Custom stores (e.g. backed by Redis) can implement the same methods. Every method may return either a value or a Promise resolving with it
+ */
+class FileSessionStore {
+    #pending = null;
+    #sessions = null;
+    #writing = Promise.resolve();
+
+    /**
+     * Construct a FileSessionStore
+     * @param {String} path The path of the file to keep sessions in
+     * @param {Object} [options] Store options
+     * @param {Number} [options.maxAge=Infinity] How long (in ms) a saved session is considered resumable. Older sessions are ignored, and the shard identifies as usual
+     */
+    constructor(path, options = {}) {
+        /**
+         * The path of the file sessions are kept in
+         * @type {String}
+         */
+        this.path = path;
+        /**
+         * How long (in ms) a saved session is considered resumable
+         * @type {Number}
+         */
+        this.maxAge = options.maxAge ?? Infinity;
+    }
+
+    /**
+     * Forget the session of a shard
+     * @param {Number} shardID The ID of the shard
+     * @returns {Promise}
+     */
+    async delete(shardID) {
+        const sessions = await this.#load();
+        if(!sessions[shardID]) {
+            return;
+        }
+        delete sessions[shardID];
+        return this.#save();
+    }
+
+    /**
+     * Get the saved session of a shard
+     * @param {Number} shardID The ID of the shard
+     * @returns {Promise<Object?>} Resolves with the session state (`resumeURL`, `seq` and `sessionID`), or null if there is no resumable session
+     */
+    async get(shardID) {
+        const sessions = await this.#load();
+        const session = sessions[shardID];
+        if(!session || Date.now() - session.updatedAt > this.maxAge) {
+            return null;
+        }
+        return {
+            resumeURL: session.resumeURL,
+            seq: session.seq,
+            sessionID: session.sessionID
+        };
+    }
+
+    /**
+     * Save the session of a shard
+     * @param {Number} shardID The ID of the shard
+     * @param {Object} state The session state
+     * @param {String?} state.resumeURL The URL to resume the session at
+     * @param {Number} state.seq The sequence number of the last packet received
+     * @param {String} state.sessionID The ID of the session
+     * @returns {Promise}
+     */
+    async set(shardID, state) {
+        const sessions = await this.#load();
+        sessions[shardID] = {
+            resumeURL: state.resumeURL,
+            seq: state.seq,
+            sessionID: state.sessionID,
+            updatedAt: Date.now()
+        };
+        return this.#save();
+    }
+
+    #load() {
+        return this.#sessions ??= FS.readFile(this.path, "utf8").then((data) => JSON.parse(data), (err) => {
+            if(err.code === "ENOENT") {
+                return {};
+            }
+            this.#sessions = null;
+            throw err;
+        });
+    }
+
+    #save() {
+        // Changes made while a write is queued are picked up by that write
+        if(!this.#pending) {
+            this.#pending = this.#writing.then(async () => {
+                this.#pending = null;
+                const tmp = this.path + ".tmp";
+                await FS.writeFile(tmp, JSON.stringify(await this.#sessions));
+                await FS.rename(tmp, this.path);
+            });
+            this.#writing = this.#pending.catch(() => {});
+        }
+        return this.#pending;
+    }
+
+    toString() {
+        return `[FileSessionStore ${this.path}]`;
+    }
+}
+
+module.exports = FileSessionStore;
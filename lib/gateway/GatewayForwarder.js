@@ -0,0 +1,306 @@
+"use strict";
+
+const {GatewayOPCodes} = require("../Constants");
+
+/**
+ * Forwards the dispatch packets of a client's shards to every worker process running a RemoteGateway, and sends the gateway packets of the workers (presence updates, voice state updates, member requests) through the shards.
+ * The client only maintains the gateway connections, without caching anything or firing dispatch events, so the workers can be restarted without dropping the gateway sessions.
+ *
+ * **Workers connecting later** (e.g. a restarted worker) get the READY packet of each shard followed by a GUILD_CREATE packet for each of its guilds, so they cache the guilds like a worker connected from the start.
+ * To do so, the forwarder keeps the raw data of every guild, with its channels, threads, roles, members, emojis, stickers, voice states, stage instances and scheduled events updated from the dispatches it forwards.
+ * Presences aren't kept, so the workers only get them from later PRESENCE_UPDATE packets.
+ * Pass `replayGuilds: false` to skip this, e.g. if the workers restore their cache from a shared `cacheAdapter` or a `cacheSnapshot` instead. Workers connecting later then only get READY packets without guilds
+ */
+class GatewayForwarder {
+    #client;
+    #guilds = new Map();
+    #onPacket;
+    #readyPackets = new Map();
+    #transports = new Map();
+    /**
+     * Construct a GatewayForwarder. This must be done before calling `client.connect()`
+     * @param {Client} client The client running the shards
+     * @param {Object} [options] Forwarder options
+     * @param {Boolean} [options.replayGuilds=true] Whether to keep the data of every guild to send it to workers connecting later. This uses about as much memory as caching the guilds
+     */
+    constructor(client, options = {}) {
+        this.#client = client;
+        /**
+         * Whether the data of every guild is kept to send it to workers connecting later
+         * @type {Boolean}
+         */
+        this.replayGuilds = options.replayGuilds ?? true;
+        client.shards.options.processDispatches = false;
+        this.#onPacket = (packet, shardID) => {
+            if(packet.op !== GatewayOPCodes.DISPATCH) {
+                return;
+            }
+            if(packet.t === "READY") {
+                // The guilds of the READY packet are sent to workers connecting later from the guild data
+                this.#readyPackets.set(shardID, {...packet, d: {...packet.d, guilds: []}});
+            }
+            if(this.replayGuilds) {
+                this.#updateGuild(packet, shardID);
+            }
+            for(const transport of this.#transports.keys()) {
+                this.#send(transport, {op: "dispatch", shardID: shardID, packet: packet});
+            }
+        };
+        client.on("rawWS", this.#onPacket);
+    }
+
+    /**
+     * Start forwarding to a worker (or a group of workers)
+     * @param {Object} transport The transport to the worker, with a `send(message)` method and `message` events, such as a ChildProcess or a SocketTransport. For message brokers, an adapter with the same interface publishing to the workers
+     */
+    addTransport(transport) {
+        if(this.#transports.has(transport)) {
+            return;
+        }
+        const onMessage = (message) => this.#handleMessage(transport, message);
+        this.#transports.set(transport, onMessage);
+        transport.on("message", onMessage);
+    }
+
+    /**
+     * Stop forwarding to a worker, e.g. once its transport closed
+     * @param {Object} transport The transport to the worker
+     */
+    removeTransport(transport) {
+        const onMessage = this.#transports.get(transport);
+        if(onMessage) {
+            this.#transports.delete(transport);
+            transport.removeListener("message", onMessage);
+        }
+    }
+
+    /**
+     * Stop forwarding packets to every worker. The shards keep their connections
+     */
+    stop() {
+        this.#client.removeListener("rawWS", this.#onPacket);
+        for(const transport of [...this.#transports.keys()]) {
+            this.removeTransport(transport);
+        }
+    }
+
+    #handleMessage(transport, message) {
+        if(!message?._dysnomiaGateway) {
+            return;
+        }
+        switch(message.op) {
+            case "hello": {
+                if(typeof this.#client.shards.options.maxShards !== "number") {
+                    // Wait for the client to resolve the shard count
+                    this.#client.once("connect", () => this.#handleMessage(transport, message));
+                    return;
+                }
+                this.#send(transport, {
+                    op: "shards",
+                    firstShardID: this.#client.shards.options.firstShardID,
+                    lastShardID: this.#client.shards.options.lastShardID,
+                    maxShards: this.#client.shards.options.maxShards
+                });
+                break;
+            }
+            case "identify": {
+                const ready = this.#readyPackets.get(message.shardID);
+                if(!ready || !this.#client.shards.get(message.shardID)?.sessionID) {
+                    break;
+                }
+                const guilds = [];
+                for(const guild of this.#guilds.values()) {
+                    if(guild.shardID === message.shardID) {
+                        guilds.push(guild.data);
+                    }
+                }
+                // The worker's shard waits for the GUILD_CREATE of every guild listed in READY before it's ready, like after identifying with Discord
+                this.#send(transport, {op: "dispatch", shardID: message.shardID, packet: {...ready, d: {...ready.d, guilds: guilds.map((guild) => ({id: guild.id, unavailable: true}))}}});
+                for(const guild of guilds) {
+                    if(!guild.unavailable) {
+                        this.#send(transport, {op: "dispatch", shardID: message.shardID, packet: {op: GatewayOPCodes.DISPATCH, t: "GUILD_CREATE", d: guild}});
+                    }
+                }
+                break;
+            }
+            case "send": {
+                const shard = this.#client.shards.get(message.shardID);
+                if(!shard) {
+                    this.#client.emit("warn", `Worker sent a packet to unknown shard ${message.shardID}`);
+                    return;
+                }
+                shard.sendWS(message.packet.op, message.packet.d);
+                break;
+            }
+        }
+    }
+
+    #updateGuild(packet, shardID) {
+        const data = packet.d;
+        switch(packet.t) {
+            case "READY": {
+                for(const [id, guild] of this.#guilds) {
+                    if(guild.shardID === shardID) {
+                        this.#guilds.delete(id);
+                    }
+                }
+                for(const guild of data.guilds) {
+                    this.#guilds.set(guild.id, {data: guild, shardID: shardID});
+                }
+                return;
+            }
+            case "GUILD_CREATE": {
+                const guild = {...data};
+                delete guild.presences; // Not kept up to date
+                this.#guilds.set(data.id, {data: guild, shardID: shardID});
+                return;
+            }
+            case "GUILD_DELETE": {
+                if(data.unavailable) {
+                    this.#guilds.set(data.id, {data: packet.d, shardID: shardID});
+                } else {
+                    this.#guilds.delete(data.id);
+                }
+                return;
+            }
+        }
+        const guild = this.#guilds.get(packet.t === "GUILD_UPDATE" ? data.id : data.guild_id)?.data;
+        if(!guild || guild.unavailable) {
+            return;
+        }
+        switch(packet.t) {
+            case "GUILD_UPDATE": {
+                Object.assign(guild, data);
+                break;
+            }
+            case "CHANNEL_CREATE":
+            case "CHANNEL_UPDATE": {
+                updateItem(guild, "channels", data);
+                break;
+            }
+            case "CHANNEL_DELETE": {
+                removeItem(guild, "channels", data.id);
+                removeItem(guild, "threads", data.id, "parent_id");
+                break;
+            }
+            case "THREAD_CREATE":
+            case "THREAD_UPDATE": {
+                updateItem(guild, "threads", data);
+                break;
+            }
+            case "THREAD_DELETE": {
+                removeItem(guild, "threads", data.id);
+                break;
+            }
+            case "THREAD_LIST_SYNC": {
+                if(data.channel_ids) {
+                    guild.threads = guild.threads?.filter((thread) => !data.channel_ids.includes(thread.parent_id));
+                } else {
+                    guild.threads = [];
+                }
+                for(const thread of data.threads) {
+                    updateItem(guild, "threads", thread);
+                }
+                break;
+            }
+            case "GUILD_ROLE_CREATE":
+            case "GUILD_ROLE_UPDATE": {
+                updateItem(guild, "roles", data.role);
+                break;
+            }
+            case "GUILD_ROLE_DELETE": {
+                removeItem(guild, "roles", data.role_id);
+                break;
+            }
+            case "GUILD_MEMBER_ADD": {
+                ++guild.member_count;
+                updateItem(guild, "members", data, "user");
+                break;
+            }
+            case "GUILD_MEMBER_UPDATE": {
+                updateItem(guild, "members", data, "user");
+                break;
+            }
+            case "GUILD_MEMBER_REMOVE": {
+                --guild.member_count;
+                removeItem(guild, "members", data.user.id, "user");
+                break;
+            }
+            case "GUILD_MEMBERS_CHUNK": {
+                for(const member of data.members) {
+                    updateItem(guild, "members", member, "user");
+                }
+                break;
+            }
+            case "GUILD_EMOJIS_UPDATE": {
+                guild.emojis = data.emojis;
+                break;
+            }
+            case "GUILD_STICKERS_UPDATE": {
+                guild.stickers = data.stickers;
+                break;
+            }
+            case "VOICE_STATE_UPDATE": {
+                if(data.channel_id) {
+                    updateItem(guild, "voice_states", data, "user_id");
+                } else {
+                    removeItem(guild, "voice_states", data.user_id, "user_id");
+                }
+                break;
+            }
+            case "STAGE_INSTANCE_CREATE":
+            case "STAGE_INSTANCE_UPDATE": {
+                updateItem(guild, "stage_instances", data);
+                break;
+            }
+            case "STAGE_INSTANCE_DELETE": {
+                removeItem(guild, "stage_instances", data.id);
+                break;
+            }
+            case "GUILD_SCHEDULED_EVENT_CREATE":
+            case "GUILD_SCHEDULED_EVENT_UPDATE": {
+                updateItem(guild, "guild_scheduled_events", data);
+                break;
+            }
+            case "GUILD_SCHEDULED_EVENT_DELETE": {
+                removeItem(guild, "guild_scheduled_events", data.id);
+                break;
+            }
+        }
+    }
+
+    #send(transport, message) {
+        try {
+            transport.send({_dysnomiaGateway: true, ...message});
+        } catch(err) { // The worker is gone
+            this.#client.emit("debug", `Failed to forward to a worker: ${err.message}`, message.shardID);
+        }
+    }
+
+    toString() {
+        return `[GatewayForwarder ${this.#transports.size}]`;
+    }
+}
+
+// Members and voice states are identified by their user instead of an ID
+function getItemID(item, key) {
+    return key === "user" ? item.user?.id : item[key];
+}
+
+function removeItem(guild, list, id, key = "id") {
+    if(guild[list]) {
+        guild[list] = guild[list].filter((item) => getItemID(item, key) !== id);
+    }
+}
+
+function updateItem(guild, list, item, key = "id") {
+    guild[list] ??= [];
+    const index = guild[list].findIndex((existing) => getItemID(existing, key) === getItemID(item, key));
+    if(index === -1) {
+        guild[list].push(item);
+    } else {
+        guild[list][index] = {...guild[list][index], ...item};
+    }
+}
+
+module.exports = GatewayForwarder;
@@ -0,0 +1,79 @@
+"use strict";
+
+const FS = require("node:fs");
+
+/**
+ * Records the gateway packets received by a client to a file, to replay them later with a GatewayReplay.
+ * Every line of the file is a JSON object with the `time` (in ms since the recording started) and `shard` of the packet,
+ * and either the `packet` or the `close` code (and `reason`) of a connection closed by Discord
+ */
+class GatewayRecorder {
+    #client;
+    #onDisconnect;
+    #onPacket;
+    #startTime;
+    #stream;
+    /**
+     * Construct a GatewayRecorder and start recording
+     * @param {Client} client The client to record the packets of
+     * @param {String} path The path of the file to write the recording to. It's overwritten if it exists
+     */
+    constructor(client, path) {
+        /**
+         * The path of the file the recording is written to
+         * @type {String}
+         */
+        this.path = path;
+
+        this.#client = client;
+        this.#startTime = Date.now();
+        this.#stream = FS.createWriteStream(path);
+        this.#stream.on("error", (err) => client.emit("error", err));
+        this.#onPacket = (packet, shardID) => this.#write({shard: shardID, packet: packet});
+        this.#onDisconnect = (err, shardID) => {
+            if(err?.code) {
+                // Shards prefix close reasons with the code
+                const reason = err.message.startsWith(err.code + ": ") ? err.message.slice(String(err.code).length + 2) : err.message;
+                this.#write({shard: shardID, close: err.code, reason: reason});
+            }
+        };
+        client.on("rawWS", this.#onPacket);
+        client.on("shardDisconnect", this.#onDisconnect);
+    }
+
+    /**
+     * Whether the recorder is recording
+     * @type {Boolean}
+     */
+    get recording() {
+        return !!this.#stream;
+    }
+
+    /**
+     * Stop recording
+     * @returns {Promise} Resolves when the recording is written to the file
+     */
+    stop() {
+        if(!this.#stream) {
+            return Promise.resolve();
+        }
+        this.#client.removeListener("rawWS", this.#onPacket);
+        this.#client.removeListener("shardDisconnect", this.#onDisconnect);
+        const stream = this.#stream;
+        this.#stream = null;
+        return new Promise((resolve, reject) => {
+            stream.once("error", reject);
+            stream.end(resolve);
+        });
+    }
+
+    #write(entry) {
+        this.#stream.write(JSON.stringify({time: Date.now() - this.#startTime, ...entry}) + "\n");
+    }
+
+    toString() {
+        return `[GatewayRecorder ${this.path}]`;
+    }
+}
+
+module.exports = GatewayRecorder;
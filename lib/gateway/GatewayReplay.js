@@ -0,0 +1,207 @@
+"use strict";
+
+const FS = require("node:fs/promises");
+const {GatewayOPCodes} = require("../Constants");
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch{
+    EventEmitter = require("node:events").EventEmitter;
+}
+let Erlpack;
+try {
+    Erlpack = require("erlpack");
+} catch{ // eslint-disable no-empty
+}
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+/**
+ * Replays a recording of a GatewayRecorder to a client instead of connecting to Discord.
+ * Packets of every shard are replayed in the recorded order, each shard receiving its packets through a fake WebSocket
+ * @extends EventEmitter
+ */
+class GatewayReplay extends EventEmitter {
+    #cursor = 0;
+    #lastTime = 0;
+    #sockets = new Map();
+    #timeout = null;
+    /**
+     * Construct a GatewayReplay
+     * @param {Array<Object>} entries The entries of the recording
+     * @param {Object} [options] Replay options
+     * @param {Number} [options.speed=Infinity] How fast to replay the recording, relative to the recorded timing. By default, packets are replayed without delays
+     */
+    constructor(entries, options = {}) {
+        super();
+
+        /**
+         * The entries of the recording
+         * @type {Array<Object>}
+         */
+        this.entries = entries;
+        /**
+         * Whether every entry was replayed
+         * @type {Boolean}
+         */
+        this.finished = entries.length === 0;
+        /**
+         * How fast the recording is replayed, relative to the recorded timing
+         * @type {Number}
+         */
+        this.speed = options.speed ?? Infinity;
+
+        /**
+         * Create a fake WebSocket for a shard. Pass this as the `createWebSocket` gateway option of a client, or use `play()` which does it for you
+         * @type {Function}
+         */
+        this.createWebSocket = (url, options, shard) => new ReplayWebSocket(this, shard.id);
+    }
+
+    /**
+     * Replay the recording to a client, without fetching the gateway URL from Discord.
+     * This spawns every shard of the recording, and raises the `maxConcurrency` of the client so they connect without delays
+     * @param {Client} client The client
+     * @returns {Promise} Resolves when every entry was replayed
+     */
+    play(client) {
+        const shardIDs = [...new Set(this.entries.map((entry) => entry.shard))];
+        client.gatewayURL ??= "replay://";
+        client.shards.options.createWebSocket = this.createWebSocket;
+        // "auto" counts are only resolved when connecting to Discord, so they count as 0 here
+        const {options} = client.shards;
+        options.maxConcurrency = Math.max(typeof options.maxConcurrency === "number" ? options.maxConcurrency : 0, ...shardIDs.map((id) => id + 1));
+        options.maxShards = Math.max(typeof options.maxShards === "number" ? options.maxShards : 0, ...shardIDs.map((id) => id + 1));
+        const finished = this.finished ? Promise.resolve() : new Promise((resolve) => this.once("end", resolve));
+        for(const id of shardIDs) {
+            client.shards.spawn(id);
+        }
+        return finished;
+    }
+
+    /**
+     * Stop replaying, closing every fake WebSocket. Remaining entries are skipped
+     */
+    stop() {
+        clearTimeout(this.#timeout);
+        this.#timeout = null;
+        this.#cursor = this.entries.length;
+        for(const socket of this.#sockets.values()) {
+            socket.close(1000, "Replay stopped");
+        }
+        this._next();
+    }
+
+    _addSocket(shardID, socket) {
+        this.#sockets.set(shardID, socket);
+        this._next();
+    }
+
+    _next() {
+        if(this.#timeout) {
+            return;
+        }
+        const entry = this.entries[this.#cursor];
+        if(!entry) {
+            if(!this.finished) {
+                this.finished = true;
+                /**
+                 * Fired when every entry of the recording was replayed
+                 * @event GatewayReplay#end
+                 */
+                this.emit("end");
+            }
+            return;
+        }
+        const socket = this.#sockets.get(entry.shard);
+        if(entry.packet && socket?.readyState !== OPEN) {
+            return; // Wait for the shard to connect
+        }
+        const delay = this.speed === Infinity ? 0 : Math.max(entry.time - this.#lastTime, 0) / this.speed;
+        this.#timeout = setTimeout(() => {
+            this.#timeout = null;
+            ++this.#cursor;
+            this.#lastTime = entry.time;
+            if(entry.packet) {
+                socket.emit("message", structuredClone(entry.packet)); // Handlers may modify packets
+            } else if(socket?.readyState === OPEN) { // The connection was closed by Discord
+                socket.close(entry.close, entry.reason);
+            }
+            this._next();
+        }, delay);
+    }
+
+    _removeSocket(shardID, socket) {
+        if(this.#sockets.get(shardID) === socket) {
+            this.#sockets.delete(shardID);
+        }
+    }
+
+    /**
+     * Load a recording from a file
+     * @param {String} path The path of the file written by a GatewayRecorder
+     * @param {Object} [options] Replay options, see the constructor
+     * @returns {Promise<GatewayReplay>}
+     */
+    static async load(path, options) {
+        const data = await FS.readFile(path, "utf8");
+        return new GatewayReplay(data.split("\n").filter((line) => line.trim()).map((line) => JSON.parse(line)), options);
+    }
+
+    toString() {
+        return `[GatewayReplay ${this.#cursor}/${this.entries.length}]`;
+    }
+}
+
+/**
+ * A fake WebSocket receiving the replayed packets of a shard. It emits packets as objects, and acknowledges heartbeats
+ * @private
+ */
+class ReplayWebSocket extends EventEmitter {
+    #replay;
+    #shardID;
+    readyState = CONNECTING;
+
+    constructor(replay, shardID) {
+        super();
+        this.#replay = replay;
+        this.#shardID = shardID;
+        setImmediate(() => {
+            if(this.readyState !== CONNECTING) {
+                return;
+            }
+            this.readyState = OPEN;
+            this.emit("open");
+            replay._addSocket(shardID, this);
+        });
+    }
+
+    close(code = 1000, reason = "") {
+        if(this.readyState === CLOSED) {
+            return;
+        }
+        this.readyState = CLOSED;
+        this.#replay._removeSocket(this.#shardID, this);
+        setImmediate(() => this.emit("close", code, Buffer.from(reason)));
+    }
+
+    send(data) {
+        const packet = typeof data === "string" ? JSON.parse(data) : Erlpack.unpack(data);
+        if(packet.op === GatewayOPCodes.HEARTBEAT) {
+            setImmediate(() => {
+                if(this.readyState === OPEN) {
+                    this.emit("message", {op: GatewayOPCodes.HEARTBEAT_ACK});
+                }
+            });
+        }
+    }
+
+    terminate() {
+        this.close(1006);
+    }
+}
+
+module.exports = GatewayReplay;
@@ -0,0 +1,45 @@
+"use strict";
+
+/**
+ * Grants identifies in the memory of the current process, one at a time per ratelimit bucket (`shardID % maxConcurrency`), spaced 5 seconds apart.
+ * Locks coordinating processes using the same token (e.g. through Redis or an IPC server) can implement the same `acquire()` method
+ */
+class MemoryIdentifyLock {
+    #queues = new Map();
+    /**
+     * Construct a MemoryIdentifyLock
+     * @param {Object} [options] Lock options
+     * @param {Number} [options.interval=5000] How long (in ms) to wait between identifies in the same bucket
+     */
+    constructor(options = {}) {
+        /**
+         * How long (in ms) to wait between identifies in the same bucket
+         * @type {Number}
+         */
+        this.interval = options.interval ?? 5000;
+    }
+
+    /**
+     * Wait for permission to identify in a ratelimit bucket
+     * @param {Number} rateLimitKey The ratelimit bucket, `shardID % maxConcurrency`. Shards also pass their ID as a second argument, which other locks may use
+     * @returns {Promise} Resolves when the shard may identify
+     */
+    acquire(rateLimitKey) {
+        const previous = this.#queues.get(rateLimitKey) || Promise.resolve();
+        const granted = previous.then(() => {});
+        const next = granted.then(() => new Promise((resolve) => setTimeout(resolve, this.interval)));
+        this.#queues.set(rateLimitKey, next);
+        next.then(() => {
+            if(this.#queues.get(rateLimitKey) === next) {
+                this.#queues.delete(rateLimitKey);
+            }
+        });
+        return granted;
+    }
+
+    toString() {
+        return `[MemoryIdentifyLock ${this.#queues.size}]`;
+    }
+}
+
+module.exports = MemoryIdentifyLock;
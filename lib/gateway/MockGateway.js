@@ -0,0 +1,363 @@
+"use strict";
+
+const Crypto = require("node:crypto");
+const HTTP = require("node:http");
+const {GATEWAY_VERSION, GatewayOPCodes} = require("../Constants");
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch{
+    EventEmitter = require("node:events").EventEmitter;
+}
+
+// Close codes after which a session can't be resumed
+const UNRESUMABLE_CLOSE_CODES = [4003, 4004, 4007, 4009, 4010, 4011, 4012, 4013, 4014];
+
+/**
+ * A local fake of the Discord gateway for tests. It speaks the gateway protocol over WebSockets (JSON encoding, without compression),
+ * and answers the `/gateway` and `/gateway/bot` REST endpoints, so a client can connect to it by using its `restDomain` as the `rest.domain` option (with `rest.https` set to false).
+ * Sessions can be resumed, receiving the dispatches they missed
+ * @extends EventEmitter
+ */
+class MockGateway extends EventEmitter {
+    #connections = new Set();
+    #server = null;
+    #sessions = new Map();
+    #wss = null;
+    /**
+     * Construct a MockGateway
+     * @param {Object} [options] Mock gateway options
+     * @param {Boolean} [options.ackHeartbeats=true] Whether to acknowledge heartbeats. Set this to false to simulate a zombie connection
+     * @param {Object} [options.application] The partial application object sent in READY
+     * @param {Array<Object>} [options.guilds] Guild objects sent as GUILD_CREATE after READY, to the shards they belong to
+     * @param {Number} [options.heartbeatInterval=41250] The heartbeat interval sent in HELLO, in milliseconds
+     * @param {Number} [options.port=0] The port to listen on. By default, a free port is picked
+     * @param {Number} [options.shards=1] The recommended shard count returned by `/gateway/bot`
+     * @param {String} [options.token] The token clients must identify with. By default, any token is accepted
+     * @param {Object} [options.user] The user object sent in READY
+     */
+    constructor(options = {}) {
+        super();
+
+        /* eslint-disable @stylistic/key-spacing -- this is spaced differently to the rest */
+        this.options = Object.assign({
+            ackHeartbeats:     true,
+            application:       {id: "1", flags: 0},
+            guilds:            [],
+            heartbeatInterval: 41250,
+            port:              0,
+            shards:            1,
+            token:             null,
+            user:              {id: "1", username: "Mock", discriminator: "0", bot: true}
+        }, options);
+        /* eslint-enable @stylistic/key-spacing */
+    }
+
+    /**
+     * The host and port of the mock gateway, to use as the `rest.domain` option of a client
+     * @type {String?}
+     */
+    get restDomain() {
+        const address = this.#server?.address();
+        return address ? `127.0.0.1:${address.port}` : null;
+    }
+
+    /**
+     * The WebSocket URL of the mock gateway
+     * @type {String?}
+     */
+    get url() {
+        return this.restDomain && `ws://${this.restDomain}/`;
+    }
+
+    /**
+     * Stop the mock gateway, closing every connection
+     * @returns {Promise}
+     */
+    close() {
+        for(const connection of this.#connections) {
+            connection.ws.terminate();
+        }
+        this.#wss?.close();
+        const server = this.#server;
+        this.#server = this.#wss = null;
+        return new Promise((resolve) => server ? server.close(() => resolve()) : resolve());
+    }
+
+    /**
+     * Close the connections of a shard with a close code, like Discord does when something goes wrong
+     * @param {Number} [shardID] The ID of the shard. By default, the connections of every shard are closed
+     * @param {Number} [code=4000] The close code
+     * @param {String} [reason] The close reason
+     */
+    disconnect(shardID, code = 4000, reason = "Disconnected by the mock gateway") {
+        for(const connection of this.#shardConnections(shardID)) {
+            if(UNRESUMABLE_CLOSE_CODES.includes(code) && connection.session) {
+                this.#sessions.delete(connection.session.id);
+            }
+            connection.ws.close(code, reason);
+        }
+    }
+
+    /**
+     * Send a dispatch to the sessions of a shard. Sessions which are disconnected receive it when they resume
+     * @param {String} event The event name, e.g. "MESSAGE_CREATE"
+     * @param {Object} data The event data
+     * @param {Number} [shardID] The ID of the shard. By default, the dispatch is sent to every shard
+     */
+    dispatch(event, data, shardID) {
+        for(const session of this.#shardSessions(shardID)) {
+            this.#dispatch(session, event, data);
+        }
+    }
+
+    /**
+     * Invalidate the sessions of a shard by sending INVALID_SESSION
+     * @param {Number} [shardID] The ID of the shard. By default, the sessions of every shard are invalidated
+     * @param {Boolean} [resumable=false] Whether the session can still be resumed
+     */
+    invalidateSession(shardID, resumable = false) {
+        for(const session of this.#shardSessions(shardID)) {
+            const connection = session.connection;
+            if(!resumable) {
+                this.#sessions.delete(session.id);
+                if(connection) {
+                    connection.session = null;
+                }
+            }
+            if(connection) {
+                this.#send(connection, {op: GatewayOPCodes.INVALID_SESSION, d: resumable});
+            }
+        }
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<String>} Resolves with the WebSocket URL of the mock gateway
+     */
+    listen() {
+        // Loaded lazily, as ws is not available in browsers
+        const {WebSocketServer} = require("ws");
+        this.#server = HTTP.createServer((req, res) => this.#onRequest(req, res));
+        this.#wss = new WebSocketServer({server: this.#server});
+        this.#wss.on("connection", (ws) => this.#onConnection(ws));
+        return new Promise((resolve, reject) => {
+            this.#server.once("error", reject);
+            this.#server.listen(this.options.port, "127.0.0.1", () => resolve(this.url));
+        });
+    }
+
+    /**
+     * Ask the connections of a shard to reconnect by sending RECONNECT
+     * @param {Number} [shardID] The ID of the shard. By default, every shard is asked to reconnect
+     */
+    reconnect(shardID) {
+        for(const connection of this.#shardConnections(shardID)) {
+            this.#send(connection, {op: GatewayOPCodes.RECONNECT, d: null});
+        }
+    }
+
+    #dispatch(session, event, data) {
+        const packet = {op: GatewayOPCodes.DISPATCH, t: event, s: ++session.seq, d: data};
+        session.packets.push(packet);
+        if(session.packets.length > 1000) {
+            session.packets.shift();
+        }
+        if(session.connection) {
+            this.#send(session.connection, packet);
+        }
+    }
+
+    #identify(connection, data) {
+        if(this.options.token !== null && data.token !== this.options.token && data.token !== "Bot " + this.options.token) {
+            return connection.ws.close(4004, "Authentication failed.");
+        }
+        const [shardID, shardCount] = data.shard || [0, 1];
+        if(shardID >= shardCount) {
+            return connection.ws.close(4010, "Invalid shard.");
+        }
+        if(typeof data.intents !== "number") {
+            return connection.ws.close(4013, "Invalid intent(s).");
+        }
+        // Previous sessions of the shard are replaced
+        for(const session of this.#shardSessions(shardID)) {
+            this.#sessions.delete(session.id);
+        }
+        const session = {
+            connection: connection,
+            id: Crypto.randomUUID().replaceAll("-", ""),
+            packets: [],
+            seq: 0,
+            shard: [shardID, shardCount]
+        };
+        this.#sessions.set(session.id, session);
+        connection.session = session;
+        connection.shardID = shardID;
+        /**
+         * Fired when a shard identifies
+         * @event MockGateway#identify
+         * @prop {Number} shardID The ID of the shard
+         * @prop {Object} data The IDENTIFY payload
+         */
+        this.emit("identify", shardID, data);
+
+        const guilds = this.options.guilds.filter((guild) => Number(BigInt(guild.id) >> 22n) % shardCount === shardID);
+        this.#dispatch(session, "READY", {
+            application: this.options.application,
+            guilds: guilds.map((guild) => ({id: guild.id, unavailable: true})),
+            resume_gateway_url: this.url,
+            session_id: session.id,
+            shard: session.shard,
+            user: this.options.user,
+            v: GATEWAY_VERSION
+        });
+        for(const guild of guilds) {
+            this.#dispatch(session, "GUILD_CREATE", guild);
+        }
+    }
+
+    #onConnection(ws) {
+        const connection = {session: null, shardID: null, ws: ws};
+        this.#connections.add(connection);
+        this.#send(connection, {op: GatewayOPCodes.HELLO, d: {heartbeat_interval: this.options.heartbeatInterval}});
+        ws.on("message", (message) => this.#onMessage(connection, message));
+        ws.on("close", (code) => {
+            this.#connections.delete(connection);
+            if(connection.session?.connection === connection) {
+                connection.session.connection = null;
+            }
+            /**
+             * Fired when a connection closes
+             * @event MockGateway#close
+             * @prop {Number?} shardID The ID of the shard, if the connection identified or resumed
+             * @prop {Number} code The close code
+             */
+            this.emit("close", connection.shardID, code);
+        });
+        ws.on("error", (err) => this.emit("error", err));
+        /**
+         * Fired when a client connects
+         * @event MockGateway#connection
+         */
+        this.emit("connection");
+    }
+
+    #onMessage(connection, message) {
+        let packet;
+        try {
+            packet = JSON.parse(message.toString());
+        } catch{
+            return connection.ws.close(4002, "Error while decoding payload.");
+        }
+        /**
+         * Fired when a client sends a packet
+         * @event MockGateway#packet
+         * @prop {Number?} shardID The ID of the shard, if the connection identified or resumed
+         * @prop {Object} packet The packet
+         */
+        this.emit("packet", connection.shardID, packet);
+        switch(packet.op) {
+            case GatewayOPCodes.HEARTBEAT: {
+                if(this.options.ackHeartbeats) {
+                    this.#send(connection, {op: GatewayOPCodes.HEARTBEAT_ACK});
+                }
+                break;
+            }
+            case GatewayOPCodes.IDENTIFY: {
+                if(connection.session) {
+                    return connection.ws.close(4005, "Already authenticated.");
+                }
+                this.#identify(connection, packet.d);
+                break;
+            }
+            case GatewayOPCodes.RESUME: {
+                if(connection.session) {
+                    return connection.ws.close(4005, "Already authenticated.");
+                }
+                this.#resume(connection, packet.d);
+                break;
+            }
+            case GatewayOPCodes.PRESENCE_UPDATE:
+            case GatewayOPCodes.VOICE_STATE_UPDATE:
+            case GatewayOPCodes.REQUEST_GUILD_MEMBERS: {
+                if(!connection.session) {
+                    return connection.ws.close(4003, "Not authenticated.");
+                }
+                break;
+            }
+            default: {
+                return connection.ws.close(4001, "Unknown opcode.");
+            }
+        }
+    }
+
+    #onRequest(req, res) {
+        res.setHeader("Content-Type", "application/json");
+        const path = new URL(req.url, "http://localhost").pathname.replace(/^\/api\/v\d+/, "");
+        if(path === "/gateway" || path === "/gateway/bot") {
+            res.end(JSON.stringify({
+                url: `ws://${this.restDomain}`,
+                shards: this.options.shards,
+                session_start_limit: {
+                    max_concurrency: 1,
+                    remaining: 1000,
+                    reset_after: 0,
+                    total: 1000
+                }
+            }));
+            return;
+        }
+        res.statusCode = 404;
+        res.end(JSON.stringify({message: "404: Not Found", code: 0}));
+    }
+
+    #resume(connection, data) {
+        const session = this.#sessions.get(data.session_id);
+        if(!session) {
+            this.#send(connection, {op: GatewayOPCodes.INVALID_SESSION, d: false});
+            return;
+        }
+        // Take the session over from a connection which didn't close yet
+        if(session.connection) {
+            session.connection.session = null;
+            session.connection.ws.close(4000, "Session resumed elsewhere.");
+        }
+        session.connection = connection;
+        connection.session = session;
+        connection.shardID = session.shard[0];
+        /**
+         * Fired when a shard resumes a session
+         * @event MockGateway#resume
+         * @prop {Number} shardID The ID of the shard
+         * @prop {Object} data The RESUME payload
+         */
+        this.emit("resume", connection.shardID, data);
+        for(const packet of session.packets) {
+            if(packet.s > data.seq) {
+                this.#send(connection, packet);
+            }
+        }
+        this.#dispatch(session, "RESUMED", {});
+    }
+
+    #send(connection, packet) {
+        if(connection.ws.readyState === connection.ws.OPEN) {
+            connection.ws.send(JSON.stringify(packet));
+        }
+    }
+
+    #shardConnections(shardID) {
+        return [...this.#connections].filter((connection) => shardID === undefined || connection.shardID === shardID);
+    }
+
+    #shardSessions(shardID) {
+        return [...this.#sessions.values()].filter((session) => shardID === undefined || session.shard[0] === shardID);
+    }
+
+    toString() {
+        return `[MockGateway ${this.url}]`;
+    }
+}
+
+module.exports = MockGateway;
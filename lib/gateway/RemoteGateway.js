@@ -0,0 +1,171 @@
+"use strict";
+
+const {GatewayOPCodes} = require("../Constants");
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch{
+    EventEmitter = require("node:events").EventEmitter;
+}
+let Erlpack;
+try {
+    Erlpack = require("erlpack");
+} catch{ // eslint-disable no-empty
+}
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Ops handled by the fake WebSocket instead of being sent to the gateway process
+const LOCAL_OPS = [GatewayOPCodes.HEARTBEAT, GatewayOPCodes.IDENTIFY, GatewayOPCodes.RESUME];
+
+/**
+ * Connects a client to a gateway process running a GatewayForwarder instead of Discord.
+ * Every shard receives the dispatches forwarded by the gateway process through a fake WebSocket, and its gateway packets (such as presence updates) are sent through the shard of the gateway process
+ * @extends EventEmitter
+ */
+class RemoteGateway extends EventEmitter {
+    #sockets = new Map();
+    /**
+     * Construct a RemoteGateway
+     * @param {Object} transport The transport to the gateway process, with a `send(message)` method and `message` events, such as `process` in a child process or a SocketTransport
+     */
+    constructor(transport) {
+        super();
+
+        /**
+         * The transport to the gateway process
+         * @type {Object}
+         */
+        this.transport = transport;
+
+        /**
+         * Create a fake WebSocket for a shard. Pass this as the `createWebSocket` gateway option of a client, or use `connect()` which does it for you
+         * @type {Function}
+         */
+        this.createWebSocket = (url, options, shard) => new RemoteWebSocket(this, shard.id);
+
+        transport.on("message", (message) => {
+            if(!message?._dysnomiaGateway) {
+                return;
+            }
+            if(message.op === "shards") {
+                /**
+                 * Fired when the gateway process sends the shards it runs
+                 * @event RemoteGateway#shards
+                 * @prop {Object} shards The `firstShardID`, `lastShardID` and `maxShards` of the gateway process
+                 */
+                this.emit("shards", message);
+            } else if(message.op === "dispatch") {
+                const socket = this.#sockets.get(message.shardID);
+                if(socket?.identified) {
+                    socket.emit("message", message.packet);
+                }
+            }
+        });
+    }
+
+    /**
+     * Connect a client to the gateway process, without fetching the gateway URL from Discord.
+     * This spawns the shards run by the gateway process, and raises the `maxConcurrency` of the client so they connect without delays
+     * @param {Client} client The client
+     * @returns {Promise} Resolves when the shards are spawned
+     */
+    connect(client) {
+        return new Promise((resolve) => {
+            this.once("shards", (shards) => {
+                client.gatewayURL ??= "remote://";
+                Object.assign(client.shards.options, {
+                    createWebSocket: this.createWebSocket,
+                    firstShardID: shards.firstShardID,
+                    lastShardID: shards.lastShardID,
+                    maxConcurrency: shards.maxShards,
+                    maxShards: shards.maxShards
+                });
+                for(let id = shards.firstShardID; id <= shards.lastShardID; ++id) {
+                    client.shards.spawn(id);
+                }
+                resolve();
+            });
+            this._send({op: "hello"});
+        });
+    }
+
+    _addSocket(shardID, socket) {
+        this.#sockets.set(shardID, socket);
+    }
+
+    _removeSocket(shardID, socket) {
+        if(this.#sockets.get(shardID) === socket) {
+            this.#sockets.delete(shardID);
+        }
+    }
+
+    _send(message) {
+        this.transport.send({_dysnomiaGateway: true, ...message});
+    }
+
+    toString() {
+        return `[RemoteGateway ${this.#sockets.size}]`;
+    }
+}
+
+/**
+ * A fake WebSocket receiving the dispatches of a shard from the gateway process. It emits packets as objects, and acknowledges heartbeats
+ * @private
+ */
+class RemoteWebSocket extends EventEmitter {
+    #gateway;
+    #shardID;
+    identified = false;
+    readyState = CONNECTING;
+
+    constructor(gateway, shardID) {
+        super();
+        this.#gateway = gateway;
+        this.#shardID = shardID;
+        setImmediate(() => {
+            if(this.readyState !== CONNECTING) {
+                return;
+            }
+            this.readyState = OPEN;
+            this.emit("open");
+            gateway._addSocket(shardID, this);
+            this.emit("message", {op: GatewayOPCodes.HELLO, d: {heartbeat_interval: 41250}});
+        });
+    }
+
+    close(code = 1000, reason = "") {
+        if(this.readyState === CLOSED) {
+            return;
+        }
+        this.readyState = CLOSED;
+        this.#gateway._removeSocket(this.#shardID, this);
+        setImmediate(() => this.emit("close", code, Buffer.from(reason)));
+    }
+
+    send(data) {
+        const packet = typeof data === "string" ? JSON.parse(data) : Erlpack.unpack(data);
+        if(!LOCAL_OPS.includes(packet.op)) {
+            this.#gateway._send({op: "send", shardID: this.#shardID, packet: packet});
+        } else if(packet.op === GatewayOPCodes.HEARTBEAT) {
+            setImmediate(() => {
+                if(this.readyState === OPEN) {
+                    this.emit("message", {op: GatewayOPCodes.HEARTBEAT_ACK});
+                }
+            });
+        } else {
+            // The session belongs to the gateway process, which sends its READY packet if the shard is already connected
+            this.identified = true;
+            this.#gateway._send({op: "identify", shardID: this.#shardID});
+        }
+    }
+
+    terminate() {
+        this.close(1006);
+    }
+}
+
+module.exports = RemoteGateway;
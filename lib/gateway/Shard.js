@@ -4,7 +4,9 @@ const util = require("node:util");
 const Base = require("../structures/Base");
 const Bucket = require("../util/Bucket");
 const Channel = require("../structures/Channel");
+const Decompressor = require("./Decompressor");
 const GuildChannel = require("../structures/GuildChannel");
+const Member = require("../structures/Member");
 const Message = require("../structures/Message");
 const PrivateChannel = require("../structures/PrivateChannel");
 const {GATEWAY_VERSION, GatewayOPCodes, ChannelTypes} = require("../Constants");
@@ -24,6 +26,11 @@ const Entitlement = require("../structures/Entitlement");
 
 const WebSocket = typeof window !== "undefined" ? require("../util/BrowserWebSocket") : require("ws");
 
+// How many heartbeat round trips the latency stats of a shard's health are calculated from
+const HEALTH_LATENCY_SAMPLES = 10;
+// The only dispatches handled by shards waiting for a reshard, just enough to get them ready
+const PENDING_SHARD_EVENTS = ["GUILD_CREATE", "GUILD_MEMBERS_CHUNK", "READY", "RESUMED"];
+
 let EventEmitter;
 try {
     EventEmitter = require("eventemitter3");
@@ -35,27 +42,28 @@ try {
     Erlpack = require("erlpack");
 } catch{ // eslint-disable no-empty
 }
-let ZlibSync;
-try {
-    ZlibSync = require("zlib-sync");
-} catch{
-    try {
-        ZlibSync = require("pako");
-    } catch{ // eslint-disable no-empty
-    }
-}
 
 /**
  * Represents a shard
  * @extends EventEmitter
  */
 class Shard extends EventEmitter {
+    #decompressor = null;
+    #heartbeatAckTimeout = null;
+    #health = {
+        closeCodes: {},
+        connects: 0,
+        identifies: 0,
+        latencies: [],
+        resumes: 0
+    };
+
+    #memberStreams = new Map();
     #onWSClose;
     #onWSError;
     #onWSMessage;
     #onWSOpen;
     #token;
-    #zlibSync;
     constructor(id, client) {
         super();
 
@@ -69,6 +77,16 @@ class Shard extends EventEmitter {
          * @type {Client}
          */
         this.client = client;
+        /**
+         * The total shard count of the set this shard will join once a reshard completes, or null if it's one of the running shards
+         * @type {Number?}
+         */
+        this._pendingShardCount = null;
+        /**
+         * Last time the shard received a dispatch packet, null if it hasn't received any yet
+         * @type {Number?}
+         */
+        this.lastDispatchReceived = null;
 
         this.onPacket = this.onPacket.bind(this);
         this.#onWSOpen = this.#onWSOpenUnbound.bind(this);
@@ -105,6 +123,7 @@ class Shard extends EventEmitter {
             return;
         }
         ++this.connectAttempts;
+        ++this.#health.connects;
 
         /**
          * Whether the shard is connecting
@@ -115,7 +134,9 @@ class Shard extends EventEmitter {
     }
 
     createGuild(_guild) {
-        this.client.guildShardMap[_guild.id] = this.id;
+        if(!this._pendingShardCount) {
+            this.client.guildShardMap[_guild.id] = this.id;
+        }
         const guild = this.client.guilds.add(_guild, this.client, true);
         if(this.client.shards.options.getAllUsers && guild.members.size < guild.memberCount) {
             this.getAllUsersCount[guild.id] = true;
@@ -200,6 +221,8 @@ class Shard extends EventEmitter {
         } else if(!options.reconnect) {
             this.hardReset();
         }
+
+        this.client.shards._saveSession(this);
     }
 
     /**
@@ -245,12 +268,41 @@ class Shard extends EventEmitter {
     }
 
     emit(event, ...args) {
-        this.client.emit.call(this.client, event, ...args);
+        // Shards waiting for a reshard would duplicate the events of the running shards
+        if(!this._pendingShardCount || event === "debug" || event === "warn" || event === "error") {
+            this.client.emit.call(this.client, event, ...args);
+        }
         if(event !== "error" || this.listeners("error").length > 0) {
             super.emit.call(this, event, ...args);
         }
     }
 
+    /**
+     * Get a snapshot of the health of the shard's connection
+     * @returns {Shard.Health}
+     */
+    getHealth() {
+        const latencies = this.#health.latencies;
+        return {
+            closeCodes: Object.assign({}, this.#health.closeCodes),
+            connects: this.#health.connects,
+            id: this.id,
+            identifies: this.#health.identifies,
+            lastDispatchReceived: this.lastDispatchReceived,
+            lastHeartbeatAck: this.lastHeartbeatAck,
+            latency: {
+                average: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : Infinity,
+                last: this.latency,
+                max: latencies.length ? Math.max(...latencies) : Infinity,
+                min: latencies.length ? Math.min(...latencies) : Infinity,
+                samples: latencies.length
+            },
+            resumes: this.#health.resumes,
+            status: this.status,
+            timeSinceLastDispatch: this.lastDispatchReceived === null ? null : Date.now() - this.lastDispatchReceived
+        };
+    }
+
     hardReset() {
         this.reset();
         this.seq = 0;
@@ -281,6 +333,7 @@ class Shard extends EventEmitter {
                     status: this.status,
                     timestamp: Date.now()
                 }));
+                this.#emitUnhealthy("heartbeat");
                 return this.disconnect({
                     reconnect: "auto"
                 }, new Error("Server didn't acknowledge previous heartbeat, possible lost connection"));
@@ -293,19 +346,25 @@ class Shard extends EventEmitter {
          */
         this.lastHeartbeatSent = Date.now();
         this.sendWS(GatewayOPCodes.HEARTBEAT, this.seq, true);
+        if(this.client.shards.options.heartbeatAckTimeout) {
+            // Detect zombie connections before the next heartbeat is due
+            clearTimeout(this.#heartbeatAckTimeout);
+            this.#heartbeatAckTimeout = setTimeout(() => {
+                this.#heartbeatAckTimeout = null;
+                this.emit("debug", `Heartbeat not acknowledged within ${this.client.shards.options.heartbeatAckTimeout}ms`, this.id);
+                this.#emitUnhealthy("zombie");
+                this.disconnect({
+                    reconnect: "auto"
+                }, new Error("Server didn't acknowledge heartbeat in time, possible zombie connection"));
+            }, this.client.shards.options.heartbeatAckTimeout);
+        }
+        if(normal) {
+            // Keep the saved sequence reasonably fresh in case the process dies without saving its sessions
+            this.client.shards._saveSession(this);
+        }
     }
 
     identify() {
-        if(this.client.shards.options.compress && !ZlibSync) {
-            /**
-             * Fired when the shard encounters an error
-             * @event Client#error
-             * @prop {Error} err The error
-             * @prop {Number} id The ID of the shard
-             */
-            this.emit("error", new Error("pako/zlib-sync not found, cannot decompress data"));
-            return;
-        }
         /**
          * The status of the shard. "disconnected"/"connecting"/"handshaking"/"ready"/"identifying"/"resuming"
          * @type {String}
@@ -314,7 +373,7 @@ class Shard extends EventEmitter {
         const identify = {
             token: this.#token,
             v: GATEWAY_VERSION,
-            compress: !!this.client.shards.options.compress,
+            compress: false, // Payload compression, transport compression is requested in the gateway URL instead
             large_threshold: this.client.shards.options.largeThreshold,
             intents: this.client.shards.options.intents,
             properties: {
@@ -323,8 +382,9 @@ class Shard extends EventEmitter {
                 device: "Dysnomia"
             }
         };
-        if(this.client.shards.options.maxShards > 1) {
-            identify.shard = [this.id, this.client.shards.options.maxShards];
+        const shardCount = this._pendingShardCount || this.client.shards.options.maxShards;
+        if(shardCount > 1) {
+            identify.shard = [this.id, shardCount];
         }
         if(this.presence.status) {
             identify.presence = this.presence;
@@ -339,18 +399,28 @@ class Shard extends EventEmitter {
 
         this.status = "connecting";
         if(this.client.shards.options.compress) {
-            this.emit("debug", "Initializing zlib-sync-based compression");
-            this.#zlibSync = new ZlibSync.Inflate({
-                chunkSize: 128 * 1024
+            this.emit("debug", `Initializing ${this.client.shards.options.compress} compression`, this.id);
+            this.#decompressor = new Decompressor(this.client.shards.options.compress, (err, data) => {
+                if(err) {
+                    /**
+                     * Fired when the shard encounters an error
+                     * @event Client#error
+                     * @prop {Error} err The error
+                     * @prop {Number} id The ID of the shard
+                     */
+                    this.emit("error", err, this.id);
+                    return;
+                }
+                this.#onWSData(data);
             });
         }
         if(this.sessionID) {
             if(!this.resumeURL) {
                 this.emit("warn", "Resume url is not currently present. Discord may disconnect you quicker.");
             }
-            this.ws = new WebSocket(this.resumeURL || this.client.gatewayURL, this.client.options.ws);
+            this.ws = this.#createWebSocket(this.resumeURL || this.client.gatewayURL);
         } else {
-            this.ws = new WebSocket(this.client.gatewayURL, this.client.options.ws);
+            this.ws = this.#createWebSocket(this.client.gatewayURL);
         }
         this.ws.on("open", this.#onWSOpen);
         this.ws.on("message", this.#onWSMessage);
@@ -392,7 +462,15 @@ class Shard extends EventEmitter {
 
         switch(packet.op) {
             case GatewayOPCodes.DISPATCH: {
-                if(!this.client.shards.options.disableEvents[packet.t]) {
+                this.lastDispatchReceived = Date.now();
+                if(this.client.shards.options.disableEvents[packet.t]) {
+                    break;
+                }
+                if(!this.client.shards.options.processDispatches) {
+                    if(packet.t === "READY" || packet.t === "RESUMED") { // Still needed to maintain the session
+                        this.wsEvent(packet);
+                    }
+                } else if(!this._pendingShardCount || PENDING_SHARD_EVENTS.includes(packet.t)) {
                     this.wsEvent(packet);
                 }
                 break;
@@ -463,6 +541,15 @@ class Shard extends EventEmitter {
                  * @type {Number}
                  */
                 this.latency = this.lastHeartbeatReceived - this.lastHeartbeatSent;
+                clearTimeout(this.#heartbeatAckTimeout);
+                this.#heartbeatAckTimeout = null;
+                this.#health.latencies.push(this.latency);
+                if(this.#health.latencies.length > HEALTH_LATENCY_SAMPLES) {
+                    this.#health.latencies.shift();
+                }
+                if(this.#health.latencies.length === HEALTH_LATENCY_SAMPLES && this.getHealth().latency.average > this.client.shards.options.latencyThreshold) {
+                    this.#emitUnhealthy("latency");
+                }
                 break;
             }
             default: {
@@ -473,6 +560,98 @@ class Shard extends EventEmitter {
     }
 
     requestGuildMembers(guildID, options) {
+        options?.signal?.throwIfAborted();
+        const nonce = this.#sendMemberRequest(guildID, options);
+        return new Promise((res, rej) => {
+            const onAbort = () => {
+                clearTimeout(this.requestMembersPromise[nonce]?.timeout);
+                delete this.requestMembersPromise[nonce];
+                rej(options.signal.reason);
+            };
+            options?.signal?.addEventListener("abort", onAbort, {once: true});
+            this.requestMembersPromise[nonce] = {
+                res: (members) => {
+                    options?.signal?.removeEventListener("abort", onAbort);
+                    res(members);
+                },
+                received: 0,
+                members: [],
+                timeout: setTimeout(() => {
+                    this.requestMembersPromise[nonce].res(this.requestMembersPromise[nonce].members);
+                    delete this.requestMembersPromise[nonce];
+                }, options?.timeout || this.client.shards.options.requestTimeout)
+            };
+        });
+    }
+
+    /**
+     * Request guild members, yielding every chunk of members as Discord sends it. This suits fetching all members of large guilds, as they don't have to be buffered until the last chunk
+     * @param {String} guildID The ID of the guild
+     * @param {Object} [options] Options for fetching the members, the same as `requestGuildMembers()`
+     * @param {AbortSignal} [options.signal] A signal which stops the request when aborted, making the iterator throw the abort reason
+     * @param {Number} [options.timeout] The number of milliseconds to wait for the next chunk before throwing. Defaults to the `requestTimeout` client option
+     * @returns {AsyncGenerator<Object>} Yields objects with the `chunkCount`, `chunkIndex`, `members` (Array<Member>), `notFound` (Array<String> of requested user IDs that weren't found) and `presences` (Array<Object> with the `activities`, `clientStatus`, `status` and `userID` of members, when requested) of every chunk. Throws if the shard is reset before the last chunk arrives
+     */
+    async *requestGuildMembersStream(guildID, options) {
+        const signal = options?.signal;
+        signal?.throwIfAborted();
+        const nonce = this.#sendMemberRequest(guildID, options);
+        const stream = {
+            chunks: [],
+            error: null,
+            wake: null,
+            end: (error) => {
+                stream.error ??= error;
+                stream.wake?.();
+            },
+            push: (chunk) => {
+                stream.chunks.push(chunk);
+                stream.wake?.();
+            }
+        };
+        this.#memberStreams.set(nonce, stream);
+        const onAbort = () => stream.end(signal.reason);
+        signal?.addEventListener("abort", onAbort, {once: true});
+        const timeout = options?.timeout || this.client.shards.options.requestTimeout;
+        try {
+            while(true) {
+                if(stream.chunks.length > 0) {
+                    const chunk = stream.chunks.shift();
+                    yield chunk;
+                    if(chunk.chunkIndex >= chunk.chunkCount - 1) {
+                        return;
+                    }
+                    continue;
+                }
+                if(stream.error) {
+                    throw stream.error;
+                }
+                const timer = setTimeout(() => stream.end(new Error(`Timed out waiting for members of guild ${guildID}`)), timeout);
+                await new Promise((resolve) => stream.wake = resolve);
+                clearTimeout(timer);
+            }
+        } finally {
+            signal?.removeEventListener("abort", onAbort);
+            this.#memberStreams.delete(nonce);
+        }
+    }
+
+    #removeStaleRestoredGuilds(readyGuilds) {
+        // Restored guilds missing from READY were left while the client was offline
+        const guildIDs = new Set(readyGuilds.map((guild) => guild.id));
+        for(const guild of this.client.guilds.filter((guild) => guild.restored && guild.shard === this && !guildIDs.has(guild.id))) {
+            this.client.guilds.remove(guild);
+            guild.channels.forEach((channel) => {
+                delete this.client.channelGuildMap[channel.id];
+            });
+            guild.threads.forEach((thread) => {
+                delete this.client.threadGuildMap[thread.id];
+            });
+            this.emit("debug", `Removed restored guild ${guild.id} missing from READY`, this.id);
+        }
+    }
+
+    #sendMemberRequest(guildID, options) {
         const opts = {
             guild_id: guildID,
             limit: options?.limit || 0,
@@ -494,15 +673,7 @@ class Shard extends EventEmitter {
             throw new Error("Cannot request more than 100 users by their ID");
         }
         this.sendWS(GatewayOPCodes.REQUEST_GUILD_MEMBERS, opts);
-        return new Promise((res) => this.requestMembersPromise[opts.nonce] = {
-            res: res,
-            received: 0,
-            members: [],
-            timeout: setTimeout(() => {
-                res(this.requestMembersPromise[opts.nonce].members);
-                delete this.requestMembersPromise[opts.nonce];
-            }, options?.timeout || this.client.shards.options.requestTimeout)
-        });
+        return opts.nonce;
     }
 
     reset() {
@@ -515,16 +686,23 @@ class Shard extends EventEmitter {
                     continue;
                 }
                 clearTimeout(this.requestMembersPromise[guildID].timeout);
-                this.requestMembersPromise[guildID].res(this.requestMembersPromise[guildID].received);
+                this.requestMembersPromise[guildID].res(this.requestMembersPromise[guildID].members);
             }
         }
         this.requestMembersPromise = {};
+        for(const stream of this.#memberStreams.values()) {
+            stream.end(new Error("Shard was reset before all members were received"));
+        }
         this.getAllUsersCount = {};
         this.latency = Infinity;
         this.lastHeartbeatAck = true;
         this.lastHeartbeatReceived = null;
         this.lastHeartbeatSent = null;
         this.status = "disconnected";
+        clearTimeout(this.#heartbeatAckTimeout);
+        this.#heartbeatAckTimeout = null;
+        this.#decompressor?.destroy();
+        this.#decompressor = null;
         if(this.connectTimeout) {
             clearTimeout(this.connectTimeout);
         }
@@ -537,7 +715,7 @@ class Shard extends EventEmitter {
             this.guildCreateTimeout = null;
         }
         if(!this.ready) {
-            if(this.client.unavailableGuilds.size === 0) {
+            if(this.client.unavailableGuilds.size === 0 && !this._pendingShardCount) {
                 return this.checkReady();
             }
             this.guildCreateTimeout = setTimeout(() => {
@@ -786,6 +964,7 @@ class Shard extends EventEmitter {
                 };
                 const oldChannelID = member.voiceState.channelID;
                 member.update(packet.d, this.client);
+                guild.members.reindex(member); // The voice state carries the member's roles
                 if(oldChannelID !== packet.d.channel_id) {
                     let oldChannel, newChannel;
                     if(oldChannelID) {
@@ -883,11 +1062,11 @@ class Shard extends EventEmitter {
                     /**
                      * Fired when a user begins typing
                      * @event Client#typingStart
-                     * @prop {PrivateChannel | TextChannel | NewsChannel | Object} channel The text channel the user is typing in. If the channel is not cached, this will be an object with an `id` key. No other property is guaranteed
+                     * @prop {PrivateChannel | TextChannel | NewsChannel | Channel | Object} channel The text channel the user is typing in. If the channel is not cached, this will be a partial Channel with the `partials` client option, or an object with an `id` key otherwise. No other property is guaranteed
                      * @prop {User | Object} user The user. If the user is not cached, this will be an object with an `id` key. No other property is guaranteed
                      * @prop {Member?} member The guild member, if typing in a guild channel, or `null`, if typing in a PrivateChannel
                      */
-                    this.emit("typingStart", this.client.getChannel(packet.d.channel_id) || {id: packet.d.channel_id}, this.client.users.get(packet.d.user_id) || {id: packet.d.user_id}, member);
+                    this.emit("typingStart", this.client.getChannel(packet.d.channel_id) || (this.client.options.partials ? this.#partialChannel(packet.d.channel_id, packet.d.guild_id) : {id: packet.d.channel_id}), this.client.users.get(packet.d.user_id) || {id: packet.d.user_id}, member);
                 }
                 break;
             }
@@ -899,6 +1078,7 @@ class Shard extends EventEmitter {
                         channel.messageCount++;
                         channel.totalMessageSent++;
                     }
+                    this.#reindexChannel(channel);
                     /**
                      * Fired when a message is created
                      * @event Client#messageCreate
@@ -958,40 +1138,56 @@ class Shard extends EventEmitter {
                 if(channel instanceof ThreadChannel) {
                     channel.messageCount--;
                 }
+                let message = channel?.messages.remove(packet.d);
+                if(!message && this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.id, channel, packet.d);
+                } else if(!message) {
+                    message = {
+                        id: packet.d.id,
+                        channel: channel || {
+                            id: packet.d.channel_id,
+                            guild: packet.d.guild_id ? {id: packet.d.guild_id} : undefined
+                        },
+                        guildID: packet.d.guild_id
+                    };
+                }
 
                 /**
                  * Fired when a cached message is deleted
                  * @event Client#messageDelete
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id` and `channel` keys. If the channel is not cached, channel will be an object with an `id` key. If the uncached message is from a guild, the message will also contain a `guildID` key, and the channel will contain a `guild` with an `id` key. No other property is guaranteed.
-                 */
-                this.emit("messageDelete", channel?.messages.remove(packet.d) || {
-                    id: packet.d.id,
-                    channel: channel || {
-                        id: packet.d.channel_id,
-                        guild: packet.d.guild_id ? {id: packet.d.guild_id} : undefined
-                    },
-                    guildID: packet.d.guild_id
-                });
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id` and `channel` keys otherwise. If the channel is not cached, channel will be a partial Channel or an object with an `id` key. If the uncached message is from a guild, the message will also contain a `guildID` key, and the channel will contain a `guild` with an `id` key. No other property is guaranteed.
+                 */
+                this.emit("messageDelete", message);
                 break;
             }
             case "MESSAGE_DELETE_BULK": {
                 const channel = this.client.getChannel(packet.d.channel_id);
                 if(channel instanceof ThreadChannel) {
                     channel.messageCount -= packet.d.ids.length;
+                    this.#reindexChannel(channel);
                 }
 
                 /**
                  * Fired when a bulk delete occurs
                  * @event Client#messageDeleteBulk
-                 * @prop {Array<Message> | Array<Object>} messages An array of (potentially partial) message objects. If a message is not cached, it will be an object with `id` and `channel` keys If the uncached messages are from a guild, the messages will also contain a `guildID` key, and the channel will contain a `guild` with an `id` key. No other property is guaranteed
+                 * @prop {Array<Message> | Array<Object>} messages An array of (potentially partial) message objects. If a message is not cached, it will be a partial Message with the `partials` client option, or an object with `id` and `channel` keys otherwise. If the uncached messages are from a guild, the messages will also contain a `guildID` key, and the channel will contain a `guild` with an `id` key. No other property is guaranteed
                  */
-                this.emit("messageDeleteBulk", packet.d.ids.map((id) => (channel?.messages.remove({
-                    id
-                }) || {
-                    id: id,
-                    channel: {id: packet.d.channel_id, guild: packet.d.guild_id ? {id: packet.d.guild_id} : undefined},
-                    guildID: packet.d.guild_id
-                })));
+                this.emit("messageDeleteBulk", packet.d.ids.map((id) => {
+                    const message = channel?.messages.remove({
+                        id
+                    });
+                    if(message) {
+                        return message;
+                    }
+                    if(this.client.options.partials) {
+                        return this.#partialMessage(id, channel, packet.d);
+                    }
+                    return {
+                        id: id,
+                        channel: {id: packet.d.channel_id, guild: packet.d.guild_id ? {id: packet.d.guild_id} : undefined},
+                        guildID: packet.d.guild_id
+                    };
+                }));
                 break;
             }
             case "MESSAGE_REACTION_ADD": {
@@ -1031,6 +1227,8 @@ class Shard extends EventEmitter {
                             meBurst: packet.d.user_id === this.client.user.id && packet.d.burst
                         };
                     }
+                } else if(this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.message_id, channel, packet.d);
                 } else {
                     message = {
                         id: packet.d.message_id,
@@ -1049,7 +1247,7 @@ class Shard extends EventEmitter {
                 /**
                  * Fired when someone adds a reaction to a message
                  * @event Client#messageReactionAdd
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id`, `channel`, `author` (if present in the payload), and if inside a guild, `guildID` keys. If the channel is not cached, channel key will be an object with only an id. If the author is not cached, the author key will be an object with only an ID. `guildID` will be present if the message was sent in a guild channel. No other property is guaranteed
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id`, `channel`, `author` (if present in the payload), and if inside a guild, `guildID` keys. If the channel is not cached, channel key will be a partial Channel or an object with only an id. If the author is not cached, the author key will be a User with only an ID with the `partials` client option, or an object with only an ID otherwise. `guildID` will be present if the message was sent in a guild channel. No other property is guaranteed
                  * @prop {Object} emoji The reaction emoji object
                  * @prop {Boolean?} emoji.animated Whether the emoji is animated or not
                  * @prop {String?} emoji.id The emoji ID (null for non-custom emojis)
@@ -1079,6 +1277,8 @@ class Shard extends EventEmitter {
                             }
                         }
                     }
+                } else if(this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.message_id, channel, packet.d);
                 } else {
                     message = {
                         id: packet.d.message_id,
@@ -1093,7 +1293,7 @@ class Shard extends EventEmitter {
                 /**
                  * Fired when someone removes a reaction from a message
                  * @event Client#messageReactionRemove
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id`, `channel`, and if inside a guild, `guildID` keys. If the channel is not cached, channel key will be an object with only an id. `guildID` will be present if the message was sent in a guild channel. No other property is guaranteed
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id`, `channel`, and if inside a guild, `guildID` keys. If the channel is not cached, channel key will be a partial Channel or an object with only an id. `guildID` will be present if the message was sent in a guild channel. No other property is guaranteed
                  * @prop {Object} emoji The reaction emoji object
                  * @prop {Boolean?} emoji.animated Whether the emoji is animated or not
                  * @prop {String?} emoji.id The ID of the emoji (null for non-custom emojis)
@@ -1110,7 +1310,9 @@ class Shard extends EventEmitter {
                 if(message) {
                     message.reactions = {};
                 }
-                if(!message) {
+                if(!message && this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.message_id, channel, packet.d);
+                } else if(!message) {
                     message = {
                         id: packet.d.message_id,
                         channel: channel || {id: packet.d.channel_id}
@@ -1123,7 +1325,7 @@ class Shard extends EventEmitter {
                 /**
                  * Fired when all reactions are removed from a message
                  * @event Client#messageReactionRemoveAll
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id`, `channel`, and if inside a guild, `guildID` keys. If the channel is not cached, channel key will be an object with only an id. No other property is guaranteed
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id`, `channel`, and if inside a guild, `guildID` keys. If the channel is not cached, channel key will be a partial Channel or an object with only an id. No other property is guaranteed
                  */
                 this.emit("messageReactionRemoveAll", message);
                 break;
@@ -1135,7 +1337,9 @@ class Shard extends EventEmitter {
                     const reaction = packet.d.emoji.id ? `${packet.d.emoji.name}:${packet.d.emoji.id}` : packet.d.emoji.name;
                     delete message.reactions[reaction];
                 }
-                if(!message) {
+                if(!message && this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.message_id, channel, packet.d);
+                } else if(!message) {
                     message = {
                         id: packet.d.message_id,
                         channel: channel || {id: packet.d.channel_id}
@@ -1148,7 +1352,7 @@ class Shard extends EventEmitter {
                 /**
                  * Fired when someone removes all reactions from a message for a single emoji
                  * @event Client#messageReactionRemoveEmoji
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id` and `channel` keys. If the channel is not cached, channel key will be an object with only an id. No other property is guaranteed
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id` and `channel` keys. If the channel is not cached, channel key will be a partial Channel or an object with only an id. No other property is guaranteed
                  * @prop {Object} emoji The reaction emoji object
                  * @prop {Boolean?} emoji.animated Whether the emoji is animated or not
                  * @prop {String?} emoji.id The ID of the emoji (null for non-custom emojis)
@@ -1165,13 +1369,15 @@ class Shard extends EventEmitter {
                 }
                 packet.d.id = packet.d.user.id;
                 ++guild.memberCount;
+                this.#writeCache("set", "guilds", guild.id, undefined, guild);
+                const member = guild.members.add(packet.d, guild);
                 /**
                  * Fired when a member joins a server
                  * @event Client#guildMemberAdd
                  * @prop {Guild} guild The guild
                  * @prop {Member} member The member
                  */
-                this.emit("guildMemberAdd", guild, guild.members.add(packet.d, guild));
+                this.emit("guildMemberAdd", guild, member);
                 break;
             }
             case "GUILD_MEMBER_UPDATE": {
@@ -1243,22 +1449,30 @@ class Shard extends EventEmitter {
                     break;
                 }
                 --guild.memberCount;
+                this.#writeCache("set", "guilds", guild.id, undefined, guild);
                 packet.d.id = packet.d.user.id;
+                let member = guild.members.remove(packet.d);
+                if(!member && this.client.options.partials) {
+                    member = this.#partialMember(packet.d, guild);
+                } else if(!member) {
+                    member = {
+                        id: packet.d.id,
+                        user: new User(packet.d.user, this.client)
+                    };
+                }
                 /**
                  * Fired when a member leaves a server
                  * @event Client#guildMemberRemove
                  * @prop {Guild} guild The guild
-                 * @prop {Member | Object} member The member. If the member is not cached, this will be an object with `id` and `user` key
+                 * @prop {Member | Object} member The member. If the member is not cached, this will be a partial Member with the `partials` client option, or an object with `id` and `user` keys otherwise
                  */
-                this.emit("guildMemberRemove", guild, guild.members.remove(packet.d) || {
-                    id: packet.d.id,
-                    user: new User(packet.d.user, this.client)
-                });
+                this.emit("guildMemberRemove", guild, member);
                 break;
             }
             case "GUILD_CREATE": {
                 if(!packet.d.unavailable) {
                     const guild = this.createGuild(packet.d);
+                    this.#writeGuildCache(guild);
                     if(this.ready) {
                         if(this.client.unavailableGuilds.remove(packet.d)) {
                             /**
@@ -1283,6 +1497,7 @@ class Shard extends EventEmitter {
                     }
                 } else {
                     this.client.guilds.remove(packet.d);
+                    this.#writeCache("delete", "guilds", packet.d.id);
                     /**
                      * Fired when an unavailable guild is created
                      * @event Client#unavailableGuildCreate
@@ -1371,6 +1586,7 @@ class Shard extends EventEmitter {
                  * @prop {Number} oldGuild.verificationLevel The guild verification level
                  */
                 this.emit("guildUpdate", this.client.guilds.update(packet.d, this.client), oldGuild);
+                this.#writeCache("set", "guilds", guild.id, undefined, guild);
                 break;
             }
             case "GUILD_DELETE": {
@@ -1385,6 +1601,7 @@ class Shard extends EventEmitter {
 
                 delete this.client.guildShardMap[packet.d.id];
                 const guild = this.client.guilds.remove(packet.d);
+                this.#writeCache("delete", "guilds", packet.d.id);
                 guild?.channels.forEach((channel) => { // Discord sends GUILD_DELETE for guilds that were previously unavailable in READY
                     delete this.client.channelGuildMap[channel.id];
                 });
@@ -1446,7 +1663,8 @@ class Shard extends EventEmitter {
                     this.emit("debug", `Missing guild ${packet.d.guild_id} in GUILD_ROLE_CREATE`);
                     break;
                 }
-                this.emit("guildRoleCreate", guild, guild.roles.add(packet.d.role, guild));
+                const role = guild.roles.add(packet.d.role, guild);
+                this.emit("guildRoleCreate", guild, role);
                 break;
             }
             case "GUILD_ROLE_UPDATE": {
@@ -1617,6 +1835,7 @@ class Shard extends EventEmitter {
                 const oldType = channel.type;
                 if(oldType === packet.d.type) {
                     channel.update(packet.d, this.client);
+                    channel.guild?.channels?.reindex(channel);
                 } else {
                     this.emit("debug", `Channel ${packet.d.id} changed from type ${oldType} to ${packet.d.type}`);
                     const newChannel = Channel.from(packet.d, this.client);
@@ -1637,7 +1856,6 @@ class Shard extends EventEmitter {
                     }
                     channel = newChannel;
                 }
-
                 /**
                  * Fired when a channel is updated
                  * @event Client#channelUpdate
@@ -1716,12 +1934,27 @@ class Shard extends EventEmitter {
 
                 packet.d.presences?.forEach((presence) => {
                     const member = guild.members.get(presence.user.id);
-                    member?.update(presence);
+                    if(member) {
+                        member.update(presence);
+                        guild.members.reindex(member);
+                    }
                 });
 
                 if(Object.hasOwn(this.requestMembersPromise, packet.d.nonce)) {
                     this.requestMembersPromise[packet.d.nonce].members.push(...members);
                 }
+                this.#memberStreams.get(packet.d.nonce)?.push({
+                    chunkCount: packet.d.chunk_count,
+                    chunkIndex: packet.d.chunk_index,
+                    members: members,
+                    notFound: packet.d.not_found || [],
+                    presences: packet.d.presences?.map((presence) => ({
+                        activities: presence.activities,
+                        clientStatus: presence.client_status,
+                        status: presence.status,
+                        userID: presence.user.id
+                    })) || []
+                });
 
                 if(packet.d.chunk_index >= packet.d.chunk_count - 1) {
                     if(Object.hasOwn(this.requestMembersPromise, packet.d.nonce)) {
@@ -1762,11 +1995,13 @@ class Shard extends EventEmitter {
                 this.client.shards._readyPacketCB(this.id);
 
                 if(packet.t === "RESUMED") {
+                    ++this.#health.resumes;
                     // Can only heartbeat after resume succeeds, discord/discord-api-docs#1619
                     this.heartbeat();
 
                     this.preReady = true;
                     this.ready = true;
+                    this.client.shards._saveSession(this);
 
                     /**
                      * Fired when a shard finishes resuming
@@ -1775,10 +2010,11 @@ class Shard extends EventEmitter {
                     super.emit("resume");
                     break;
                 } else {
+                    ++this.#health.identifies;
                     this.resumeURL = `${packet.d.resume_gateway_url}?v=${Constants.GATEWAY_VERSION}&encoding=${Erlpack ? "etf" : "json"}`;
 
                     if(this.client.shards.options.compress) {
-                        this.resumeURL += "&compress=zlib-stream";
+                        this.resumeURL += "&compress=" + this.client.shards.options.compress;
                     }
                 }
 
@@ -1792,15 +2028,24 @@ class Shard extends EventEmitter {
                 }
 
                 this.sessionID = packet.d.session_id;
+                this.client.shards._saveSession(this);
 
                 packet.d.guilds.forEach((guild) => {
-                    if(guild.unavailable) {
-                        this.client.guilds.remove(guild);
+                    if(this._pendingShardCount || !this.client.shards.options.processDispatches) {
+                        // Keep the guilds of the running shards cached until this shard's GUILD_CREATEs arrive, or don't cache them at all
+                        return;
+                    } else if(guild.unavailable) {
+                        if(!this.client.guilds.get(guild.id)?.restored) { // Restored guilds stay cached until their GUILD_CREATE replaces them
+                            this.client.guilds.remove(guild);
+                        }
                         this.client.unavailableGuilds.add(guild, this.client, true);
                     } else {
                         this.client.unavailableGuilds.remove(this.createGuild(guild));
                     }
                 });
+                if(!this._pendingShardCount && this.client.shards.options.processDispatches) {
+                    this.#removeStaleRestoredGuilds(packet.d.guilds);
+                }
 
                 this.client.application = packet.d.application;
 
@@ -1812,7 +2057,7 @@ class Shard extends EventEmitter {
                  */
                 this.emit("shardPreReady", this.id);
 
-                if(this.client.unavailableGuilds.size > 0 && packet.d.guilds.length > 0) {
+                if((this._pendingShardCount || this.client.unavailableGuilds.size > 0) && packet.d.guilds.length > 0) {
                     this.restartGuildCreateTimeout();
                 } else {
                     this.checkReady();
@@ -1850,6 +2095,7 @@ class Shard extends EventEmitter {
                 if(guild) {
                     oldEmojis = guild.emojis;
                     guild.update(packet.d);
+                    this.#writeCache("set", "guilds", guild.id, undefined, guild);
                     emojis = guild.emojis;
                 }
                 /**
@@ -1869,6 +2115,7 @@ class Shard extends EventEmitter {
                 if(guild) {
                     oldStickers = guild.stickers;
                     guild.update(packet.d);
+                    this.#writeCache("set", "guilds", guild.id, undefined, guild);
                     stickers = guild.stickers;
                 }
                 /**
@@ -1889,6 +2136,7 @@ class Shard extends EventEmitter {
                 }
                 const oldTimestamp = channel.lastPinTimestamp;
                 channel.lastPinTimestamp = Date.parse(packet.d.last_pin_timestamp);
+                this.#reindexChannel(channel);
                 /**
                  * Fired when a channel pin timestamp is updated
                  * @event Client#channelPinUpdate
@@ -1923,6 +2171,7 @@ class Shard extends EventEmitter {
                 const parent = this.client.getChannel(packet.d.parent_id);
                 if(parent instanceof ForumChannel) {
                     parent.lastThreadID = packet.d.id;
+                    this.#reindexChannel(parent);
                 }
 
                 channel.guild.threads.add(channel, this.client);
@@ -1955,6 +2204,7 @@ class Shard extends EventEmitter {
                     threadMetadata: channel.threadMetadata
                 };
                 channel.update(packet.d, this.client);
+                channel.guild.threads.reindex(channel);
 
                 /**
                  * Fired when a thread channel is updated
@@ -2048,6 +2298,7 @@ class Shard extends EventEmitter {
                     break;
                 }
                 channel.update(packet.d, this.client);
+                this.#reindexChannel(channel);
                 const addedMembers = packet.d.added_members?.map((m) => {
                     if(m.presence) {
                         m.presence.id = m.presence.user.id;
@@ -2353,7 +2604,9 @@ class Shard extends EventEmitter {
                 const channel = this.client.getChannel(packet.d.channel_id);
                 let message = channel?.messages.get(packet.d.message_id);
                 const user = this.client.users.get(packet.d.user_id);
-                if(!message) {
+                if(!message && this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.message_id, channel, packet.d);
+                } else if(!message) {
                     message = {
                         id: packet.d.message_id,
                         channel: channel || {id: packet.d.channel_id}
@@ -2366,7 +2619,7 @@ class Shard extends EventEmitter {
                 /**
                  * Fired when someone votes on a poll. If the poll allows multiple selection, this event will fire for each answer
                  * @event Client#messagePollVoteAdd
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id` and `channel` keys. If the channel is not cached, channel key will be an object with only an id. No other property is guaranteed
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id` and `channel` keys. If the channel is not cached, channel key will be a partial Channel or an object with only an id. No other property is guaranteed
                  * @prop {Number} answerID The ID of the answer the user voted for
                  * @prop {User | Object} voter The user that voted. If the user is not cached, this will be an object with an `id` key. No other property is guaranteed
                  */
@@ -2377,7 +2630,9 @@ class Shard extends EventEmitter {
                 const channel = this.client.getChannel(packet.d.channel_id);
                 let message = channel?.messages.get(packet.d.message_id);
                 const user = this.client.users.get(packet.d.user_id);
-                if(!message) {
+                if(!message && this.client.options.partials) {
+                    message = this.#partialMessage(packet.d.message_id, channel, packet.d);
+                } else if(!message) {
                     message = {
                         id: packet.d.message_id,
                         channel: channel || {id: packet.d.channel_id}
@@ -2390,7 +2645,7 @@ class Shard extends EventEmitter {
                 /**
                  * Fired when someone removes their vote on a poll. If the poll allows multiple selection, this event will fire for each answer
                  * @event Client#messagePollVoteRemove
-                 * @prop {Message | Object} message The message object. If the message is not cached, this will be an object with `id` and `channel` keys. If the channel is not cached, channel key will be an object with only an id. No other property is guaranteed
+                 * @prop {Message | Object} message The message object. If the message is not cached, this will be a partial Message with the `partials` client option, or an object with `id` and `channel` keys. If the channel is not cached, channel key will be a partial Channel or an object with only an id. No other property is guaranteed
                  * @prop {Number} answerID The ID of the answer the user voted for
                  * @prop {User | Object} voter The user that voted. If the user is not cached, this will be an object with an `id` key. No other property is guaranteed
                  */
@@ -2436,6 +2691,24 @@ class Shard extends EventEmitter {
         }
     }
 
+    #createWebSocket(url) {
+        if(this.client.shards.options.createWebSocket) {
+            return this.client.shards.options.createWebSocket(url, this.client.options.ws, this);
+        }
+        return new WebSocket(url, this.client.options.ws);
+    }
+
+    #emitUnhealthy(reason) {
+        /**
+         * Fired when a shard's connection is found to be unhealthy
+         * @event Client#shardUnhealthy
+         * @prop {Number} id The ID of the shard
+         * @prop {String} reason Why the shard is unhealthy. "heartbeat" if Discord didn't acknowledge the previous heartbeat, "zombie" if it didn't acknowledge a heartbeat within the `heartbeatAckTimeout`, or "latency" if the average heartbeat latency is above the `latencyThreshold`
+         * @prop {Object} health The health of the shard, see `Shard#getHealth()`
+         */
+        this.emit("shardUnhealthy", this.id, reason, this.getHealth());
+    }
+
     #onWSCloseUnbound(code, reason) {
         reason = reason.toString();
         this.emit("debug", "WS disconnected: " + JSON.stringify({
@@ -2446,6 +2719,7 @@ class Shard extends EventEmitter {
         let err = !code || code === 1000 ? null : new Error(code + ": " + reason);
         let reconnect = "auto";
         if(code) {
+            this.#health.closeCodes[code] = (this.#health.closeCodes[code] || 0) + 1;
             this.emit("debug", `${code === 1000 ? "Clean" : "Unclean"} WS close: ${code}: ${reason}`, this.id);
             if(code === 4001) {
                 err = new Error("Gateway received invalid OP code");
@@ -2508,12 +2782,33 @@ class Shard extends EventEmitter {
         }, err);
     }
 
+    #onWSData(data) {
+        try {
+            if(Erlpack) {
+                data = Erlpack.unpack(data);
+            } else {
+                data = JSON.parse(data.toString());
+            }
+        } catch(err) {
+            this.emit("error", new Error(`parsing error: ${err.message}`), this.id);
+            return;
+        }
+        try {
+            this.onPacket(data);
+        } catch(err) {
+            this.emit("error", err, this.id);
+        }
+    }
+
     #onWSErrorUnbound(err) {
         this.emit("error", err, this.id);
     }
 
     #onWSMessageUnbound(data) {
         try {
+            if(data.op !== undefined) { // Already decoded by a custom WebSocket
+                return this.onPacket(data);
+            }
             if(data instanceof ArrayBuffer) {
                 if(this.client.shards.options.compress || Erlpack) {
                     data = Buffer.from(data);
@@ -2521,35 +2816,10 @@ class Shard extends EventEmitter {
             } else if(Array.isArray(data)) { // Fragmented messages
                 data = Buffer.concat(data); // Copyfull concat is slow, but no alternative
             }
-            if(this.client.shards.options.compress) {
-                if(data.length >= 4 && data.readUInt32BE(data.length - 4) === 0xFFFF) {
-                    this.#zlibSync.push(data, ZlibSync.Z_SYNC_FLUSH);
-                    if(this.#zlibSync.err) {
-                        this.emit("error", new Error(`zlib error ${this.#zlibSync.err}: ${this.#zlibSync.msg}`));
-                        return;
-                    }
-
-                    data = Buffer.from(this.#zlibSync.result);
-
-                    try {
-                        if(Erlpack) {
-                            data = Erlpack.unpack(data);
-                        } else {
-                            data = JSON.parse(data.toString());
-                        }
-                    } catch(err) {
-                        this.emit("error", Error(`parsing error: ${err.message}`));
-                        return;
-                    }
-
-                    return this.onPacket(data);
-                } else {
-                    this.#zlibSync.push(data, false);
-                }
-            } else if(Erlpack) {
-                return this.onPacket(Erlpack.unpack(data));
+            if(this.#decompressor) {
+                this.#decompressor.push(data);
             } else {
-                return this.onPacket(JSON.parse(data.toString()));
+                this.#onWSData(data);
             }
         } catch(err) {
             this.emit("error", err, this.id);
@@ -2567,6 +2837,57 @@ class Shard extends EventEmitter {
         this.lastHeartbeatAck = true;
     }
 
+    #partialChannel(channelID, guildID) {
+        const channel = guildID ? new GuildChannel({guild_id: guildID, id: channelID}, this.client) : new Channel({id: channelID}, this.client);
+        channel.partial = true;
+        return channel;
+    }
+
+    #partialMember(data, guild) {
+        const member = new Member(data, guild);
+        member.partial = true;
+        return member;
+    }
+
+    #partialMessage(messageID, channel, data) {
+        const message = new Message({
+            channel_id: data.channel_id,
+            guild_id: data.guild_id,
+            id: messageID
+        }, this.client);
+        message.channel = channel || this.#partialChannel(data.channel_id, data.guild_id);
+        if(data.message_author_id) {
+            message.author = this.client.users.get(data.message_author_id) ?? new User({id: data.message_author_id}, this.client);
+        }
+        message.partial = true;
+        return message;
+    }
+
+    // Changes made to a cached channel outside of its collection must be reindexed to be written to the cache adapter
+    #reindexChannel(channel) {
+        channel.guild?.channels?.reindex(channel);
+        channel.guild?.threads?.reindex(channel);
+    }
+
+    // Guilds are written by hand, while the changes to their collections are written by the watchers set up by the guild
+    #writeCache(method, type, id, guildID, item) {
+        this.client._writeCache(method, type, id, guildID, item);
+    }
+
+    #writeGuildCache(guild) {
+        if(this.client.cacheAdapter.writeThrough === false) {
+            return;
+        }
+        // Entries of a guild that was cached before (e.g. in a previous session) may be stale
+        this.#writeCache("delete", "guilds", guild.id);
+        this.#writeCache("set", "guilds", guild.id, undefined, guild);
+        for(const type of ["channels", "members", "roles", "threads"]) {
+            for(const item of guild[type].values()) {
+                this.#writeCache("set", type, item.id, guild.id, item);
+            }
+        }
+    }
+
     [util.inspect.custom]() {
         return Base.prototype[util.inspect.custom].call(this);
     }
@@ -2,22 +2,32 @@
 
 const Base = require("../structures/Base");
 const Collection = require("../util/Collection");
+const MemoryIdentifyLock = require("./MemoryIdentifyLock");
 const Shard = require("./Shard");
 const Constants = require("../Constants");
-let ZlibSync;
-try {
-    ZlibSync = require("zlib-sync");
-} catch{
-    try {
-        ZlibSync = require("pako");
-    } catch{ // eslint-disable no-empty
-    }
-}
+const Zlib = require("node:zlib");
+
+// Close codes after which shards of a pending reshard don't reconnect
+const FATAL_CLOSE_CODES = [4004, 4010, 4011, 4013, 4014];
+
 class ShardManager extends Collection {
     #client;
+    #identifyWaits = new Set();
+    #pendingShards = null;
+    #reshardPromise = null;
+    #reshardReject = null;
+    #restoring = new Set();
+    #sessionStartReset = 0;
+    #sessionStartWarned = false;
     buckets = new Map();
     connectQueue = [];
     connectTimeout = null;
+    reshardTimer = null;
+    /**
+     * The session start limit reported by Discord the last time the gateway was fetched, with the `remaining` count kept up to date with the identifies made since. Null if it's unknown
+     * @type {Object?}
+     */
+    sessionStartLimit = null;
 
     constructor(client, options = {}) {
         super(Shard);
@@ -27,18 +37,26 @@ class ShardManager extends Collection {
             autoreconnect:        true,
             compress:             false,
             connectionTimeout:    30000,
+            createWebSocket:      null,
             disableEvents:        {},
             firstShardID:         0,
             getAllUsers:          false,
             guildCreateTimeout:   2000,
+            identifyLock:         new MemoryIdentifyLock(),
             intents:              Constants.Intents.allNonPrivileged,
+            heartbeatAckTimeout:  null,
             largeThreshold:       250,
+            latencyThreshold:     Infinity,
             maxReconnectAttempts: Infinity,
             maxResumeAttempts:    10,
             maxConcurrency:       1,
             maxShards:            1,
+            processDispatches:    true,
             seedVoiceConnections: false,
+            sessionStore:         null,
             requestTimeout:       15000,
+            reservedIdentifies:   1,
+            reshardInterval:      0,
             reconnectDelay:       (lastDelay, attempts) => Math.pow(attempts + 1, 0.7) * 20000
         }, options);
         /* eslint-enable @stylistic/key-spacing */
@@ -69,83 +87,77 @@ class ShardManager extends Collection {
             this.options.lastShardID = this.options.maxShards - 1;
         }
 
-        if(typeof window !== "undefined" || !ZlibSync) {
-            this.options.compress = false; // zlib does not like Blobs, Pako is not here
+        if(this.options.compress === true) {
+            this.options.compress = "zlib-stream";
+        }
+        if(typeof window !== "undefined") {
+            this.options.compress = false; // zlib does not like Blobs
+        } else if(this.options.compress === "zstd-stream" && !Zlib.createZstdDecompress) {
+            this.#client.emit("warn", "zstd-stream compression isn't supported by this version of Node.js, falling back to zlib-stream");
+            this.options.compress = "zlib-stream";
+        } else if(this.options.compress && this.options.compress !== "zlib-stream" && this.options.compress !== "zstd-stream") {
+            throw new Error(`Unknown compression: ${this.options.compress}`);
         }
     }
 
     connect(shard) {
+        if(this.get(shard.id) !== shard && this.#pendingShards?.get(shard.id) !== shard) {
+            return; // A shard retired by a reshard, possibly with a reconnect still scheduled
+        }
         this.connectQueue.push(shard);
         this.tryConnect();
     }
 
+    /**
+     * Get a snapshot of the health of every shard
+     * @returns {Object} The `averageLatency` of the shards (average of their rolling average heartbeat latency), the number of `ready` shards, and the health of every shard in `shards`, see `Shard#getHealth()`
+     */
+    getHealth() {
+        const shards = this.map((shard) => shard.getHealth());
+        const latencies = shards.map((shard) => shard.latency.average).filter((latency) => latency !== Infinity);
+        return {
+            averageLatency: latencies.length ? latencies.reduce((a, b) => a + b, 0) / latencies.length : Infinity,
+            ready: this.filter((shard) => shard.ready).length,
+            shards: shards
+        };
+    }
+
+    /**
+     * Replace the running shards with a new set of shards. The new shards connect alongside the current ones, which keep handling events until every new shard is ready. This requires the client to run every shard (`firstShardID` 0 through `lastShardID` `maxShards - 1`)
+     * @param {Number} [shardCount] The new total number of shards. Defaults to Discord's recommended shard count, fetched with `getBotGateway()`
+     * @returns {Promise<Boolean>} Resolves with whether the shards were replaced, which doesn't happen if the shard count wouldn't change
+     */
+    reshard(shardCount) {
+        return this.#reshardPromise ??= this.#reshard(shardCount).finally(() => {
+            this.#reshardPromise = null;
+        });
+    }
+
+    /**
+     * Save the resume state of every shard to the session store. Call this (after disconnecting with `reconnect: true`) before the process exits to resume the sessions once it's restarted
+     * @returns {Promise} Resolves when all sessions are saved
+     */
+    saveSessions() {
+        return Promise.all(this.map((shard) => this._saveSession(shard)));
+    }
+
     spawn(id) {
+        if(this.options.reshardInterval && !this.reshardTimer) {
+            this.reshardTimer = setInterval(() => {
+                if(this.#client.ready) {
+                    this.#autoReshard();
+                }
+            }, this.options.reshardInterval);
+        }
         let shard = this.get(id);
         if(!shard) {
             shard = this.add(new Shard(id, this.#client));
-            shard.on("ready", () => {
-                /**
-                 * Fired when a shard turns ready
-                 * @event Client#shardReady
-                 * @prop {Number} id The ID of the shard
-                 */
-                this.#client.emit("shardReady", shard.id);
-                if(this.#client.ready) {
-                    return;
-                }
-                for(const other of this.values()) {
-                    if(!other.ready) {
-                        return;
-                    }
-                }
-                this.#client.ready = true;
-                this.#client.startTime = Date.now();
-                /**
-                 * Fired when all shards turn ready
-                 * @event Client#ready
-                 */
-                this.#client.emit("ready");
-            }).on("resume", () => {
-                /**
-                 * Fired when a shard resumes
-                 * @event Client#shardResume
-                 * @prop {Number} id The ID of the shard
-                 */
-                this.#client.emit("shardResume", shard.id);
-                if(this.#client.ready) {
-                    return;
-                }
-                for(const other of this.values()) {
-                    if(!other.ready) {
-                        return;
-                    }
-                }
-                this.#client.ready = true;
-                this.#client.startTime = Date.now();
-                this.#client.emit("ready");
-            }).on("disconnect", (error) => {
-                /**
-                 * Fired when a shard disconnects
-                 * @event Client#shardDisconnect
-                 * @prop {Error?} error The error, if any
-                 * @prop {Number} id The ID of the shard
-                 */
-                this.#client.emit("shardDisconnect", error, shard.id);
-                for(const other of this.values()) {
-                    if(other.ready) {
-                        return;
-                    }
-                }
-                this.#client.ready = false;
-                this.#client.startTime = 0;
-                /**
-                 * Fired when all shards disconnect
-                 * @event Client#disconnect
-                 */
-                this.#client.emit("disconnect");
-            });
+            if(this.options.sessionStore) {
+                this.#restoreSession(shard).then(() => this.spawn(id));
+            }
+            this.#bindShard(shard);
         }
-        if(shard.status === "disconnected") {
+        if(shard.status === "disconnected" && !this.#restoring.has(id)) {
             return this.connect(shard);
         }
     }
@@ -169,16 +181,30 @@ class ShardManager extends Collection {
             }
 
             // Are there any connecting shards in the same bucket we should wait on?
-            if(this.some((s) => s.connecting && ((s.id % this.options.maxConcurrency) || 0) === rateLimitKey)) {
+            const isConnecting = (s) => s.connecting && ((s.id % this.options.maxConcurrency) || 0) === rateLimitKey;
+            if(this.some(isConnecting) || this.#pendingShards?.some(isConnecting)) {
                 continue;
             }
 
+            if(!shard.sessionID) {
+                // don't use up the identifies reserved by the session start limit
+                if(!this.#canIdentify()) {
+                    continue;
+                }
+                // with an identify lock, wait for permission to identify in this bucket (e.g. from other processes sharing the token)
+                if(this.options.identifyLock) {
+                    this.#acquireIdentify(shard, rateLimitKey);
+                    continue;
+                }
+                this.#consumeIdentify();
+            }
+
             // connect the shard
             shard.connect();
             this.buckets.set(rateLimitKey, Date.now());
 
             // remove the shard from the queue
-            const index = this.connectQueue.findIndex((s) => s.id === shard.id);
+            const index = this.connectQueue.indexOf(shard);
             this.connectQueue.splice(index, 1);
         }
 
@@ -191,6 +217,12 @@ class ShardManager extends Collection {
         }
     }
 
+    _cancelReshard() {
+        clearInterval(this.reshardTimer);
+        this.reshardTimer = null;
+        this.#reshardReject?.(new Error("Reshard cancelled by disconnecting"));
+    }
+
     _readyPacketCB(shardID) {
         const rateLimitKey = (shardID % this.options.maxConcurrency) || 0;
         this.buckets.set(rateLimitKey, Date.now());
@@ -198,6 +230,278 @@ class ShardManager extends Collection {
         this.tryConnect();
     }
 
+    async _saveSession(shard) {
+        // Shards of a pending reshard share IDs with the running shards, so they can't save their sessions until they replace them
+        if(!this.options.sessionStore || this.get(shard.id) !== shard) {
+            return;
+        }
+        try {
+            if(shard.sessionID) {
+                await this.options.sessionStore.set(shard.id, {
+                    resumeURL: shard.resumeURL,
+                    seq: shard.seq,
+                    sessionID: shard.sessionID
+                });
+            } else {
+                await this.options.sessionStore.delete(shard.id);
+            }
+        } catch(err) {
+            this.#client.emit("error", err, shard.id);
+        }
+    }
+
+    _updateSessionStartLimit(gateway) {
+        const limit = gateway.session_start_limit;
+        if(!limit) {
+            return;
+        }
+        this.sessionStartLimit = {
+            maxConcurrency: limit.max_concurrency,
+            remaining: limit.remaining,
+            resetAfter: limit.reset_after,
+            total: limit.total
+        };
+        this.#sessionStartReset = Date.now() + limit.reset_after;
+        this.#sessionStartWarned = false;
+    }
+
+    #bindShard(shard) {
+        shard.on("ready", () => {
+            /**
+             * Fired when a shard turns ready
+             * @event Client#shardReady
+             * @prop {Number} id The ID of the shard
+             */
+            this.#client.emit("shardReady", shard.id);
+            if(this.#client.ready) {
+                return;
+            }
+            for(const other of this.values()) {
+                if(!other.ready) {
+                    return;
+                }
+            }
+            this.#client.ready = true;
+            this.#client.startTime = Date.now();
+            /**
+             * Fired when all shards turn ready
+             * @event Client#ready
+             */
+            this.#client.emit("ready");
+        }).on("resume", () => {
+            /**
+             * Fired when a shard resumes
+             * @event Client#shardResume
+             * @prop {Number} id The ID of the shard
+             */
+            this.#client.emit("shardResume", shard.id);
+            if(this.#client.ready) {
+                return;
+            }
+            for(const other of this.values()) {
+                if(!other.ready) {
+                    return;
+                }
+            }
+            this.#client.ready = true;
+            this.#client.startTime = Date.now();
+            this.#client.emit("ready");
+        }).on("disconnect", (error) => {
+            /**
+             * Fired when a shard disconnects
+             * @event Client#shardDisconnect
+             * @prop {Error?} error The error, if any
+             * @prop {Number} id The ID of the shard
+             */
+            this.#client.emit("shardDisconnect", error, shard.id);
+            if(error?.code === 4011) {
+                this.#autoReshard(this.options.maxShards + 1);
+            }
+            for(const other of this.values()) {
+                if(other.ready) {
+                    return;
+                }
+            }
+            this.#client.ready = false;
+            this.#client.startTime = 0;
+            /**
+             * Fired when all shards disconnect
+             * @event Client#disconnect
+             */
+            this.#client.emit("disconnect");
+        });
+    }
+
+    #acquireIdentify(shard, rateLimitKey) {
+        if(this.#identifyWaits.has(rateLimitKey)) {
+            return;
+        }
+        this.#identifyWaits.add(rateLimitKey);
+        Promise.resolve(this.options.identifyLock.acquire(rateLimitKey, shard.id)).then(() => {
+            const index = this.connectQueue.indexOf(shard);
+            if(index !== -1) {
+                this.connectQueue.splice(index, 1);
+                this.#consumeIdentify();
+                shard.connect();
+                this.buckets.set(rateLimitKey, Date.now());
+            }
+        }, (err) => {
+            // The shard stays queued, so tryConnect will ask for the lock again
+            this.#client.emit("error", err, shard.id);
+        }).finally(() => {
+            this.#identifyWaits.delete(rateLimitKey);
+        });
+    }
+
+    #canIdentify() {
+        const limit = this.sessionStartLimit;
+        if(!limit) {
+            return true;
+        }
+        if(this.#sessionStartReset && Date.now() >= this.#sessionStartReset) {
+            // The limit was reset, but when it resets next is unknown until the gateway is fetched again
+            limit.remaining = limit.total;
+            limit.resetAfter = 0;
+            this.#sessionStartReset = 0;
+            this.#sessionStartWarned = false;
+        }
+        if(limit.remaining > this.options.reservedIdentifies) {
+            return true;
+        }
+        if(!this.#sessionStartWarned) {
+            this.#sessionStartWarned = true;
+            this.#client.emit("warn", `Only ${limit.remaining} of ${limit.total} identifies remaining, waiting for the session start limit to reset` + (this.#sessionStartReset ? ` in ${this.#sessionStartReset - Date.now()}ms` : ""));
+        }
+        return false;
+    }
+
+    #consumeIdentify() {
+        if(this.sessionStartLimit) {
+            --this.sessionStartLimit.remaining;
+        }
+    }
+
+    #autoReshard(minimum) {
+        if(this.options.firstShardID !== 0 || this.options.lastShardID !== this.options.maxShards - 1) {
+            this.#client.emit("warn", "Unable to reshard automatically, as this client doesn't run every shard");
+            return;
+        }
+        this.#reshardPromise ??= this.#reshard(undefined, minimum).finally(() => {
+            this.#reshardPromise = null;
+        });
+        this.#reshardPromise.catch((err) => {
+            this.#client.emit("error", err);
+        });
+    }
+
+    async #reshard(shardCount, minimum = 0) {
+        if(this.options.firstShardID !== 0 || this.options.lastShardID !== this.options.maxShards - 1) {
+            throw new Error("Resharding requires the client to run every shard");
+        }
+        if(shardCount === undefined) {
+            const data = await this.#client.getBotGateway();
+            this._updateSessionStartLimit(data);
+            return this.#reshard(Math.max(data.shards || 0, minimum));
+        }
+        if(!shardCount || shardCount === this.options.maxShards) {
+            return false;
+        }
+
+        const pending = this.#pendingShards = new Collection(Shard);
+        this.#client.emit("debug", `Resharding from ${this.options.maxShards} to ${shardCount} shards`);
+        try {
+            await new Promise((resolve, reject) => {
+                this.#reshardReject = reject;
+                for(let id = 0; id < shardCount; ++id) {
+                    const shard = pending.add(new Shard(id, this.#client));
+                    shard._pendingShardCount = shardCount;
+                    shard.on("ready", () => {
+                        if(pending.every((s) => s.ready)) {
+                            resolve();
+                        }
+                    }).on("disconnect", (error) => {
+                        if(FATAL_CLOSE_CODES.includes(error?.code)) {
+                            reject(error);
+                        }
+                    });
+                    this.connect(shard);
+                }
+            });
+        } catch(err) {
+            this.#pendingShards = null;
+            this.#retireShards(pending.values());
+            if(err.code === 4011) {
+                return this.#reshard(undefined, shardCount + 1);
+            }
+            throw err;
+        } finally {
+            this.#reshardReject = null;
+        }
+
+        const oldCount = this.options.maxShards;
+        const oldShards = [...this.values()];
+        this.clear();
+        this.#pendingShards = null;
+        this.options.maxShards = shardCount;
+        this.options.lastShardID = shardCount - 1;
+        for(const shard of pending.values()) {
+            shard.removeAllListeners();
+            shard._pendingShardCount = null;
+            this.#bindShard(this.add(shard));
+        }
+        this.#retireShards(oldShards);
+
+        for(const guild of [...this.#client.guilds.values(), ...this.#client.unavailableGuilds.values()]) {
+            const shardID = Base.getDiscordEpoch(guild.id) % shardCount;
+            this.#client.guildShardMap[guild.id] = shardID;
+            guild.shard = this.get(shardID);
+        }
+        this.saveSessions();
+
+        /**
+         * Fired when the shards are replaced by a new set of shards after resharding
+         * @event Client#reshard
+         * @prop {Number} oldCount The previous total number of shards
+         * @prop {Number} newCount The new total number of shards
+         */
+        this.#client.emit("reshard", oldCount, shardCount);
+        return true;
+    }
+
+    async #restoreSession(shard) {
+        this.#restoring.add(shard.id);
+        try {
+            const session = await this.options.sessionStore.get(shard.id);
+            if(session?.sessionID && !shard.sessionID) {
+                shard.sessionID = session.sessionID;
+                shard.seq = session.seq || 0;
+                shard.resumeURL = session.resumeURL || null;
+                if(!this.#client.user) {
+                    // RESUMED doesn't carry the READY payload, so the client user has to be fetched
+                    this.#client.user = this.#client.users.update(await this.#client.getSelf(), this.#client);
+                }
+                this.#client.emit("debug", `Restored session ${session.sessionID} (seq ${shard.seq})`, shard.id);
+            }
+        } catch(err) {
+            this.#client.emit("error", err, shard.id);
+        } finally {
+            this.#restoring.delete(shard.id);
+        }
+    }
+
+    #retireShards(shards) {
+        for(const shard of shards) {
+            shard.removeAllListeners();
+            const index = this.connectQueue.indexOf(shard);
+            if(index !== -1) {
+                this.connectQueue.splice(index, 1);
+            }
+            shard.disconnect({
+                reconnect: false
+            });
+        }
+    }
+
     toString() {
         return `[ShardManager ${this.size}]`;
     }
@@ -0,0 +1,110 @@
+"use strict";
+
+let EventEmitter;
+try {
+    EventEmitter = require("eventemitter3");
+} catch{
+    EventEmitter = require("node:events").EventEmitter;
+}
+
+/**
+ * A transport between a GatewayForwarder and a RemoteGateway over a stream socket, such as a Unix socket or a TCP connection from `node:net`.
+ * Messages are sent as lines of JSON
+ * @extends EventEmitter
+ */
+class SocketTransport extends EventEmitter {
+    #buffer = "";
+    /**
+     * Construct a SocketTransport
+     * @param {net.Socket} socket The connected socket
+     * @param {Object} [options] Transport options
+     * @param {Number} [options.maxBufferedBytes=Infinity] The maximum number of bytes waiting to be written to the socket. If a message exceeds it, the socket is destroyed (firing `error` and `close`) instead of buffering without bound, e.g. so the gateway process drops a worker which can't keep up with the dispatches
+     */
+    constructor(socket, options = {}) {
+        super();
+
+        /**
+         * The maximum number of bytes waiting to be written to the socket before it's destroyed
+         * @type {Number}
+         */
+        this.maxBufferedBytes = options.maxBufferedBytes ?? Infinity;
+        /**
+         * The socket of the transport
+         * @type {net.Socket}
+         */
+        this.socket = socket;
+
+        socket.setEncoding("utf8");
+        socket.on("data", (data) => {
+            const lines = (this.#buffer + data).split("\n");
+            this.#buffer = lines.pop();
+            for(const line of lines) {
+                let message;
+                try {
+                    message = JSON.parse(line);
+                } catch(err) {
+                    this.emit("error", err);
+                    continue;
+                }
+                /**
+                 * Fired when a message is received
+                 * @event SocketTransport#message
+                 * @prop {*} message The message
+                 */
+                this.emit("message", message);
+            }
+        });
+        socket.on("drain", () => {
+            /**
+             * Fired when the buffered messages were written to the socket, after `send()` returned false
+             * @event SocketTransport#drain
+             */
+            this.emit("drain");
+        });
+        socket.on("error", (err) => {
+            /**
+             * Fired when the socket errors
+             * @event SocketTransport#error
+             * @prop {Error} err The error
+             */
+            this.emit("error", err);
+        });
+        socket.on("close", () => {
+            /**
+             * Fired when the socket closes
+             * @event SocketTransport#close
+             */
+            this.emit("close");
+        });
+    }
+
+    /**
+     * The number of bytes sent but not yet written to the socket, which grows when the other side reads slower than messages are sent
+     * @type {Number}
+     */
+    get bufferedBytes() {
+        return this.socket.writableLength;
+    }
+
+    /**
+     * Send a message
+     * @param {*} message The message. It must be serializable to JSON
+     * @returns {Boolean} Whether the message was written to the socket right away. If false, it's buffered until the `drain` event, so wait for it before sending more messages if possible
+     */
+    send(message) {
+        if(this.socket.destroyed) {
+            throw new Error("Socket is closed");
+        }
+        const written = this.socket.write(JSON.stringify(message) + "\n");
+        if(this.socket.writableLength > this.maxBufferedBytes) {
+            this.socket.destroy(new Error(`More than ${this.maxBufferedBytes} bytes are waiting to be written to the socket`));
+        }
+        return written;
+    }
+
+    toString() {
+        return `[SocketTransport ${this.socket.destroyed ? "closed" : "open"}]`;
+    }
+}
+
+module.exports = SocketTransport;
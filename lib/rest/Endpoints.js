@@ -18,6 +18,7 @@ module.exports.COMMAND =                              (applicationID, commandID)
 module.exports.COMMANDS =                                        (applicationID) => `/applications/${applicationID}/commands`;
 module.exports.COMMAND_PERMISSIONS =         (applicationID, guildID, commandID) => `/applications/${applicationID}/guilds/${guildID}/commands/${commandID}/permissions`;
 module.exports.CHANNEL =                                                (chanID) => `/channels/${chanID}`;
+module.exports.CHANNEL_ATTACHMENTS =                                    (chanID) => `/channels/${chanID}/attachments`;
 module.exports.CHANNEL_BULK_DELETE =                                    (chanID) => `/channels/${chanID}/messages/bulk-delete`;
 module.exports.CHANNEL_CROSSPOST =                               (chanID, msgID) => `/channels/${chanID}/messages/${msgID}/crosspost`;
 module.exports.CHANNEL_FOLLOW =                                         (chanID) => `/channels/${chanID}/followers`;
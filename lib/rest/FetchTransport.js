@@ -0,0 +1,121 @@
+"use strict";
+
+const Stream = require("node:stream");
+
+/**
+ * Sends REST requests using the Fetch API (e.g. the global `fetch` or undici's `fetch`)
+ */
+class FetchTransport {
+    /**
+     * Construct a FetchTransport
+     * @param {Object} [options] Transport options
+     * @param {Object} [options.dispatcher] An undici dispatcher (e.g. a keep-alive `Pool` or `Agent`) passed to every fetch call
+     * @param {Function} [options.fetch] The fetch implementation to use. Defaults to the global `fetch`
+     */
+    constructor(options = {}) {
+        /**
+         * The undici dispatcher passed to every fetch call
+         * @type {Object?}
+         */
+        this.dispatcher = options.dispatcher || null;
+        /**
+         * The fetch implementation in use
+         * @type {Function}
+         */
+        this.fetch = options.fetch || globalThis.fetch;
+        if(typeof this.fetch !== "function") {
+            throw new Error("No fetch implementation is available");
+        }
+    }
+
+    /**
+     * Send a request
+     * @param {Object} request The request to send
+     * @param {String | Buffer | Array<Uint8Array> | AsyncIterable<Uint8Array>} [request.body] The request payload
+     * @param {Object} request.headers The request headers
+     * @param {String} request.method Uppercase HTTP method
+     * @param {AbortSignal} [request.signal] A signal which cancels the request when aborted
+     * @param {Number} [request.timeout] A number of milliseconds before the request is considered timed out
+     * @param {String} request.url The full URL of the request
+     * @returns {Promise<Object>} Resolves with an object containing the `statusCode`, `statusMessage`, lowercased `headers` and an async iterable `body` of the response
+     */
+    async request(request) {
+        const controller = new AbortController();
+        let timeout;
+        const onAbort = () => controller.abort(request.signal.reason);
+        if(request.signal) {
+            if(request.signal.aborted) {
+                throw request.signal.reason;
+            }
+            request.signal.addEventListener("abort", onAbort, {once: true});
+        }
+        const done = () => {
+            clearTimeout(timeout);
+            request.signal?.removeEventListener("abort", onAbort);
+        };
+        if(request.timeout) {
+            timeout = setTimeout(() => {
+                const err = new Error(`Request timed out (>${request.timeout}ms) on ${request.method} ${request.url}`);
+                err.code = "ETIMEDOUT";
+                controller.abort(err);
+            }, request.timeout);
+        }
+
+        let body = request.body;
+        let duplex;
+        if(Array.isArray(body)) {
+            body = Buffer.concat(body);
+        } else if(typeof body?.[Symbol.asyncIterator] === "function") {
+            body = Stream.Readable.from(body);
+            duplex = "half"; // Required by fetch for streamed bodies
+        }
+
+        let res;
+        try {
+            res = await this.fetch(request.url, {
+                method: request.method,
+                headers: request.headers,
+                body: body,
+                duplex: duplex,
+                signal: controller.signal,
+                dispatcher: this.dispatcher || undefined
+            });
+        } catch(err) {
+            done();
+            throw controller.signal.aborted ? controller.signal.reason : err;
+        }
+
+        const headers = {};
+        res.headers.forEach((value, key) => {
+            headers[key] = value;
+        });
+
+        return {
+            statusCode: res.status,
+            statusMessage: res.statusText,
+            headers: headers,
+            body: readStream(res.body, controller, done)
+        };
+    }
+
+    toString() {
+        return "[FetchTransport]";
+    }
+}
+
+async function* readStream(stream, controller, done) {
+    try {
+        if(!stream) {
+            return;
+        }
+        for await (const chunk of stream) {
+            yield chunk;
+        }
+    } catch(err) {
+        throw controller.signal.aborted ? controller.signal.reason : err;
+    } finally {
+        done();
+    }
+}
+
+module.exports = FetchTransport;
@@ -0,0 +1,117 @@
+"use strict";
+
+const HTTPS = require("node:https");
+const HTTP = require("node:http");
+const Stream = require("node:stream");
+const Zlib = require("node:zlib");
+
+/**
+ * Sends REST requests using the built-in `node:http` and `node:https` modules
+ */
+class HTTPTransport {
+    /**
+     * Construct an HTTPTransport
+     * @param {Object} [options] Transport options
+     * @param {Object} [options.agent] A HTTPS Agent (for HTTPS URLs) or an HTTP agent (for HTTP URLs) used to proxy requests
+     */
+    constructor(options = {}) {
+        /**
+         * The agent used for requests
+         * @type {Object?}
+         */
+        this.agent = options.agent || null;
+    }
+
+    /**
+     * Send a request
+     * @param {Object} request The request to send
+     * @param {String | Buffer | Array<Uint8Array> | AsyncIterable<Uint8Array>} [request.body] The request payload
+     * @param {Object} request.headers The request headers
+     * @param {String} request.method Uppercase HTTP method
+     * @param {AbortSignal} [request.signal] A signal which cancels the request when aborted
+     * @param {Number} [request.timeout] A number of milliseconds of inactivity before the request is considered timed out
+     * @param {String} request.url The full URL of the request
+     * @returns {Promise<Object>} Resolves with an object containing the `statusCode`, `statusMessage`, lowercased `headers` and an async iterable `body` of the response
+     */
+    request(request) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(request.url);
+            const requester = url.protocol === "http:" ? HTTP : HTTPS;
+
+            const req = requester.request(url, {
+                method: request.method,
+                headers: {
+                    "Accept-Encoding": "gzip,deflate",
+                    ...request.headers
+                },
+                agent: this.agent,
+                signal: request.signal
+            });
+
+            let reqError;
+
+            req.on("error", (err) => {
+                reqError = reqError || err;
+                reqError.req = req;
+                reject(reqError);
+            });
+
+            req.once("response", (resp) => {
+                let body = resp;
+                if(resp.headers["content-encoding"]) {
+                    if(resp.headers["content-encoding"].includes("gzip")) {
+                        body = resp.pipe(Zlib.createGunzip());
+                    } else if(resp.headers["content-encoding"].includes("deflate")) {
+                        body = resp.pipe(Zlib.createInflate());
+                    }
+                }
+                if(body !== resp) {
+                    resp.once("error", (err) => body.destroy(err));
+                }
+
+                resp.once("aborted", () => {
+                    reqError = reqError || new Error(`Request aborted by server on ${request.method} ${request.url}`);
+                    reqError.req = req;
+                    body.destroy(reqError);
+                });
+
+                resolve({
+                    statusCode: resp.statusCode,
+                    statusMessage: resp.statusMessage,
+                    headers: resp.headers,
+                    body: body
+                });
+            });
+
+            if(request.timeout) {
+                req.setTimeout(request.timeout, () => {
+                    reqError = new Error(`Request timed out (>${request.timeout}ms) on ${request.method} ${request.url}`);
+                    reqError.code = "ETIMEDOUT";
+                    req.destroy(reqError);
+                });
+            }
+
+            if(Array.isArray(request.body)) {
+                for(const chunk of request.body) {
+                    req.write(chunk);
+                }
+                req.end();
+            } else if(typeof request.body?.[Symbol.asyncIterator] === "function") {
+                const body = Stream.Readable.from(request.body);
+                body.once("error", (err) => {
+                    reqError = reqError || err;
+                    req.destroy(reqError);
+                });
+                body.pipe(req);
+            } else {
+                req.end(request.body);
+            }
+        });
+    }
+
+    toString() {
+        return "[HTTPTransport]";
+    }
+}
+
+module.exports = HTTPTransport;
@@ -0,0 +1,79 @@
+"use strict";
+
+/**
+ * Keeps REST ratelimit state in the memory of the current process.
+ * Custom stores (e.g. backed by Redis or an IPC server) can implement the same methods to share ratelimit state between processes using the same token.
+ * Every method may return either a value or a Promise resolving with it
+ */
+class MemoryRatelimitStore {
+    /**
+     * Ratelimit state of every bucket the store knows about, keyed by bucket key
+     * @type {Map<String, Object>}
+     */
+    buckets = new Map();
+    /**
+     * Timestamp at which the global ratelimit ends
+     * @type {Number}
+     */
+    globalReset = 0;
+
+    /**
+     * Update a bucket with the state learned from a response
+     * @param {String} key The bucket key
+     * @param {Object} state The bucket state
+     * @param {Number} state.limit How many requests can be made in the bucket per interval
+     * @param {Number} state.remaining How many requests can still be made in the current interval
+     * @param {Number} state.reset Timestamp of the next reset of the bucket
+     */
+    update(key, state) {
+        this.buckets.set(key, {
+            limit: state.limit,
+            remaining: state.remaining,
+            reset: state.reset
+        });
+    }
+
+    /**
+     * Consume a request token in a bucket. Stores shared between processes must do this atomically
+     * @param {String} key The bucket key
+     * @returns {Number} How long (in ms) to wait before trying again, or 0 if a token was consumed and the request can be sent
+     */
+    acquire(key) {
+        const state = this.buckets.get(key);
+        if(!state) {
+            return 0;
+        }
+        const now = Date.now();
+        if(state.reset && state.reset <= now) {
+            state.remaining = state.limit;
+            state.reset = 0;
+        }
+        if(state.remaining <= 0) {
+            return state.reset ? state.reset - now : 0;
+        }
+        --state.remaining;
+        return 0;
+    }
+
+    /**
+     * Get the timestamp at which the global ratelimit ends
+     * @returns {Number}
+     */
+    getGlobalReset() {
+        return this.globalReset;
+    }
+
+    /**
+     * Block all authorized requests until a point in time
+     * @param {Number} reset Timestamp at which the global ratelimit ends
+     */
+    setGlobalReset(reset) {
+        this.globalReset = Math.max(this.globalReset, reset);
+    }
+
+    toString() {
+        return `[MemoryRatelimitStore ${this.buckets.size}]`;
+    }
+}
+
+module.exports = MemoryRatelimitStore;
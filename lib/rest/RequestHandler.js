@@ -1,22 +1,54 @@
 "use strict";
 
 const util = require("node:util");
+const {pathToFileURL} = require("node:url");
 const Base = require("../structures/Base");
 const DiscordHTTPError = require("../errors/DiscordHTTPError");
 const DiscordRESTError = require("../errors/DiscordRESTError");
 const Endpoints = require("./Endpoints");
-const HTTPS = require("node:https");
-const HTTP = require("node:http");
+const FetchTransport = require("./FetchTransport");
+const HTTPTransport = require("./HTTPTransport");
+const MemoryRatelimitStore = require("./MemoryRatelimitStore");
 const MultipartData = require("../util/MultipartData");
+const RequestQueueFullError = require("../errors/RequestQueueFullError");
 const SequentialBucket = require("../util/SequentialBucket");
-const Zlib = require("node:zlib");
+
+const LATENCY_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const MAJOR_PARAMETER_REGEX = /\/(channels|guilds|webhooks)\/[0-9]+/;
 
 /**
  * Handles API requests
  */
 class RequestHandler {
     #client;
+    #metrics = {
+        errors: 0,
+        latency: {
+            bounds: LATENCY_BUCKETS,
+            count: 0,
+            counts: new Array(LATENCY_BUCKETS.length).fill(0),
+            sum: 0
+        },
+        rateLimits: {
+            global: 0,
+            shared: 0,
+            user: 0
+        },
+        requests: 0,
+        retries: 0
+    };
+
+    /**
+     * Object mapping routes (without their major parameter) to the ratelimit bucket hashes Discord reported for them
+     * @type {Object<string, string>}
+     */
+    bucketHashes = {};
     globalBlock = false;
+    /**
+     * The middleware every request passes through, in order
+     * @type {Array<Function>}
+     */
+    middleware = [];
     ratelimits = {};
     readyQueue = [];
     userAgent = `DiscordBot (https://github.com/projectdysnomia/dysnomia, ${require("../../package.json").version})`;
@@ -28,11 +60,42 @@ class RequestHandler {
             domain: "discord.com",
             https: true,
             latencyThreshold: 30000,
+            maxQueueLength: Infinity,
+            middleware: [],
             ratelimiterOffset: 0,
-            requestTimeout: 15000
+            ratelimitStore: null,
+            requestTimeout: 15000,
+            transport: "http"
         }, options);
 
+        this.options.retry = Object.assign({
+            baseDelay: 500,
+            errorCodes: ["EAI_AGAIN", "ECONNREFUSED", "ECONNRESET", "EPIPE", "ETIMEDOUT", "UND_ERR_CONNECT_TIMEOUT", "UND_ERR_SOCKET"],
+            jitter: true,
+            maxDelay: 30000,
+            maxRetries: 3,
+            methods: ["DELETE", "GET", "HEAD", "PUT"],
+            statusCodes: [500, 502, 503, 504]
+        }, this.options.retry === false ? {maxRetries: 0} : this.options.retry);
+
         this.#client = client;
+        if(this.options.transport === "http") {
+            this.transport = new HTTPTransport({agent: this.options.agent});
+        } else if(this.options.transport === "fetch") {
+            this.transport = new FetchTransport();
+        } else if(typeof this.options.transport?.request === "function") {
+            this.transport = this.options.transport;
+        } else {
+            throw new TypeError(`Invalid REST transport: ${this.options.transport}`);
+        }
+        /**
+         * The store holding ratelimit state shared with other processes
+         * @type {Object}
+         */
+        this.ratelimitStore = this.options.ratelimitStore || new MemoryRatelimitStore();
+        for(const middleware of this.options.middleware) {
+            this.use(middleware);
+        }
         this.latencyRef = {
             latency: this.options.ratelimiterOffset,
             raw: new Array(10).fill(this.options.ratelimiterOffset),
@@ -46,6 +109,45 @@ class RequestHandler {
         }
     }
 
+    /**
+     * Get a snapshot of the REST metrics collected since the RequestHandler was created. All counters only ever increase, making them suitable for exporting to monitoring systems such as Prometheus
+     * @returns {RequestHandler.Metrics}
+     */
+    getMetrics() {
+        const metrics = this.#metrics;
+        return {
+            errors: metrics.errors,
+            latency: {
+                average: this.latencyRef.latency,
+                bounds: metrics.latency.bounds.slice(),
+                count: metrics.latency.count,
+                counts: metrics.latency.counts.slice(),
+                sum: metrics.latency.sum
+            },
+            rateLimits: Object.assign({}, metrics.rateLimits),
+            requests: metrics.requests,
+            retries: metrics.retries
+        };
+    }
+
+    /**
+     * Get a snapshot of the state of every ratelimit bucket known to this process
+     * @returns {Object<string, RequestHandler.BucketSnapshot>} An object mapping bucket keys (the route, or the Discord bucket hash and major parameter of the route once known) to bucket snapshots
+     */
+    getRatelimits() {
+        const ratelimits = {};
+        for(const key in this.ratelimits) {
+            const bucket = this.ratelimits[key];
+            ratelimits[key] = {
+                limit: bucket.limit,
+                queueLength: bucket.queueLength,
+                remaining: bucket.remaining,
+                reset: bucket.reset
+            };
+        }
+        return ratelimits;
+    }
+
     globalUnblock() {
         this.globalBlock = false;
         while(this.readyQueue.length > 0) {
@@ -54,236 +156,249 @@ class RequestHandler {
     }
 
     /**
-     * Make an API request
+     * Make an API request.
+     * Requests are retried after ratelimits and according to the `rest.retry` option, but a readable stream in the file data can only be sent once, so the request fails with the ratelimit or error instead. Pass a function returning a new readable stream to allow retries
      * @param {String} method Uppercase HTTP method
      * @param {String} url URL of the endpoint
      * @param {Boolean} [auth] Whether to add the Authorization header and token or not
      * @param {Object} [body] Request payload
      * @param {Object | Array<Object>} [file] File object or an array of them
-     * @param {Buffer} file.file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} file.file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [file.path] The path of a file to stream into the request instead of passing its data in `file`
      * @param {String} file.name What to name the file
      * @param {String} file.fieldName The multipart body field name
+     * @param {Number} [file.size] The size of the file data in bytes. Lets the content length of the request be set when streaming a readable stream
+     * @param {RequestHandler.RequestOptions} [options] Options for the request
      * @returns {Promise<Object>} Resolves with the returned JSON data
      */
-    request(method, url, auth, body, file, _route, short) {
-        const route = _route || this.routefy(url, method);
+    request(method, url, auth, body, file, options = {}, _short) {
+        if(typeof options === "string") { // Legacy route and short parameters
+            options = {route: options, short: _short};
+        }
+        const {signal} = options;
+        if(signal?.aborted) {
+            return Promise.reject(signal.reason);
+        }
+        const short = !!options.short;
+        const priority = options.priority || 0;
 
         const _stackHolder = {}; // Preserve async stack
         Error.captureStackTrace(_stackHolder);
 
-        return new Promise((resolve, reject) => {
-            let attempts = 0;
-
-            const actualCall = (cb) => {
-                const headers = {
-                    "User-Agent": this.userAgent,
-                    "Accept-Encoding": "gzip,deflate"
-                };
-                let data;
-                let finalURL = url;
+        const headers = {
+            "User-Agent": this.userAgent,
+            "Accept-Encoding": "gzip,deflate"
+        };
+        let data;
+        let finalURL = url;
+        let multipart;
 
-                try {
-                    if(this.options.headers) {
-                        Object.assign(headers, this.options.headers);
-                    }
-                    if(auth) {
-                        headers.Authorization = this.#client._token;
-                    }
-                    if(body?.reason) { // Audit log reason sniping
-                        headers["X-Audit-Log-Reason"] = encodeURIComponent(body.reason);
-                        delete body.reason;
-                    }
-                    if(file) {
-                        if(Array.isArray(file)) {
-                            data = new MultipartData();
-                            headers["Content-Type"] = "multipart/form-data; boundary=" + data.boundary;
-                            file.forEach(function(f) {
-                                if(!f.file) {
-                                    return;
-                                }
-                                const attachedFieldName = f.fieldName || f.name;
-                                if(attachedFieldName === "payload_json") { // Use the body parameter to supply payload_json instead
-                                    return;
-                                }
-                                data.attach(attachedFieldName, f.file, f.name);
-                            });
-                            if(body) {
-                                data.attach("payload_json", body);
-                            }
-                            data = data.finish();
-                        } else if(file.file) {
-                            data = new MultipartData();
-                            headers["Content-Type"] = "multipart/form-data; boundary=" + data.boundary;
-                            data.attach(file.fieldName || "file", file.file, file.name);
-                            if(body) {
-                                data.attach("payload_json", body);
-                            }
-                            data = data.finish();
-                        } else {
-                            throw new Error("Invalid file object");
+        try {
+            if(this.options.headers) {
+                Object.assign(headers, this.options.headers);
+            }
+            if(auth) {
+                headers.Authorization = this.#client._token;
+            }
+            if(body && body.reason) { // Audit log reason sniping
+                headers["X-Audit-Log-Reason"] = encodeURIComponent(body.reason);
+                delete body.reason;
+            }
+            if(file) {
+                if(Array.isArray(file)) {
+                    multipart = new MultipartData();
+                    headers["Content-Type"] = "multipart/form-data; boundary=" + multipart.boundary;
+                    file.forEach(function(f) {
+                        if(!f.file && !f.path) {
+                            return;
                         }
-                    } else if(body) {
-                        if(method === "GET" || method === "DELETE") {
-                            let qs = "";
-                            Object.keys(body).forEach(function(key) {
-                                if(body[key] != null) {
-                                    if(Array.isArray(body[key])) {
-                                        body[key].forEach(function(val) {
-                                            qs += `&${encodeURIComponent(key)}=${encodeURIComponent(val)}`;
-                                        });
-                                    } else {
-                                        qs += `&${encodeURIComponent(key)}=${encodeURIComponent(body[key])}`;
-                                    }
-                                }
-                            });
-                            finalURL += "?" + qs.substring(1);
-                        } else {
-                            // Replacer function serializes bigints to strings, the format Discord uses
-                            data = JSON.stringify(body, (k, v) => typeof v === "bigint" ? v.toString() : v);
-                            headers["Content-Type"] = "application/json";
+                        const attachedFieldName = f.fieldName || f.name;
+                        if(attachedFieldName === "payload_json") { // Use the body parameter to supply payload_json instead
+                            return;
                         }
+                        multipart.attach(attachedFieldName, f.path ? pathToFileURL(f.path) : f.file, f.name, f.size);
+                    });
+                    if(body) {
+                        multipart.attach("payload_json", body);
                     }
-                } catch(err) {
-                    cb();
-                    reject(err);
-                    return;
+                } else if(file.file || file.path) {
+                    multipart = new MultipartData();
+                    headers["Content-Type"] = "multipart/form-data; boundary=" + multipart.boundary;
+                    multipart.attach(file.fieldName || "file", file.path ? pathToFileURL(file.path) : file.file, file.name, file.size);
+                    if(body) {
+                        multipart.attach("payload_json", body);
+                    }
+                } else {
+                    throw new Error("Invalid file object");
                 }
-
-                let req;
-                try {
-                    const requester = this.options.https ? HTTPS : HTTP;
-
-                    req = requester.request({
-                        method: method,
-                        host: this.options.domain,
-                        port: this.options.port,
-                        path: this.options.baseURL + finalURL,
-                        headers: headers,
-                        agent: this.options.agent
+            } else if(body) {
+                if(method === "GET" || method === "DELETE") {
+                    let qs = "";
+                    Object.keys(body).forEach(function(key) {
+                        if(body[key] != null) {
+                            if(Array.isArray(body[key])) {
+                                body[key].forEach(function(val) {
+                                    qs += `&${encodeURIComponent(key)}=${encodeURIComponent(val)}`;
+                                });
+                            } else {
+                                qs += `&${encodeURIComponent(key)}=${encodeURIComponent(body[key])}`;
+                            }
+                        }
                     });
-                } catch(err) {
-                    cb();
-                    reject(err);
-                    return;
+                    finalURL += "?" + qs.substring(1);
+                } else {
+                    // Replacer function serializes bigints to strings, the format Discord uses
+                    data = JSON.stringify(body, (k, v) => typeof v === "bigint" ? v.toString() : v);
+                    headers["Content-Type"] = "application/json";
                 }
+            }
+        } catch(err) {
+            return Promise.reject(err);
+        }
 
-                let reqError;
-
-                req.once("abort", () => {
-                    cb();
-                    reqError = reqError || new Error(`Request aborted by client on ${method} ${url}`);
-                    reqError.req = req;
-                    reject(reqError);
-                }).once("error", (err) => {
-                    reqError = err;
-                    req.abort();
-                });
-
-                let latency = Date.now();
-
-                req.once("response", (resp) => {
-                    latency = Date.now() - latency;
-                    if(!this.options.disableLatencyCompensation) {
-                        this.latencyRef.raw.push(latency);
-                        this.latencyRef.latency = this.latencyRef.latency - ~~(this.latencyRef.raw.shift() / 10) + ~~(latency / 10);
-                    }
-
-                    if(this.#client.listeners("rawREST").length) {
-                        /**
-                         * Fired when the Client's RequestHandler receives a response
-                         * @event Client#rawREST
-                         * @prop {Object} [request] The data for the request.
-                         * @prop {Boolean} request.auth True if the request required an authorization token
-                         * @prop {Object} [request.body] The request payload
-                         * @prop {Object} [request.file] The file object sent in the request
-                         * @prop {Buffer} request.file.file A buffer containing file data
-                         * @prop {String} request.file.name The name of the file
-                         * @prop {Number} request.latency The HTTP response latency
-                         * @prop {String} request.method Uppercase HTTP method
-                         * @prop {IncomingMessage} request.resp The HTTP response to the request
-                         * @prop {String} request.route The calculated ratelimiting route for the request
-                         * @prop {Boolean} request.short Whether or not the request was prioritized in its ratelimiting queue
-                         * @prop {String} request.url URL of the endpoint
-                         */
-                        this.#client.emit("rawREST", {method, url, auth, body, file, route, short, resp, latency});
-                    }
+        const req = {
+            method: method,
+            path: this.options.baseURL + finalURL,
+            url: `${this.options.https ? "https" : "http"}://${this.options.domain}${this.options.port ? ":" + this.options.port : ""}${this.options.baseURL}${finalURL}`,
+            headers: headers,
+            body: data,
+            timeout: this.options.requestTimeout,
+            signal: signal,
+            route: options.route || this.routefy(url, method)
+        };
 
-                    const headerNow = Date.parse(resp.headers["date"]);
-                    if(this.latencyRef.lastTimeOffsetCheck < Date.now() - 5000) {
-                        const timeOffset = headerNow + 500 - (this.latencyRef.lastTimeOffsetCheck = Date.now());
-                        if(this.latencyRef.timeOffset - this.latencyRef.latency >= this.options.latencyThreshold && timeOffset - this.latencyRef.latency >= this.options.latencyThreshold) {
-                            this.#client.emit("warn", new Error(`Your clock is ${this.latencyRef.timeOffset}ms behind Discord's server clock. Please check your connection and system time.`));
+        // Sends the request through its ratelimit bucket, resolving with the final response after ratelimits and retries are handled
+        const send = (req) => {
+            let onAbort;
+            const promise = new Promise((resolve, reject) => {
+                // Bodies streaming a readable stream are read by the first attempt, and can't be sent again
+                const reusable = req.body?.reusable !== false;
+                let attempts = 0;
+                let bucket;
+                let retryTimeout;
+
+                const actualCall = (next) => {
+                    // The bucket moves on once per attempt, even if a client event listener throws after that
+                    let called = false;
+                    const cb = () => {
+                        if(!called) {
+                            called = true;
+                            next();
                         }
-                        this.latencyRef.timeOffset = this.latencyRef.timeOffset - ~~(this.latencyRef.timeOffsets.shift() / 10) + ~~(timeOffset / 10);
-                        this.latencyRef.timeOffsets.push(timeOffset);
-                    }
-
-                    resp.once("aborted", () => {
+                    };
+                    // Only errors of the transport are retried, as the request may have reached Discord otherwise
+                    const onError = (err) => {
                         cb();
-                        reqError = reqError || new Error(`Request aborted by server on ${method} ${url}`);
-                        reqError.req = req;
-                        reject(reqError);
-                    });
+                        if(signal?.aborted) {
+                            reject(signal.reason);
+                            return;
+                        }
+                        ++this.#metrics.errors;
+                        const retryDelay = reusable ? this.#getRetryDelay(req.method, attempts, undefined, err) : null;
+                        if(retryDelay !== null) {
+                            retryCall(retryDelay, {error: err});
+                            return;
+                        }
+                        reject(err);
+                    };
+                    let latency = Date.now();
+                    ++this.#metrics.requests;
+
+                    this.transport.request(req).then((resp) => {
+                        latency = Date.now() - latency;
+                        this.#recordLatency(latency);
+                        if(!this.options.disableLatencyCompensation) {
+                            this.latencyRef.raw.push(latency);
+                            this.latencyRef.latency = this.latencyRef.latency - ~~(this.latencyRef.raw.shift() / 10) + ~~(latency / 10);
+                        }
 
-                    let response = "";
+                        if(this.#client.listeners("rawREST").length) {
+                            /**
+                             * Fired when the Client's RequestHandler receives a response
+                             * @event Client#rawREST
+                             * @prop {Object} [request] The data for the request.
+                             * @prop {Boolean} request.auth True if the request required an authorization token
+                             * @prop {Object} [request.body] The request payload
+                             * @prop {Object} [request.file] The file object sent in the request
+                             * @prop {Buffer} request.file.file A buffer containing file data
+                             * @prop {String} request.file.name The name of the file
+                             * @prop {Number} request.latency The HTTP response latency
+                             * @prop {String} request.method Uppercase HTTP method
+                             * @prop {Object} request.resp The transport response to the request, containing its `statusCode`, `statusMessage` and `headers`
+                             * @prop {String} request.route The calculated ratelimiting route for the request
+                             * @prop {Boolean} request.short Whether or not the request was prioritized in its ratelimiting queue
+                             * @prop {String} request.url URL of the endpoint
+                             */
+                            this.#client.emit("rawREST", {method: req.method, url: url, auth: auth, body: body, file: file, route: req.route, short: short, resp: resp, latency: latency});
+                        }
 
-                    let _respStream = resp;
-                    if(resp.headers["content-encoding"]) {
-                        if(resp.headers["content-encoding"].includes("gzip")) {
-                            _respStream = resp.pipe(Zlib.createGunzip());
-                        } else if(resp.headers["content-encoding"].includes("deflate")) {
-                            _respStream = resp.pipe(Zlib.createInflate());
+                        const headerNow = Date.parse(resp.headers["date"]);
+                        if(this.latencyRef.lastTimeOffsetCheck < Date.now() - 5000) {
+                            const timeOffset = headerNow + 500 - (this.latencyRef.lastTimeOffsetCheck = Date.now());
+                            if(this.latencyRef.timeOffset - this.latencyRef.latency >= this.options.latencyThreshold && timeOffset - this.latencyRef.latency >= this.options.latencyThreshold) {
+                                this.#client.emit("warn", new Error(`Your clock is ${this.latencyRef.timeOffset}ms behind Discord's server clock. Please check your connection and system time.`));
+                            }
+                            this.latencyRef.timeOffset = this.latencyRef.timeOffset - ~~(this.latencyRef.timeOffsets.shift() / 10) + ~~(timeOffset / 10);
+                            this.latencyRef.timeOffsets.push(timeOffset);
                         }
-                    }
 
-                    _respStream.on("data", (str) => {
-                        response += str;
-                    }).on("error", (err) => {
-                        reqError = err;
-                        req.abort();
-                    }).once("end", () => {
-                        const now = Date.now();
+                        return readBody(resp.body).then((response) => {
+                            const now = Date.now();
 
-                        if(resp.headers["x-ratelimit-limit"]) {
-                            this.ratelimits[route].limit = +resp.headers["x-ratelimit-limit"];
-                        }
+                            // Routes sharing a bucket hash and major parameter share a SequentialBucket
+                            const bucketHash = resp.headers["x-ratelimit-bucket"];
+                            const hashRoute = req.route.replace(MAJOR_PARAMETER_REGEX, "/$1/:id");
+                            if(bucketHash && this.bucketHashes[hashRoute] !== bucketHash) {
+                                this.bucketHashes[hashRoute] = bucketHash;
+                            }
+                            bucket = this.#resolveBucket(req.route, bucket);
 
-                        if(method !== "GET" && (resp.headers["x-ratelimit-remaining"] == null || resp.headers["x-ratelimit-limit"] == null) && this.ratelimits[route].limit !== 1) {
-                            this.#client.emit("debug", `Missing ratelimit headers for SequentialBucket(${this.ratelimits[route].remaining}/${this.ratelimits[route].limit}) with non-default limit\n`
-                            + `${resp.statusCode} ${resp.statusMessage}: ${method} ${route} | ${resp.headers["cf-ray"]}\n`
-                            + "content-type = " + resp.headers["content-type"] + "\n"
-                            + "x-ratelimit-remaining = " + resp.headers["x-ratelimit-remaining"] + "\n"
-                            + "x-ratelimit-limit = " + resp.headers["x-ratelimit-limit"] + "\n"
-                            + "x-ratelimit-reset = " + resp.headers["x-ratelimit-reset"] + "\n"
-                            + "x-ratelimit-global = " + resp.headers["x-ratelimit-global"]);
-                        }
+                            if(resp.headers["x-ratelimit-limit"]) {
+                                bucket.limit = +resp.headers["x-ratelimit-limit"];
+                            }
+
+                            if(req.method !== "GET" && (resp.headers["x-ratelimit-remaining"] == null || resp.headers["x-ratelimit-limit"] == null) && bucket.limit !== 1) {
+                                this.#client.emit("debug", `Missing ratelimit headers for SequentialBucket(${bucket.remaining}/${bucket.limit}) with non-default limit\n`
+                                + `${resp.statusCode} ${resp.statusMessage}: ${req.method} ${req.route} | ${resp.headers["cf-ray"]}\n`
+                                + "content-type = " + resp.headers["content-type"] + "\n"
+                                + "x-ratelimit-remaining = " + resp.headers["x-ratelimit-remaining"] + "\n"
+                                + "x-ratelimit-limit = " + resp.headers["x-ratelimit-limit"] + "\n"
+                                + "x-ratelimit-reset = " + resp.headers["x-ratelimit-reset"] + "\n"
+                                + "x-ratelimit-global = " + resp.headers["x-ratelimit-global"]);
+                            }
 
-                        this.ratelimits[route].remaining = resp.headers["x-ratelimit-remaining"] === undefined ? 1 : +resp.headers["x-ratelimit-remaining"] || 0;
+                            bucket.remaining = resp.headers["x-ratelimit-remaining"] === undefined ? 1 : +resp.headers["x-ratelimit-remaining"] || 0;
 
-                        const retryAfter = Number(resp.headers["x-ratelimit-reset-after"] || resp.headers["retry-after"]) * 1000;
-                        if(retryAfter >= 0) {
-                            if(resp.headers["x-ratelimit-global"]) {
-                                this.globalBlock = true;
-                                setTimeout(() => this.globalUnblock(), retryAfter || 1);
+                            const retryAfter = Number(resp.headers["x-ratelimit-reset-after"] || resp.headers["retry-after"]) * 1000;
+                            if(retryAfter >= 0) {
+                                if(resp.headers["x-ratelimit-global"]) {
+                                    this.globalBlock = true;
+                                    setTimeout(() => this.globalUnblock(), retryAfter || 1);
+                                    this.#updateRatelimitStore(() => this.ratelimitStore.setGlobalReset((retryAfter || 1) + now));
+                                } else {
+                                    bucket.reset = (retryAfter || 1) + now;
+                                }
+                            } else if(resp.headers["x-ratelimit-reset"]) {
+                                let resetTime = +resp.headers["x-ratelimit-reset"] * 1000;
+                                if(req.route.endsWith("/reactions/:id") && (+resp.headers["x-ratelimit-reset"] * 1000 - headerNow) === 1000) {
+                                    resetTime = now + 250;
+                                }
+                                bucket.reset = Math.max(resetTime - this.latencyRef.latency, now);
                             } else {
-                                this.ratelimits[route].reset = (retryAfter || 1) + now;
+                                bucket.reset = now;
                             }
-                        } else if(resp.headers["x-ratelimit-reset"]) {
-                            let resetTime = +resp.headers["x-ratelimit-reset"] * 1000;
-                            if(route.endsWith("/reactions/:id") && (+resp.headers["x-ratelimit-reset"] * 1000 - headerNow) === 1000) {
-                                resetTime = now + 250;
-                            }
-                            this.ratelimits[route].reset = Math.max(resetTime - this.latencyRef.latency, now);
-                        } else {
-                            this.ratelimits[route].reset = now;
-                        }
 
-                        if(resp.statusCode !== 429) {
-                            const content = typeof body === "object" ? `${body.content} ` : "";
-                            this.#client.emit("debug", `${content}${now} ${route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${this.ratelimits[route].remaining}/${this.ratelimits[route].limit} left | Reset ${this.ratelimits[route].reset} (${this.ratelimits[route].reset - now}ms left)`);
-                        }
+                            this.#updateRatelimitStore(() => this.ratelimitStore.update(this.#getBucketKey(req.route), {
+                                limit: bucket.limit,
+                                remaining: bucket.remaining,
+                                reset: bucket.reset
+                            }));
+
+                            if(resp.statusCode !== 429) {
+                                const content = typeof body === "object" ? `${body.content} ` : "";
+                                this.#client.emit("debug", `${content}${now} ${req.route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${bucket.remaining}/${bucket.limit} left | Reset ${bucket.reset} (${bucket.reset - now}ms left)`);
+                            }
 
-                        if(resp.statusCode >= 300) {
                             if(resp.statusCode === 429) {
                                 const content = typeof body === "object" ? `${body.content} ` : "";
                                 let delay = retryAfter;
@@ -291,97 +406,195 @@ class RequestHandler {
                                     try {
                                         delay = JSON.parse(response).retry_after * 1000;
                                     } catch(err) {
+                                        cb();
                                         reject(err);
                                         return;
                                     }
                                 }
-                                this.#client.emit("debug", `${resp.headers["x-ratelimit-global"] ? "Global" : "Unexpected"} 429 (╯°□°）╯︵ ┻━┻: ${response}\n${content} ${now} ${route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${this.ratelimits[route].remaining}/${this.ratelimits[route].limit} left | Reset ${delay} (${this.ratelimits[route].reset - now}ms left) | Scope ${resp.headers["x-ratelimit-scope"]}`);
+                                const scope = resp.headers["x-ratelimit-scope"] || (resp.headers["x-ratelimit-global"] ? "global" : "user");
+                                if(scope in this.#metrics.rateLimits) {
+                                    ++this.#metrics.rateLimits[scope];
+                                }
+                                /**
+                                 * Fired when the Client's RequestHandler hits a ratelimit (receives a 429 response). The request is retried automatically, unless it streams a readable stream which can't be sent again
+                                 * @event Client#rateLimit
+                                 * @prop {Object} info The data for the ratelimit
+                                 * @prop {String} info.bucket The key of the ratelimit bucket of the request
+                                 * @prop {Boolean} info.global Whether the ratelimit is global
+                                 * @prop {Number} info.limit How many requests can be made in the bucket per interval
+                                 * @prop {String} info.method Uppercase HTTP method
+                                 * @prop {Number} info.remaining How many requests can still be made in the current interval
+                                 * @prop {Number} info.reset Timestamp of the next reset of the bucket
+                                 * @prop {Number} info.retryAfter How long (in ms) the request will wait before being retried
+                                 * @prop {String} info.route The calculated ratelimiting route for the request
+                                 * @prop {String} info.scope The scope of the ratelimit, either "user", "global" or "shared"
+                                 * @prop {String} info.url URL of the endpoint
+                                 */
+                                this.#client.emit("rateLimit", {
+                                    bucket: this.#getBucketKey(req.route),
+                                    global: !!resp.headers["x-ratelimit-global"],
+                                    limit: bucket.limit,
+                                    method: req.method,
+                                    remaining: bucket.remaining,
+                                    reset: bucket.reset,
+                                    retryAfter: delay,
+                                    route: req.route,
+                                    scope: scope,
+                                    url: url
+                                });
+                                this.#client.emit("debug", `${resp.headers["x-ratelimit-global"] ? "Global" : "Unexpected"} 429 (╯°□°）╯︵ ┻━┻: ${response}\n${content} ${now} ${req.route} ${resp.statusCode}: ${latency}ms (${this.latencyRef.latency}ms avg) | ${bucket.remaining}/${bucket.limit} left | Reset ${delay} (${bucket.reset - now}ms left) | Scope ${resp.headers["x-ratelimit-scope"]}`);
+                                if(!reusable) {
+                                    cb();
+                                    resolve({
+                                        statusCode: resp.statusCode,
+                                        statusMessage: resp.statusMessage,
+                                        headers: resp.headers,
+                                        body: response
+                                    });
+                                    return;
+                                }
                                 if(delay) {
                                     setTimeout(() => {
+                                        bucket.queue(storeCall, true);
                                         cb();
-                                        this.request(method, url, auth, body, file, route, true).then(resolve).catch(reject);
                                     }, delay);
                                     return;
                                 } else {
+                                    bucket.queue(storeCall, true);
                                     cb();
-                                    this.request(method, url, auth, body, file, route, true).then(resolve).catch(reject);
                                     return;
                                 }
-                            } else if(resp.statusCode === 502 && ++attempts < 4) {
-                                this.#client.emit("debug", "A wild 502 appeared! Thanks CloudFlare!");
-                                setTimeout(() => {
-                                    this.request(method, url, auth, body, file, route, true).then(resolve).catch(reject);
-                                }, Math.floor(Math.random() * 1900 + 100));
-                                return cb();
                             }
-                            cb();
 
-                            if(response.length > 0) {
-                                if(resp.headers["content-type"] === "application/json") {
-                                    try {
-                                        response = JSON.parse(response);
-                                    } catch(err) {
-                                        reject(err);
-                                        return;
-                                    }
+                            if(resp.statusCode >= 300) {
+                                const retryDelay = reusable ? this.#getRetryDelay(req.method, attempts, resp.statusCode) : null;
+                                if(retryDelay !== null) {
+                                    this.#client.emit("debug", `${resp.statusCode} ${resp.statusMessage} on ${req.method} ${req.route}, retrying in ${retryDelay}ms`);
+                                    retryCall(retryDelay, {statusCode: resp.statusCode});
+                                    return cb();
                                 }
                             }
 
-                            let {stack} = _stackHolder;
-                            if(stack.startsWith("Error\n")) {
-                                stack = stack.substring(6);
-                            }
-                            let err;
-                            if(response.code) {
-                                err = new DiscordRESTError(req, resp, response, stack);
-                            } else {
-                                err = new DiscordHTTPError(req, resp, response, stack);
-                            }
-                            reject(err);
-                            return;
-                        }
+                            cb();
+                            resolve({
+                                statusCode: resp.statusCode,
+                                statusMessage: resp.statusMessage,
+                                headers: resp.headers,
+                                body: response
+                            });
+                        }, onError);
+                    }, onError).catch((err) => { // A client event listener threw
+                        cb();
+                        reject(err);
+                    });
+                };
 
-                        if(response.length > 0) {
-                            if(resp.headers["content-type"] === "application/json") {
-                                try {
-                                    response = JSON.parse(response);
-                                } catch(err) {
-                                    cb();
-                                    reject(err);
-                                    return;
-                                }
-                            }
-                        }
+                const retryCall = (delay, reason) => {
+                    const attempt = ++attempts;
+                    ++this.#metrics.retries;
+                    /**
+                     * Fired when the Client's RequestHandler retries a failed request, according to the `rest.retry` option
+                     * @event Client#restRetry
+                     * @prop {Object} request The data for the retry
+                     * @prop {Number} request.attempt The number of the retry, starting at 1
+                     * @prop {Number} request.delay How long (in ms) the request will wait before being retried
+                     * @prop {Error} [request.error] The error that caused the retry, if any
+                     * @prop {String} request.method Uppercase HTTP method
+                     * @prop {String} request.route The calculated ratelimiting route for the request
+                     * @prop {Number} [request.statusCode] The HTTP status code that caused the retry, if any
+                     * @prop {String} request.url URL of the endpoint
+                     */
+                    this.#client.emit("restRetry", {method: req.method, url: url, route: req.route, attempt: attempt, delay: delay, ...reason});
+                    retryTimeout = setTimeout(() => bucket.queue(storeCall, true), delay);
+                };
 
+                // Consult the ratelimit store before every attempt, as other processes may have used up the bucket
+                const storeCall = (cb) => {
+                    if(signal?.aborted) {
+                        cb();
+                        return;
+                    }
+                    bucket = this.#resolveBucket(req.route, bucket);
+                    this.#checkRatelimitStore(this.#getBucketKey(req.route), auth).then((delay) => {
+                        if(!delay) {
+                            actualCall(cb);
+                            return;
+                        }
+                        bucket.remaining = 0;
+                        bucket.reset = Math.max(bucket.reset, Date.now() + delay);
+                        bucket.queue(storeCall, true);
                         cb();
-                        resolve(response || undefined);
                     });
-                });
-
-                req.setTimeout(this.options.requestTimeout, () => {
-                    reqError = new Error(`Request timed out (>${this.options.requestTimeout}ms) on ${method} ${url}`);
-                    req.abort();
-                });
+                };
 
-                if(Array.isArray(data)) {
-                    for(const chunk of data) {
-                        req.write(chunk);
+                const queueCall = () => {
+                    bucket = this.ratelimits[this.#getBucketKey(req.route)] ??= new SequentialBucket(1, this.latencyRef);
+                    if(bucket.queueLength >= this.options.maxQueueLength) {
+                        reject(new RequestQueueFullError(req.method, req.route, this.#getBucketKey(req.route), bucket.queueLength));
+                        return;
                     }
-                    req.end();
+                    bucket.queue(storeCall, short, priority);
+                };
+
+                if(signal) {
+                    // Requests which were not sent yet are removed from their queue, sent requests are aborted by the transport
+                    onAbort = () => {
+                        if(!bucket?.remove(storeCall)) {
+                            this.ratelimits[this.#getBucketKey(req.route)]?.remove(storeCall);
+                        }
+                        const index = this.readyQueue.indexOf(queueCall);
+                        if(index !== -1) {
+                            this.readyQueue.splice(index, 1);
+                        }
+                        clearTimeout(retryTimeout);
+                        reject(signal.reason);
+                    };
+                    signal.addEventListener("abort", onAbort, {once: true});
+                }
+
+                if(this.globalBlock && auth) {
+                    this.readyQueue.push(queueCall);
                 } else {
-                    req.end(data);
+                    queueCall();
                 }
-            };
+            });
 
-            if(this.globalBlock && auth) {
-                this.readyQueue.push(() => {
-                    this.ratelimits[route] ??= new SequentialBucket(1, this.latencyRef);
-                    this.ratelimits[route].queue(actualCall, short);
-                });
-            } else {
-                this.ratelimits[route] ??= new SequentialBucket(1, this.latencyRef);
-                this.ratelimits[route].queue(actualCall, short);
+            if(signal) {
+                const cleanup = () => signal.removeEventListener("abort", onAbort);
+                promise.then(cleanup, cleanup);
             }
+            return promise;
+        };
+
+        // The size of files streamed from a path is read without blocking before the body is finished, failing the request if a file can't be read
+        let prepare = Promise.resolve();
+        if(multipart) {
+            prepare = multipart.stat().then(() => {
+                req.body = finishMultipart(multipart, headers, options.onUploadProgress);
+            });
+        }
+
+        return prepare.then(() => this.#runMiddleware(req, 0, send)).then((res) => {
+            let response = res.body;
+            // Middleware short-circuiting a request may resolve with a body which was already parsed, or none at all
+            if((typeof response === "string" || Buffer.isBuffer(response)) && response.length > 0) {
+                if(res.headers["content-type"] === "application/json") {
+                    response = JSON.parse(response);
+                }
+            }
+
+            if(res.statusCode >= 300) {
+                let {stack} = _stackHolder;
+                if(stack.startsWith("Error\n")) {
+                    stack = stack.substring(6);
+                }
+                if(response?.code) {
+                    throw new DiscordRESTError(req, res, response, stack);
+                }
+                throw new DiscordHTTPError(req, res, response, stack);
+            }
+
+            return response || undefined;
         });
     }
 
@@ -410,6 +623,180 @@ class RequestHandler {
         return route;
     }
 
+    /**
+     * Upload a file to a URL outside of the Discord API, such as an attachment upload URL (see `Client#uploadAttachments()`).
+     * Uploads bypass ratelimits and middleware, but are retried according to the `rest.retry` option. Readable streams can only be sent once, so their uploads fail with the original error instead of being retried
+     * @param {String} url The URL to upload the file to
+     * @param {Object} file The file to upload, or a file source already created for it with `MultipartData.createSource()`
+     * @param {Buffer | Blob | Readable | Function} [file.file] The file data. Functions are called for a new readable stream on every attempt
+     * @param {String} [file.path] The path of a file to stream instead of passing its data in `file`
+     * @param {Number} [file.size] The size of the file data in bytes, if it's a readable stream
+     * @param {RequestHandler.RequestOptions} [options] Options for the upload. Only `onUploadProgress` and `signal` are used
+     * @returns {Promise}
+     */
+    async upload(url, file, options = {}) {
+        const {signal} = options;
+        const source = typeof file.open === "function" ? file : MultipartData.createSource(file.path ? pathToFileURL(file.path) : file.file, file.size);
+        if(!source) {
+            throw new Error("Invalid file object");
+        }
+        await MultipartData.statSource(source);
+        const headers = {
+            "User-Agent": this.userAgent,
+            "Content-Type": "application/octet-stream"
+        };
+        if(source.size !== undefined) {
+            headers["Content-Length"] = source.size;
+        }
+        const req = {
+            method: "PUT",
+            path: new URL(url).pathname,
+            url: url,
+            headers: headers,
+            body: {
+                [Symbol.asyncIterator]: () => readSource(source, options.onUploadProgress)
+            },
+            signal: signal
+        };
+
+        for(let attempts = 0; ; ++attempts) {
+            let retry;
+            try {
+                const res = await this.transport.request(req);
+                const response = await readBody(res.body);
+                if(res.statusCode < 300) {
+                    return;
+                }
+                const delay = source.reusable ? this.#getRetryDelay(req.method, attempts, res.statusCode) : null;
+                if(delay === null) {
+                    throw new DiscordHTTPError(req, res, response);
+                }
+                retry = {delay: delay, statusCode: res.statusCode};
+            } catch(err) {
+                if(signal?.aborted) {
+                    throw signal.reason;
+                }
+                const delay = err instanceof DiscordHTTPError || !source.reusable ? null : this.#getRetryDelay(req.method, attempts, undefined, err);
+                if(delay === null) {
+                    throw err;
+                }
+                retry = {delay: delay, error: err};
+            }
+            this.#client.emit("restRetry", {method: req.method, url: url, route: req.path, attempt: attempts + 1, ...retry});
+            await new Promise((resolve, reject) => {
+                const onAbort = () => {
+                    clearTimeout(timeout);
+                    reject(signal.reason);
+                };
+                const timeout = setTimeout(() => {
+                    signal?.removeEventListener("abort", onAbort);
+                    resolve();
+                }, retry.delay);
+                signal?.addEventListener("abort", onAbort, {once: true});
+            });
+        }
+    }
+
+    /**
+     * Add a middleware to the end of the middleware chain. Middleware is called with the request before it is queued, and can change it (e.g. its method, URL, headers or body),
+     * pass it on by calling `next`, and inspect or transform the response `next` resolves with before it is parsed.
+     * Resolving with a response without calling `next` short-circuits the request, e.g. to serve it from a cache, skipping ratelimits entirely.
+     * A short-circuit response needs a `statusCode` and `headers`. Its `body` is parsed like a real response if it's a string or Buffer, and returned as-is otherwise (e.g. an object which was already parsed, or undefined for an empty response)
+     * @param {Function} middleware A function taking the request (see `RequestHandler.Request`) and a `next(request)` function resolving with the response (see `RequestHandler.Response`), and returning a response or a Promise resolving with one
+     * @returns {RequestHandler} This RequestHandler, for chaining
+     */
+    use(middleware) {
+        if(typeof middleware !== "function") {
+            throw new TypeError("Middleware must be a function");
+        }
+        this.middleware.push(middleware);
+        return this;
+    }
+
+    async #checkRatelimitStore(key, auth) {
+        try {
+            if(auth) {
+                const globalReset = await this.ratelimitStore.getGlobalReset();
+                if(globalReset > Date.now()) {
+                    return globalReset - Date.now();
+                }
+            }
+            return await this.ratelimitStore.acquire(key);
+        } catch(err) {
+            this.#client.emit("error", err);
+            return 0;
+        }
+    }
+
+    #getBucketKey(route) {
+        const hash = this.bucketHashes[route.replace(MAJOR_PARAMETER_REGEX, "/$1/:id")];
+        if(!hash) {
+            return route;
+        }
+        // Keep the method prefixes of special routes, such as old message deletions, separate
+        const prefix = route.slice(0, route.indexOf("/"));
+        const majorParameter = route.match(MAJOR_PARAMETER_REGEX)?.[0] || "";
+        return (prefix ? prefix + ":" : "") + hash + majorParameter;
+    }
+
+    #getRetryDelay(method, attempts, statusCode, err) {
+        const policy = this.options.retry;
+        if(attempts >= policy.maxRetries || !policy.methods.includes(method)) {
+            return null;
+        }
+        if(err) {
+            if(!policy.errorCodes.includes(err.code ?? err.cause?.code)) {
+                return null;
+            }
+        } else if(!policy.statusCodes.includes(statusCode)) {
+            return null;
+        }
+        const delay = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempts));
+        return Math.floor(policy.jitter ? delay / 2 + Math.random() * delay / 2 : delay);
+    }
+
+    #recordLatency(latency) {
+        const {latency: histogram} = this.#metrics;
+        ++histogram.count;
+        histogram.sum += latency;
+        for(let i = histogram.bounds.length - 1; i >= 0 && latency <= histogram.bounds[i]; --i) {
+            ++histogram.counts[i];
+        }
+    }
+
+    #resolveBucket(route, bucket) {
+        const key = this.#getBucketKey(route);
+        const sharedBucket = this.ratelimits[key];
+        if(sharedBucket === bucket) {
+            return bucket;
+        }
+        // Once the bucket hash of a route is learned, the route's own bucket is replaced by the one it shares with other routes
+        const routeBucket = this.ratelimits[route] === bucket;
+        if(routeBucket) {
+            delete this.ratelimits[route];
+        }
+        if(!sharedBucket) {
+            this.ratelimits[key] = bucket;
+            return bucket;
+        }
+        if(routeBucket) {
+            bucket.moveTo(sharedBucket);
+        }
+        return sharedBucket;
+    }
+
+    #runMiddleware(req, index, send) {
+        const middleware = this.middleware[index];
+        if(!middleware) {
+            return send(req);
+        }
+        return Promise.resolve().then(() => middleware(req, (nextReq = req) => this.#runMiddleware(nextReq, index + 1, send)));
+    }
+
+    #updateRatelimitStore(func) {
+        Promise.resolve().then(func).catch((err) => this.#client.emit("error", err));
+    }
+
     [util.inspect.custom]() {
         return Base.prototype[util.inspect.custom].call(this);
     }
@@ -420,15 +807,105 @@ class RequestHandler {
 
     toJSON(props = []) {
         return Base.prototype.toJSON.call(this, [
+            "bucketHashes",
             "globalBlock",
             "latencyRef",
+            "middleware",
             "options",
             "ratelimits",
+            "ratelimitStore",
             "readyQueue",
+            "transport",
             "userAgent",
             ...props
         ]);
     }
 }
 
+function finishMultipart(data, headers, onProgress) {
+    const body = data.finish(onProgress);
+    if(data.length !== undefined) { // Unknown for streams of unknown size, which are sent with chunked encoding instead
+        headers["Content-Length"] = data.length;
+    }
+    return body;
+}
+
+async function* readSource(source, onProgress) {
+    let loaded = 0;
+    for await (const chunk of source.open()) {
+        yield chunk;
+        loaded += chunk.length;
+        onProgress?.(loaded, source.size);
+    }
+}
+
+async function readBody(body) {
+    const chunks = [];
+    if(body) {
+        for await (const chunk of body) {
+            chunks.push(typeof chunk === "string" ? Buffer.from(chunk) : chunk);
+        }
+    }
+    return Buffer.concat(chunks).toString();
+}
+
 module.exports = RequestHandler;
+
+/**
+ * A snapshot of a ratelimit bucket
+ * @typedef RequestHandler.BucketSnapshot
+ * @prop {Number} limit How many requests can be made in the bucket per interval
+ * @prop {Number} queueLength How many requests are waiting in the bucket's queue
+ * @prop {Number} remaining How many requests can still be made in the current interval
+ * @prop {Number} reset Timestamp of the next reset of the bucket
+ */
+
+/**
+ * A snapshot of the REST metrics of a RequestHandler
+ * @typedef RequestHandler.Metrics
+ * @prop {Number} errors How many requests failed without a response (e.g. due to network errors or timeouts)
+ * @prop {Object} latency A histogram of response latencies
+ * @prop {Number} latency.average The average latency (in ms) used for ratelimit calculations
+ * @prop {Array<Number>} latency.bounds The upper bounds (in ms) of the histogram buckets
+ * @prop {Number} latency.count How many responses were received
+ * @prop {Array<Number>} latency.counts How many responses were received with a latency less than or equal to the bound at the same index
+ * @prop {Number} latency.sum The sum of all latencies (in ms)
+ * @prop {Object} rateLimits How many 429 responses were received, by scope
+ * @prop {Number} rateLimits.global Global ratelimits
+ * @prop {Number} rateLimits.shared Shared resource ratelimits
+ * @prop {Number} rateLimits.user Per-route (user) ratelimits
+ * @prop {Number} requests How many requests were sent, including retries
+ * @prop {Number} retries How many requests were retried because of the `rest.retry` option
+ */
+
+/**
+ * A request passing through the middleware chain, which is sent as-is by the transport
+ * @typedef RequestHandler.Request
+ * @prop {String | Buffer | Array<Uint8Array>} [body] The serialized request payload
+ * @prop {Object} headers The request headers
+ * @prop {String} method Uppercase HTTP method
+ * @prop {String} path The path of the request, including the base URL and query string
+ * @prop {String} route The ratelimiting route of the request. Change it along with the URL when sending the request to a different endpoint
+ * @prop {AbortSignal} [signal] A signal which cancels the request when aborted
+ * @prop {Number} timeout A number of milliseconds before the request is considered timed out
+ * @prop {String} url The full URL of the request
+ */
+
+/**
+ * A response passing back through the middleware chain, before its body is parsed
+ * @typedef RequestHandler.Response
+ * @prop {String | Buffer | *} body The response body. String and Buffer bodies are parsed as JSON if the `content-type` header is `application/json`, while other values (set by middleware short-circuiting the request) are returned as-is
+ * @prop {Object} headers The lowercased response headers
+ * @prop {Number} statusCode The HTTP status code. Responses with a status code of 300 or above reject with a DiscordRESTError or DiscordHTTPError
+ * @prop {String} statusMessage The HTTP status message
+ */
+
+/**
+ * Options for a REST request
+ * @typedef RequestHandler.RequestOptions
+ * @prop {Function} [onUploadProgress] A function called with the number of bytes uploaded so far and the total size of the upload (if known) while a multipart body is being sent
+ * @prop {Number} [priority=0] The priority of the request in its ratelimiting queue. Requests are sent before queued requests with a lower priority. See `Constants.RequestPriorities` for the predefined levels
+ * @prop {String} [route] The ratelimiting route of the request. Calculated from the URL by default
+ * @prop {Boolean} [short] Whether to put the request at the front of its ratelimiting queue
+ * @prop {AbortSignal} [signal] A signal to abort the request with. Requests which were not sent yet are removed from their ratelimiting queue, while sent requests are cancelled
+ */
@@ -41,10 +41,8 @@ class CategoryChannel extends GuildChannel {
     get channels() {
         const channels = new Collection(GuildChannel);
         if(this.guild?.channels) {
-            for(const channel of this.guild.channels.values()) {
-                if(channel.parentID === this.id) {
-                    channels.add(channel);
-                }
+            for(const channel of this.guild.channels.query({parentID: this.id})) {
+                channels.add(channel);
             }
         }
         return channels;
@@ -1,6 +1,7 @@
 "use strict";
 
 const Base = require("./Base");
+const Endpoints = require("../rest/Endpoints");
 const {ChannelTypes} = require("../Constants");
 const emitDeprecation = require("../util/emitDeprecation");
 
@@ -18,6 +19,11 @@ class Channel extends Base {
      * @member {Number} Channel#createdAt
      */
     #client;
+    /**
+     * Whether the channel is partial. Partial channels are created for uncached channels when the `partials` client option is enabled, and only have an ID and, in guilds, a guild
+     * @type {Boolean}
+     */
+    partial = false;
     constructor(data, client) {
         super(data.id);
         this.#client = client;
@@ -46,6 +52,47 @@ class Channel extends Base {
         return `<#${this.id}>`;
     }
 
+    /**
+     * Fetch the channel over REST, filling in the properties its class has and caching the complete channel in place of a partial one.
+     * As the class of a channel depends on its type, a partial channel only gets the properties of Channel (or GuildChannel), so use the channel the promise resolves with for the rest
+     * @returns {Promise<CategoryChannel | ForumChannel | MediaChannel | NewsChannel | NewsThreadChannel | PrivateChannel | PrivateThreadChannel | PublicThreadChannel | StageChannel | TextChannel | TextVoiceChannel>} Resolves with the complete channel, which is cached unless it's in an uncached guild
+     */
+    fetch() {
+        const client = this.#client;
+        return client.requestHandler.request("GET", Endpoints.CHANNEL(this.id), true).then((data) => {
+            this.type = data.type;
+            this.update?.(data, client);
+            this.partial = false;
+
+            let channel = client.getChannel(data.id);
+            if(channel && channel !== this) {
+                channel.update(data, client);
+            } else {
+                channel = Channel.from(data, client);
+                const guild = client.guilds.get(data.guild_id);
+                if(guild) {
+                    if(data.type === ChannelTypes.ANNOUNCEMENT_THREAD || data.type === ChannelTypes.PUBLIC_THREAD || data.type === ChannelTypes.PRIVATE_THREAD) {
+                        client.threadGuildMap[data.id] = guild.id;
+                    } else {
+                        client.channelGuildMap[data.id] = guild.id;
+                    }
+                } else if(data.type === ChannelTypes.DM) {
+                    client.privateChannels.add(channel, client);
+                }
+            }
+            // Reindexing caches the new channel of a guild, or writes the changes of a cached one through to the cache adapter
+            if(channel.guild instanceof Base) {
+                const collection = client.threadGuildMap[data.id] ? channel.guild.threads : channel.guild.channels;
+                if(collection.get(data.id) === channel) {
+                    collection.reindex(channel);
+                } else {
+                    collection.add(channel, client);
+                }
+            }
+            return channel;
+        });
+    }
+
     static from(data, client) {
         switch(data.type) {
             case ChannelTypes.GUILD_TEXT: {
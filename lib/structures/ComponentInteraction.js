@@ -97,7 +97,9 @@ class ComponentInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
-     * @param {Buffer} content.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -132,7 +134,9 @@ class ComponentInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
-     * @param {Buffer} content.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -251,7 +255,9 @@ class ComponentInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -285,7 +291,9 @@ class ComponentInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -321,7 +329,9 @@ class ComponentInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -141,7 +141,9 @@ class ForumChannel extends GuildChannel {
      * @param {Boolean | Array<String>} [options.message.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow.
      * @param {Boolean | Array<String>} [options.message.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow.
      * @param {Array<Object>} [options.message.attachments] The files to attach to the message
-     * @param {Buffer} options.message.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} options.message.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [options.message.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [options.message.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} options.message.attachments[].filename What to name the file
      * @param {String} [options.message.attachments[].description] A description for the attachment
      * @param {Array<Object>} [options.message.components] An array of components. See [Discord's Documentation](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
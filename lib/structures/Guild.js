@@ -35,6 +35,11 @@ class Guild extends Base {
      * @type {Collection<Member>}
      */
     members = new Collection(Member);
+    /**
+     * Whether the guild was restored from a cache snapshot (see the `cacheSnapshot` client option) and hasn't been received from the gateway since. Its data may be stale
+     * @type {Boolean}
+     */
+    restored = false;
     /**
      * Collection of Roles in the guild
      * @type {Collection<Role>}
@@ -68,6 +73,13 @@ class Guild extends Base {
     constructor(data, client) {
         super(data.id);
         this.#client = client;
+        client._applyCachePolicy("members", this.members);
+        client._applyCachePolicy("threads", this.threads);
+        client._applyCachePolicy("voiceStates", this.voiceStates);
+        // Built-in indexes, see Collection#query()
+        this.channels.addIndex("parentID", (channel) => channel.parentID);
+        this.members.addIndex("roles", (member) => member.roles);
+        this.threads.addIndex("parentID", (thread) => thread.parentID);
         /**
          * The Shard that owns the guild
          * @type {Shard}
@@ -206,6 +218,10 @@ class Guild extends Base {
             }
         }
         this.update(data);
+        // Later changes are written through to the cache adapter, which the gateway handlers fill with the initial state
+        for(const type of ["channels", "members", "roles", "threads"]) {
+            client._watchCache(type, this, this[type]);
+        }
     }
 
     update(data) {
@@ -667,7 +683,8 @@ class Guild extends Base {
      * @param {Object} options Sticker options
      * @param {String} options.description The description of the sticker
      * @param {Object} options.file A file object
-     * @param {Buffer} options.file.file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} options.file.file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [options.file.path] The path of a file to stream into the request instead of passing its data in `file`
      * @param {String} options.file.name What to name the file
      * @param {String} options.name The name of the sticker
      * @param {String} options.tags The Discord name of a unicode emoji representing the sticker's expression
@@ -1064,6 +1081,7 @@ class Guild extends Base {
      * @param {Number} [options.limit] The maximum number of members to fetch
      * @param {Boolean} [options.presences] Whether to request member presences or not. When using intents, the `GUILD_PRESENCES` intent is required.
      * @param {String} [options.query] The query used for looking up the members. When using intents, `GUILD_MEMBERS` is required to fetch all members.
+     * @param {AbortSignal} [options.signal] A signal which rejects the request with the abort reason when aborted
      * @param {Number} [options.timeout] The number of milliseconds to wait before resolving early. Defaults to the `requestTimeout` client option
      * @param {Array<String>} [options.userIDs] The IDs of members to fetch
      * @returns {Promise<Array<Member>>} Resolves with the fetched members.
@@ -1072,6 +1090,16 @@ class Guild extends Base {
         return this.shard.requestGuildMembers(this.id, options);
     }
 
+    /**
+     * Request specific guild members through the gateway connection, yielding every chunk as it arrives. Use this over `fetchMembers()` to go through all members of large guilds
+     * @param {Object} [options] Options for fetching the members, the same as `fetchMembers()`
+     * @param {Number} [options.timeout] The number of milliseconds to wait for the next chunk before throwing. Defaults to the `requestTimeout` client option
+     * @returns {AsyncGenerator<Object>} Yields the chunks of members. See `Shard#requestGuildMembersStream()` for their properties
+     */
+    fetchMembersStream(options) {
+        return this.shard.requestGuildMembersStream(this.id, options);
+    }
+
     /**
      * Get all active threads in this guild
      * @returns {Promise<Object>} An object containing an array of `threads` and an array of `members`
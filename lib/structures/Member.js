@@ -18,6 +18,11 @@ class Member extends Base {
      * The guild the member is in
      * @member {Guild} Member#guild
      */
+    /**
+     * Whether the member is partial, holding only the data of the event it was received in (see the `partials` client option). Use `fetch()` to fill it in
+     * @type {Boolean}
+     */
+    partial = false;
     constructor(data, guild, client) {
         super(data.id || data.user.id);
         if(!data.id && data.user) {
@@ -349,6 +354,26 @@ class Member extends Base {
         return this.guild.shard.client.editGuildMember.call(this.guild.shard.client, this.guild.id, this.id, options, reason);
     }
 
+    /**
+     * Fetch the member over REST, filling in the properties a partial member lacks.
+     * The member is added to the guild's member cache, or the cached member is updated if there is one
+     * @returns {Promise<Member>} Resolves with the cached member, which is this member unless the guild already had one
+     */
+    fetch() {
+        return this.guild.shard.client.requestHandler.request("GET", Endpoints.GUILD_MEMBER(this.guild.id, this.id), true).then((data) => {
+            data.id = this.id;
+            this.update(data);
+            this.partial = false;
+            if(!this.guild.members) { // Uncached guild
+                return this;
+            }
+            if(this.guild.members.has(this.id)) {
+                return this.guild.members.update(data, this.guild);
+            }
+            return this.guild.members.add(this, this.guild);
+        });
+    }
+
     /**
      * Kick the member from the guild
      * @param {String} [reason] The reason to be displayed in audit logs
@@ -27,6 +27,11 @@ class Message extends Base {
      * @type {Collection<Attachment>}
      */
     attachments = new Collection(Attachment);
+    /**
+     * Whether the message is partial, holding only the IDs (and the author, for reactions) carried by the event it was received in. Use `fetch()` to fill it in
+     * @type {Boolean}
+     */
+    partial = false;
     constructor(data, client) {
         super(data.id);
         this.#client = client;
@@ -166,7 +171,7 @@ class Message extends Base {
                  * @type {Member?}
                  */
                 this.member = this.channel.guild.members.update(data.member, this.channel.guild);
-            } else if(this.channel.guild.members.has(this.author.id)) {
+            } else if(this.author && this.channel.guild.members.has(this.author.id)) {
                 this.member = this.channel.guild.members.get(this.author.id);
             } else {
                 this.member = null;
@@ -640,7 +645,9 @@ class Message extends Base {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -667,7 +674,9 @@ class Message extends Base {
      * @param {Boolean | Array<String>} [options.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [options.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -690,6 +699,20 @@ class Message extends Base {
         return this.#client.endPoll.call(this.#client, this.channel.id, this.id);
     }
 
+    /**
+     * Fetch the message over REST, filling in the properties a partial message lacks
+     * @returns {Promise<Message>} Resolves with this message
+     */
+    fetch() {
+        return this.#client.getMessage(this.channel.id, this.id).then((message) => {
+            // Keep the partial channel if the channel still isn't cached
+            message.channel = this.#client.getChannel(message.channel.id) || this.channel;
+            Object.assign(this, message);
+            this.#channelMentions = undefined;
+            return this;
+        });
+    }
+
     /**
      * Gets a list of users that voted for an answer in a poll
      * @param {Number} answerID The ID of the answer
@@ -42,7 +42,9 @@ class ModalSubmitInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
-     * @param {Buffer} content.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -77,7 +79,9 @@ class ModalSubmitInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.roles] Whether or not to allow all role mentions, or an array of specific role mentions to allow
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
-     * @param {Buffer} content.attachments[].file A buffer containing file data
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data. Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -181,7 +185,9 @@ class ModalSubmitInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -215,7 +221,9 @@ class ModalSubmitInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -250,7 +258,9 @@ class ModalSubmitInteraction extends Interaction {
      * @param {Boolean | Array<String>} [content.allowedMentions.users] Whether or not to allow all user mentions, or an array of specific user mentions to allow
      * @param {Array<Object>} [content.attachments] The files to attach to the message
      * @param {String} content.attachments[].id The ID of an attachment (set only when you want to update an attachment)
-     * @param {Buffer} content.attachments[].file A buffer containing file data (set only when uploading new files)
+     * @param {Buffer | Blob | Readable | Function} content.attachments[].file The file data (set only when uploading new files). Blobs, readable streams and functions returning one are streamed into the request
+     * @param {String} [content.attachments[].path] The path of a file to stream into the request instead of passing its data in `file`
+     * @param {String} [content.attachments[].uploadedFilename] The upload filename of a file uploaded with `Client#uploadAttachments()`, instead of passing its data
      * @param {String} content.attachments[].filename What to name the file
      * @param {String} [content.attachments[].description] A description for the attachment
      * @param {Array<Object>} [content.components] An array of components. See [the official Discord API documentation entry](https://discord.com/developers/docs/interactions/message-components#what-is-a-component) for object structure
@@ -6,6 +6,13 @@
  * @extends Map<Class>
  */
 class Collection extends Map {
+    #indexes = null;
+    #keep = null;
+    #lru = false;
+    #onChange = null;
+    #onEvict = null;
+    #touched = null;
+    #ttl = null;
     /**
      * Construct a Collection
      * @param {Class} baseObject The base class for all items
@@ -42,6 +49,7 @@ class Collection extends Map {
             return this.add(obj, extra, replace);
         }
         item.update(obj, extra);
+        this.reindex(item);
         return item;
     }
 
@@ -69,16 +77,60 @@ class Collection extends Map {
         }
 
         this.set(obj.id, obj);
+        this.#touch(obj.id);
+        this.reindex(obj);
 
         if(this.limit && this.size > this.limit) {
-            const iter = this.keys();
-            while(this.size > this.limit) {
-                this.delete(iter.next().value);
-            }
+            this.#evict();
         }
         return obj;
     }
 
+    /**
+     * Declare a secondary index, kept up to date as objects are added, updated or removed through the collection. Objects can then be looked up by their index keys with `query()`
+     * @param {String} name The name of the index
+     * @param {Function} func A function that takes an object and returns its key in the index, an array of keys (e.g. the role IDs of a member), or undefined to leave the object out of the index
+     */
+    addIndex(name, func) {
+        this.#indexes ??= new Map();
+        if(this.#indexes.has(name)) {
+            throw new Error(`Index ${name} already exists`);
+        }
+        const index = {
+            entries: new Map(),
+            func: func,
+            itemKeys: new Map()
+        };
+        this.#indexes.set(name, index);
+        for(const item of this.values()) {
+            this.#indexItem(index, item);
+        }
+    }
+
+    clear() {
+        const items = this.#onChange ? [...this.values()] : [];
+        this.#touched?.clear();
+        this.#indexes?.forEach((index) => {
+            index.entries.clear();
+            index.itemKeys.clear();
+        });
+        super.clear();
+        for(const item of items) {
+            this.#onChange("delete", item);
+        }
+    }
+
+    delete(key) {
+        const item = super.get(key);
+        this.#touched?.delete(key);
+        this.#indexes?.forEach((index) => this.#unindexItem(index, key));
+        if(!super.delete(key)) {
+            return false;
+        }
+        this.#onChange?.("delete", item);
+        return true;
+    }
+
     /**
      * Returns true if all elements satisfy the condition
      * @param {Function} func A function that takes an object and returns true or false
@@ -122,6 +174,14 @@ class Collection extends Map {
         return undefined;
     }
 
+    get(key) {
+        const item = super.get(key);
+        if(this.#lru && item !== undefined) {
+            this.#touch(key);
+        }
+        return item;
+    }
+
     /**
      * Return an array with the results of applying the given function to each element
      * @param {Function} func A function that takes an object and returns something
@@ -135,6 +195,38 @@ class Collection extends Map {
         return arr;
     }
 
+    /**
+     * Get the objects matching every condition, looked up in the indexes declared with `addIndex()`
+     * @param {Object} conditions An object mapping index names to the key objects must have in each index, e.g. `{roles: roleID}`
+     * @returns {Array<Class>} An array containing all the matching objects
+     */
+    query(conditions) {
+        const matches = [];
+        for(const name in conditions) {
+            const index = this.#indexes?.get(name);
+            if(!index) {
+                throw new Error(`Unknown index: ${name}`);
+            }
+            const ids = index.entries.get(conditions[name]);
+            if(!ids) {
+                return [];
+            }
+            matches.push(ids);
+        }
+        if(!matches.length) {
+            return [];
+        }
+        // Check the smallest set of matches against the others
+        matches.sort((a, b) => a.size - b.size);
+        const result = [];
+        for(const id of matches[0]) {
+            if(matches.every((ids) => ids.has(id))) {
+                result.push(super.get(id));
+            }
+        }
+        return result;
+    }
+
     /**
      * Get a random object from the Collection
      * @returns {Class?} The random object, or undefined if there is no match
@@ -164,6 +256,23 @@ class Collection extends Map {
         return result;
     }
 
+    /**
+     * Update the index keys of an object, and report the change to the `watch()` function. Objects changed without going through `add()` or `update()` (e.g. by calling their own `update()` method) must be reindexed
+     * @param {Class} item The object
+     */
+    reindex(item) {
+        if(super.get(item.id) !== item) {
+            return;
+        }
+        if(this.#indexes) {
+            for(const index of this.#indexes.values()) {
+                this.#unindexItem(index, item.id);
+                this.#indexItem(index, item);
+            }
+        }
+        this.#onChange?.("set", item);
+    }
+
     /**
      * Remove an object
      * @param {Object} obj The object
@@ -179,6 +288,44 @@ class Collection extends Map {
         return item;
     }
 
+    /**
+     * Remove a secondary index
+     * @param {String} name The name of the index
+     */
+    removeIndex(name) {
+        this.#indexes?.delete(name);
+    }
+
+    /**
+     * Set how the collection limits the objects it holds
+     * @param {Object} policy The cache policy
+     * @param {Function} [policy.keep] A function that takes an object and returns true if it must never be evicted, e.g. `(member) => member.id === client.user.id`
+     * @param {Number} [policy.limit] Max number of items to hold. Defaults to the current limit
+     * @param {String} [policy.strategy="fifo"] Which objects are evicted first once the limit is reached, either "fifo" (the least recently added) or "lru" (the least recently added, updated or retrieved)
+     * @param {Number} [policy.ttl] How long (in ms) objects are held after they were last added (or updated and retrieved, with the "lru" strategy) before `sweep()` removes them
+     * @param {Function} [onEvict] A function called with every evicted object and the reason, "limit" or "ttl"
+     */
+    setCachePolicy(policy, onEvict) {
+        if(policy.strategy !== undefined && policy.strategy !== "fifo" && policy.strategy !== "lru") {
+            throw new TypeError(`Invalid cache strategy: ${policy.strategy}`);
+        }
+        if(policy.limit !== undefined) {
+            this.limit = policy.limit;
+        }
+        this.#keep = policy.keep || null;
+        this.#lru = policy.strategy === "lru";
+        this.#onEvict = onEvict || null;
+        this.#ttl = policy.ttl || null;
+        if(this.#lru || this.#ttl) {
+            this.#touched = new Map();
+            for(const key of this.keys()) {
+                this.#touched.set(key, Date.now());
+            }
+        } else {
+            this.#touched = null;
+        }
+    }
+
     /**
      * Returns true if at least one element satisfies the condition
      * @param {Function} func A function that takes an object and returns true or false
@@ -193,6 +340,107 @@ class Collection extends Map {
         return false;
     }
 
+    /**
+     * Remove the objects held for longer than the TTL of the cache policy
+     * @returns {Number} The number of removed objects
+     */
+    sweep() {
+        if(!this.#ttl) {
+            return 0;
+        }
+        const expiry = Date.now() - this.#ttl;
+        const expired = [];
+        // Objects are ordered by the time they were last touched
+        for(const [key, touched] of this.#touched) {
+            if(touched > expiry) {
+                break;
+            }
+            expired.push(key);
+        }
+        let removed = 0;
+        for(const key of expired) {
+            if(this.#evictKey(key, "ttl")) {
+                ++removed;
+            }
+        }
+        return removed;
+    }
+
+    /**
+     * Set a function called with every change of the objects held by the collection, e.g. to write them through to external storage
+     * @param {Function?} func A function that takes "set" and an object added, updated or reindexed, or "delete" and an object removed (or evicted). Pass null to stop reporting changes
+     */
+    watch(func) {
+        this.#onChange = func;
+    }
+
+    #evict() {
+        // Kept objects are skipped, so the collection may exceed its limit if too many are kept
+        const candidates = [];
+        for(const key of (this.#lru ? this.#touched.keys() : this.keys())) {
+            if(this.size - candidates.length <= this.limit) {
+                break;
+            }
+            if(!this.#keep?.(super.get(key))) {
+                candidates.push(key);
+            }
+        }
+        for(const key of candidates) {
+            this.#evictKey(key, "limit");
+        }
+    }
+
+    #evictKey(key, reason) {
+        const item = super.get(key);
+        if(this.#keep?.(item)) {
+            this.#touch(key);
+            return false;
+        }
+        this.delete(key);
+        this.#onEvict?.(item, reason);
+        return true;
+    }
+
+    #indexItem(index, item) {
+        let keys = index.func(item);
+        if(keys === undefined) {
+            return;
+        }
+        if(!Array.isArray(keys)) {
+            keys = [keys];
+        }
+        for(const key of keys) {
+            let ids = index.entries.get(key);
+            if(!ids) {
+                index.entries.set(key, ids = new Set());
+            }
+            ids.add(item.id);
+        }
+        index.itemKeys.set(item.id, keys);
+    }
+
+    #touch(key) {
+        if(this.#touched) {
+            this.#touched.delete(key);
+            this.#touched.set(key, Date.now());
+        }
+    }
+
+    #unindexItem(index, id) {
+        const keys = index.itemKeys.get(id);
+        if(!keys) {
+            return;
+        }
+        for(const key of keys) {
+            const ids = index.entries.get(key);
+            ids.delete(id);
+            if(!ids.size) {
+                index.entries.delete(key);
+            }
+        }
+        index.itemKeys.delete(id);
+    }
+
     toString() {
         return `[Collection<${this.baseObject.name}>]`;
     }
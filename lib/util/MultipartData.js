@@ -1,10 +1,34 @@
 "use strict";
 
+const FS = require("node:fs");
+
 class MultipartData {
     boundary = "----------------Dysnomia";
     bufs = [];
 
-    attach(fieldName, data, filename) {
+    /**
+     * The total size of the body in bytes, or undefined if it can't be known (e.g. a readable stream of unknown size was attached)
+     * @type {Number?}
+     */
+    get length() {
+        let length = 0;
+        for(const buf of this.bufs) {
+            if(buf.size === undefined && buf.byteLength === undefined) {
+                return undefined;
+            }
+            length += buf.byteLength ?? buf.size;
+        }
+        return length;
+    }
+
+    /**
+     * Attach a field to the body
+     * @param {String} fieldName The name of the field
+     * @param {Buffer | Blob | Readable | Function | URL | Object | String} data The field data. Blobs, readable streams (or any async iterable), functions returning a readable stream and `file:` URLs are streamed into the body, objects are serialized as JSON
+     * @param {String} [filename] The name of the file
+     * @param {Number} [size] The size of the data in bytes, used to calculate the length of the body when attaching a readable stream
+     */
+    attach(fieldName, data, filename, size) {
         if(data === undefined) {
             return;
         }
@@ -38,8 +62,12 @@ class MultipartData {
             }
         }
 
+        const source = ArrayBuffer.isView(data) ? undefined : MultipartData.createSource(data, size);
+
         if(contentType) {
             str += `\r\nContent-Type: ${contentType}`;
+        } else if(source) {
+            str += "\r\nContent-Type: application/octet-stream";
         } else if(ArrayBuffer.isView(data)) {
             str += "\r\nContent-Type: application/octet-stream";
             if(!(data instanceof Uint8Array)) {
@@ -52,12 +80,111 @@ class MultipartData {
             data = Buffer.from("" + data);
         }
         this.bufs.push(Buffer.from(str + "\r\n\r\n"));
-        this.bufs.push(data);
+        this.bufs.push(source || data);
     }
 
-    finish() {
+    /**
+     * Finish the body
+     * @param {Function} [onProgress] A function called with the number of bytes read from the body so far and the total length of the body (if known) as the body is sent
+     * @returns {Array<Uint8Array> | Object} An array of buffers if only buffered data was attached and no progress is tracked, or an async iterable of the body. The iterable can be read again to resend the body unless its `reusable` property is false, as a readable stream was attached
+     */
+    finish(onProgress) {
         this.bufs.push(Buffer.from("\r\n--" + this.boundary + "--"));
-        return this.bufs;
+        if(!onProgress && this.bufs.every((buf) => buf instanceof Uint8Array)) {
+            return this.bufs;
+        }
+        const {bufs, length} = this;
+        return {
+            length: length,
+            reusable: bufs.every((buf) => buf.reusable !== false),
+            [Symbol.asyncIterator]: () => readParts(bufs, length, onProgress)
+        };
+    }
+
+    /**
+     * Read the size of the files attached from `file:` URLs, so `length` includes them. Call this before `finish()`
+     * @returns {Promise} Rejects if a file can't be read
+     */
+    async stat() {
+        await Promise.all(this.bufs.map((buf) => MultipartData.statSource(buf)));
+    }
+
+    /**
+     * Create a source of file data which is streamed when read
+     * @param {Buffer | Blob | Readable | Function | URL} data The file data. Readable streams (or any async iterable) can only be read once, while functions are called for a new readable stream every time the data is read
+     * @param {Number} [size] The size of the data in bytes, if it's a readable stream or a `file:` URL. The size of a file is otherwise read by `statSource()`
+     * @returns {Object?} An object with the `size` of the data (undefined if unknown), an `open()` function returning an iterable of its chunks and whether it's `reusable` (can be opened more than once), or null if the data isn't supported
+     */
+    static createSource(data, size) {
+        if(ArrayBuffer.isView(data)) {
+            return {
+                open: () => [data],
+                reusable: true,
+                size: data.byteLength
+            };
+        } else if(data instanceof URL) {
+            return {
+                open: () => FS.createReadStream(data),
+                path: data,
+                reusable: true,
+                size: size
+            };
+        } else if(data instanceof Blob) {
+            return {
+                open: () => data.stream(),
+                reusable: true,
+                size: data.size
+            };
+        } else if(typeof data === "function") {
+            return {
+                open: data,
+                reusable: true,
+                size: size
+            };
+        } else if(typeof data?.[Symbol.asyncIterator] === "function") {
+            let used = false;
+            return {
+                open: () => {
+                    if(used) {
+                        throw new Error("The stream was already read, so it can't be sent again");
+                    }
+                    used = true;
+                    return data;
+                },
+                reusable: false,
+                size: size
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Read the size of a source created from a `file:` URL, if it wasn't given to `createSource()`
+     * @param {Object} source The source
+     * @returns {Promise<Object>} Resolves with the source, or rejects if the file can't be read
+     */
+    static statSource(source) {
+        if(!source?.path || source.size !== undefined) {
+            return Promise.resolve(source);
+        }
+        return FS.promises.stat(source.path).then((stats) => {
+            source.size = stats.size;
+            return source;
+        });
+    }
+}
+
+async function* readParts(bufs, length, onProgress) {
+    let loaded = 0;
+    for(const buf of bufs) {
+        for await (let chunk of buf instanceof Uint8Array ? [buf] : buf.open()) {
+            if(typeof chunk === "string") {
+                chunk = Buffer.from(chunk);
+            }
+            yield chunk;
+            loaded += chunk.byteLength;
+            onProgress?.(loaded, length);
+        }
     }
 }
 
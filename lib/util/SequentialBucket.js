@@ -39,6 +39,14 @@ class SequentialBucket {
         this.latencyRef = latencyRef;
     }
 
+    /**
+     * How many functions are waiting in the queue
+     * @type {Number}
+     */
+    get queueLength() {
+        return this.#queue.length;
+    }
+
     check(override) {
         if(this.#queue.length === 0) {
             if(this.processing) {
@@ -66,7 +74,7 @@ class SequentialBucket {
         }
         --this.remaining;
         this.processing = true;
-        this.#queue.shift()(() => {
+        this.#queue.shift().func(() => {
             if(this.#queue.length > 0) {
                 this.check(true);
             } else {
@@ -75,19 +83,51 @@ class SequentialBucket {
         });
     }
 
+    /**
+     * Move every queued function to another SequentialBucket, keeping their priorities
+     * @param {SequentialBucket} bucket The bucket to move the functions to
+     */
+    moveTo(bucket) {
+        for(const entry of this.#queue.splice(0)) {
+            bucket.queue(entry.func, false, entry.priority);
+        }
+        this.check();
+    }
+
     /**
      * Queue something in the SequentialBucket
      * @param {Function} func A function to call when a token can be consumed. The function will be passed a callback argument, which must be called to allow the bucket to continue to work
+     * @param {Boolean} [short] Whether to put the function at the very front of the queue
+     * @param {Number} [priority=0] The priority of the function. Functions are called before queued functions with a lower priority, and after those with the same or a higher one
      */
-    queue(func, short) {
+    queue(func, short, priority = 0) {
         if(short) {
-            this.#queue.unshift(func);
+            this.#queue.unshift({func: func, priority: Infinity});
         } else {
-            this.#queue.push(func);
+            const index = this.#queue.findIndex((entry) => entry.priority < priority);
+            if(index === -1) {
+                this.#queue.push({func, priority});
+            } else {
+                this.#queue.splice(index, 0, {func, priority});
+            }
         }
         this.check();
     }
 
+    /**
+     * Remove something from the SequentialBucket queue before it is called
+     * @param {Function} func The function previously passed to queue()
+     * @returns {Boolean} Whether the function was in the queue
+     */
+    remove(func) {
+        const index = this.#queue.findIndex((entry) => entry.func === func);
+        if(index === -1) {
+            return false;
+        }
+        this.#queue.splice(index, 1);
+        return true;
+    }
+
     [util.inspect.custom]() {
         return Base.prototype[util.inspect.custom].call(this);
     }